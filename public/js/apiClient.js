@@ -50,9 +50,56 @@ class APIClient {
         return this.request(`/api/debris/${id}`);
     }
 
-    async getDebrisPosition(id, time = null) {
-        const params = time ? `?time=${time}` : '';
-        return this.request(`/api/debris/${id}/position${params}`);
+    async getDebrisPosition(id, time = null, frame = null) {
+        const params = new URLSearchParams();
+        if (time) params.append('time', time);
+        if (frame) params.append('frame', frame);
+
+        const query = params.toString();
+        return this.request(`/api/debris/${id}/position${query ? '?' + query : ''}`);
+    }
+
+    async getLifetime(id, solarFlux = null) {
+        const query = solarFlux ? `?solarFlux=${solarFlux}` : '';
+        return this.request(`/api/debris/${id}/lifetime${query}`);
+    }
+
+    async getReentries(options = {}) {
+        const params = new URLSearchParams();
+        if (options.days) params.append('days', options.days);
+        if (options.start) params.append('start', options.start.toISOString());
+        if (options.sort) params.append('sort', options.sort);
+        if (options.limit) params.append('limit', options.limit);
+        if (options.solarFlux) params.append('solarFlux', options.solarFlux);
+
+        const query = params.toString();
+        return this.request(`/api/debris/reentries${query ? '?' + query : ''}`);
+    }
+
+    async getReentryTrack(id, solarFlux = null) {
+        const query = solarFlux ? `?solarFlux=${solarFlux}` : '';
+        return this.request(`/api/debris/${id}/reentry${query}`);
+    }
+
+    async importTip(text) {
+        return this.request('/api/debris/tip', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: text,
+        });
+    }
+
+    async getPasses(id, observer, options = {}) {
+        const params = new URLSearchParams();
+        params.append('observerLat', observer.latitude);
+        params.append('observerLon', observer.longitude);
+        if (observer.altitude !== undefined) params.append('observerAlt', observer.altitude);
+        if (options.start) params.append('start', options.start.toISOString());
+        if (options.end) params.append('end', options.end.toISOString());
+        if (options.minElevation !== undefined) params.append('minElevation', options.minElevation);
+        if (options.stepSeconds) params.append('stepSeconds', options.stepSeconds);
+
+        return this.request(`/api/debris/${id}/passes?${params.toString()}`);
     }
 
     async queryDebris(queryParams) {
@@ -75,7 +122,50 @@ class APIClient {
         });
     }
 
-    async simulateCollision(objectId1, objectId2, collisionTime, modelName = 'nasa', propagateFragments = false) {
+    async screenCatalog(options = {}) {
+        return this.request('/api/collisions/detect', {
+            method: 'POST',
+            body: JSON.stringify({
+                mode: options.mode || (options.primaryId ? 'primary' : 'catalog'),
+                primaryId: options.primaryId,
+                filters: options.filters,
+                startTime: options.startTime?.toISOString(),
+                endTime: options.endTime?.toISOString(),
+                stepSeconds: options.stepSeconds || 60,
+                threshold: options.threshold || null,
+                covariances: options.covariances,
+                pcMethod: options.pcMethod,
+            }),
+        });
+    }
+
+    async importCdm(text) {
+        return this.request('/api/collisions/cdm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: text,
+        });
+    }
+
+    async planAvoidance(eventId, options = {}) {
+        return this.request(`/api/collisions/${encodeURIComponent(eventId)}/avoidance`, {
+            method: 'POST',
+            body: JSON.stringify({
+                primaryId: options.primaryId,
+                burnTime: options.burnTime?.toISOString(),
+                deltaVs: options.deltaVs,
+                directions: options.directions,
+                screenHours: options.screenHours,
+            }),
+        });
+    }
+
+    getCdmUrl(eventId, format = 'kvn') {
+        const params = new URLSearchParams({ format, download: 'true' });
+        return `${this.baseURL}/api/collisions/${encodeURIComponent(eventId)}/cdm?${params}`;
+    }
+
+    async simulateCollision(objectId1, objectId2, collisionTime, modelName = 'nasa', propagateFragments = false, injectFragments = false, seed = undefined, parameters = undefined, cloudDays = undefined, estimateLifetime = false) {
         return this.request('/api/collisions/simulate', {
             method: 'POST',
             body: JSON.stringify({
@@ -84,10 +174,62 @@ class APIClient {
                 collisionTime: collisionTime?.toISOString(),
                 modelName,
                 propagateFragments,
+                injectFragments,
+                seed,
+                parameters,
+                evolveCloud: Boolean(cloudDays),
+                cloudDays,
+                estimateLifetime,
+            }),
+        });
+    }
+
+    async simulateEnsemble(objectId1, objectId2, collisionTime, modelName = 'nasa', runs = 50, seed = undefined, parameters = undefined) {
+        return this.request('/api/collisions/simulate/ensemble', {
+            method: 'POST',
+            body: JSON.stringify({
+                objectId1,
+                objectId2,
+                collisionTime: collisionTime?.toISOString(),
+                modelName,
+                runs,
+                seed,
+                parameters,
             }),
         });
     }
 
+    async simulateBreakup(objectId, time, scaleFactor, injectFragments = false) {
+        return this.request('/api/breakups/simulate', {
+            method: 'POST',
+            body: JSON.stringify({
+                objectId,
+                time: time?.toISOString(),
+                scaleFactor,
+                injectFragments,
+            }),
+        });
+    }
+
+    async getEnvironmentScenarios() {
+        return this.request('/api/environment/scenarios');
+    }
+
+    async startEnvironmentJob(params) {
+        return this.request('/api/environment/jobs', {
+            method: 'POST',
+            body: JSON.stringify(params),
+        });
+    }
+
+    async getEnvironmentJob(jobId) {
+        return this.request(`/api/environment/jobs/${jobId}`);
+    }
+
+    async cancelEnvironmentJob(jobId) {
+        return this.request(`/api/environment/jobs/${jobId}`, { method: 'DELETE' });
+    }
+
     async getCollisionModels() {
         return this.request('/api/collisions/models');
     }
@@ -0,0 +1,173 @@
+/**
+ * Charts
+ * Small SVG charts for simulation results
+ */
+class Charts {
+    static formatValue(value) {
+        if (value === null || value === undefined) return '-';
+        const abs = Math.abs(value);
+        if (abs !== 0 && (abs >= 1e4 || abs < 1e-2)) return value.toExponential(1);
+        return Number(value.toPrecision(3)).toString();
+    }
+
+    /**
+     * Histogram of an ensemble distribution. Per-run distributions plot the
+     * number of runs per bin; per-fragment distributions plot the mean
+     * fragments per run with a p5-p95 whisker.
+     * @param {Object} distribution - {per, unit, summary, histogram: {scale, bins}}
+     * @param {Object} options - {title, width, height}
+     * @returns {string} SVG markup
+     */
+    static histogram(distribution, options = {}) {
+        const { title = '', width = 260, height = 110 } = options;
+        const bins = distribution.histogram.bins;
+        const perFragment = distribution.per === 'fragment';
+        const margin = { top: 16, right: 6, bottom: 16, left: 30 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const top = (bin) => (perFragment ? bin.p95 : bin.count);
+        const yMax = Math.max(1, ...bins.map(top));
+        const y = (value) => margin.top + plotHeight * (1 - value / yMax);
+        const barWidth = bins.length > 0 ? plotWidth / bins.length : plotWidth;
+
+        const bars = bins.map((bin, i) => {
+            const x = margin.left + i * barWidth;
+            const value = perFragment ? bin.mean : bin.count;
+            const tip = `${this.formatValue(bin.lower)}-${this.formatValue(bin.upper)}: ` +
+                (perFragment ? `${bin.mean.toFixed(1)} per run (p5 ${bin.p5}, p95 ${bin.p95})` : `${bin.count} runs`);
+            let markup = `<rect x="${x + 0.5}" y="${y(value)}" width="${Math.max(barWidth - 1, 1)}"
+                height="${margin.top + plotHeight - y(value)}" fill="#ff9800"><title>${tip}</title></rect>`;
+            if (perFragment) {
+                const cx = x + barWidth / 2;
+                markup += `<line x1="${cx}" x2="${cx}" y1="${y(bin.p5)}" y2="${y(bin.p95)}" stroke="#fff" stroke-width="1"/>`;
+            }
+            return markup;
+        }).join('');
+
+        const { summary } = distribution;
+        const unit = distribution.unit ? ` ${distribution.unit}` : '';
+        const median = summary.percentiles.p50;
+        const caption = `${title}: median ${this.formatValue(median)}${unit} ` +
+            `(p5 ${this.formatValue(summary.percentiles.p5)}, p95 ${this.formatValue(summary.percentiles.p95)})`;
+        const first = bins[0];
+        const last = bins[bins.length - 1];
+        const scaleLabel = distribution.histogram.scale === 'log' ? ' (log)' : '';
+
+        return `
+            <svg class="chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <text x="${margin.left}" y="10" fill="#ccc" font-size="9">${caption}</text>
+                <line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#888"/>
+                <line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}"
+                    y2="${margin.top + plotHeight}" stroke="#888"/>
+                <text x="${margin.left - 3}" y="${margin.top + 8}" fill="#aaa" font-size="8" text-anchor="end">${this.formatValue(yMax)}</text>
+                <text x="${margin.left - 3}" y="${margin.top + plotHeight}" fill="#aaa" font-size="8" text-anchor="end">0</text>
+                ${bars}
+                ${first ? `<text x="${margin.left}" y="${height - 4}" fill="#aaa" font-size="8">${this.formatValue(first.lower)}</text>
+                <text x="${margin.left + plotWidth}" y="${height - 4}" fill="#aaa" font-size="8" text-anchor="end">
+                    ${this.formatValue(last.upper)}${unit}${scaleLabel}</text>` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * Line chart of one or more series against a shared x axis
+     * @param {Array} series - [{name, color, points: [{x, y}]}]
+     * @param {Object} options - {title, xLabel, width, height}
+     * @returns {string} SVG markup
+     */
+    static lineChart(series, options = {}) {
+        const { title = '', xLabel = '', width = 260, height = 150 } = options;
+        const margin = { top: 16, right: 6, bottom: 28, left: 36 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const points = series.flatMap(s => s.points);
+        const xMin = Math.min(...points.map(p => p.x));
+        const xMax = Math.max(...points.map(p => p.x));
+        const yMax = Math.max(1, ...points.map(p => p.y));
+        const x = (value) => margin.left + (xMax > xMin ? (value - xMin) / (xMax - xMin) : 0) * plotWidth;
+        const y = (value) => margin.top + plotHeight * (1 - value / yMax);
+
+        const lines = series.map(s => {
+            const path = s.points.map(p => `${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join(' ');
+            return `<polyline points="${path}" fill="none" stroke="${s.color}" stroke-width="1.5"><title>${s.name}</title></polyline>`;
+        }).join('');
+        const legend = series.map((s, i) =>
+            `<text x="${margin.left + i * (plotWidth / series.length)}" y="${height - 2}" fill="${s.color}" font-size="8">${s.name}</text>`
+        ).join('');
+
+        return `
+            <svg class="chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <text x="${margin.left}" y="10" fill="#ccc" font-size="9">${title}</text>
+                <line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#888"/>
+                <line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}"
+                    y2="${margin.top + plotHeight}" stroke="#888"/>
+                <text x="${margin.left - 3}" y="${margin.top + 8}" fill="#aaa" font-size="8" text-anchor="end">${this.formatValue(yMax)}</text>
+                <text x="${margin.left - 3}" y="${margin.top + plotHeight}" fill="#aaa" font-size="8" text-anchor="end">0</text>
+                ${lines}
+                <text x="${margin.left}" y="${margin.top + plotHeight + 10}" fill="#aaa" font-size="8">${this.formatValue(xMin)}</text>
+                <text x="${margin.left + plotWidth}" y="${margin.top + plotHeight + 10}" fill="#aaa" font-size="8"
+                    text-anchor="end">${this.formatValue(xMax)} ${xLabel}</text>
+                ${legend}
+            </svg>
+        `;
+    }
+
+    /**
+     * Gabbard diagram: apogee and perigee altitude of each fragment against
+     * its orbital period. Points carry data-fragment with the fragment ID so
+     * callers can make them clickable. Fragments that re-enter within an
+     * orbit are faded; escaping fragments have no period and are left out.
+     * @param {Array} fragments - [{id, bound, reentering, period (min), apogee, perigee (km)}]
+     * @param {Object} options - {title, width, height, selected}
+     * @returns {string} SVG markup
+     */
+    static gabbard(fragments, options = {}) {
+        const { title = 'Gabbard diagram', width = 260, height = 180, selected = null } = options;
+        const margin = { top: 16, right: 6, bottom: 28, left: 36 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const shown = fragments.filter(f => f.bound);
+        const periods = shown.map(f => f.period);
+        const altitudes = shown.flatMap(f => [f.apogee, f.perigee]);
+        const xMin = Math.min(...periods);
+        const xMax = Math.max(...periods);
+        const yMin = Math.min(...altitudes);
+        const yMax = Math.max(...altitudes);
+        const x = (value) => margin.left + (xMax > xMin ? (value - xMin) / (xMax - xMin) : 0.5) * plotWidth;
+        const y = (value) => margin.top + plotHeight * (yMax > yMin ? 1 - (value - yMin) / (yMax - yMin) : 0.5);
+
+        const points = shown.map(f => {
+            const tip = `${f.id}: ${f.period.toFixed(1)} min, ${f.apogee.toFixed(0)} x ${f.perigee.toFixed(0)} km`;
+            const ring = f.id === selected ? 'stroke="#fff" stroke-width="1.5"' : '';
+            const opacity = f.reentering ? 0.35 : 1;
+            return ['apogee', 'perigee'].map(key => `<circle data-fragment="${f.id}" cx="${x(f.period).toFixed(1)}"
+                cy="${y(f[key]).toFixed(1)}" r="2" fill="${key === 'apogee' ? '#f44336' : '#2196F3'}"
+                fill-opacity="${opacity}" ${ring} style="cursor: pointer"><title>${tip}</title></circle>`).join('');
+        }).join('');
+
+        const hidden = fragments.length - shown.length;
+        return `
+            <svg class="chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <text x="${margin.left}" y="10" fill="#ccc" font-size="9">${title}${hidden > 0 ? ` (${hidden} escaping not shown)` : ''}</text>
+                <line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#888"/>
+                <line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}"
+                    y2="${margin.top + plotHeight}" stroke="#888"/>
+                ${shown.length > 0 ? `
+                <text x="${margin.left - 3}" y="${margin.top + 8}" fill="#aaa" font-size="8" text-anchor="end">${this.formatValue(yMax)}</text>
+                <text x="${margin.left - 3}" y="${margin.top + plotHeight}" fill="#aaa" font-size="8" text-anchor="end">${this.formatValue(yMin)}</text>
+                ${points}
+                <text x="${margin.left}" y="${margin.top + plotHeight + 10}" fill="#aaa" font-size="8">${this.formatValue(xMin)}</text>
+                <text x="${margin.left + plotWidth}" y="${margin.top + plotHeight + 10}" fill="#aaa" font-size="8"
+                    text-anchor="end">${this.formatValue(xMax)} min</text>` : ''}
+                <text x="${margin.left}" y="${height - 2}" fill="#f44336" font-size="8">Apogee (km)</text>
+                <text x="${margin.left + plotWidth / 2}" y="${height - 2}" fill="#2196F3" font-size="8">Perigee (km)</text>
+            </svg>
+        `;
+    }
+}
+
+// Export for use in other scripts
+window.Charts = Charts;
@@ -8,6 +8,82 @@ class CollisionViewer {
         this.collisionEntities = new Map();
         this.fragmentEntities = new Map();
         this.api = new APIClient();
+        this.models = new Map();
+        this.cloudAnimation = new DebrisCloudAnimation(visualizer);
+    }
+
+    /**
+     * Fetch the collision models and their parameter schemas
+     * @returns {Promise<Array>} Models
+     */
+    async loadModels() {
+        try {
+            const { models } = await this.api.getCollisionModels();
+            this.models = new Map(models.map(model => [model.name, model]));
+            return models;
+        } catch (error) {
+            console.error('Error loading collision models:', error);
+            return [];
+        }
+    }
+
+    fillModelSelect(select, selected) {
+        select.innerHTML = Array.from(this.models.values())
+            .map(m => `<option value="${m.name}" title="${m.description}">${m.label}</option>`)
+            .join('');
+        if (this.models.has(selected)) select.value = selected;
+    }
+
+    /**
+     * Inputs for a model's parameters, generated from its JSON schema; left
+     * at their defaults they are not sent
+     */
+    renderParameterForm(modelName, container) {
+        const model = this.models.get(modelName);
+        const properties = model ? Object.entries(model.parameters.properties) : [];
+        container.dataset.model = modelName;
+        container.innerHTML = properties.map(([key, property]) => {
+            const tip = `${property.description || ''} (default ${property.default})`;
+            let input;
+            if (property.enum) {
+                input = `<select data-parameter="${key}" data-default="${property.default}">
+                    ${property.enum.map(v => `<option value="${v}" ${v === property.default ? 'selected' : ''}>${v}</option>`).join('')}
+                </select>`;
+            } else if (property.type === 'boolean') {
+                input = `<input type="checkbox" data-parameter="${key}" data-type="boolean" ${property.default ? 'checked' : ''}>`;
+            } else if (property.type === 'number' || property.type === 'integer') {
+                const min = property.minimum ?? property.exclusiveMinimum;
+                const max = property.maximum ?? property.exclusiveMaximum;
+                input = `<input type="number" data-parameter="${key}" data-type="${property.type}"
+                    placeholder="${property.default}" step="${property.type === 'integer' ? 1 : 'any'}"
+                    ${min !== undefined ? `min="${min}"` : ''} ${max !== undefined ? `max="${max}"` : ''}>`;
+            } else {
+                input = `<input type="text" data-parameter="${key}" placeholder="${property.default ?? ''}">`;
+            }
+            return `<div class="input-group"><label title="${tip}">${key}:</label>${input}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Parameter overrides entered in a form from renderParameterForm
+     * @returns {Object|undefined} Overrides, or undefined if all are defaults
+     */
+    readParameters(container) {
+        const model = this.models.get(container.dataset.model);
+        const parameters = {};
+        container.querySelectorAll('[data-parameter]').forEach(input => {
+            const key = input.dataset.parameter;
+            const property = model?.parameters.properties[key] || {};
+            if (input.dataset.type === 'boolean') {
+                if (input.checked !== Boolean(property.default)) parameters[key] = input.checked;
+            } else if (input.tagName === 'SELECT') {
+                const value = property.enum.find(v => String(v) === input.value);
+                if (value !== property.default) parameters[key] = value;
+            } else if (input.value !== '') {
+                parameters[key] = ['number', 'integer'].includes(input.dataset.type) ? Number(input.value) : input.value;
+            }
+        });
+        return Object.keys(parameters).length > 0 ? parameters : undefined;
     }
 
     async detectCollisions(objectIds, timeRangeHours = 24) {
@@ -16,30 +92,7 @@ class CollisionViewer {
             const endTime = new Date(startTime.getTime() + timeRangeHours * 60 * 60 * 1000);
 
             const results = await this.api.detectCollisions(objectIds, startTime, endTime);
-            
-            // Display results
-            const resultsDiv = document.getElementById('collisionResults');
-            resultsDiv.innerHTML = `<h4>Found ${results.count} close approaches</h4>`;
-            
-            if (results.collisions.length > 0) {
-                results.collisions.slice(0, 10).forEach(collision => {
-                    const item = document.createElement('div');
-                    item.className = 'collision-item';
-                    item.innerHTML = `
-                        <strong>${collision.object1.name || collision.object1.noradId}</strong> ↔ 
-                        <strong>${collision.object2.name || collision.object2.noradId}</strong><br>
-                        Time: ${new Date(collision.time).toLocaleString()}<br>
-                        Distance: ${(collision.distance / 1000).toFixed(2)} km<br>
-                        Probability: ${(collision.probability * 100).toFixed(2)}%
-                    `;
-                    resultsDiv.appendChild(item);
-                });
-
-                // Visualize collisions
-                this.visualizeCollisions(results.collisions);
-            } else {
-                resultsDiv.innerHTML += '<p>No collisions detected in the specified time range.</p>';
-            }
+            this.displayCollisions(results);
         } catch (error) {
             console.error('Error detecting collisions:', error);
             document.getElementById('collisionResults').innerHTML = 
@@ -47,6 +100,206 @@ class CollisionViewer {
         }
     }
 
+    async screenCatalog(primaryId = null, timeRangeHours = 24, filters = {}) {
+        try {
+            document.getElementById('collisionResults').innerHTML = '<p>Screening catalog...</p>';
+            const startTime = new Date();
+            const endTime = new Date(startTime.getTime() + timeRangeHours * 60 * 60 * 1000);
+
+            const results = await this.api.screenCatalog({
+                mode: primaryId ? 'primary' : 'catalog',
+                primaryId,
+                filters,
+                startTime,
+                endTime,
+            });
+            this.displayCollisions(results);
+        } catch (error) {
+            console.error('Error screening catalog:', error);
+            document.getElementById('collisionResults').innerHTML = 
+                `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    displayCollisions(results) {
+        const resultsDiv = document.getElementById('collisionResults');
+        resultsDiv.innerHTML = `<h4>Found ${results.count} close approaches</h4>`;
+        if (results.screening) {
+            resultsDiv.innerHTML += `<p><small>Screened ${results.screening.objects} objects; ` +
+                `${results.screening.refinedPairs} pairs refined after prefilters</small></p>`;
+        }
+        
+        if (results.collisions.length > 0) {
+            results.collisions.slice(0, 10).forEach(collision => {
+                resultsDiv.appendChild(this.renderCollisionItem(collision));
+            });
+
+            // Visualize collisions
+            this.visualizeCollisions(results.collisions);
+        } else {
+            resultsDiv.innerHTML += '<p>No collisions detected in the specified time range.</p>';
+        }
+    }
+
+    renderCollisionItem(collision) {
+        const item = document.createElement('div');
+        item.className = 'collision-item';
+        const miss = collision.missComponents;
+        const rtn = miss && miss.radial !== null
+            ? ` (R ${(miss.radial / 1000).toFixed(2)} /
+                T ${(miss.inTrack / 1000).toFixed(2)} /
+                N ${(miss.crossTrack / 1000).toFixed(2)} km)`
+            : '';
+        item.innerHTML = `
+            <strong>${collision.object1.name || collision.object1.noradId}</strong> ↔ 
+            <strong>${collision.object2.name || collision.object2.noradId}</strong><br>
+            <small>Radius ${this.formatRadius(collision.object1)} / ${this.formatRadius(collision.object2)}</small><br>
+            TCA: ${this.formatTime(collision.time)}<br>
+            Miss Distance: ${(collision.distance / 1000).toFixed(3)} km${rtn}<br>
+            Relative Velocity: ${(collision.relativeVelocity / 1000).toFixed(2)} km/s<br>
+            Pc: ${this.formatProbability(collision.probability)}
+            <small>(${this.describePc(collision.pc)})</small>
+        `;
+        if (collision.eventId) {
+            item.innerHTML += `<br><small>CDM:
+                <a href="${this.api.getCdmUrl(collision.eventId, 'kvn')}" download>KVN</a> |
+                <a href="${this.api.getCdmUrl(collision.eventId, 'xml')}" download>XML</a> |
+                <a href="#" class="avoidance-link">Plan avoidance</a></small>`;
+            item.querySelector('.avoidance-link').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.planAvoidance(collision.eventId);
+            });
+        }
+        return item;
+    }
+
+    async importCdm(file) {
+        const resultsDiv = document.getElementById('collisionResults');
+        if (!file) {
+            resultsDiv.innerHTML = '<p style="color: orange;">Choose a CDM file (KVN or XML).</p>';
+            return;
+        }
+
+        try {
+            resultsDiv.innerHTML = '<p>Importing CDM...</p>';
+            const event = await this.api.importCdm(await file.text());
+            const provider = event.provider.originator || 'provider';
+
+            resultsDiv.innerHTML = `<h4>CDM ${event.provider.messageId || file.name} from ${provider}</h4>`;
+            resultsDiv.appendChild(this.renderCollisionItem(event));
+            resultsDiv.appendChild(this.renderComparison(event, provider));
+            this.visualizeCollisions([event]);
+        } catch (error) {
+            console.error('Error importing CDM:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    async planAvoidance(eventId, options = {}) {
+        const resultsDiv = document.getElementById('avoidanceResults');
+        try {
+            resultsDiv.innerHTML = '<p>Planning avoidance manoeuvres...</p>';
+            const plan = await this.api.planAvoidance(eventId, options);
+            this.displayAvoidancePlan(plan);
+        } catch (error) {
+            console.error('Error planning avoidance:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    displayAvoidancePlan(plan) {
+        const resultsDiv = document.getElementById('avoidanceResults');
+        const formatDv = (dv) => {
+            const parts = [['R', dv.radial], ['T', dv.inTrack], ['N', dv.crossTrack]]
+                .filter(([, value]) => value !== 0)
+                .map(([axis, value]) => `${axis} ${value > 0 ? '+' : ''}${value}`);
+            return parts.length > 0 ? parts.join(' ') : 'none';
+        };
+        const formatMiss = (row) => row.missDistance === null ? 'n/a' : `${(row.missDistance / 1000).toFixed(3)} km`;
+
+        // Lowest Pc that does not create new conjunctions
+        const safe = plan.options.filter(o => o.probability !== null && o.newConjunctions.length === 0);
+        const best = safe.length > 0
+            ? safe.reduce((a, b) => (b.probability < a.probability
+                || (b.probability === a.probability && b.deltaVMagnitude < a.deltaVMagnitude) ? b : a))
+            : null;
+
+        const rows = [plan.nominal, ...plan.options].map(row => `
+            <tr class="${row === best ? 'best-option' : ''}">
+                <td>${formatDv(row.deltaV)}</td>
+                <td>${formatMiss(row)}</td>
+                <td>${this.formatProbability(row.probability)}</td>
+                <td title="${row.newConjunctions.map(c => c.object.name || c.object.noradId).join(', ')}">
+                    ${row === plan.nominal ? '-' : row.newConjunctions.length}</td>
+            </tr>`).join('');
+
+        resultsDiv.innerHTML = `
+            <h4>Avoidance: ${plan.primary.name || plan.primary.noradId} vs ${plan.secondary.name || plan.secondary.noradId}</h4>
+            <p><small>Burn at ${this.formatTime(plan.burnTime)}; ${plan.screenedObjects} objects screened to
+                ${this.formatTime(plan.screenPeriod.end)} at ${(plan.threshold / 1000).toFixed(1)} km</small></p>
+            <table class="comparison-table">
+                <tr><th>Δv (m/s)</th><th>Miss</th><th>Pc</th><th>New</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    renderComparison(event, provider) {
+        const comparison = event.comparison;
+        const div = document.createElement('div');
+        div.className = 'collision-item';
+
+        if (!comparison.available) {
+            div.innerHTML = `<strong>Recomputation unavailable</strong><br><small>${comparison.reason}</small>`;
+            return div;
+        }
+
+        const ours = comparison.ours;
+        const diff = comparison.differences;
+        const ratio = diff.probabilityRatio === null ? 'n/a' : `×${diff.probabilityRatio.toPrecision(3)}`;
+        div.innerHTML = `
+            <strong>${provider} vs current TLEs</strong>
+            <table class="comparison-table">
+                <tr><th></th><th>${provider}</th><th>Ours</th><th>Δ</th></tr>
+                <tr><td>TCA</td><td>${this.formatTime(event.time)}</td><td>${this.formatTime(ours.time)}</td>
+                    <td>${diff.tcaSeconds.toFixed(1)} s</td></tr>
+                <tr><td>Miss</td><td>${(event.distance / 1000).toFixed(3)} km</td><td>${(ours.distance / 1000).toFixed(3)} km</td>
+                    <td>${(diff.missDistance / 1000).toFixed(3)} km</td></tr>
+                <tr><td>Pc</td><td>${this.formatProbability(event.probability)}</td><td>${this.formatProbability(ours.probability)}</td>
+                    <td>${ratio}</td></tr>
+            </table>
+            <small>Ours: ${this.describePc(ours.pc)}</small>
+        `;
+        return div;
+    }
+
+    formatTime(time) {
+        return new Date(time).toISOString().replace('T', ' ').replace('Z', ' UTC');
+    }
+
+    formatRadius(object) {
+        if (!object || object.radius === null || object.radius === undefined) return 'n/a';
+        return `${object.radius.toFixed(2)} m (${object.radiusSource})`;
+    }
+
+    formatProbability(probability) {
+        if (probability === null || probability === undefined) return 'n/a';
+        if (probability === 0) return '0';
+        return probability >= 1e-3 ? probability.toFixed(4) : probability.toExponential(2);
+    }
+
+    describePc(pc) {
+        if (!pc) return 'simplified';
+        const method = { foster: 'Foster', chan: 'Chan', max: 'max Pc, no covariance' }[pc.method]
+            || pc.methodName || pc.method || 'unknown method';
+        if (pc.hardBodyRadius === undefined) return method;
+        const hbr = `HBR ${pc.hardBodyRadius} m`;
+        const sigma = pc.method === 'max' || !pc.bPlaneSigma
+            ? ''
+            : `, σ ${pc.bPlaneSigma.sigma1.toFixed(0)}×${pc.bPlaneSigma.sigma2.toFixed(0)} m`;
+        return `${method}, ${hbr}${sigma}`;
+    }
+
     visualizeCollisions(collisions) {
         // Clear previous collision highlights
         this.clearCollisionHighlights();
@@ -56,17 +309,10 @@ class CollisionViewer {
             this.visualizer.highlightObject(collision.object1.noradId, Cesium.Color.ORANGE);
             this.visualizer.highlightObject(collision.object2.noradId, Cesium.Color.RED);
 
-            // Draw connection line
-            const pos1 = new Cesium.Cartesian3(
-                collision.position1.x * 1000,
-                collision.position1.y * 1000,
-                collision.position1.z * 1000
-            );
-            const pos2 = new Cesium.Cartesian3(
-                collision.position2.x * 1000,
-                collision.position2.y * 1000,
-                collision.position2.z * 1000
-            );
+            // Draw connection line (positions are TEME at the approach time)
+            const approachTime = new Date(collision.time);
+            const pos1 = FrameTransforms.toCartesian3(collision.position1, approachTime);
+            const pos2 = FrameTransforms.toCartesian3(collision.position2, approachTime);
 
             const entity = this.visualizer.addEntity({
                 polyline: {
@@ -80,47 +326,251 @@ class CollisionViewer {
         });
     }
 
-    async simulateCollision(objectId1, objectId2, modelName = 'nasa') {
+    async simulateCollision(objectId1, objectId2, modelName = 'nasa', injectFragments = false, seed = undefined, runs = 50, parameters = undefined, cloudDays = 14) {
+        const resultsDiv = document.getElementById('simulationResults');
         try {
+            resultsDiv.innerHTML = `<p>Running ${runs} realisations...</p>`;
             const collisionTime = new Date();
+            const ensemble = await this.api.simulateEnsemble(
+                objectId1,
+                objectId2,
+                collisionTime,
+                modelName,
+                runs,
+                seed,
+                parameters
+            );
+
+            // The first realisation is the one shown on the globe
             const results = await this.api.simulateCollision(
                 objectId1,
                 objectId2,
                 collisionTime,
                 modelName,
+                true,
+                injectFragments,
+                ensemble.seeds[0],
+                parameters,
+                cloudDays,
                 true
             );
 
             // Display results
-            const resultsDiv = document.getElementById('simulationResults');
             resultsDiv.innerHTML = `
                 <h4>Collision Simulation Results</h4>
-                <p><strong>Model:</strong> ${results.model}</p>
-                <p><strong>Fragments Generated:</strong> ${results.fragments.length}</p>
+                <p><strong>Model:</strong> ${ensemble.model}, ${ensemble.runs} runs (seed ${ensemble.seed})</p>
+                <p><small>${Object.entries(ensemble.parameters).map(([key, value]) => `${key} ${value}`).join(', ')}</small></p>
                 <p><strong>Collision Energy:</strong> ${(results.collision.collisionEnergy / 1e6).toFixed(2)} MJ</p>
                 <p><strong>Relative Velocity:</strong> ${(results.collision.relativeVelocity / 1000).toFixed(2)} km/s</p>
+                ${results.collision.regime ? `<p><strong>Regime:</strong> ${results.collision.regime}
+                    (${results.collision.specificEnergy.toFixed(1)} J/g vs ${results.collision.threshold} J/g);
+                    ${results.collision.intactMass.toFixed(1)} kg left intact</p>` : ''}
+                <p><strong>Radii:</strong> ${this.formatRadius(results.collision.object1)} / ${this.formatRadius(results.collision.object2)}</p>
+                ${results.collision.characteristicLength ? `<p><strong>Characteristic Length:</strong>
+                    ${(results.collision.characteristicLength.min * 100).toFixed(1)} cm to
+                    ${results.collision.characteristicLength.max.toFixed(2)} m</p>` : ''}
+                ${this.renderDistributions(ensemble.distributions)}
+                <p><small>Globe shows run 1 (seed ${results.seed}, ${results.fragments.length} fragments)</small></p>
+                ${this.renderAnalytics(results.analytics, results.lifetimes)}
+                ${this.formatInjected(results)}
             `;
 
-            // Visualize collision and debris
+            // Visualize collision and debris, animated over days when the cloud was evolved
             this.visualizeCollision(results.collision);
-            this.visualizeDebrisCloud(results.fragments, results.collision.collisionPosition);
+            if (results.cloud) {
+                this.clearDebrisCloud();
+                this.debrisCloud = { fragments: results.fragments, time: new Date(results.collision.time), analytics: results.analytics };
+                this.cloudAnimation.load(results.cloud, document.getElementById('cloudControls'));
+            } else {
+                this.visualizeDebrisCloud(
+                    results.fragments,
+                    results.collision.collisionPosition,
+                    new Date(results.collision.time),
+                    results.analytics
+                );
+            }
+            this.bindFragmentPoints(resultsDiv, results.analytics);
         } catch (error) {
             console.error('Error simulating collision:', error);
-            document.getElementById('simulationResults').innerHTML = 
-                `<p style="color: red;">Error: ${error.message}</p>`;
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
         }
     }
 
+    renderDistributions(distributions) {
+        const charts = [
+            ['fragmentCount', 'Fragments'],
+            ['totalMass', 'Fragment mass per run'],
+            ['mass', 'Mass'],
+            ['size', 'Size'],
+            ['deltaV', 'Delta-v'],
+            ['areaToMass', 'A/m'],
+        ];
+        return charts
+            .map(([key, title]) => Charts.histogram(distributions[key], { title }))
+            .join('');
+    }
+
+    renderAnalytics(analytics, lifetimes = null) {
+        const { gabbard, distributions } = analytics;
+        return `
+            <h4>Fragment Cloud (run 1)</h4>
+            <p><small>${gabbard.bound} in orbit (${gabbard.reentering} re-entering within an orbit),
+                ${gabbard.unbound} escaping. Click a point to find the fragment on the globe.</small></p>
+            ${lifetimes ? this.formatLifetimes(lifetimes) : ''}
+            <div class="gabbard">${Charts.gabbard(analytics.fragments)}</div>
+            ${Charts.histogram(distributions.deltaV, { title: 'Delta-v' })}
+            ${Charts.histogram(distributions.size, { title: 'Size' })}
+            ${Charts.histogram(distributions.areaToMass, { title: 'A/m' })}
+        `;
+    }
+
+    formatLifetimes(lifetimes) {
+        const { summary } = lifetimes;
+        const median = summary.lifetimeDays.percentiles.p50;
+        return `<p><strong>Lifetime:</strong> median ${median === null ? 'n/a' : `${Charts.formatValue(median)} days`};
+            ${summary.reenteringWithin['1y']} re-enter within a year, ${summary.reenteringWithin['25y']} within 25 years,
+            ${summary.outlasting} beyond the prediction horizon
+            <small>(F10.7 ${lifetimes.solarFlux})</small></p>`;
+    }
+
+    bindFragmentPoints(container, analytics) {
+        const chart = container.querySelector('.gabbard');
+        if (!chart) return;
+        chart.addEventListener('click', (event) => {
+            const point = event.target.closest('[data-fragment]');
+            if (!point) return;
+            const fragmentId = point.dataset.fragment;
+            this.highlightFragment(fragmentId);
+            chart.innerHTML = Charts.gabbard(analytics.fragments, { selected: fragmentId });
+        });
+    }
+
+    /**
+     * Highlight one fragment of the displayed cloud and draw its orbit
+     * @param {string} fragmentId - Fragment ID
+     */
+    highlightFragment(fragmentId) {
+        if (!this.debrisCloud) return;
+        const { time, analytics } = this.debrisCloud;
+        const fragment = this.debrisCloud.fragments.find(f => f.id === fragmentId);
+        const analysed = analytics && analytics.fragments.find(f => f.id === fragmentId);
+        if (!fragment) return;
+
+        ['selected_fragment', 'selected_orbit'].forEach(key => {
+            if (this.fragmentEntities.has(key)) {
+                this.visualizer.getViewer().entities.remove(this.fragmentEntities.get(key));
+                this.fragmentEntities.delete(key);
+            }
+        });
+
+        // Follow the fragment if it is animated; otherwise mark it where it broke off
+        const entity = this.visualizer.addEntity({
+            position: this.cloudAnimation.positionProperty(fragmentId) || FrameTransforms.toCartesian3(fragment.position, time),
+            point: {
+                pixelSize: 10,
+                color: Cesium.Color.CYAN,
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: 2,
+            },
+            label: {
+                text: fragmentId,
+                font: '12px sans-serif',
+                fillColor: Cesium.Color.CYAN,
+                pixelOffset: new Cesium.Cartesian2(0, -16),
+            },
+        });
+        this.fragmentEntities.set('selected_fragment', entity);
+
+        if (analysed && analysed.elements) {
+            const orbit = this.visualizer.addEntity({
+                polyline: {
+                    positions: this.orbitPositions(analysed.elements, time),
+                    width: 1.5,
+                    material: Cesium.Color.CYAN.withAlpha(0.8),
+                },
+            });
+            this.fragmentEntities.set('selected_orbit', orbit);
+        }
+
+        this.visualizer.getViewer().flyTo(entity, { duration: 1.5 });
+    }
+
+    /**
+     * Points around an orbit from its Keplerian elements, fixed at one time
+     * @param {Object} elements - {semiMajorAxis (km), eccentricity, inclination, raan, argPerigee (deg)}
+     * @param {Date} time - Time for the TEME to Earth-fixed rotation
+     * @param {number} samples - Points around the orbit
+     * @returns {Array} Cesium.Cartesian3 positions
+     */
+    orbitPositions(elements, time, samples = 180) {
+        const deg = Math.PI / 180;
+        const { semiMajorAxis, eccentricity } = elements;
+        const [raan, inclination, argPerigee] = [elements.raan, elements.inclination, elements.argPerigee].map(a => a * deg);
+        const p = semiMajorAxis * (1 - eccentricity * eccentricity);
+        const [cosO, sinO] = [Math.cos(raan), Math.sin(raan)];
+        const [cosI, sinI] = [Math.cos(inclination), Math.sin(inclination)];
+        const [cosW, sinW] = [Math.cos(argPerigee), Math.sin(argPerigee)];
+
+        const positions = [];
+        for (let k = 0; k <= samples; k++) {
+            const anomaly = (2 * Math.PI * k) / samples;
+            const r = p / (1 + eccentricity * Math.cos(anomaly));
+            const xp = r * Math.cos(anomaly);
+            const yp = r * Math.sin(anomaly);
+            // Perifocal to TEME
+            positions.push(FrameTransforms.toCartesian3({
+                x: (cosO * cosW - sinO * sinW * cosI) * xp + (-cosO * sinW - sinO * cosW * cosI) * yp,
+                y: (sinO * cosW + cosO * sinW * cosI) * xp + (-sinO * sinW + cosO * cosW * cosI) * yp,
+                z: sinW * sinI * xp + cosW * sinI * yp,
+            }, time));
+        }
+        return positions;
+    }
+
+    async simulateBreakup(objectId, scaleFactor, injectFragments = false) {
+        const resultsDiv = document.getElementById('breakupResults');
+        try {
+            const results = await this.api.simulateBreakup(objectId, new Date(), scaleFactor, injectFragments);
+            const { breakup } = results;
+            resultsDiv.innerHTML = `
+                <h4>Breakup Simulation Results</h4>
+                <p><strong>Model:</strong> ${results.model} (seed ${results.seed})</p>
+                <p><strong>Object:</strong> ${breakup.object.name || breakup.object.noradId}
+                    (${breakup.object.objectType || 'unknown type'}, ${breakup.totalMass.toFixed(1)} kg)</p>
+                <p><strong>Scale Factor:</strong> ${breakup.scaleFactor}</p>
+                <p><strong>Fragments Generated:</strong> ${results.fragments.length}
+                    (Lc ${(breakup.characteristicLength.min * 100).toFixed(1)} cm to ${breakup.characteristicLength.max.toFixed(2)} m)</p>
+                ${this.formatInjected(results)}
+            `;
+
+            this.visualizer.highlightObject(breakup.object.noradId, Cesium.Color.ORANGE);
+            this.visualizeDebrisCloud(results.fragments, breakup.breakupPosition, new Date(breakup.time));
+        } catch (error) {
+            console.error('Error simulating breakup:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    formatInjected(results) {
+        if (!results.injected) return '';
+        if (results.injected.length === 0) {
+            return '<p><strong>Injected:</strong> none (no fragment could be fitted)</p>';
+        }
+        const failed = results.fragmentTLEs.filter(fit => fit.error).length;
+        return `<p><strong>Injected:</strong> ${results.injected.length} fragments as NORAD
+            ${results.injected[0]}-${results.injected[results.injected.length - 1]}
+            ${failed > 0 ? `(${failed} could not be fitted)` : ''}; reload debris to include them</p>`;
+    }
+
     visualizeCollision(collision) {
         // Highlight colliding objects
         this.visualizer.highlightObject(collision.object1.noradId, Cesium.Color.ORANGE);
         this.visualizer.highlightObject(collision.object2.noradId, Cesium.Color.RED);
 
         // Mark collision point
-        const collisionPos = new Cesium.Cartesian3(
-            collision.collisionPosition.x * 1000,
-            collision.collisionPosition.y * 1000,
-            collision.collisionPosition.z * 1000
+        const collisionPos = FrameTransforms.toCartesian3(
+            collision.collisionPosition,
+            new Date(collision.time)
         );
 
         const entity = this.visualizer.addEntity({
@@ -144,26 +594,19 @@ class CollisionViewer {
         this.collisionEntities.set('collision_point', entity);
     }
 
-    visualizeDebrisCloud(fragments, centerPosition) {
+    visualizeDebrisCloud(fragments, centerPosition, time = new Date(), analytics = null) {
         // Clear previous fragments
         this.clearDebrisCloud();
+        this.debrisCloud = { fragments, time, analytics };
 
-        const center = new Cesium.Cartesian3(
-            centerPosition.x * 1000,
-            centerPosition.y * 1000,
-            centerPosition.z * 1000
-        );
+        const center = FrameTransforms.toCartesian3(centerPosition, time);
 
         // Visualize fragments (sample for performance)
         const sampleSize = Math.min(100, fragments.length);
         const sampled = fragments.slice(0, sampleSize);
 
         sampled.forEach((fragment, index) => {
-            const pos = new Cesium.Cartesian3(
-                fragment.position.x * 1000,
-                fragment.position.y * 1000,
-                fragment.position.z * 1000
-            );
+            const pos = FrameTransforms.toCartesian3(fragment.position, time);
 
             // Size based on fragment mass
             const size = Math.max(2, Math.min(8, fragment.mass * 10));
@@ -209,6 +652,7 @@ class CollisionViewer {
             this.visualizer.getViewer().entities.remove(entity);
         });
         this.fragmentEntities.clear();
+        this.cloudAnimation.clear();
     }
 
     clearAll() {
@@ -0,0 +1,266 @@
+/**
+ * Debris Cloud Animation
+ * Animates a fragment cloud from /simulate's `cloud` on Cesium's clock.
+ * Each fragment's position is evaluated from its sampled mean elements at
+ * the clock time, so the cloud can be scrubbed over days to weeks as it
+ * spreads along-track into a ring and then across RAAN.
+ */
+class DebrisCloudAnimation {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.cloud = null;
+        this.entities = [];
+        this.colorBy = 'size';
+        this.container = null;
+        this.removeTickListener = null;
+        this.playSeconds = 60; // real seconds to play the whole span
+    }
+
+    /**
+     * J2 secular rates in deg/s, with the server's constants
+     */
+    static rates(a, e, inclination, { mu, earthRadius, j2 }) {
+        const n = Math.sqrt(mu / (a * a * a));
+        const p = a * (1 - e * e);
+        const factor = 1.5 * j2 * (earthRadius / p) ** 2 * n;
+        const cosI = Math.cos(Cesium.Math.toRadians(inclination));
+        return [
+            Cesium.Math.toDegrees(-factor * cosI),
+            Cesium.Math.toDegrees(0.5 * factor * (5 * cosI * cosI - 1)),
+            Cesium.Math.toDegrees(n + 0.5 * factor * Math.sqrt(1 - e * e) * (3 * cosI * cosI - 1)),
+        ];
+    }
+
+    /**
+     * TEME position (km) from [a, e, i, raan, argPerigee, meanAnomaly]
+     */
+    static position([a, e, inclination, raan, argPerigee, meanAnomaly]) {
+        const deg = Math.PI / 180;
+        const M = meanAnomaly * deg;
+        let E = e < 0.8 ? M : Math.PI;
+        for (let i = 0; i < 20; i++) {
+            const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-10) break;
+        }
+        const xp = a * (Math.cos(E) - e);
+        const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+        const [cosO, sinO] = [Math.cos(raan * deg), Math.sin(raan * deg)];
+        const [cosI, sinI] = [Math.cos(inclination * deg), Math.sin(inclination * deg)];
+        const [cosW, sinW] = [Math.cos(argPerigee * deg), Math.sin(argPerigee * deg)];
+        return {
+            x: (cosO * cosW - sinO * sinW * cosI) * xp + (-cosO * sinW - sinO * cosW * cosI) * yp,
+            y: (sinO * cosW + cosO * sinW * cosI) * xp + (-sinO * sinW + cosO * cosW * cosI) * yp,
+            z: sinW * sinI * xp + cosW * sinI * yp,
+        };
+    }
+
+    /**
+     * Elements of a fragment at a time. Angles drift at the earlier sample's
+     * J2 rates, with the mismatch to the next sample (from drag) spread
+     * linearly across the interval so the motion is continuous.
+     * @param {Object} fragment - Cloud fragment {samples}
+     * @param {number} seconds - Seconds since the breakup
+     * @param {Object} constants - The cloud's {mu, earthRadius, j2}
+     * @returns {Array|null} [a, e, i, raan, argPerigee, meanAnomaly], or null
+     *   before the breakup
+     */
+    static elementsAt(fragment, seconds, constants) {
+        const { samples } = fragment;
+        if (seconds < 0) return null;
+        let k = samples.length - 1;
+        while (k > 0 && samples[k][0] > seconds) k--;
+        const [t0, a0, e0, i0, ...angles0] = samples[k];
+        const next = samples[k + 1];
+
+        const rates = this.rates(a0, e0, i0, constants);
+        const dt = seconds - t0;
+        if (!next) {
+            return [a0, e0, i0, ...angles0.map((angle, j) => angle + rates[j] * dt)];
+        }
+
+        const span = next[0] - t0;
+        const fraction = dt / span;
+        const angles = angles0.map((angle, j) => {
+            const predicted = angle + rates[j] * span;
+            const mismatch = ((next[4 + j] - predicted) % 360 + 540) % 360 - 180;
+            return angle + rates[j] * dt + mismatch * fraction;
+        });
+        return [
+            a0 + (next[1] - a0) * fraction,
+            e0 + (next[2] - e0) * fraction,
+            i0 + (next[3] - i0) * fraction,
+            ...angles,
+        ];
+    }
+
+    /**
+     * Show a cloud and put the clock on its time span
+     * @param {Object} cloud - `cloud` from /api/collisions/simulate
+     * @param {HTMLElement} container - Element for the time and colour controls
+     */
+    load(cloud, container) {
+        this.clear();
+        this.cloud = cloud;
+        this.container = container;
+
+        const viewer = this.visualizer.getViewer();
+        const start = Cesium.JulianDate.fromDate(new Date(cloud.start));
+        const stop = Cesium.JulianDate.fromDate(new Date(cloud.end));
+        this.start = start;
+        this.span = Cesium.JulianDate.secondsDifference(stop, start);
+        this.scale = this.range(this.colorBy);
+
+        this.entities = cloud.fragments.map(fragment => {
+            const reentry = fragment.reentryTime ? Cesium.JulianDate.fromDate(new Date(fragment.reentryTime)) : stop;
+            return this.visualizer.addEntity({
+                position: this.positionProperty(fragment.id),
+                availability: new Cesium.TimeIntervalCollection([
+                    new Cesium.TimeInterval({ start, stop: reentry }),
+                ]),
+                point: {
+                    pixelSize: 4,
+                    color: this.color(fragment),
+                },
+                description: `${fragment.id}: ${fragment.size.toFixed(3)} m, A/m ${fragment.areaToMass.toFixed(3)} m²/kg` +
+                    (fragment.reentryTime ? `, re-enters ${new Date(fragment.reentryTime).toISOString()}` : ''),
+            });
+        });
+
+        viewer.clock.startTime = start.clone();
+        viewer.clock.stopTime = stop.clone();
+        viewer.clock.currentTime = start.clone();
+        viewer.clock.clockRange = Cesium.ClockRange.CLAMPED;
+        viewer.clock.multiplier = this.span / this.playSeconds;
+        viewer.clock.shouldAnimate = false;
+        if (viewer.timeline) {
+            viewer.timeline.zoomTo(start, stop);
+        }
+
+        this.renderControls();
+        this.removeTickListener = viewer.clock.onTick.addEventListener(clock => this.updateControls(clock));
+        this.updateControls(viewer.clock);
+    }
+
+    /**
+     * Position property following one animated fragment
+     * @param {string} fragmentId - Fragment ID
+     * @returns {Cesium.CallbackProperty|null} null if the fragment is not in the cloud
+     */
+    positionProperty(fragmentId) {
+        const fragment = this.cloud && this.cloud.fragments.find(f => f.id === fragmentId);
+        if (!fragment) return null;
+        return new Cesium.CallbackProperty((time, result) => this.positionAt(fragment, time, result), false);
+    }
+
+    positionAt(fragment, time, result) {
+        const seconds = Cesium.JulianDate.secondsDifference(time, this.start);
+        const elements = DebrisCloudAnimation.elementsAt(fragment, seconds, this.cloud.constants);
+        if (!elements) return undefined;
+        return FrameTransforms.toCartesian3(DebrisCloudAnimation.position(elements), Cesium.JulianDate.toDate(time), result);
+    }
+
+    /**
+     * Colour on a log scale of size or A/m across the cloud, blue (small) to red (large)
+     */
+    color(fragment) {
+        const { min, max } = this.scale;
+        const value = Math.log10(fragment[this.colorBy]);
+        const t = max > min ? (value - min) / (max - min) : 0.5;
+        return Cesium.Color.fromHsl((1 - t) * 0.66, 1.0, 0.5, 0.9);
+    }
+
+    range(key) {
+        const values = this.cloud.fragments.map(f => Math.log10(f[key])).filter(Number.isFinite);
+        return { min: Math.min(...values), max: Math.max(...values) };
+    }
+
+    setColorBy(key) {
+        this.colorBy = key;
+        this.scale = this.range(key);
+        this.entities.forEach((entity, i) => {
+            entity.point.color = this.color(this.cloud.fragments[i]);
+        });
+        this.renderLegend();
+    }
+
+    renderControls() {
+        const { cloud } = this;
+        const reentered = cloud.fragments.filter(f => f.reentryTime).length;
+        this.container.innerHTML = `
+            <h4>Cloud Evolution</h4>
+            <p><small>${cloud.fragments.length} of ${cloud.total} fragments${cloud.escaped > 0 ? `, ${cloud.escaped} escaping` : ''};
+                ${reentered} re-enter within ${(this.span / 86400).toFixed(0)} days</small></p>
+            <div class="input-group">
+                <button class="btn cloud-play">Play</button>
+                <select class="cloud-color">
+                    <option value="size">Colour by size</option>
+                    <option value="areaToMass">Colour by A/m</option>
+                </select>
+            </div>
+            <input type="range" class="cloud-time" min="0" max="1000" value="0" style="width: 100%">
+            <p><small class="cloud-clock"></small></p>
+            <div class="cloud-legend"></div>
+        `;
+
+        const viewer = this.visualizer.getViewer();
+        this.container.querySelector('.cloud-color').value = this.colorBy;
+        this.container.querySelector('.cloud-color').addEventListener('change', (event) => {
+            this.setColorBy(event.target.value);
+        });
+        this.container.querySelector('.cloud-play').addEventListener('click', () => {
+            viewer.clock.shouldAnimate = !viewer.clock.shouldAnimate;
+            this.updateControls(viewer.clock);
+        });
+        this.container.querySelector('.cloud-time').addEventListener('input', (event) => {
+            viewer.clock.shouldAnimate = false;
+            viewer.clock.currentTime = Cesium.JulianDate.addSeconds(
+                this.start,
+                (event.target.value / 1000) * this.span,
+                new Cesium.JulianDate()
+            );
+            this.updateControls(viewer.clock);
+        });
+        this.renderLegend();
+    }
+
+    renderLegend() {
+        const { min, max } = this.scale;
+        const unit = this.colorBy === 'size' ? 'm' : 'm²/kg';
+        this.container.querySelector('.cloud-legend').innerHTML = `
+            <div style="height: 8px; background: linear-gradient(to right, hsl(238, 100%, 50%), hsl(119, 100%, 50%), hsl(0, 100%, 50%));"></div>
+            <small>${Charts.formatValue(10 ** min)} ${unit}</small>
+            <small style="float: right">${Charts.formatValue(10 ** max)} ${unit}</small>
+        `;
+    }
+
+    updateControls(clock) {
+        if (!this.container) return;
+        const slider = this.container.querySelector('.cloud-time');
+        const seconds = Cesium.JulianDate.secondsDifference(clock.currentTime, this.start);
+        if (document.activeElement !== slider) {
+            slider.value = Math.round(Math.max(0, Math.min(1, seconds / this.span)) * 1000);
+        }
+        this.container.querySelector('.cloud-clock').textContent =
+            `T+${(seconds / 86400).toFixed(2)} days (${Cesium.JulianDate.toDate(clock.currentTime).toISOString().slice(0, 16)}Z)`;
+        this.container.querySelector('.cloud-play').textContent = clock.shouldAnimate ? 'Pause' : 'Play';
+    }
+
+    clear() {
+        if (this.removeTickListener) {
+            this.removeTickListener();
+            this.removeTickListener = null;
+        }
+        this.entities.forEach(entity => this.visualizer.getViewer().entities.remove(entity));
+        this.entities = [];
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.container = null;
+        this.cloud = null;
+    }
+}
+
+// Export for use in other scripts
+window.DebrisCloudAnimation = DebrisCloudAnimation;
@@ -0,0 +1,114 @@
+/**
+ * Environment Viewer
+ * Starts long-term population projections and charts them as they run
+ */
+class EnvironmentViewer {
+    constructor() {
+        this.api = new APIClient();
+        this.jobId = null;
+        this.pollTimer = null;
+        this.sizeClassColors = ['#4CAF50', '#2196F3', '#ff9800', '#f44336', '#9C27B0'];
+    }
+
+    async loadScenarios(select) {
+        try {
+            const { scenarios } = await this.api.getEnvironmentScenarios();
+            select.innerHTML = scenarios
+                .map(s => `<option value="${s.name}" title="${s.description}">${s.name}</option>`)
+                .join('');
+            select.value = 'business-as-usual';
+        } catch (error) {
+            console.error('Error loading environment scenarios:', error);
+        }
+    }
+
+    async start(params) {
+        const resultsDiv = document.getElementById('environmentResults');
+        try {
+            this.stopPolling();
+            const job = await this.api.startEnvironmentJob(params);
+            this.jobId = job.jobId;
+            resultsDiv.innerHTML = `<p>Job ${job.jobId} ${job.status}...</p>`;
+            this.pollTimer = setInterval(() => this.poll(), 2000);
+        } catch (error) {
+            console.error('Error starting environment projection:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    async cancel() {
+        if (!this.jobId) return;
+        try {
+            await this.api.cancelEnvironmentJob(this.jobId);
+        } catch (error) {
+            console.error('Error cancelling environment projection:', error);
+        }
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async poll() {
+        const resultsDiv = document.getElementById('environmentResults');
+        try {
+            const job = await this.api.getEnvironmentJob(this.jobId);
+            if (!['queued', 'running'].includes(job.status)) {
+                this.stopPolling();
+            }
+            this.display(job);
+        } catch (error) {
+            this.stopPolling();
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    display(job) {
+        const resultsDiv = document.getElementById('environmentResults');
+        const progress = job.progress ? ` (${(job.progress.fraction * 100).toFixed(0)}%)` : '';
+        let html = `<h4>Environment Projection: ${job.status}${progress}</h4>
+            <p><small>${job.params.scenario}, ${job.params.years} years, ${job.params.modelName}, seed ${job.params.seed}</small></p>`;
+
+        if (job.error) {
+            html += `<p style="color: red;">Error: ${job.error}</p>`;
+        }
+
+        const result = job.result;
+        if (result && result.series.length > 0) {
+            const { series, totals } = result;
+            const classes = Object.keys(series[0].bySizeClass);
+            const lines = [
+                { name: 'Total', color: '#ffffff', points: series.map(s => ({ x: s.years, y: s.total })) },
+                ...classes.map((name, i) => ({
+                    name,
+                    color: this.sizeClassColors[i % this.sizeClassColors.length],
+                    points: series.map(s => ({ x: s.years, y: s.bySizeClass[name] })),
+                })),
+            ];
+            html += Charts.lineChart(lines, { title: 'Objects by size class', xLabel: 'years' });
+            html += Charts.lineChart([
+                { name: 'Collisions', color: '#f44336', points: series.map(s => ({ x: s.years, y: s.collisions })) },
+                { name: 'Catastrophic', color: '#ff9800', points: series.map(s => ({ x: s.years, y: s.catastrophic })) },
+            ], { title: 'Cumulative collisions', xLabel: 'years', height: 110 });
+
+            html += `<p><strong>Initial population:</strong> ${result.initial.population}
+                (${result.initial.excluded} catalog objects outside the region)</p>
+                <p><strong>Final population:</strong> ${series[series.length - 1].total}</p>
+                <p><strong>Launched:</strong> ${totals.launched}, <strong>decayed:</strong> ${totals.decayed},
+                <strong>disposed:</strong> ${totals.disposed}</p>
+                <p><strong>Collisions:</strong> ${totals.collisions} (${totals.catastrophic} catastrophic,
+                ${totals.fragments} fragments followed)</p>`;
+            if (result.truncated) {
+                html += '<p style="color: orange;">Stopped early: population exceeded the simulation limit.</p>';
+            }
+        }
+
+        resultsDiv.innerHTML = html;
+    }
+}
+
+// Export for use in other scripts
+window.EnvironmentViewer = EnvironmentViewer;
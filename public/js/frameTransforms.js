@@ -0,0 +1,44 @@
+/**
+ * Frame Transforms (browser)
+ * SGP4 returns TEME vectors; Cesium expects Earth-fixed (ECEF) metres.
+ * Mirrors the TEME -> ITRF rotation in src/api/frameTransforms.js
+ * (polar motion is ignored, which is well below a pixel at globe scale).
+ */
+class FrameTransforms {
+    static gmst(date) {
+        const gstime = satellite.gstime || (satellite.default && satellite.default.gstime);
+        return gstime(date);
+    }
+
+    /**
+     * Rotate a TEME position into ECEF
+     * @param {Object} position - TEME position {x, y, z} in km
+     * @param {Date} date - Epoch of the position
+     * @returns {Object} ECEF position {x, y, z} in km
+     */
+    static temeToEcef(position, date) {
+        const theta = FrameTransforms.gmst(date);
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        return {
+            x: c * position.x + s * position.y,
+            y: -s * position.x + c * position.y,
+            z: position.z,
+        };
+    }
+
+    /**
+     * Convert a TEME position (km) into a Cesium Cartesian3 (ECEF metres)
+     * @param {Object} position - TEME position {x, y, z} in km
+     * @param {Date} date - Epoch of the position
+     * @param {Cesium.Cartesian3} result - Optional result object
+     * @returns {Cesium.Cartesian3} Earth-fixed position in metres
+     */
+    static toCartesian3(position, date, result) {
+        const ecef = FrameTransforms.temeToEcef(position, date);
+        return Cesium.Cartesian3.fromElements(ecef.x * 1000, ecef.y * 1000, ecef.z * 1000, result);
+    }
+}
+
+// Export for use in other scripts
+window.FrameTransforms = FrameTransforms;
@@ -0,0 +1,129 @@
+/**
+ * Pass Viewer
+ * Lists ground-station passes and flies the camera to each one
+ */
+class PassViewer {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.passEntities = new Map();
+        this.passes = [];
+        this.observer = null;
+        this.api = new APIClient();
+    }
+
+    async predictPasses(objectId, observer, timeRangeHours = 24, minElevation = 10) {
+        const resultsDiv = document.getElementById('passResults');
+        if (!objectId) {
+            resultsDiv.innerHTML = '<p style="color: orange;">Enter a NORAD ID.</p>';
+            return;
+        }
+
+        try {
+            resultsDiv.innerHTML = '<p>Predicting passes...</p>';
+            const start = new Date();
+            const end = new Date(start.getTime() + timeRangeHours * 60 * 60 * 1000);
+
+            const results = await this.api.getPasses(objectId, observer, { start, end, minElevation });
+            this.passes = results.passes;
+            this.observer = results.observer;
+
+            resultsDiv.innerHTML = `<h4>${results.count} passes of ${results.name || results.noradId} above ${results.minElevation}°</h4>`;
+
+            if (results.passes.length === 0) {
+                resultsDiv.innerHTML += '<p>No passes in the specified window.</p>';
+                return;
+            }
+
+            results.passes.forEach((pass, index) => {
+                const item = document.createElement('div');
+                item.className = 'pass-item';
+                item.innerHTML = `
+                    <strong>AOS</strong> ${new Date(pass.rise.time).toLocaleString()} (Az ${pass.rise.azimuth.toFixed(0)}°)${pass.risesBeforeWindow ? ' *' : ''}<br>
+                    <strong>MAX</strong> ${new Date(pass.culmination.time).toLocaleTimeString()} El ${pass.culmination.elevation.toFixed(1)}° (Az ${pass.culmination.azimuth.toFixed(0)}°)<br>
+                    <strong>LOS</strong> ${new Date(pass.set.time).toLocaleTimeString()} (Az ${pass.set.azimuth.toFixed(0)}°)${pass.setsAfterWindow ? ' *' : ''}
+                    &middot; ${(pass.durationSeconds / 60).toFixed(1)} min
+                `;
+                item.addEventListener('click', () => this.flyToPass(index));
+                resultsDiv.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error predicting passes:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    flyToPass(index) {
+        const pass = this.passes[index];
+        if (!pass || !this.observer) return;
+
+        this.clearPassEntities();
+        const viewer = this.visualizer.getViewer();
+
+        // Move the clock to culmination so rendered objects match the pass geometry
+        viewer.clock.shouldAnimate = false;
+        viewer.clock.currentTime = Cesium.JulianDate.fromDate(new Date(pass.culmination.time));
+
+        const station = Cesium.Cartesian3.fromDegrees(
+            this.observer.longitude,
+            this.observer.latitude,
+            this.observer.altitude * 1000
+        );
+        const stationEntity = this.visualizer.addEntity({
+            position: station,
+            point: {
+                pixelSize: 8,
+                color: Cesium.Color.DODGERBLUE,
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: 2,
+            },
+            label: {
+                text: 'Observer',
+                font: '12px sans-serif',
+                fillColor: Cesium.Color.WHITE,
+                outlineColor: Cesium.Color.BLACK,
+                outlineWidth: 2,
+                style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -10),
+            },
+        });
+        this.passEntities.set('station', stationEntity);
+
+        // Line of sight at rise, culmination and set
+        ['rise', 'culmination', 'set'].forEach(event => {
+            const subPoint = pass[event].subPoint;
+            const target = Cesium.Cartesian3.fromDegrees(
+                subPoint.longitude,
+                subPoint.latitude,
+                subPoint.altitude * 1000
+            );
+            const entity = this.visualizer.addEntity({
+                polyline: {
+                    positions: [station, target],
+                    width: event === 'culmination' ? 2 : 1,
+                    material: Cesium.Color.DODGERBLUE.withAlpha(event === 'culmination' ? 0.9 : 0.4),
+                },
+            });
+            this.passEntities.set(`los_${event}`, entity);
+        });
+
+        viewer.camera.flyTo({
+            destination: Cesium.Cartesian3.fromDegrees(
+                this.observer.longitude,
+                this.observer.latitude,
+                Math.max(3000000, pass.culmination.range * 1000 * 3)
+            ),
+            duration: 2.0,
+        });
+    }
+
+    clearPassEntities() {
+        this.passEntities.forEach(entity => {
+            this.visualizer.getViewer().entities.remove(entity);
+        });
+        this.passEntities.clear();
+    }
+}
+
+// Export for use in other scripts
+window.PassViewer = PassViewer;
@@ -0,0 +1,190 @@
+/**
+ * Re-entry Viewer
+ * Lists objects predicted to re-enter soon, draws the ground tracks where
+ * one could come down, and compares imported Space-Track TIP messages
+ */
+class ReentryViewer {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.entities = new Map();
+        this.options = null;
+        this.api = new APIClient();
+    }
+
+    static formatDate(date) {
+        return date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')}Z` : 'beyond horizon';
+    }
+
+    static formatSpan(earliest, latest) {
+        if (!earliest || !latest) return '';
+        const hours = (new Date(latest) - new Date(earliest)) / 3600000;
+        return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`;
+    }
+
+    async loadWatchList(options = {}) {
+        const resultsDiv = document.getElementById('reentryResults');
+        this.options = options;
+
+        try {
+            resultsDiv.innerHTML = '<p>Predicting re-entries...</p>';
+            const list = await this.api.getReentries(options);
+
+            resultsDiv.innerHTML = `<h4>${list.total} object(s) re-entering by ${ReentryViewer.formatDate(list.end)}</h4>
+                <p><small>F10.7 ${list.solarFlux} sfu${list.alreadyDecayed > 0 ? `; ${list.alreadyDecayed} already predicted down` : ''}${list.total > list.count ? `; first ${list.count} shown` : ''}</small></p>`;
+
+            if (list.objects.length === 0) {
+                resultsDiv.innerHTML += '<p>No re-entries predicted in the window.</p>';
+                return;
+            }
+
+            list.objects.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'reentry-item';
+                item.innerHTML = `
+                    <strong>${entry.name || entry.noradId}</strong> (${entry.noradId})${entry.overdue ? ' <em style="color: orange;">overdue</em>' : ''}<br>
+                    ${ReentryViewer.formatDate(entry.reentry)} &plusmn; ${ReentryViewer.formatSpan(entry.band.earliest, entry.band.latest)}<br>
+                    <small>${entry.mass !== null ? `${entry.mass} kg, ` : ''}perigee ${entry.perigee.toFixed(0)} km, i ${entry.inclination.toFixed(1)}°</small>
+                    ${entry.tip ? `<br><small>${this.formatTipComparison(entry.tip)}</small>` : ''}
+                `;
+                item.addEventListener('click', () => this.showTrack(entry.noradId));
+                resultsDiv.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading re-entry watch list:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    formatTipComparison(comparison) {
+        const { tip, differenceMinutes, withinTipWindow } = comparison;
+        const difference = differenceMinutes === null
+            ? ''
+            : `, ours ${differenceMinutes >= 0 ? '+' : ''}${differenceMinutes.toFixed(0)} min (${withinTipWindow ? 'within' : 'outside'} its window)`;
+        return `TIP ${ReentryViewer.formatDate(tip.decayEpoch)} &plusmn; ${tip.windowMinutes} min${difference}`;
+    }
+
+    async importTip(file) {
+        const resultsDiv = document.getElementById('reentryTipResults');
+        if (!file) {
+            resultsDiv.innerHTML = '<p style="color: orange;">Choose a TIP file (JSON or CSV from Space-Track).</p>';
+            return;
+        }
+
+        try {
+            resultsDiv.innerHTML = '<p>Importing TIP messages...</p>';
+            const result = await this.api.importTip(await file.text());
+
+            resultsDiv.innerHTML = `<h4>Imported ${result.imported} TIP message(s) for ${result.count} object(s)</h4>` +
+                result.messages.map(message => {
+                    const { comparison } = message;
+                    const ours = comparison.available
+                        ? this.formatTipComparison({ tip: message, ...comparison })
+                        : `TIP ${ReentryViewer.formatDate(message.decayEpoch)} &plusmn; ${message.windowMinutes} min; ${comparison.reason}`;
+                    return `<div class="reentry-item" data-norad="${message.noradId}">
+                        <strong>${message.name || message.noradId}</strong> (${message.noradId})${message.highInterest ? ' <em style="color: orange;">high interest</em>' : ''}<br>
+                        <small>${ours}</small>
+                    </div>`;
+                }).join('');
+            resultsDiv.querySelectorAll('.reentry-item').forEach(item => {
+                item.addEventListener('click', () => this.showTrack(parseInt(item.dataset.norad, 10)));
+            });
+
+            if (this.options) {
+                this.loadWatchList(this.options);
+            }
+        } catch (error) {
+            console.error('Error importing TIP messages:', error);
+            resultsDiv.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        }
+    }
+
+    async showTrack(noradId) {
+        try {
+            const result = await this.api.getReentryTrack(noradId, this.options?.solarFlux);
+            this.clearEntities();
+
+            const { finalOrbit, band, tipWindow } = result.groundTrack;
+            if (band) {
+                this.addTrack('band', band, Cesium.Color.RED.withAlpha(0.5), 3);
+            } else if (result.band.earliest) {
+                // Band too long to trace: anywhere up to the orbit's inclination
+                this.entities.set('band', this.visualizer.addEntity({
+                    rectangle: {
+                        coordinates: Cesium.Rectangle.fromDegrees(-180, -result.latitudeLimit, 180, result.latitudeLimit),
+                        material: Cesium.Color.RED.withAlpha(0.15),
+                    },
+                }));
+            }
+            if (finalOrbit) {
+                this.addTrack('finalOrbit', finalOrbit, Cesium.Color.ORANGE, 2);
+            }
+            if (tipWindow) {
+                this.addTrack('tipWindow', tipWindow, Cesium.Color.YELLOW, 3);
+            }
+
+            if (result.nominalPoint) {
+                this.addMarker('nominal', result.nominalPoint, Cesium.Color.RED,
+                    `${result.name || result.noradId} ${ReentryViewer.formatDate(result.reentry)}`);
+            }
+            const tip = result.tip?.tip;
+            if (tip && tip.latitude !== null && tip.longitude !== null) {
+                this.addMarker('tip', tip, Cesium.Color.YELLOW, `TIP ${ReentryViewer.formatDate(tip.decayEpoch)}`);
+            }
+
+            const focus = result.nominalPoint || tip;
+            if (focus && focus.latitude !== null) {
+                this.visualizer.getViewer().camera.flyTo({
+                    destination: Cesium.Cartesian3.fromDegrees(focus.longitude, focus.latitude, 8000000),
+                    duration: 2.0,
+                });
+            }
+        } catch (error) {
+            console.error('Error showing re-entry track:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    addTrack(key, track, color, width) {
+        const degrees = track.points.flatMap(point => [point.longitude, point.latitude]);
+        this.entities.set(key, this.visualizer.addEntity({
+            polyline: {
+                positions: Cesium.Cartesian3.fromDegreesArray(degrees),
+                width,
+                material: color,
+                clampToGround: true,
+            },
+        }));
+    }
+
+    addMarker(key, point, color, text) {
+        this.entities.set(key, this.visualizer.addEntity({
+            position: Cesium.Cartesian3.fromDegrees(point.longitude, point.latitude, 0),
+            point: {
+                pixelSize: 10,
+                color,
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: 2,
+            },
+            label: {
+                text,
+                font: '12px sans-serif',
+                fillColor: Cesium.Color.WHITE,
+                outlineColor: Cesium.Color.BLACK,
+                outlineWidth: 2,
+                style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -10),
+            },
+        }));
+    }
+
+    clearEntities() {
+        this.entities.forEach(entity => {
+            this.visualizer.getViewer().entities.remove(entity);
+        });
+        this.entities.clear();
+    }
+}
+
+// Export for use in other scripts
+window.ReentryViewer = ReentryViewer;
@@ -299,8 +299,7 @@ class DebrisVisualizer {
                     
                     const positionAndVelocity = propagate(satrec, date);
                     if (positionAndVelocity && positionAndVelocity.position && !positionAndVelocity.error) {
-                        const pos = positionAndVelocity.position;
-                        initialPosition = new Cesium.Cartesian3(pos.x * 1000, pos.y * 1000, pos.z * 1000);
+                        initialPosition = FrameTransforms.toCartesian3(positionAndVelocity.position, date);
                     } else {
                         console.warn(`Failed to propagate ${debris.noradId}:`, positionAndVelocity?.error);
                         errorCount++;
@@ -556,12 +555,7 @@ class DebrisVisualizer {
                 if (result_prop && result_prop.position && !result_prop.error) {
                     const pos = result_prop.position;
                     if (isFinite(pos.x) && isFinite(pos.y) && isFinite(pos.z)) {
-                        return Cesium.Cartesian3.fromElements(
-                            pos.x * 1000,
-                            pos.y * 1000,
-                            pos.z * 1000,
-                            result
-                        );
+                        return FrameTransforms.toCartesian3(pos, animatedDate, result);
                     }
                 }
             } catch (error) {
@@ -672,7 +666,7 @@ class DebrisVisualizer {
                 if (result && result.position && !result.error) {
                     const pos = result.position;
                     if (isFinite(pos.x) && isFinite(pos.y) && isFinite(pos.z)) {
-                        positions.push(new Cesium.Cartesian3(pos.x * 1000, pos.y * 1000, pos.z * 1000));
+                        positions.push(FrameTransforms.toCartesian3(pos, time));
                     }
                 }
             } catch (error) {
@@ -741,10 +735,32 @@ class DebrisVisualizer {
             </p>`;
         }
         
+        info += `<p class="entity-lifetime"><strong>Re-entry:</strong> <small>estimating...</small></p>`;
         info += `<p style="margin-top: 10px; font-size: 11px; color: #999;"><em>Click elsewhere to deselect</em></p>`;
         
         infoDiv.innerHTML = info;
         infoDiv.style.display = 'block';
+        this.showLifetime(debris.noradId, infoDiv);
+    }
+
+    async showLifetime(noradId, infoDiv) {
+        const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : 'beyond horizon');
+        let html;
+        try {
+            const lifetime = await new APIClient().getLifetime(noradId);
+            html = lifetime.lifetimeDays === 0
+                ? '<strong>Re-entry:</strong> perigee already below the re-entry altitude at the TLE epoch'
+                : `<strong>Re-entry:</strong> ${formatDate(lifetime.reentry)}
+                    <small>(${formatDate(lifetime.band.earliest)} to ${formatDate(lifetime.band.latest)},
+                    F10.7 ${lifetime.solarFlux})</small>`;
+        } catch (error) {
+            html = `<strong>Re-entry:</strong> <small>${error.message}</small>`;
+        }
+        // The panel may have moved on to another object
+        const line = infoDiv.querySelector('.entity-lifetime');
+        if (line && this.selectedEntity?._debrisData?.noradId === noradId) {
+            line.innerHTML = html;
+        }
     }
     
     hideEntityInfo() {
@@ -780,15 +796,14 @@ class DebrisVisualizer {
                     // Use satrec directly if available
                     const positionAndVelocity = satellite.propagate(satrec, date);
                     if (positionAndVelocity.position) {
-                        const pos = positionAndVelocity.position;
-                        cartesian = new Cesium.Cartesian3(pos.x * 1000, pos.y * 1000, pos.z * 1000);
+                        cartesian = FrameTransforms.toCartesian3(positionAndVelocity.position, date);
                     } else {
                         continue; // Skip if propagation fails
                     }
                 } else {
                     // Fallback to API call
                     const api = new APIClient();
-                    api.getDebrisPosition(noradId, date.toISOString())
+                    api.getDebrisPosition(noradId, date.toISOString(), 'ITRF')
                         .then(positionData => {
                             const pos = positionData.position;
                             const cart = new Cesium.Cartesian3(pos.x * 1000, pos.y * 1000, pos.z * 1000);
@@ -0,0 +1,267 @@
+import FrameTransforms from './frameTransforms.js';
+
+/**
+ * CDM Generator
+ * Writes conjunction events as CCSDS Conjunction Data Messages
+ * (CCSDS 508.0-B-1) in KVN or XML form. Object states are rotated from
+ * TEME to GCRF; covariances are each object's own RTN frame.
+ */
+
+const CDM_VERSION = '1.0';
+
+// CDM COLLISION_PROBABILITY_METHOD values for our Pc methods
+const PC_METHOD_NAMES = {
+  foster: 'FOSTER-1992',
+  chan: 'CHAN-1997',
+  max: 'ALFANO-2005',
+};
+
+// Lower triangle of the 6x6 RTN covariance, in CDM order
+const COVARIANCE_KEYS = [
+  ['CR_R'],
+  ['CT_R', 'CT_T'],
+  ['CN_R', 'CN_T', 'CN_N'],
+  ['CRDOT_R', 'CRDOT_T', 'CRDOT_N', 'CRDOT_RDOT'],
+  ['CTDOT_R', 'CTDOT_T', 'CTDOT_N', 'CTDOT_RDOT', 'CTDOT_TDOT'],
+  ['CNDOT_R', 'CNDOT_T', 'CNDOT_N', 'CNDOT_RDOT', 'CNDOT_TDOT', 'CNDOT_NDOT'],
+];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class CDMGenerator {
+  /**
+   * CDM epoch format (UTC, no zone designator)
+   * @param {Date|string} date - Date
+   * @returns {string} YYYY-MM-DDThh:mm:ss.sss
+   */
+  static formatEpoch(date) {
+    return new Date(date).toISOString().replace('Z', '');
+  }
+
+  /**
+   * CDM name for a Pc method
+   * @param {string} method - foster, chan or max
+   * @returns {string} COLLISION_PROBABILITY_METHOD value
+   */
+  static pcMethodName(method) {
+    return PC_METHOD_NAMES[method] || String(method || 'UNKNOWN').toUpperCase();
+  }
+
+  /**
+   * Build the format-neutral CDM content for a stored conjunction event
+   * @param {Object} event - Event from the conjunction store
+   * @param {Object} options - {originator}
+   * @returns {Object} {header, relative, segments}; each a list of
+   *   {key, value, unit} fields, plus comments
+   */
+  static buildMessage(event, options = {}) {
+    const { originator = 'ORBITAL-DEBRIS-VISUALIZER' } = options;
+    const field = (key, value, unit = null) => ({ key, value, unit });
+    const fixed = (value, digits) => Number(value).toFixed(digits);
+    const sci = (value) => Number(value).toExponential(6).toUpperCase();
+
+    const header = [
+      field('CCSDS_CDM_VERS', CDM_VERSION),
+      field('CREATION_DATE', this.formatEpoch(new Date())),
+      field('ORIGINATOR', originator),
+      field('MESSAGE_ID', event.eventId),
+    ];
+
+    const pc = event.pc || {};
+    const relativeComments = [];
+    if (pc.hardBodyRadius !== undefined) {
+      relativeComments.push(`HBR = ${fixed(pc.hardBodyRadius, 3)} [m]`);
+    }
+    (pc.covariance?.assumptions || []).forEach(text => relativeComments.push(text));
+
+    const relative = {
+      comments: relativeComments,
+      fields: [
+        field('TCA', this.formatEpoch(event.time)),
+        field('MISS_DISTANCE', fixed(event.distance, 3), 'm'),
+        field('RELATIVE_SPEED', fixed(event.relativeVelocity, 3), 'm/s'),
+        field('RELATIVE_POSITION_R', fixed(event.missComponents.radial, 3), 'm'),
+        field('RELATIVE_POSITION_T', fixed(event.missComponents.inTrack, 3), 'm'),
+        field('RELATIVE_POSITION_N', fixed(event.missComponents.crossTrack, 3), 'm'),
+        field('RELATIVE_VELOCITY_R', fixed(event.relativeVelocityRtn.radial, 3), 'm/s'),
+        field('RELATIVE_VELOCITY_T', fixed(event.relativeVelocityRtn.inTrack, 3), 'm/s'),
+        field('RELATIVE_VELOCITY_N', fixed(event.relativeVelocityRtn.crossTrack, 3), 'm/s'),
+      ],
+    };
+    if (event.screenPeriod) {
+      relative.fields.push(
+        field('START_SCREEN_PERIOD', this.formatEpoch(event.screenPeriod.start)),
+        field('STOP_SCREEN_PERIOD', this.formatEpoch(event.screenPeriod.end))
+      );
+    }
+    if (pc.pc !== null && pc.pc !== undefined) {
+      relative.fields.push(
+        field('COLLISION_PROBABILITY', sci(pc.pc)),
+        field('COLLISION_PROBABILITY_METHOD', this.pcMethodName(pc.method))
+      );
+    }
+
+    const segments = [1, 2].map(n => {
+      const object = event[`object${n}`];
+      const covariance = event.covariance?.[`object${n}`] || null;
+      const gcrf = FrameTransforms.temeToGcrf(event[`position${n}`], event[`velocity${n}`], new Date(event.time));
+      const comments = object.radius === null || object.radius === undefined
+        ? []
+        : [`Radius ${fixed(object.radius, 3)} [m] from ${object.radiusSource}`];
+      if (!covariance) {
+        comments.push('No covariance available; zero matrix written');
+      } else {
+        comments.push('Position covariance only; velocity terms set to zero');
+      }
+
+      const covarianceFields = [];
+      COVARIANCE_KEYS.forEach((row, i) => {
+        row.forEach((key, j) => {
+          const value = covariance && i < 3 && j < 3 ? covariance[i][j] : 0;
+          const unit = i < 3 ? 'm**2' : (j < 3 ? 'm**2/s' : 'm**2/s**2');
+          covarianceFields.push(field(key, sci(value), unit));
+        });
+      });
+
+      return {
+        comments,
+        metadata: [
+          field('OBJECT', `OBJECT${n}`),
+          field('OBJECT_DESIGNATOR', String(object.noradId)),
+          field('CATALOG_NAME', 'SATCAT'),
+          field('OBJECT_NAME', object.name || String(object.noradId)),
+          field('INTERNATIONAL_DESIGNATOR', object.internationalDesignator || 'UNKNOWN'),
+          field('EPHEMERIS_NAME', 'NONE'),
+          field('COVARIANCE_METHOD', covariance ? 'CALCULATED' : 'DEFAULT'),
+          field('MANEUVERABLE', 'N/A'),
+          field('ORBIT_CENTER', 'EARTH'),
+          field('REF_FRAME', 'GCRF'),
+        ],
+        stateVector: [
+          field('X', fixed(gcrf.position.x, 6), 'km'),
+          field('Y', fixed(gcrf.position.y, 6), 'km'),
+          field('Z', fixed(gcrf.position.z, 6), 'km'),
+          field('X_DOT', fixed(gcrf.velocity.x, 9), 'km/s'),
+          field('Y_DOT', fixed(gcrf.velocity.y, 9), 'km/s'),
+          field('Z_DOT', fixed(gcrf.velocity.z, 9), 'km/s'),
+        ],
+        covariance: covarianceFields,
+      };
+    });
+
+    return { header, relative, segments };
+  }
+
+  /**
+   * Write a CDM in Keyword-Value Notation
+   * @param {Object} event - Conjunction event
+   * @param {Object} options - {originator}
+   * @returns {string} KVN text
+   */
+  static toKVN(event, options = {}) {
+    const message = this.buildMessage(event, options);
+    const lines = [];
+    const write = ({ key, value, unit }) => {
+      lines.push(`${key.padEnd(36)} = ${value}${unit ? ` [${unit}]` : ''}`);
+    };
+    const comment = (text) => lines.push(`COMMENT ${text}`);
+
+    message.header.forEach(write);
+    message.relative.comments.forEach(comment);
+    message.relative.fields.forEach(write);
+
+    message.segments.forEach(segment => {
+      segment.metadata.forEach(write);
+      segment.comments.forEach(comment);
+      segment.stateVector.forEach(write);
+      segment.covariance.forEach(write);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write a CDM in XML
+   * @param {Object} event - Conjunction event
+   * @param {Object} options - {originator}
+   * @returns {string} XML text
+   */
+  static toXML(event, options = {}) {
+    const message = this.buildMessage(event, options);
+    const element = ({ key, value, unit }, indent) =>
+      `${indent}<${key}${unit ? ` units="${escapeXml(unit)}"` : ''}>${escapeXml(value)}</${key}>`;
+    const comment = (text, indent) => `${indent}<COMMENT>${escapeXml(text)}</COMMENT>`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<cdm id="CCSDS_CDM_VERS" version="${CDM_VERSION}">`,
+      '  <header>',
+      ...message.header.filter(f => f.key !== 'CCSDS_CDM_VERS').map(f => element(f, '    ')),
+      '  </header>',
+      '  <body>',
+      '    <relativeMetadataData>',
+      ...message.relative.comments.map(text => comment(text, '      ')),
+    ];
+
+    // Relative position/velocity components sit in their own group
+    const isRelativeState = (f) => /^RELATIVE_(POSITION|VELOCITY)_/.test(f.key);
+    const relativeFields = message.relative.fields;
+    const firstState = relativeFields.findIndex(isRelativeState);
+    relativeFields.forEach((f, i) => {
+      if (i === firstState) {
+        lines.push('      <relativeStateVector>');
+        relativeFields.filter(isRelativeState).forEach(sf => lines.push(element(sf, '        ')));
+        lines.push('      </relativeStateVector>');
+      }
+      if (!isRelativeState(f)) {
+        lines.push(element(f, '      '));
+      }
+    });
+    lines.push('    </relativeMetadataData>');
+
+    message.segments.forEach(segment => {
+      lines.push(
+        '    <segment>',
+        '      <metadata>',
+        ...segment.metadata.map(f => element(f, '        ')),
+        '      </metadata>',
+        '      <data>',
+        ...segment.comments.map(text => comment(text, '        ')),
+        '        <stateVector>',
+        ...segment.stateVector.map(f => element(f, '          ')),
+        '        </stateVector>',
+        '        <covarianceMatrix>',
+        ...segment.covariance.map(f => element(f, '          ')),
+        '        </covarianceMatrix>',
+        '      </data>',
+        '    </segment>'
+      );
+    });
+
+    lines.push('  </body>', '</cdm>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write a CDM in the requested format
+   * @param {Object} event - Conjunction event
+   * @param {string} format - 'kvn' or 'xml'
+   * @param {Object} options - {originator}
+   * @returns {string} CDM text
+   */
+  static generate(event, format = 'kvn', options = {}) {
+    const normalized = String(format).toLowerCase();
+    if (normalized === 'kvn') {
+      return this.toKVN(event, options);
+    }
+    if (normalized === 'xml') {
+      return this.toXML(event, options);
+    }
+    throw new Error(`Unknown CDM format '${format}'. Use kvn or xml`);
+  }
+}
+
+export default CDMGenerator;
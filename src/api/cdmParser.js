@@ -0,0 +1,282 @@
+import FrameTransforms from './frameTransforms.js';
+
+/**
+ * CDM Parser
+ * Reads CCSDS Conjunction Data Messages (KVN or XML) and converts them to
+ * the conjunction event structure produced by CollisionDetector, with
+ * object states rotated to TEME.
+ */
+
+const HEADER_KEYS = ['CCSDS_CDM_VERS', 'CREATION_DATE', 'ORIGINATOR', 'MESSAGE_FOR', 'MESSAGE_ID'];
+
+// COLLISION_PROBABILITY_METHOD values that map onto our Pc methods
+const PC_METHODS = {
+  'FOSTER-1992': 'foster',
+  'CHAN-1997': 'chan',
+  'ALFANO-2005': 'max',
+};
+
+const COVARIANCE_KEYS = [
+  ['CR_R', 'CT_R', 'CN_R'],
+  ['CT_R', 'CT_T', 'CN_T'],
+  ['CN_R', 'CN_T', 'CN_N'],
+];
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+class CDMParser {
+  /**
+   * Parse a CDM in either format
+   * @param {string} text - CDM text
+   * @returns {Object} {format, header, relative, objects, comments}
+   */
+  static parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('CDM text is empty');
+    }
+    return text.trim().startsWith('<') ? this.parseXML(text) : this.parseKVN(text);
+  }
+
+  /**
+   * Parse Keyword-Value Notation
+   * @param {string} text - KVN text
+   * @returns {Object} Parsed message with string values
+   */
+  static parseKVN(text) {
+    const message = { format: 'kvn', header: {}, relative: {}, objects: [], comments: [] };
+    let current = null;
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line) return;
+
+      if (line.startsWith('COMMENT')) {
+        (current ? current.comments : message.comments).push(line.slice(7).trim());
+        return;
+      }
+
+      const match = line.match(/^([A-Z0-9_]+)\s*=\s*(.*?)\s*(\[[^\]]*\])?$/);
+      if (!match) {
+        throw new Error(`Invalid CDM line ${index + 1}: ${line}`);
+      }
+      const [, key, value] = match;
+
+      if (key === 'OBJECT') {
+        current = { OBJECT: value, comments: [] };
+        message.objects.push(current);
+      } else if (current) {
+        current[key] = value;
+      } else if (HEADER_KEYS.includes(key)) {
+        message.header[key] = value;
+      } else {
+        message.relative[key] = value;
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * Parse the CCSDS NDM/XML form. Only leaf elements are read, so
+   * grouping elements (relativeStateVector, stateVector, ...) are flattened.
+   * @param {string} text - XML text
+   * @returns {Object} Parsed message with string values
+   */
+  static parseXML(text) {
+    const leaves = (xml) => {
+      const values = {};
+      const comments = [];
+      const pattern = /<([A-Za-z0-9_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g;
+      let match;
+      while ((match = pattern.exec(xml)) !== null) {
+        const value = unescapeXml(match[2].trim());
+        if (match[1] === 'COMMENT') {
+          comments.push(value);
+        } else {
+          values[match[1]] = value;
+        }
+      }
+      return { values, comments };
+    };
+    const section = (xml, tag) => {
+      const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+      return match ? match[1] : '';
+    };
+
+    const root = text.match(/<cdm\b[^>]*>/);
+    if (!root) {
+      throw new Error('Invalid CDM XML: missing <cdm> root element');
+    }
+    const version = root[0].match(/version="([^"]+)"/);
+
+    const header = leaves(section(text, 'header'));
+    const relative = leaves(section(text, 'relativeMetadataData'));
+    const segments = text.match(/<segment(?:\s[^>]*)?>[\s\S]*?<\/segment>/g) || [];
+
+    return {
+      format: 'xml',
+      header: { CCSDS_CDM_VERS: version ? version[1] : undefined, ...header.values },
+      relative: relative.values,
+      objects: segments.map(segment => {
+        const { values, comments } = leaves(segment);
+        return { ...values, comments };
+      }),
+      comments: [...header.comments, ...relative.comments],
+    };
+  }
+
+  /**
+   * Numeric field, or null if absent
+   */
+  static number(fields, key) {
+    if (fields[key] === undefined || fields[key] === '') return null;
+    const value = parseFloat(fields[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`CDM field ${key} is not a number: ${fields[key]}`);
+    }
+    return value;
+  }
+
+  /**
+   * CDM epoch (UTC, zone designator optional) to Date
+   * @param {string} value - Epoch string
+   * @returns {Date} Date
+   */
+  static parseEpoch(value) {
+    if (!value) return null;
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid CDM epoch: ${value}`);
+    }
+    return date;
+  }
+
+  /**
+   * Object state from a CDM segment, rotated to TEME
+   * @param {Object} fields - Segment fields
+   * @param {Date} tca - Time of closest approach
+   * @returns {Object} {position, velocity} in km and km/s
+   */
+  static stateToTeme(fields, tca) {
+    const position = { x: this.number(fields, 'X'), y: this.number(fields, 'Y'), z: this.number(fields, 'Z') };
+    const velocity = { x: this.number(fields, 'X_DOT'), y: this.number(fields, 'Y_DOT'), z: this.number(fields, 'Z_DOT') };
+    if ([position.x, position.y, position.z, velocity.x, velocity.y, velocity.z].some(v => v === null)) {
+      throw new Error(`CDM ${fields.OBJECT || 'object'} is missing its state vector`);
+    }
+
+    const frame = String(fields.REF_FRAME || 'GCRF').toUpperCase();
+    if (frame === 'GCRF' || frame === 'EME2000') {
+      // EME2000 and GCRF differ only by the ~20 mas frame bias
+      return FrameTransforms.gcrfToTeme(position, velocity, tca);
+    }
+    if (frame === 'ITRF') {
+      return FrameTransforms.itrfToTeme(position, velocity, tca);
+    }
+    throw new Error(`Unsupported CDM REF_FRAME '${fields.REF_FRAME}'`);
+  }
+
+  /**
+   * 3x3 RTN position covariance (m^2) from a CDM segment
+   * @param {Object} fields - Segment fields
+   * @returns {Array|null} Matrix, or null if absent or all zero
+   */
+  static positionCovariance(fields) {
+    const matrix = COVARIANCE_KEYS.map(row => row.map(key => this.number(fields, key)));
+    if (matrix.some(row => row.some(v => v === null)) || matrix.every(row => row.every(v => v === 0))) {
+      return null;
+    }
+    return matrix;
+  }
+
+  /**
+   * Convert a parsed CDM to a conjunction event
+   * @param {Object} message - Result of parse()
+   * @returns {Object} Event shaped like CollisionDetector results, with
+   *   pc, covariance and provider metadata
+   */
+  static toEvent(message) {
+    const { header, relative, objects } = message;
+    if (objects.length !== 2) {
+      throw new Error(`CDM must describe 2 objects, found ${objects.length}`);
+    }
+    const tca = this.parseEpoch(relative.TCA);
+    if (!tca) {
+      throw new Error('CDM is missing TCA');
+    }
+
+    const states = objects.map(fields => this.stateToTeme(fields, tca));
+    const describeObject = (fields) => ({
+      noradId: parseInt(fields.OBJECT_DESIGNATOR, 10) || fields.OBJECT_DESIGNATOR || null,
+      name: fields.OBJECT_NAME || null,
+      internationalDesignator: fields.INTERNATIONAL_DESIGNATOR || null,
+      radius: null,
+      radiusSource: 'cdm',
+    });
+
+    const dist = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    const distance = this.number(relative, 'MISS_DISTANCE') ?? dist(states[0].position, states[1].position) * 1000;
+    const relativeVelocity = this.number(relative, 'RELATIVE_SPEED')
+      ?? dist(states[0].velocity, states[1].velocity) * 1000;
+
+    const probability = this.number(relative, 'COLLISION_PROBABILITY');
+    const methodName = relative.COLLISION_PROBABILITY_METHOD || null;
+    const covariance = {
+      object1: this.positionCovariance(objects[0]),
+      object2: this.positionCovariance(objects[1]),
+    };
+
+    const start = this.parseEpoch(relative.START_SCREEN_PERIOD);
+    const end = this.parseEpoch(relative.STOP_SCREEN_PERIOD);
+
+    return {
+      object1: describeObject(objects[0]),
+      object2: describeObject(objects[1]),
+      time: tca,
+      distance,
+      relativeVelocity,
+      missComponents: {
+        radial: this.number(relative, 'RELATIVE_POSITION_R'),
+        inTrack: this.number(relative, 'RELATIVE_POSITION_T'),
+        crossTrack: this.number(relative, 'RELATIVE_POSITION_N'),
+      },
+      relativeVelocityRtn: {
+        radial: this.number(relative, 'RELATIVE_VELOCITY_R'),
+        inTrack: this.number(relative, 'RELATIVE_VELOCITY_T'),
+        crossTrack: this.number(relative, 'RELATIVE_VELOCITY_N'),
+      },
+      position1: states[0].position,
+      position2: states[1].position,
+      velocity1: states[0].velocity,
+      velocity2: states[1].velocity,
+      probability,
+      pc: {
+        pc: probability,
+        method: PC_METHODS[methodName] || (methodName ? methodName.toLowerCase() : null),
+        methodName,
+        covariance: {
+          frame: 'RTN',
+          object1: covariance.object1 ? 'provided' : 'missing',
+          object2: covariance.object2 ? 'provided' : 'missing',
+          assumptions: ['As reported by the CDM originator'],
+        },
+      },
+      covariance,
+      screenPeriod: start && end ? { start: start.toISOString(), end: end.toISOString() } : null,
+      provider: {
+        originator: header.ORIGINATOR || null,
+        messageId: header.MESSAGE_ID || null,
+        creationDate: header.CREATION_DATE || null,
+        version: header.CCSDS_CDM_VERS || null,
+        format: message.format,
+        refFrames: objects.map(fields => fields.REF_FRAME || null),
+      },
+    };
+  }
+}
+
+export default CDMParser;
@@ -0,0 +1,14 @@
+/**
+ * Physical Constants
+ * Shared by the propagators and models so they all work with the same
+ * Earth. Units are km and s.
+ */
+
+export const MU = 398600.4418; // km^3/s^2 (WGS-84)
+export const EARTH_RADIUS = 6378.137; // km (WGS-84 equatorial)
+export const EARTH_RADIUS_SGP4 = 6378.135; // km (WGS-72, the SGP4 distance unit)
+export const J2 = 1.08262668e-3;
+export const EARTH_ROTATION = 7.292115e-5; // rad/s
+export const MU_SUN = 1.32712440018e11; // km^3/s^2
+export const MU_MOON = 4902.800066; // km^3/s^2
+export const AU = 149597870.7; // km
@@ -0,0 +1,423 @@
+import { gstime } from 'satellite.js';
+
+/**
+ * Reference Frame Transforms
+ * Converts SGP4 TEME state vectors into the frames we render and return:
+ * GCRF/J2000 (inertial), ITRF/ECEF (Earth-fixed) and WGS-84 geodetic.
+ *
+ * Precession and nutation follow the IAU-76/FK5 reduction used by Vallado's
+ * teme2eci, with the nutation series truncated to its dominant terms
+ * (error well under 0.01 arcsec, i.e. sub-metre in LEO).
+ */
+
+const ARCSEC_TO_RAD = Math.PI / (180 * 3600);
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_ROTATION_RATE = 7.292115146706979e-5; // rad/s
+const TT_MINUS_UTC = 69.184; // seconds (37 leap seconds + 32.184)
+
+// WGS-84 ellipsoid
+const WGS84_A = 6378.137; // km
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+// Dominant IAU-1980 nutation terms: multipliers of (l, l', F, D, Omega),
+// then longitude (A + B*T) and obliquity (C + D*T) coefficients in 0.0001"
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [0, 0, 2, -2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 2, 0, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [1, 0, 0, 0, 0, 712, 0.1, -7, 0],
+  [0, 1, 2, -2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 2, 0, 1, -386, -0.4, 200, 0],
+  [1, 0, 2, 0, 2, -301, 0, 129, -0.1],
+  [0, -1, 2, -2, 2, 217, -0.5, -95, 0.3],
+  [1, 0, 0, -2, 0, -158, 0, -1, 0],
+  [0, 0, 2, -2, 1, 129, 0.1, -70, 0],
+  [-1, 0, 2, 0, 2, 123, 0, -53, 0],
+  [1, 0, 0, 0, 1, 63, 0.1, -33, 0],
+  [0, 0, 0, 2, 0, 63, 0, -2, 0],
+  [-1, 0, 2, 2, 2, -59, 0, 26, 0],
+  [-1, 0, 0, 0, 1, -58, -0.1, 32, 0],
+  [1, 0, 2, 0, 1, -51, 0, 27, 0],
+];
+
+// Accepted frame names (and aliases) for the public API
+const FRAME_ALIASES = {
+  TEME: 'TEME',
+  GCRF: 'GCRF',
+  J2000: 'GCRF',
+  EME2000: 'GCRF',
+  ITRF: 'ITRF',
+  ECEF: 'ITRF',
+  GEODETIC: 'GEODETIC',
+  LLA: 'GEODETIC',
+};
+
+/**
+ * Rotation about the x axis (passive)
+ */
+function rot1(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[1, 0, 0], [0, c, s], [0, -s, c]];
+}
+
+/**
+ * Rotation about the y axis (passive)
+ */
+function rot2(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+}
+
+/**
+ * Rotation about the z axis (passive)
+ */
+function rot3(angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [[c, s, 0], [-s, c, 0], [0, 0, 1]];
+}
+
+function matMul(a, b) {
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      out[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+    }
+  }
+  return out;
+}
+
+function transpose(m) {
+  return [
+    [m[0][0], m[1][0], m[2][0]],
+    [m[0][1], m[1][1], m[2][1]],
+    [m[0][2], m[1][2], m[2][2]],
+  ];
+}
+
+function apply(m, v) {
+  return {
+    x: m[0][0] * v.x + m[0][1] * v.y + m[0][2] * v.z,
+    y: m[1][0] * v.x + m[1][1] * v.y + m[1][2] * v.z,
+    z: m[2][0] * v.x + m[2][1] * v.y + m[2][2] * v.z,
+  };
+}
+
+class FrameTransforms {
+  /**
+   * Normalise a frame name or alias
+   * @param {string} frame - Frame name (TEME, GCRF, J2000, ITRF, ECEF, GEODETIC)
+   * @returns {string} Canonical frame name
+   */
+  static normalizeFrame(frame) {
+    const canonical = FRAME_ALIASES[String(frame || '').trim().toUpperCase()];
+    if (!canonical) {
+      throw new Error(`Unsupported frame '${frame}'. Use one of: ${Object.keys(FRAME_ALIASES).join(', ')}`);
+    }
+    return canonical;
+  }
+
+  /**
+   * Julian centuries of Terrestrial Time since J2000.0
+   * @param {Date} date - UTC date
+   * @returns {number} Centuries TT
+   */
+  static julianCenturiesTT(date) {
+    const jdUtc = date.getTime() / 86400000 + 2440587.5;
+    const jdTT = jdUtc + TT_MINUS_UTC / 86400;
+    return (jdTT - 2451545.0) / 36525;
+  }
+
+  /**
+   * Greenwich mean sidereal time (IAU-82, as used by SGP4)
+   * @param {Date} date - UTC date
+   * @returns {number} GMST in radians
+   */
+  static gmst(date) {
+    return gstime(date);
+  }
+
+  /**
+   * IAU-1980 nutation angles
+   * @param {number} ttt - Julian centuries TT
+   * @returns {Object} {deltaPsi, deltaEps, meanEps} in radians
+   */
+  static nutationAngles(ttt) {
+    const meanEps = (84381.448 - 46.8150 * ttt - 0.00059 * ttt ** 2 + 0.001813 * ttt ** 3) * ARCSEC_TO_RAD;
+
+    // Delaunay arguments (degrees)
+    const l = ((0.064 * ttt + 31.310) * ttt + 1717915922.6330) * ttt / 3600 + 134.96298139;
+    const l1 = ((-0.012 * ttt - 0.577) * ttt + 129596581.2240) * ttt / 3600 + 357.52772333;
+    const f = ((0.011 * ttt - 13.257) * ttt + 1739527263.1370) * ttt / 3600 + 93.27191028;
+    const d = ((0.019 * ttt - 6.891) * ttt + 1602961601.3280) * ttt / 3600 + 297.85036306;
+    const omega = ((0.008 * ttt + 7.455) * ttt - 6962890.5390) * ttt / 3600 + 125.04452222;
+    const args = [l, l1, f, d, omega].map(a => (a % 360) * DEG_TO_RAD);
+
+    let deltaPsi = 0;
+    let deltaEps = 0;
+    for (const term of NUTATION_TERMS) {
+      const arg = term[0] * args[0] + term[1] * args[1] + term[2] * args[2] +
+        term[3] * args[3] + term[4] * args[4];
+      deltaPsi += (term[5] + term[6] * ttt) * Math.sin(arg);
+      deltaEps += (term[7] + term[8] * ttt) * Math.cos(arg);
+    }
+
+    return {
+      deltaPsi: deltaPsi * 1e-4 * ARCSEC_TO_RAD,
+      deltaEps: deltaEps * 1e-4 * ARCSEC_TO_RAD,
+      meanEps,
+    };
+  }
+
+  /**
+   * Rotation matrix taking TEME vectors into GCRF (J2000)
+   * @param {Date} date - UTC date
+   * @returns {Array} 3x3 matrix
+   */
+  static temeToGcrfMatrix(date) {
+    const ttt = this.julianCenturiesTT(date);
+    const { deltaPsi, deltaEps, meanEps } = this.nutationAngles(ttt);
+    const trueEps = meanEps + deltaEps;
+
+    // IAU-76 precession angles
+    const zeta = (2306.2181 + (0.30188 + 0.017998 * ttt) * ttt) * ttt * ARCSEC_TO_RAD;
+    const theta = (2004.3109 - (0.42665 + 0.041833 * ttt) * ttt) * ttt * ARCSEC_TO_RAD;
+    const z = (2306.2181 + (1.09468 + 0.018203 * ttt) * ttt) * ttt * ARCSEC_TO_RAD;
+
+    // GCRF -> MOD -> TOD -> TEME
+    const precession = matMul(rot3(-z), matMul(rot2(theta), rot3(-zeta)));
+    const nutation = matMul(rot1(-trueEps), matMul(rot3(-deltaPsi), rot1(meanEps)));
+    const equinox = rot3(deltaPsi * Math.cos(meanEps));
+
+    return transpose(matMul(equinox, matMul(nutation, precession)));
+  }
+
+  /**
+   * Polar motion matrix taking PEF vectors into ITRF
+   * @param {number} xp - Pole x offset (arcsec)
+   * @param {number} yp - Pole y offset (arcsec)
+   * @returns {Array} 3x3 matrix
+   */
+  static pefToItrfMatrix(xp = 0, yp = 0) {
+    return matMul(rot2(-xp * ARCSEC_TO_RAD), rot1(-yp * ARCSEC_TO_RAD));
+  }
+
+  /**
+   * Convert a TEME state to GCRF (J2000)
+   * @param {Object} position - TEME position {x, y, z} in km
+   * @param {Object} velocity - TEME velocity {x, y, z} in km/s (optional)
+   * @param {Date} date - UTC date
+   * @returns {Object} {position, velocity}
+   */
+  static temeToGcrf(position, velocity, date) {
+    const m = this.temeToGcrfMatrix(date);
+    return {
+      position: apply(m, position),
+      velocity: velocity ? apply(m, velocity) : null,
+    };
+  }
+
+  /**
+   * Convert a GCRF (J2000) state to TEME
+   * @param {Object} position - GCRF position {x, y, z} in km
+   * @param {Object} velocity - GCRF velocity {x, y, z} in km/s (optional)
+   * @param {Date} date - UTC date
+   * @returns {Object} {position, velocity}
+   */
+  static gcrfToTeme(position, velocity, date) {
+    const m = transpose(this.temeToGcrfMatrix(date));
+    return {
+      position: apply(m, position),
+      velocity: velocity ? apply(m, velocity) : null,
+    };
+  }
+
+  /**
+   * Convert a TEME state to ITRF (ECEF)
+   * @param {Object} position - TEME position {x, y, z} in km
+   * @param {Object} velocity - TEME velocity {x, y, z} in km/s (optional)
+   * @param {Date} date - UTC date
+   * @param {Object} options - {xp, yp} polar motion in arcsec
+   * @returns {Object} {position, velocity}
+   */
+  static temeToItrf(position, velocity, date, options = {}) {
+    const { xp = 0, yp = 0 } = options;
+    const toPef = rot3(this.gmst(date));
+    const polar = this.pefToItrfMatrix(xp, yp);
+
+    const rPef = apply(toPef, position);
+    let vItrf = null;
+    if (velocity) {
+      // Remove the Earth's rotation: v_pef = R*v_teme - w x r_pef
+      const vRot = apply(toPef, velocity);
+      vItrf = apply(polar, {
+        x: vRot.x + EARTH_ROTATION_RATE * rPef.y,
+        y: vRot.y - EARTH_ROTATION_RATE * rPef.x,
+        z: vRot.z,
+      });
+    }
+
+    return {
+      position: apply(polar, rPef),
+      velocity: vItrf,
+    };
+  }
+
+  /**
+   * Convert an ITRF (ECEF) state to TEME
+   * @param {Object} position - ITRF position {x, y, z} in km
+   * @param {Object} velocity - ITRF velocity {x, y, z} in km/s (optional)
+   * @param {Date} date - UTC date
+   * @param {Object} options - {xp, yp} polar motion in arcsec
+   * @returns {Object} {position, velocity}
+   */
+  static itrfToTeme(position, velocity, date, options = {}) {
+    const { xp = 0, yp = 0 } = options;
+    const toTeme = transpose(rot3(this.gmst(date)));
+    const polar = transpose(this.pefToItrfMatrix(xp, yp));
+
+    const rPef = apply(polar, position);
+    let vTeme = null;
+    if (velocity) {
+      const vPef = apply(polar, velocity);
+      vTeme = apply(toTeme, {
+        x: vPef.x - EARTH_ROTATION_RATE * rPef.y,
+        y: vPef.y + EARTH_ROTATION_RATE * rPef.x,
+        z: vPef.z,
+      });
+    }
+
+    return {
+      position: apply(toTeme, rPef),
+      velocity: vTeme,
+    };
+  }
+
+  /**
+   * Convert an ITRF position to WGS-84 geodetic coordinates
+   * @param {Object} position - ITRF position {x, y, z} in km
+   * @returns {Object} {latitude, longitude} in degrees, {altitude} in km
+   */
+  static itrfToGeodetic(position) {
+    const { x, y, z } = position;
+    const p = Math.sqrt(x * x + y * y);
+    const longitude = Math.atan2(y, x);
+
+    // Iterate on latitude (converges to sub-millimetre in a few passes)
+    let latitude = Math.atan2(z, p * (1 - WGS84_E2));
+    let altitude = 0;
+    for (let i = 0; i < 10; i++) {
+      const sinLat = Math.sin(latitude);
+      const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+      altitude = Math.abs(Math.cos(latitude)) > 1e-10
+        ? p / Math.cos(latitude) - n
+        : Math.abs(z) - n * (1 - WGS84_E2);
+      const next = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + altitude)));
+      if (Math.abs(next - latitude) < 1e-12) {
+        latitude = next;
+        break;
+      }
+      latitude = next;
+    }
+
+    return {
+      latitude: latitude / DEG_TO_RAD,
+      longitude: longitude / DEG_TO_RAD,
+      altitude,
+    };
+  }
+
+  /**
+   * Convert WGS-84 geodetic coordinates to an ITRF position
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} altitude - Height above the ellipsoid in km
+   * @returns {Object} ITRF position {x, y, z} in km
+   */
+  static geodeticToItrf(latitude, longitude, altitude = 0) {
+    const lat = latitude * DEG_TO_RAD;
+    const lon = longitude * DEG_TO_RAD;
+    const sinLat = Math.sin(lat);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+    return {
+      x: (n + altitude) * Math.cos(lat) * Math.cos(lon),
+      y: (n + altitude) * Math.cos(lat) * Math.sin(lon),
+      z: (n * (1 - WGS84_E2) + altitude) * sinLat,
+    };
+  }
+
+  /**
+   * Topocentric look angles from a ground observer to a satellite
+   * @param {Object} itrfState - Satellite {position, velocity} in ITRF (km, km/s)
+   * @param {Object} observer - {latitude, longitude} in degrees, {altitude} in km
+   * @returns {Object} {azimuth, elevation} in degrees, {range} in km, {rangeRate} in km/s
+   */
+  static lookAngles(itrfState, observer) {
+    const site = this.geodeticToItrf(observer.latitude, observer.longitude, observer.altitude || 0);
+    const rho = {
+      x: itrfState.position.x - site.x,
+      y: itrfState.position.y - site.y,
+      z: itrfState.position.z - site.z,
+    };
+
+    // Rotate into the local south-east-zenith frame
+    const lat = observer.latitude * DEG_TO_RAD;
+    const lon = observer.longitude * DEG_TO_RAD;
+    const sez = apply(matMul(rot2(Math.PI / 2 - lat), rot3(lon)), rho);
+
+    const range = Math.sqrt(rho.x ** 2 + rho.y ** 2 + rho.z ** 2);
+    const elevation = Math.asin(sez.z / range);
+    let azimuth = Math.atan2(sez.y, -sez.x);
+    if (azimuth < 0) azimuth += 2 * Math.PI;
+
+    // The site is fixed in ITRF, so the range rate is just the projected satellite velocity
+    const v = itrfState.velocity;
+    const rangeRate = v ? (rho.x * v.x + rho.y * v.y + rho.z * v.z) / range : null;
+
+    return {
+      azimuth: azimuth / DEG_TO_RAD,
+      elevation: elevation / DEG_TO_RAD,
+      range,
+      rangeRate,
+    };
+  }
+
+  /**
+   * Express a TEME state in the requested frame
+   * @param {Object} state - {position, velocity} in TEME (km, km/s)
+   * @param {string} frame - Target frame (TEME, GCRF, J2000, ITRF, ECEF, GEODETIC)
+   * @param {Date} date - UTC date of the state
+   * @returns {Object} {frame, position, velocity} or {frame, latitude, longitude, altitude}
+   */
+  static fromTeme(state, frame, date) {
+    const target = this.normalizeFrame(frame);
+
+    if (target === 'TEME') {
+      return { frame: target, position: state.position, velocity: state.velocity };
+    }
+    if (target === 'GCRF') {
+      return { frame: target, ...this.temeToGcrf(state.position, state.velocity, date) };
+    }
+
+    const itrf = this.temeToItrf(state.position, state.velocity, date);
+    if (target === 'ITRF') {
+      return { frame: target, ...itrf };
+    }
+    return { frame: target, ...this.itrfToGeodetic(itrf.position) };
+  }
+
+  /**
+   * List supported frame names
+   * @returns {Array} Frame names including aliases
+   */
+  static listFrames() {
+    return Object.keys(FRAME_ALIASES);
+  }
+}
+
+export default FrameTransforms;
@@ -0,0 +1,546 @@
+import OrbitPropagator from './orbitPropagator.js';
+import NumericalPropagator from './numericalPropagator.js';
+import { MU, EARTH_RADIUS, MU_SUN, MU_MOON, AU } from './constants.js';
+
+/**
+ * High-Precision Propagator
+ * Integrates Cartesian states with an adaptive Runge-Kutta-Fehlberg 7(8)
+ * scheme under a selectable force model: point-mass gravity, the zonal
+ * harmonics J2 to J6, atmospheric drag, solar radiation pressure and
+ * third-body attraction by the Sun and Moon. Shares the propagate /
+ * propagateRange interface of OrbitPropagator, starting from the SGP4
+ * state at the TLE epoch. Where NumericalPropagator follows fragments for
+ * hours with a fixed RK4 step, this one controls its own error and is
+ * meant for single objects over days.
+ *
+ * States are {position (km), velocity (km/s)} in TEME, treated as
+ * inertial; the Sun and Moon come from low-precision analytical series
+ * (Montenbruck & Gill, 3.3.2), good to about 0.1% in distance, which is
+ * ample for their perturbations.
+ */
+
+// Unnormalised zonal coefficients (EGM2008); index is the degree
+const ZONALS = [0, 0, 1.082626173852e-3, -2.532410519e-6, -1.6198976e-6, -2.27753591e-7, 5.40666576e-7];
+const SOLAR_PRESSURE = 4.56e-6; // N/m^2 at 1 AU
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+const OBLIQUITY = 23.43929111 * DEG;
+const J2000 = Date.UTC(2000, 0, 1, 12);
+const JULIAN_CENTURY_MS = 36525 * 86400000;
+
+// Fehlberg 7(8) coefficients: nodes, stage weights and the 8th-order solution
+const RK78_C = [0, 2 / 27, 1 / 9, 1 / 6, 5 / 12, 1 / 2, 5 / 6, 1 / 6, 2 / 3, 1 / 3, 1, 0, 1];
+const RK78_A = [
+  [],
+  [2 / 27],
+  [1 / 36, 1 / 12],
+  [1 / 24, 0, 1 / 8],
+  [5 / 12, 0, -25 / 16, 25 / 16],
+  [1 / 20, 0, 0, 1 / 4, 1 / 5],
+  [-25 / 108, 0, 0, 125 / 108, -65 / 27, 125 / 54],
+  [31 / 300, 0, 0, 0, 61 / 225, -2 / 9, 13 / 900],
+  [2, 0, 0, -53 / 6, 704 / 45, -107 / 9, 67 / 90, 3],
+  [-91 / 108, 0, 0, 23 / 108, -976 / 135, 311 / 54, -19 / 60, 17 / 6, -1 / 12],
+  [2383 / 4100, 0, 0, -341 / 164, 4496 / 1025, -301 / 82, 2133 / 4100, 45 / 82, 45 / 164, 18 / 41],
+  [3 / 205, 0, 0, 0, 0, -6 / 41, -3 / 205, -3 / 41, 3 / 41, 6 / 41, 0],
+  [-1777 / 4100, 0, 0, -341 / 164, 4496 / 1025, -289 / 82, 2193 / 4100, 51 / 82, 33 / 164, 12 / 41, 0, 1],
+];
+const RK78_B = [0, 0, 0, 0, 0, 34 / 105, 9 / 35, 9 / 35, 9 / 280, 9 / 280, 0, 41 / 840, 41 / 840];
+// The 7th- and 8th-order solutions differ by 41/840 (k1 + k11 - k12 - k13) h
+const RK78_ERROR = 41 / 840;
+
+const FORCE_NAMES = ['point-mass', 'j2', 'j3', 'j4', 'j5', 'j6', 'drag', 'srp', 'sun', 'moon'];
+const ALL_FORCES = { zonalDegree: 6, drag: true, srp: true, sun: true, moon: true };
+
+// Trajectories per satrec and options; entries go with their satrecs
+const trajectories = new WeakMap();
+
+/**
+ * Trajectory integrated on demand from an initial state. Accepted steps
+ * are kept forward and backward from the epoch, and a state between two
+ * of them is found by one more step from the earlier, so repeated and
+ * out-of-order requests cost little. Provides stateAt(date), so it can be
+ * used anywhere a satrec is propagated through OrbitPropagator.
+ */
+class NumericalTrajectory {
+  /**
+   * @param {Object} state - {position, velocity} at the epoch
+   * @param {Date} epoch - Epoch of the state
+   * @param {Object} options - Force model options of acceleration(), plus {relativeTolerance,
+   *   absoluteTolerance, maxStepSeconds, maxDays (either side of the epoch), minAltitude (km)}
+   * @param {Object} meanElements - {a (Earth radii), ecco, inclo (rad), no (rad/min)} for the
+   *   screening prefilters; defaults to the osculating elements at the epoch
+   */
+  constructor(state, epoch, options, meanElements = null) {
+    this.epoch = new Date(epoch);
+    this.options = options;
+    this.relativeTolerance = options.relativeTolerance ?? 1e-10;
+    this.absoluteTolerance = options.absoluteTolerance ?? 1e-9;
+    this.maxStep = options.maxStepSeconds ?? 1800;
+    this.maxSeconds = (options.maxDays ?? 30) * 86400;
+    this.minAltitude = options.minAltitude ?? null;
+
+    const y = [state.position.x, state.position.y, state.position.z, state.velocity.x, state.velocity.y, state.velocity.z];
+    // Nodes {t (s from epoch), y}, each with the step size to try next
+    this.forward = [{ t: 0, y, h: 60 }];
+    this.backward = [{ t: 0, y, h: -60 }];
+    // Seconds from the epoch; SGP4 can start a decaying orbit already below the re-entry altitude
+    const below = this.minAltitude !== null && Math.hypot(y[0], y[1], y[2]) - EARTH_RADIUS < this.minAltitude;
+    this.reentry = below ? 0 : null;
+
+    const elements = meanElements || (() => {
+      const osculating = OrbitPropagator.calculateOrbitalElements(state.position, state.velocity);
+      return {
+        a: osculating.semiMajorAxis / EARTH_RADIUS,
+        ecco: osculating.eccentricity,
+        inclo: osculating.inclination * DEG,
+        no: Math.sqrt(MU / osculating.semiMajorAxis ** 3) * 60,
+      };
+    })();
+    Object.assign(this, elements);
+  }
+
+  derivative(t, y) {
+    const position = { x: y[0], y: y[1], z: y[2] };
+    const velocity = { x: y[3], y: y[4], z: y[5] };
+    const date = new Date(this.epoch.getTime() + t * 1000);
+    const accel = HighPrecisionPropagator.acceleration(position, velocity, date, this.options);
+    return [y[3], y[4], y[5], accel.x, accel.y, accel.z];
+  }
+
+  /**
+   * Take accepted steps along one direction until t is covered
+   * @param {Array} nodes - this.forward or this.backward
+   * @param {number} t - Seconds from the epoch
+   */
+  extend(nodes, t) {
+    const direction = nodes === this.forward ? 1 : -1;
+    let last = nodes[nodes.length - 1];
+
+    while (direction * (t - last.t) > 0) {
+      if (direction > 0 && this.reentry !== null) return;
+      let h = last.h;
+      for (;;) {
+        const { y, error } = HighPrecisionPropagator.rk78Step((s, state) => this.derivative(s, state), last.t, last.y, h);
+        const norm = Math.max(...error.map((e, i) => Math.abs(e) / (this.absoluteTolerance + this.relativeTolerance * Math.abs(y[i]))));
+        // A non-finite error (e.g. a step through the Earth's centre) shrinks the step like a large one
+        const factor = !Number.isFinite(norm) ? 0.2 : norm === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * norm ** (-1 / 8)));
+        if (norm <= 1) {
+          const next = Math.sign(h) * Math.min(Math.abs(h * factor), this.maxStep);
+          last = { t: last.t + h, y, h: next };
+          nodes.push(last);
+          break;
+        }
+        h *= factor;
+        if (Math.abs(h) < 1e-6) {
+          throw new Error('Numerical propagation step size underflow');
+        }
+      }
+
+      if (this.minAltitude !== null
+        && Math.hypot(last.y[0], last.y[1], last.y[2]) - EARTH_RADIUS < this.minAltitude) {
+        if (direction < 0) {
+          throw new Error('Numerical propagation before the epoch fell below the re-entry altitude');
+        }
+        this.reentry = last.t;
+      }
+    }
+  }
+
+  /**
+   * Whether a time is within maxDays of the epoch
+   * @param {Date} date - Time
+   * @returns {boolean} True if stateAt may be asked for it
+   */
+  covers(date) {
+    return Math.abs(date - this.epoch) / 1000 <= this.maxSeconds;
+  }
+
+  /**
+   * When the trajectory fell below minAltitude
+   * @returns {Date|null} Re-entry date, null if none so far
+   */
+  reentryDate() {
+    return this.reentry === null ? null : new Date(this.epoch.getTime() + this.reentry * 1000);
+  }
+
+  /**
+   * State at a time
+   * @param {Date} date - Time
+   * @returns {Object} {position, velocity, date} in TEME
+   * @throws {Error} Beyond maxDays from the epoch or after re-entry
+   */
+  stateAt(date) {
+    const t = (date - this.epoch) / 1000;
+    if (!this.covers(date)) {
+      throw new Error(`Numerical propagation is limited to ${this.maxSeconds / 86400} days from the epoch`);
+    }
+
+    const nodes = t >= 0 ? this.forward : this.backward;
+    this.extend(nodes, t);
+    if (t >= 0 && this.reentry !== null && t > this.reentry) {
+      throw new Error(`Object re-entered at ${this.reentryDate().toISOString()}`);
+    }
+
+    // Last node not beyond t
+    const sign = t >= 0 ? 1 : -1;
+    let lo = 0;
+    let hi = nodes.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (sign * nodes[mid].t <= sign * t) lo = mid;
+      else hi = mid - 1;
+    }
+    const node = nodes[lo];
+    const y = t === node.t
+      ? node.y
+      : HighPrecisionPropagator.rk78Step((s, state) => this.derivative(s, state), node.t, node.y, t - node.t).y;
+
+    return {
+      position: { x: y[0], y: y[1], z: y[2] },
+      velocity: { x: y[3], y: y[4], z: y[5] },
+      date,
+    };
+  }
+}
+
+class HighPrecisionPropagator {
+  /**
+   * Force model from a list of names
+   * @param {string|Array} spec - Comma-separated string or array of 'point-mass', 'j2'...'j6'
+   *   (zonal harmonics up to that degree), 'drag', 'srp', 'sun', 'moon'; 'all' or empty for
+   *   the full model
+   * @returns {Object} {zonalDegree (0 or 2-6), drag, srp, sun, moon}
+   * @throws {Error} On an unknown name
+   */
+  static parseForces(spec) {
+    const names = (Array.isArray(spec) ? spec : String(spec ?? '').split(','))
+      .map(name => String(name).trim().toLowerCase())
+      .filter(Boolean);
+    if (names.length === 0 || (names.length === 1 && names[0] === 'all')) {
+      return { ...ALL_FORCES };
+    }
+
+    const forces = { zonalDegree: 0, drag: false, srp: false, sun: false, moon: false };
+    names.forEach(name => {
+      if (!FORCE_NAMES.includes(name)) {
+        throw new Error(`Unknown force ${name}; expected ${FORCE_NAMES.join(', ')} or all`);
+      }
+      if (/^j\d$/.test(name)) {
+        forces.zonalDegree = Math.max(forces.zonalDegree, parseInt(name.slice(1), 10));
+      } else if (name !== 'point-mass') {
+        forces[name] = true;
+      }
+    });
+    return forces;
+  }
+
+  /**
+   * Names of the forces in a model, the inverse of parseForces
+   * @param {Object} forces - {zonalDegree, drag, srp, sun, moon}
+   * @returns {Array} Names, ['point-mass'] for two-body gravity alone
+   */
+  static describeForces(forces) {
+    const names = [];
+    if (forces.zonalDegree >= 2) names.push(`j${forces.zonalDegree}`);
+    ['drag', 'srp', 'sun', 'moon'].forEach(name => {
+      if (forces[name]) names.push(name);
+    });
+    return names.length > 0 ? names : ['point-mass'];
+  }
+
+  /**
+   * Geocentric position of the Sun (low-precision series)
+   * @param {Date} date - Time
+   * @returns {Object} Position {x, y, z} in km, equatorial of date
+   */
+  static sunPosition(date) {
+    const T = (date.getTime() - J2000) / JULIAN_CENTURY_MS;
+    const M = (357.5256 + 35999.049 * T) * DEG;
+    const longitude = (282.94 + 1.3972 * T) * DEG + M + (6892 * Math.sin(M) + 72 * Math.sin(2 * M)) * ARCSEC;
+    const r = (149.619 - 2.499 * Math.cos(M) - 0.021 * Math.cos(2 * M)) * 1e6;
+    return {
+      x: r * Math.cos(longitude),
+      y: r * Math.sin(longitude) * Math.cos(OBLIQUITY),
+      z: r * Math.sin(longitude) * Math.sin(OBLIQUITY),
+    };
+  }
+
+  /**
+   * Geocentric position of the Moon (low-precision series)
+   * @param {Date} date - Time
+   * @returns {Object} Position {x, y, z} in km, equatorial of date
+   */
+  static moonPosition(date) {
+    const T = (date.getTime() - J2000) / JULIAN_CENTURY_MS;
+    const L0 = (218.31617 + 481267.88088 * T - 1.3972 * T) * DEG; // mean longitude
+    const l = (134.96292 + 477198.86753 * T) * DEG; // Moon's mean anomaly
+    const lp = (357.52543 + 35999.04944 * T) * DEG; // Sun's mean anomaly
+    const F = (93.27283 + 483202.01873 * T) * DEG; // argument of latitude
+    const D = (297.85027 + 445267.11135 * T) * DEG; // elongation from the Sun
+
+    const longitude = L0 + ARCSEC * (22640 * Math.sin(l) + 769 * Math.sin(2 * l)
+      - 4586 * Math.sin(l - 2 * D) + 2370 * Math.sin(2 * D) - 668 * Math.sin(lp)
+      - 412 * Math.sin(2 * F) - 212 * Math.sin(2 * l - 2 * D) - 206 * Math.sin(l + lp - 2 * D)
+      + 192 * Math.sin(l + 2 * D) - 165 * Math.sin(lp - 2 * D) + 148 * Math.sin(l - lp)
+      - 125 * Math.sin(D) - 110 * Math.sin(l + lp) - 55 * Math.sin(2 * F - 2 * D));
+    const latitude = ARCSEC * (18520 * Math.sin(F + longitude - L0 + ARCSEC * (412 * Math.sin(2 * F) + 541 * Math.sin(lp)))
+      - 526 * Math.sin(F - 2 * D) + 44 * Math.sin(l + F - 2 * D) - 31 * Math.sin(-l + F - 2 * D)
+      - 25 * Math.sin(-2 * l + F) - 23 * Math.sin(lp + F - 2 * D) + 21 * Math.sin(-l + F)
+      + 11 * Math.sin(-lp + F - 2 * D));
+    const r = 385000 - 20905 * Math.cos(l) - 3699 * Math.cos(2 * D - l) - 2956 * Math.cos(2 * D)
+      - 570 * Math.cos(2 * l) + 246 * Math.cos(2 * l - 2 * D) - 205 * Math.cos(lp - 2 * D)
+      - 171 * Math.cos(l + 2 * D) - 152 * Math.cos(l + lp - 2 * D);
+
+    // Ecliptic to equatorial
+    const x = r * Math.cos(latitude) * Math.cos(longitude);
+    const y = r * Math.cos(latitude) * Math.sin(longitude);
+    const z = r * Math.sin(latitude);
+    return {
+      x,
+      y: y * Math.cos(OBLIQUITY) - z * Math.sin(OBLIQUITY),
+      z: y * Math.sin(OBLIQUITY) + z * Math.cos(OBLIQUITY),
+    };
+  }
+
+  /**
+   * Acceleration under the force model
+   * Zonal terms follow from the gradient of mu Jn Re^n / r^(n+1) Pn(z/r),
+   * with the Legendre polynomials and their derivatives by recurrence.
+   * @param {Object} position - Position {x, y, z} in km
+   * @param {Object} velocity - Velocity {x, y, z} in km/s
+   * @param {Date} date - Time, for the Sun and Moon
+   * @param {Object} options - {forces (see parseForces), areaToMass (m^2/kg; drag and SRP need it),
+   *   dragCoefficient, reflectivity (Cr), density (altitude km => kg/m^3)}
+   * @returns {Object} Acceleration in km/s^2
+   */
+  static acceleration(position, velocity, date, options = {}) {
+    const {
+      forces = ALL_FORCES,
+      areaToMass = null,
+      dragCoefficient = 2.2,
+      reflectivity = 1.3,
+      density = NumericalPropagator.atmosphericDensity,
+    } = options;
+    const { x, y, z } = position;
+    const r2 = x * x + y * y + z * z;
+    const r = Math.sqrt(r2);
+    const r3 = r2 * r;
+
+    const accel = { x: -MU * x / r3, y: -MU * y / r3, z: -MU * z / r3 };
+
+    if (forces.zonalDegree >= 2) {
+      const s = z / r;
+      // P[n] and dP[n] = Pn'(s)
+      const P = [1, s];
+      const dP = [0, 1];
+      for (let n = 2; n <= forces.zonalDegree; n++) {
+        P[n] = ((2 * n - 1) * s * P[n - 1] - (n - 1) * P[n - 2]) / n;
+        dP[n] = dP[n - 2] + (2 * n - 1) * P[n - 1];
+        const factor = ZONALS[n] * MU * EARTH_RADIUS ** n / r ** (n + 2);
+        const horizontal = factor * ((n + 1) * P[n] + s * dP[n]);
+        accel.x += horizontal * x / r;
+        accel.y += horizontal * y / r;
+        accel.z += factor * ((n + 1) * s * P[n] - (1 - s * s) * dP[n]);
+      }
+    }
+
+    if (forces.drag && areaToMass) {
+      const drag = NumericalPropagator.dragAcceleration(position, velocity, areaToMass, dragCoefficient, density);
+      accel.x += drag.x;
+      accel.y += drag.y;
+      accel.z += drag.z;
+    }
+
+    const sun = forces.sun || (forces.srp && areaToMass) ? this.sunPosition(date) : null;
+    const thirdBody = (body, mu) => {
+      const dx = body.x - x;
+      const dy = body.y - y;
+      const dz = body.z - z;
+      const d3 = Math.hypot(dx, dy, dz) ** 3;
+      const s3 = Math.hypot(body.x, body.y, body.z) ** 3;
+      accel.x += mu * (dx / d3 - body.x / s3);
+      accel.y += mu * (dy / d3 - body.y / s3);
+      accel.z += mu * (dz / d3 - body.z / s3);
+    };
+    if (forces.sun) thirdBody(sun, MU_SUN);
+    if (forces.moon) thirdBody(this.moonPosition(date), MU_MOON);
+
+    if (forces.srp && areaToMass) {
+      // Cannonball model; no pressure inside the Earth's cylindrical shadow
+      const sunDistance = Math.hypot(sun.x, sun.y, sun.z);
+      const along = (x * sun.x + y * sun.y + z * sun.z) / sunDistance;
+      const shadowed = along < 0 && r2 - along * along < EARTH_RADIUS * EARTH_RADIUS;
+      if (!shadowed) {
+        const dx = x - sun.x;
+        const dy = y - sun.y;
+        const dz = z - sun.z;
+        const d = Math.hypot(dx, dy, dz);
+        // N/m^2 * m^2/kg -> m/s^2, /1000 -> km/s^2, away from the Sun
+        const factor = SOLAR_PRESSURE * reflectivity * areaToMass * (AU / d) ** 2 / 1000 / d;
+        accel.x += factor * dx;
+        accel.y += factor * dy;
+        accel.z += factor * dz;
+      }
+    }
+
+    return accel;
+  }
+
+  /**
+   * One Runge-Kutta-Fehlberg 7(8) step
+   * @param {Function} derivative - (t, y) => dy/dt
+   * @param {number} t - Time of y
+   * @param {Array} y - State vector
+   * @param {number} h - Step (may be negative)
+   * @returns {Object} {y (8th-order solution), error (estimated, per component)}
+   */
+  static rk78Step(derivative, t, y, h) {
+    const k = [];
+    for (let stage = 0; stage < 13; stage++) {
+      const row = RK78_A[stage];
+      const yStage = y.map((value, i) => {
+        let sum = 0;
+        for (let j = 0; j < row.length; j++) {
+          if (row[j] !== 0) sum += row[j] * k[j][i];
+        }
+        return value + h * sum;
+      });
+      k.push(derivative(t + RK78_C[stage] * h, yStage));
+    }
+
+    return {
+      y: y.map((value, i) => {
+        let sum = 0;
+        for (let stage = 0; stage < 13; stage++) {
+          if (RK78_B[stage] !== 0) sum += RK78_B[stage] * k[stage][i];
+        }
+        return value + h * sum;
+      }),
+      error: y.map((_, i) => RK78_ERROR * (k[0][i] + k[10][i] - k[11][i] - k[12][i]) * h),
+    };
+  }
+
+  /**
+   * Trajectory from a state
+   * @param {Object} state - {position, velocity} at the epoch
+   * @param {Date} epoch - Epoch of the state
+   * @param {Object} options - Force model options of acceleration(), plus {relativeTolerance,
+   *   absoluteTolerance, maxStepSeconds, maxDays, minAltitude}
+   * @returns {NumericalTrajectory} Trajectory providing stateAt(date)
+   */
+  static fromState(state, epoch, options = {}) {
+    return new NumericalTrajectory(state, epoch, { forces: ALL_FORCES, ...options });
+  }
+
+  /**
+   * Trajectory of a TLE object from its SGP4 state at the TLE epoch. The
+   * satrec's mean elements are kept for the screening prefilters. Trajectories
+   * are cached per satrec and options.
+   * @param {Object} satrec - Satellite record from OrbitPropagator.createSatrec
+   * @param {Object} options - As for fromState
+   * @returns {NumericalTrajectory} Trajectory providing stateAt(date)
+   * @throws {Error} If the TLE has no valid SGP4 state at its epoch
+   */
+  static trajectory(satrec, options = {}) {
+    if (typeof satrec.stateAt === 'function' || satrec.jdsatepoch === undefined) {
+      throw new Error('Numerical propagation needs a TLE satellite record');
+    }
+    const key = JSON.stringify(options);
+    let cached = trajectories.get(satrec);
+    if (!cached) {
+      cached = new Map();
+      trajectories.set(satrec, cached);
+    }
+    if (!cached.has(key)) {
+      const julianDate = satrec.jdsatepoch + (satrec.jdsatepochF || 0);
+      const epoch = new Date(Math.round((julianDate - 2440587.5) * 86400000));
+      const state = OrbitPropagator.propagate(satrec, epoch);
+      if (![...Object.values(state.position), ...Object.values(state.velocity)].every(Number.isFinite)) {
+        throw new Error('SGP4 gives no state at the TLE epoch to start from');
+      }
+      cached.set(key, new NumericalTrajectory(state, epoch, { forces: ALL_FORCES, ...options }, {
+        a: satrec.a,
+        ecco: satrec.ecco,
+        inclo: satrec.inclo,
+        no: satrec.no,
+      }));
+    }
+    return cached.get(key);
+  }
+
+  /**
+   * Propagate orbit to a specific time
+   * @param {Object} satrec - Satellite record
+   * @param {Date} date - Target date/time
+   * @param {Object} options - As for fromState
+   * @returns {Object} Position and velocity in TEME
+   */
+  static propagate(satrec, date, options = {}) {
+    return this.trajectory(satrec, options).stateAt(date);
+  }
+
+  /**
+   * Get position at multiple time points
+   * @param {Object} satrec - Satellite record
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {number} stepSeconds - Time step in seconds
+   * @param {Object} options - As for fromState
+   * @returns {Array} Array of position/velocity objects. If the object re-enters
+   *   the samples stop there and the last one has reentry: true.
+   */
+  static propagateRange(satrec, startDate, endDate, stepSeconds = 60, options = {}) {
+    return this.sample(this.trajectory(satrec, options), startDate, endDate, stepSeconds);
+  }
+
+  /**
+   * Propagate a state and sample it at a fixed interval, as
+   * NumericalPropagator.propagateRange does
+   * @param {Object} state - Initial {position, velocity}
+   * @param {Date} startDate - Epoch of the initial state
+   * @param {Date} endDate - End time
+   * @param {number} sampleSeconds - Output interval
+   * @param {Object} options - As for fromState
+   * @returns {Array} Array of {position, velocity, date}, the last with
+   *   reentry: true if the altitude drops below minAltitude
+   */
+  static propagateStateRange(state, startDate, endDate, sampleSeconds = 60, options = {}) {
+    const trajectory = this.fromState(state, startDate, {
+      maxDays: Math.max(0, (endDate - startDate) / 86400000),
+      ...options,
+    });
+    return this.sample(trajectory, startDate, endDate, sampleSeconds);
+  }
+
+  /**
+   * Sample a trajectory, stopping at re-entry
+   * @param {NumericalTrajectory} trajectory - Trajectory
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {number} stepSeconds - Time step in seconds
+   * @returns {Array} Array of {position, velocity, date}
+   */
+  static sample(trajectory, startDate, endDate, stepSeconds) {
+    const positions = [];
+    const current = new Date(startDate);
+
+    while (current <= endDate) {
+      try {
+        positions.push(trajectory.stateAt(new Date(current)));
+      } catch (error) {
+        const reentry = trajectory.reentryDate();
+        if (reentry && current > reentry) {
+          positions.push({ ...trajectory.stateAt(reentry), reentry: true });
+          break;
+        }
+        console.warn(`Propagation failed at ${current}: ${error.message}`);
+      }
+      current.setSeconds(current.getSeconds() + stepSeconds);
+    }
+
+    return positions;
+  }
+}
+
+export default HighPrecisionPropagator;
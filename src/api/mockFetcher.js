@@ -1,5 +1,12 @@
 import OrbitPropagator from './orbitPropagator.js';
 
+// Size of the generated catalog
+const MOCK_CATALOG_SIZE = 1000;
+
+// Generated once and shared by all instances so a NORAD ID refers to the same
+// orbit across requests, as it does with the real fetchers' caches
+let cachedCatalog = null;
+
 /**
  * Mock Data Fetcher
  * Generates sample debris data for testing without API dependencies
@@ -35,7 +42,7 @@ class MockFetcher {
     const debris = [];
 
     // Generate multiple debris objects with variations
-    for (let i = 0; i < Math.min(limit, 1000); i++) {
+    for (let i = 0; i < Math.min(limit, MOCK_CATALOG_SIZE); i++) {
       const baseTLE = this.sampleTLEs[i % this.sampleTLEs.length];
       
       // Create variations
@@ -88,11 +95,15 @@ class MockFetcher {
 
   /**
    * Fetch debris with caching (mock version)
-   * @param {Object} options - Options
-   * @returns {Promise<Array>} Debris data
+   * @param {Object} options - {limit (default 100, as fetchDebris), forceRefresh}
+   * @returns {Promise<Array>} The first `limit` objects of the cached catalog
    */
   async fetchDebrisWithCache(options = {}) {
-    return this.fetchDebris(options);
+    const { limit = 100, forceRefresh = false } = options;
+    if (forceRefresh || !cachedCatalog) {
+      cachedCatalog = await this.fetchDebris({ limit: MOCK_CATALOG_SIZE });
+    }
+    return cachedCatalog.slice(0, limit);
   }
 }
 
@@ -0,0 +1,189 @@
+import { MU, EARTH_RADIUS, J2, EARTH_ROTATION } from './constants.js';
+
+/**
+ * Numerical Propagator
+ * Integrates Cartesian states under two-body gravity plus J2 and, for
+ * objects with a known area-to-mass ratio, atmospheric drag, with a
+ * fixed-step RK4 scheme. States are {position (km), velocity (km/s)} in
+ * a quasi-inertial frame (TEME or GCRF); Earth rotation only enters
+ * through the co-rotating atmosphere.
+ */
+
+// Exponential atmosphere (Vallado, Table 8-4): [base altitude km, base density kg/m^3, scale height km]
+const ATMOSPHERE = [
+  [0, 1.225, 7.249],
+  [25, 3.899e-2, 6.349],
+  [30, 1.774e-2, 6.682],
+  [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382],
+  [60, 3.206e-4, 7.714],
+  [70, 8.770e-5, 6.549],
+  [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382],
+  [100, 5.297e-7, 5.877],
+  [110, 9.661e-8, 7.263],
+  [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636],
+  [140, 3.845e-9, 16.149],
+  [150, 2.070e-9, 22.523],
+  [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105],
+  [250, 7.248e-11, 45.546],
+  [300, 2.418e-11, 53.628],
+  [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515],
+  [450, 1.585e-12, 60.828],
+  [500, 6.967e-13, 63.822],
+  [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667],
+  [800, 1.170e-14, 124.64],
+  [900, 5.245e-15, 181.05],
+  [1000, 3.019e-15, 268.00],
+];
+
+class NumericalPropagator {
+  /**
+   * Altitude above a spherical Earth
+   * @param {Object} position - Position {x, y, z} in km
+   * @returns {number} Altitude in km
+   */
+  static altitude(position) {
+    const { x, y, z } = position;
+    return Math.sqrt(x * x + y * y + z * z) - EARTH_RADIUS;
+  }
+
+  /**
+   * Atmospheric density from the exponential model
+   * @param {number} altitude - Altitude in km
+   * @returns {number} Density in kg/m^3
+   */
+  static atmosphericDensity(altitude) {
+    let i = ATMOSPHERE.length - 1;
+    while (i > 0 && altitude < ATMOSPHERE[i][0]) i--;
+    const [base, density, scaleHeight] = ATMOSPHERE[i];
+    return density * Math.exp(-(Math.max(altitude, 0) - base) / scaleHeight);
+  }
+
+  /**
+   * Acceleration from gravity and, if areaToMass is given, drag
+   * @param {Object} position - Position {x, y, z} in km
+   * @param {Object} velocity - Velocity {x, y, z} in km/s
+   * @param {Object} options - {j2: boolean, areaToMass (m^2/kg), dragCoefficient}
+   * @returns {Object} Acceleration in km/s^2
+   */
+  static acceleration(position, velocity, options = {}) {
+    const { j2 = true, areaToMass = null, dragCoefficient = 2.2 } = options;
+    const { x, y, z } = position;
+    const r2 = x * x + y * y + z * z;
+    const r = Math.sqrt(r2);
+    const r3 = r2 * r;
+
+    const accel = { x: -MU * x / r3, y: -MU * y / r3, z: -MU * z / r3 };
+
+    if (j2) {
+      const factor = 1.5 * J2 * MU * EARTH_RADIUS * EARTH_RADIUS / (r3 * r2);
+      const zz = 5 * z * z / r2;
+      accel.x += factor * x * (zz - 1);
+      accel.y += factor * y * (zz - 1);
+      accel.z += factor * z * (zz - 3);
+    }
+
+    if (areaToMass) {
+      const drag = this.dragAcceleration(position, velocity, areaToMass, dragCoefficient);
+      accel.x += drag.x;
+      accel.y += drag.y;
+      accel.z += drag.z;
+    }
+
+    return accel;
+  }
+
+  /**
+   * Drag acceleration, against the velocity relative to the co-rotating atmosphere
+   * @param {Object} position - Position {x, y, z} in km
+   * @param {Object} velocity - Velocity {x, y, z} in km/s
+   * @param {number} areaToMass - A/m in m^2/kg
+   * @param {number} dragCoefficient - Cd
+   * @param {Function} density - Density (kg/m^3) from altitude (km), the exponential model by default
+   * @returns {Object} Acceleration in km/s^2
+   */
+  static dragAcceleration(position, velocity, areaToMass, dragCoefficient = 2.2, density = this.atmosphericDensity) {
+    const { x, y, z } = position;
+    const vx = velocity.x + EARTH_ROTATION * y;
+    const vy = velocity.y - EARTH_ROTATION * x;
+    const vz = velocity.z;
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    const altitude = Math.sqrt(x * x + y * y + z * z) - EARTH_RADIUS;
+    // rho [kg/m^3] * A/m [m^2/kg] * v^2 [km^2/s^2] * 1000 -> km/s^2
+    const factor = -0.5 * dragCoefficient * areaToMass * density(altitude) * speed * 1000;
+    return { x: factor * vx, y: factor * vy, z: factor * vz };
+  }
+
+  /**
+   * One RK4 step
+   * @param {Object} state - {position, velocity}
+   * @param {number} dt - Step in seconds (may be negative)
+   * @param {Object} options - Force model options for acceleration()
+   * @returns {Object} New {position, velocity}
+   */
+  static rk4Step(state, dt, options = {}) {
+    const add = (a, b, s) => ({ x: a.x + b.x * s, y: a.y + b.y * s, z: a.z + b.z * s });
+    const derivative = (position, velocity) => ({
+      dPosition: velocity,
+      dVelocity: this.acceleration(position, velocity, options),
+    });
+
+    const k1 = derivative(state.position, state.velocity);
+    const k2 = derivative(add(state.position, k1.dPosition, dt / 2), add(state.velocity, k1.dVelocity, dt / 2));
+    const k3 = derivative(add(state.position, k2.dPosition, dt / 2), add(state.velocity, k2.dVelocity, dt / 2));
+    const k4 = derivative(add(state.position, k3.dPosition, dt), add(state.velocity, k3.dVelocity, dt));
+
+    const combine = (key) => ({
+      x: (k1[key].x + 2 * k2[key].x + 2 * k3[key].x + k4[key].x) / 6,
+      y: (k1[key].y + 2 * k2[key].y + 2 * k3[key].y + k4[key].y) / 6,
+      z: (k1[key].z + 2 * k2[key].z + 2 * k3[key].z + k4[key].z) / 6,
+    });
+
+    return {
+      position: add(state.position, combine('dPosition'), dt),
+      velocity: add(state.velocity, combine('dVelocity'), dt),
+    };
+  }
+
+  /**
+   * Propagate a state and sample it at a fixed interval
+   * @param {Object} state - Initial {position, velocity}
+   * @param {Date} startDate - Epoch of the initial state
+   * @param {Date} endDate - End time
+   * @param {number} sampleSeconds - Output interval
+   * @param {Object} options - {stepSeconds (integration step), minAltitude (km),
+   *   plus the force model options of acceleration()}
+   * @returns {Array} Array of {position, velocity, date}. If the altitude drops
+   *   below minAltitude the propagation stops there and the last sample has
+   *   reentry: true.
+   */
+  static propagateRange(state, startDate, endDate, sampleSeconds = 60, options = {}) {
+    const { stepSeconds = 10, minAltitude = null } = options;
+    const samples = [{ ...state, date: new Date(startDate) }];
+    const totalSeconds = (endDate - startDate) / 1000;
+    let current = state;
+    let elapsed = 0;
+
+    for (let next = sampleSeconds; next <= totalSeconds + 1e-9; next += sampleSeconds) {
+      while (elapsed < next - 1e-9) {
+        const dt = Math.min(stepSeconds, next - elapsed);
+        current = this.rk4Step(current, dt, options);
+        elapsed += dt;
+        if (minAltitude !== null && this.altitude(current.position) < minAltitude) {
+          samples.push({ ...current, date: new Date(startDate.getTime() + elapsed * 1000), reentry: true });
+          return samples;
+        }
+      }
+      samples.push({ ...current, date: new Date(startDate.getTime() + next * 1000) });
+    }
+
+    return samples;
+  }
+}
+
+export default NumericalPropagator;
@@ -1,5 +1,6 @@
 import { propagate, twoline2satrec } from 'satellite.js';
 import TLEParser from './tleParser.js';
+import { MU, EARTH_RADIUS } from './constants.js';
 
 /**
  * Orbit Propagator
@@ -18,11 +19,16 @@ class OrbitPropagator {
 
   /**
    * Propagate orbit to a specific time
-   * @param {Object} satrec - Satellite record from createSatrec
+   * @param {Object} satrec - Satellite record from createSatrec, or any
+   *   trajectory object providing stateAt(date) (e.g. a manoeuvred orbit)
    * @param {Date} date - Target date/time
    * @returns {Object} Position and velocity in ECI coordinates
    */
   static propagate(satrec, date) {
+    if (typeof satrec.stateAt === 'function') {
+      return satrec.stateAt(date);
+    }
+
     const positionAndVelocity = propagate(satrec, date);
     
     if (positionAndVelocity.error) {
@@ -85,7 +91,6 @@ class OrbitPropagator {
    * @returns {Object} Orbital parameters
    */
   static calculateOrbitalParams(position, velocity) {
-    const GM = 398600.4418; // km^3/s^2
     const r = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
     const v = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
     
@@ -96,17 +101,16 @@ class OrbitPropagator {
     const h = Math.sqrt(hx ** 2 + hy ** 2 + hz ** 2);
     
     // Semi-major axis
-    const a = 1 / (2 / r - v ** 2 / GM);
+    const a = 1 / (2 / r - v ** 2 / MU);
     
     // Eccentricity
-    const e = Math.sqrt(1 - h ** 2 / (GM * a));
+    const e = Math.sqrt(1 - h ** 2 / (MU * a));
     
     // Period
-    const period = 2 * Math.PI * Math.sqrt(a ** 3 / GM);
+    const period = 2 * Math.PI * Math.sqrt(a ** 3 / MU);
     
     // Altitude
-    const earthRadius = 6378.137; // km
-    const altitude = r - earthRadius;
+    const altitude = r - EARTH_RADIUS;
     
     return {
       semiMajorAxis: a,
@@ -117,6 +121,83 @@ class OrbitPropagator {
     };
   }
 
+  /**
+   * Calculate classical orbital elements from position/velocity
+   * @param {Object} position - Position vector {x, y, z} in km
+   * @param {Object} velocity - Velocity vector {x, y, z} in km/s
+   * @returns {Object} Elements (angles in degrees, distances in km)
+   */
+  static calculateOrbitalElements(position, velocity) {
+    const r = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+    const v = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+    const rv = position.x * velocity.x + position.y * velocity.y + position.z * velocity.z;
+
+    // Specific angular momentum
+    const h = {
+      x: position.y * velocity.z - position.z * velocity.y,
+      y: position.z * velocity.x - position.x * velocity.z,
+      z: position.x * velocity.y - position.y * velocity.x,
+    };
+    const hMag = Math.sqrt(h.x ** 2 + h.y ** 2 + h.z ** 2);
+
+    // Node vector (k x h) and eccentricity vector
+    const n = { x: -h.y, y: h.x, z: 0 };
+    const nMag = Math.sqrt(n.x ** 2 + n.y ** 2);
+    const eVec = {
+      x: ((v ** 2 - MU / r) * position.x - rv * velocity.x) / MU,
+      y: ((v ** 2 - MU / r) * position.y - rv * velocity.y) / MU,
+      z: ((v ** 2 - MU / r) * position.z - rv * velocity.z) / MU,
+    };
+    const e = Math.sqrt(eVec.x ** 2 + eVec.y ** 2 + eVec.z ** 2);
+
+    const a = 1 / (2 / r - v ** 2 / MU);
+    const inclination = Math.acos(Math.max(-1, Math.min(1, h.z / hMag)));
+    const clampAcos = (x) => Math.acos(Math.max(-1, Math.min(1, x)));
+
+    // Undefined angles (equatorial or circular orbits) fall back to 0
+    let raan = nMag > 1e-10 ? clampAcos(n.x / nMag) : 0;
+    if (n.y < 0) raan = 2 * Math.PI - raan;
+
+    let argPerigee = 0;
+    if (nMag > 1e-10 && e > 1e-10) {
+      argPerigee = clampAcos((n.x * eVec.x + n.y * eVec.y) / (nMag * e));
+      if (eVec.z < 0) argPerigee = 2 * Math.PI - argPerigee;
+    }
+
+    let trueAnomaly;
+    if (e > 1e-10) {
+      trueAnomaly = clampAcos((eVec.x * position.x + eVec.y * position.y + eVec.z * position.z) / (e * r));
+      if (rv < 0) trueAnomaly = 2 * Math.PI - trueAnomaly;
+    } else {
+      // Circular: argument of latitude measured from the node
+      trueAnomaly = nMag > 1e-10
+        ? clampAcos((n.x * position.x + n.y * position.y) / (nMag * r))
+        : Math.atan2(position.y, position.x);
+      if (nMag > 1e-10 && position.z < 0) trueAnomaly = 2 * Math.PI - trueAnomaly;
+      if (trueAnomaly < 0) trueAnomaly += 2 * Math.PI;
+    }
+
+    let meanAnomaly = null;
+    if (e < 1) {
+      const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2), Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+      meanAnomaly = E - e * Math.sin(E);
+      if (meanAnomaly < 0) meanAnomaly += 2 * Math.PI;
+    }
+
+    const toDeg = 180 / Math.PI;
+    return {
+      semiMajorAxis: a,
+      eccentricity: e,
+      inclination: inclination * toDeg,
+      raan: raan * toDeg,
+      argPerigee: argPerigee * toDeg,
+      trueAnomaly: trueAnomaly * toDeg,
+      meanAnomaly: meanAnomaly === null ? null : meanAnomaly * toDeg,
+      perigee: a * (1 - e),
+      apogee: a * (1 + e),
+    };
+  }
+
   /**
    * Create satrec from parsed TLE data
    * @param {Object} tleData - Parsed TLE data from TLEParser
@@ -0,0 +1,188 @@
+import OrbitPropagator from './orbitPropagator.js';
+import FrameTransforms from './frameTransforms.js';
+
+/**
+ * Pass Predictor
+ * Finds ground-station passes (AOS / culmination / LOS) for a satellite
+ * by sampling with OrbitPropagator.propagateRange and refining the
+ * threshold crossings and peak elevation.
+ */
+class PassPredictor {
+  /**
+   * Look angles from the observer at a given time
+   * @param {Object} satrec - Satellite record
+   * @param {Date} date - UTC date
+   * @param {Object} observer - {latitude, longitude, altitude}
+   * @returns {Object} {azimuth, elevation, range, rangeRate}
+   */
+  static lookAnglesAt(satrec, date, observer) {
+    const state = OrbitPropagator.propagate(satrec, date);
+    return this.lookAnglesFromState(state, observer);
+  }
+
+  /**
+   * Look angles for an already propagated TEME state
+   * @param {Object} state - {position, velocity, date} from OrbitPropagator
+   * @param {Object} observer - {latitude, longitude, altitude}
+   * @returns {Object} {azimuth, elevation, range, rangeRate}
+   */
+  static lookAnglesFromState(state, observer) {
+    const itrf = FrameTransforms.temeToItrf(state.position, state.velocity, state.date);
+    return FrameTransforms.lookAngles(itrf, observer);
+  }
+
+  /**
+   * Bisect the time at which elevation crosses the threshold
+   * @param {Object} satrec - Satellite record
+   * @param {Object} observer - Observer location
+   * @param {number} t0 - Time (ms) on one side of the crossing
+   * @param {number} t1 - Time (ms) on the other side
+   * @param {number} minElevation - Threshold in degrees
+   * @param {number} toleranceMs - Stop when the bracket is this small
+   * @returns {Date} Crossing time
+   */
+  static findCrossing(satrec, observer, t0, t1, minElevation, toleranceMs = 500) {
+    let lo = t0;
+    let hi = t1;
+    const loAbove = this.lookAnglesAt(satrec, new Date(lo), observer).elevation >= minElevation;
+
+    while (hi - lo > toleranceMs) {
+      const mid = (lo + hi) / 2;
+      const midAbove = this.lookAnglesAt(satrec, new Date(mid), observer).elevation >= minElevation;
+      if (midAbove === loAbove) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return new Date(Math.round((lo + hi) / 2));
+  }
+
+  /**
+   * Golden-section search for the time of maximum elevation
+   * @param {Object} satrec - Satellite record
+   * @param {Object} observer - Observer location
+   * @param {number} t0 - Start of bracket (ms)
+   * @param {number} t1 - End of bracket (ms)
+   * @param {number} toleranceMs - Stop when the bracket is this small
+   * @returns {Date} Culmination time
+   */
+  static findCulmination(satrec, observer, t0, t1, toleranceMs = 500) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = t0;
+    let b = t1;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = this.lookAnglesAt(satrec, new Date(c), observer).elevation;
+    let fd = this.lookAnglesAt(satrec, new Date(d), observer).elevation;
+
+    while (b - a > toleranceMs) {
+      if (fc > fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - ratio * (b - a);
+        fc = this.lookAnglesAt(satrec, new Date(c), observer).elevation;
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + ratio * (b - a);
+        fd = this.lookAnglesAt(satrec, new Date(d), observer).elevation;
+      }
+    }
+
+    return new Date(Math.round((a + b) / 2));
+  }
+
+  /**
+   * Describe the geometry at a pass event
+   * @param {Object} satrec - Satellite record
+   * @param {Date} date - Event time
+   * @param {Object} observer - Observer location
+   * @returns {Object} Event {time, azimuth, elevation, range, rangeRate, subPoint}
+   */
+  static describeEvent(satrec, date, observer) {
+    const state = OrbitPropagator.propagate(satrec, date);
+    const itrf = FrameTransforms.temeToItrf(state.position, state.velocity, date);
+    return {
+      time: date.toISOString(),
+      ...FrameTransforms.lookAngles(itrf, observer),
+      subPoint: FrameTransforms.itrfToGeodetic(itrf.position),
+    };
+  }
+
+  /**
+   * Predict passes over a ground observer
+   * @param {Object} satrec - Satellite record
+   * @param {Object} observer - {latitude, longitude} in degrees, {altitude} in km
+   * @param {Date} startDate - Window start
+   * @param {Date} endDate - Window end
+   * @param {Object} options - {minElevation (deg), stepSeconds}
+   * @returns {Array} Passes with rise, culmination and set events
+   */
+  static predictPasses(satrec, observer, startDate, endDate, options = {}) {
+    const { minElevation = 0, stepSeconds = 30 } = options;
+    const samples = OrbitPropagator.propagateRange(satrec, startDate, endDate, stepSeconds)
+      .map(state => ({
+        t: state.date.getTime(),
+        elevation: this.lookAnglesFromState(state, observer).elevation,
+      }));
+
+    const passes = [];
+    let riseTime = null;
+    let risesBeforeWindow = false;
+
+    for (let i = 0; i < samples.length; i++) {
+      const above = samples[i].elevation >= minElevation;
+      const prev = samples[i - 1];
+
+      if (above && riseTime === null) {
+        if (prev) {
+          riseTime = this.findCrossing(satrec, observer, prev.t, samples[i].t, minElevation);
+        } else {
+          riseTime = new Date(samples[i].t);
+          risesBeforeWindow = true;
+        }
+      } else if (!above && riseTime !== null) {
+        const setTime = this.findCrossing(satrec, observer, prev.t, samples[i].t, minElevation);
+        passes.push(this.buildPass(satrec, observer, riseTime, setTime, risesBeforeWindow, false));
+        riseTime = null;
+        risesBeforeWindow = false;
+      }
+    }
+
+    // Pass still in progress at the end of the window
+    if (riseTime !== null && samples.length > 0) {
+      const lastTime = new Date(samples[samples.length - 1].t);
+      passes.push(this.buildPass(satrec, observer, riseTime, lastTime, risesBeforeWindow, true));
+    }
+
+    return passes;
+  }
+
+  /**
+   * Assemble a pass record between rise and set
+   * @param {Object} satrec - Satellite record
+   * @param {Object} observer - Observer location
+   * @param {Date} riseTime - AOS (or window start)
+   * @param {Date} setTime - LOS (or window end)
+   * @param {boolean} risesBeforeWindow - Pass was already in progress at window start
+   * @param {boolean} setsAfterWindow - Pass was still in progress at window end
+   * @returns {Object} Pass
+   */
+  static buildPass(satrec, observer, riseTime, setTime, risesBeforeWindow, setsAfterWindow) {
+    const culminationTime = this.findCulmination(satrec, observer, riseTime.getTime(), setTime.getTime());
+    return {
+      rise: this.describeEvent(satrec, riseTime, observer),
+      culmination: this.describeEvent(satrec, culminationTime, observer),
+      set: this.describeEvent(satrec, setTime, observer),
+      durationSeconds: (setTime - riseTime) / 1000,
+      risesBeforeWindow,
+      setsAfterWindow,
+    };
+  }
+}
+
+export default PassPredictor;
@@ -0,0 +1,217 @@
+import NumericalPropagator from './numericalPropagator.js';
+import { MU, EARTH_RADIUS, J2 } from './constants.js';
+
+/**
+ * Secular Propagator
+ * Propagates mean Keplerian elements over days to years: the J2 secular
+ * drift of the node, argument of perigee and mean anomaly, and the
+ * orbit-averaged drag decay of the semi-major axis and eccentricity
+ * (King-Hele), by default in the exponential atmosphere. Cheap enough to
+ * follow thousands of fragments, where NumericalPropagator follows a few
+ * for hours.
+ * Angles are in degrees, distances in km; osculating elements are taken
+ * as mean elements.
+ */
+
+const DEG = Math.PI / 180;
+
+const wrap = (degrees) => ((degrees % 360) + 360) % 360;
+
+class SecularPropagator {
+  /**
+   * J2 secular rates
+   * @param {Object} elements - {semiMajorAxis, eccentricity, inclination}
+   * @returns {Object} {raan, argPerigee, meanAnomaly} in deg/s
+   */
+  static rates(elements) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const n = Math.sqrt(MU / (a * a * a)); // rad/s
+    const p = a * (1 - e * e);
+    const factor = 1.5 * J2 * (EARTH_RADIUS / p) ** 2 * n;
+    const cosI = Math.cos(elements.inclination * DEG);
+    return {
+      raan: -factor * cosI / DEG,
+      argPerigee: 0.5 * factor * (5 * cosI * cosI - 1) / DEG,
+      meanAnomaly: (n + 0.5 * factor * Math.sqrt(1 - e * e) * (3 * cosI * cosI - 1)) / DEG,
+    };
+  }
+
+  /**
+   * Orbit-averaged drag decay (King-Hele):
+   * da/dt = -Cd (A/m) sqrt(mu a) <rho (1 + e cos E)^3/2 / (1 - e cos E)^1/2>
+   * de/dt = -Cd (A/m) sqrt(mu / a) (1 - e^2) <rho ((1 + e cos E) / (1 - e cos E))^1/2 cos E>
+   * averaged over the eccentric anomaly E. The quadrature is refined for
+   * eccentric orbits, where the drag is concentrated around perigee.
+   * @param {Object} elements - {semiMajorAxis, eccentricity}
+   * @param {number} areaToMass - A/m (m^2/kg)
+   * @param {number} dragCoefficient - Cd
+   * @param {Function} density - altitude (km) => kg/m^3
+   * @returns {Object} {semiMajorAxis (km/s), eccentricity (1/s)}, both negative or zero
+   */
+  static decayRates(elements, areaToMass, dragCoefficient = 2.2, density = NumericalPropagator.atmosphericDensity) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const perigee = a * (1 - e) - EARTH_RADIUS;
+    const scaleHeight = 1 / Math.max(1e-6, Math.log(density(perigee) / density(perigee + 1)));
+    // Points across the perigee passage, whose width in E is about 1/sqrt(ae/H)
+    const points = Math.min(1024, Math.max(16, Math.ceil(40 * Math.sqrt(a * e / scaleHeight))));
+
+    let sumA = 0;
+    let sumE = 0;
+    for (let k = 0; k < points; k++) {
+      const cosE = Math.cos((2 * Math.PI * k) / points);
+      const rho = density(a * (1 - e * cosE) - EARTH_RADIUS);
+      const ratio = (1 + e * cosE) / (1 - e * cosE);
+      sumA += rho * (1 + e * cosE) * Math.sqrt(ratio);
+      sumE += rho * Math.sqrt(ratio) * cosE;
+    }
+
+    const delta = dragCoefficient * areaToMass; // m^2/kg
+    const aMetres = a * 1000;
+    return {
+      semiMajorAxis: -delta * Math.sqrt(MU * 1e9 * aMetres) * (sumA / points) / 1000,
+      eccentricity: e > 0 ? Math.min(0, -delta * Math.sqrt(MU * 1e9 / aMetres) * (1 - e * e) * (sumE / points)) : 0,
+    };
+  }
+
+  /**
+   * Time step for the drag decay: short enough for the perigee height to
+   * change by a small part of itself, the apogee height by under 5% and the
+   * eccentricity by under 10%
+   * @param {Object} elements - Current elements
+   * @param {Object} decay - Rates from decayRates
+   * @returns {number} Seconds, at least 60
+   */
+  static decayStepSeconds(elements, decay) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const perigee = a * (1 - e) - EARTH_RADIUS;
+    const apogee = a * (1 + e) - EARTH_RADIUS;
+    const perigeeRate = Math.abs(decay.semiMajorAxis * (1 - e) - a * decay.eccentricity);
+    const apogeeRate = Math.abs(decay.semiMajorAxis * (1 + e) + a * decay.eccentricity);
+    const limits = [
+      Math.min(20, Math.max(0.5, 0.02 * perigee)) / perigeeRate,
+      Math.max(0.5, 0.05 * apogee) / apogeeRate,
+      Math.max(0.1 * e, 1e-4) / Math.abs(decay.eccentricity),
+    ];
+    return Math.max(60, Math.min(...limits.filter(Number.isFinite)));
+  }
+
+  /**
+   * Propagate elements over a time span
+   * @param {Object} elements - {semiMajorAxis, eccentricity, inclination, raan, argPerigee, meanAnomaly}
+   * @param {number} seconds - Time span (s)
+   * @param {Object} options - {areaToMass (m^2/kg, omit for no drag), dragCoefficient,
+   *   density (altitude km => kg/m^3)}
+   * @returns {Object} Elements after the span
+   */
+  static step(elements, seconds, options = {}) {
+    const { areaToMass = null, dragCoefficient = 2.2, density } = options;
+    let current = { ...elements };
+    let remaining = seconds;
+
+    while (remaining > 0 && current.semiMajorAxis * (1 - current.eccentricity) > EARTH_RADIUS) {
+      const decay = areaToMass
+        ? this.decayRates(current, areaToMass, dragCoefficient, density)
+        : { semiMajorAxis: 0, eccentricity: 0 };
+      const dt = Math.min(remaining, this.decayStepSeconds(current, decay));
+      const rates = this.rates(current);
+
+      current = {
+        ...current,
+        semiMajorAxis: current.semiMajorAxis + decay.semiMajorAxis * dt,
+        eccentricity: Math.max(0, current.eccentricity + decay.eccentricity * dt),
+        raan: wrap(current.raan + rates.raan * dt),
+        argPerigee: wrap(current.argPerigee + rates.argPerigee * dt),
+        meanAnomaly: wrap(current.meanAnomaly + rates.meanAnomaly * dt),
+      };
+      remaining -= dt;
+    }
+
+    return current;
+  }
+
+  /**
+   * Time until drag brings the perigee down to a re-entry altitude
+   * @param {Object} elements - {semiMajorAxis, eccentricity}
+   * @param {Object} options - {areaToMass (m^2/kg), dragCoefficient, density,
+   *   minAltitude (km), maxSeconds}
+   * @returns {number|null} Seconds, 0 if the perigee is already below
+   *   minAltitude, or null if the orbit outlasts maxSeconds
+   */
+  static decayTime(elements, options = {}) {
+    const { areaToMass, dragCoefficient = 2.2, density, minAltitude = 100, maxSeconds = 100 * 365.25 * 86400 } = options;
+    let { semiMajorAxis, eccentricity } = elements;
+    let elapsed = 0;
+
+    while (semiMajorAxis * (1 - eccentricity) - EARTH_RADIUS >= minAltitude) {
+      if (elapsed >= maxSeconds) return null;
+      const current = { semiMajorAxis, eccentricity };
+      const decay = this.decayRates(current, areaToMass, dragCoefficient, density);
+      if (decay.semiMajorAxis === 0) return null;
+      const dt = Math.min(maxSeconds - elapsed, this.decayStepSeconds(current, decay));
+      semiMajorAxis += decay.semiMajorAxis * dt;
+      eccentricity = Math.max(0, eccentricity + decay.eccentricity * dt);
+      elapsed += dt;
+    }
+
+    return elapsed;
+  }
+
+  /**
+   * Sample elements over a range
+   * @param {Object} elements - Elements at startDate
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {number} sampleSeconds - Interval between samples
+   * @param {Object} options - {areaToMass, dragCoefficient, density, minAltitude (km)}
+   * @returns {Array} Array of {date, elements}. If the perigee falls below
+   *   minAltitude the propagation stops there and the last sample has
+   *   reentry: true.
+   */
+  static propagateRange(elements, startDate, endDate, sampleSeconds = 21600, options = {}) {
+    const { minAltitude = null } = options;
+    const samples = [{ date: new Date(startDate), elements: { ...elements } }];
+    const totalSeconds = (endDate - startDate) / 1000;
+    let current = elements;
+
+    for (let elapsed = sampleSeconds; elapsed <= totalSeconds + 1e-9; elapsed += sampleSeconds) {
+      current = this.step(current, sampleSeconds, options);
+      const date = new Date(startDate.getTime() + elapsed * 1000);
+      if (minAltitude !== null && current.semiMajorAxis * (1 - current.eccentricity) - EARTH_RADIUS < minAltitude) {
+        samples.push({ date, elements: current, reentry: true });
+        return samples;
+      }
+      samples.push({ date, elements: current });
+    }
+
+    return samples;
+  }
+
+  /**
+   * Position from elements
+   * @param {Object} elements - {semiMajorAxis, eccentricity, inclination, raan, argPerigee, meanAnomaly}
+   * @returns {Object} Position {x, y, z} in km, in the elements' frame
+   */
+  static position(elements) {
+    const { semiMajorAxis: a, eccentricity: e } = elements;
+    const M = elements.meanAnomaly * DEG;
+    let E = e < 0.8 ? M : Math.PI;
+    for (let i = 0; i < 20; i++) {
+      const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-10) break;
+    }
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const [cosO, sinO] = [Math.cos(elements.raan * DEG), Math.sin(elements.raan * DEG)];
+    const [cosI, sinI] = [Math.cos(elements.inclination * DEG), Math.sin(elements.inclination * DEG)];
+    const [cosW, sinW] = [Math.cos(elements.argPerigee * DEG), Math.sin(elements.argPerigee * DEG)];
+    return {
+      x: (cosO * cosW - sinO * sinW * cosI) * xp + (-cosO * sinW - sinO * cosW * cosI) * yp,
+      y: (sinO * cosW + cosO * sinW * cosI) * xp + (-sinO * sinW + cosO * cosW * cosI) * yp,
+      z: sinW * sinI * xp + cosW * sinI * yp,
+    };
+  }
+}
+
+export default SecularPropagator;
@@ -0,0 +1,163 @@
+/**
+ * TIP Parser
+ * Reads Space-Track Tracking and Impact Prediction (TIP) messages, as
+ * returned by the `tip` class in JSON or CSV, into re-entry predictions:
+ * the decay epoch, its +/- window, and the predicted location on the
+ * final revolution.
+ */
+
+const REQUIRED_FIELDS = ['NORAD_CAT_ID', 'DECAY_EPOCH'];
+
+class TIPParser {
+  /**
+   * Parse TIP messages in either format
+   * @param {string} text - JSON (one message or an array) or CSV with a header row
+   * @returns {Array} Messages from toMessage()
+   */
+  static parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('TIP text is empty');
+    }
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      let records;
+      try {
+        records = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Invalid TIP JSON: ${error.message}`);
+      }
+      return this.fromRecords(records);
+    }
+    return this.fromRecords(this.parseCSV(trimmed));
+  }
+
+  /**
+   * Convert Space-Track records to messages
+   * @param {Object|Array} records - One record or an array of records keyed by Space-Track field names
+   * @returns {Array} Messages from toMessage()
+   */
+  static fromRecords(records) {
+    const list = Array.isArray(records) ? records : [records];
+    if (list.length === 0) {
+      throw new Error('No TIP messages found');
+    }
+    return list.map((record, index) => {
+      try {
+        return this.toMessage(record);
+      } catch (error) {
+        throw new Error(`TIP message ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Parse CSV with a header row; values may be double-quoted
+   * @param {string} text - CSV text
+   * @returns {Array} Records keyed by header
+   */
+  static parseCSV(text) {
+    const splitLine = (line) => {
+      const values = [];
+      let value = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+          if (char === '"' && line[i + 1] === '"') {
+            value += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            value += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          values.push(value.trim());
+          value = '';
+        } else {
+          value += char;
+        }
+      }
+      values.push(value.trim());
+      return values;
+    };
+
+    const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim());
+    const keys = splitLine(header).map(key => key.toUpperCase());
+    if (!REQUIRED_FIELDS.every(key => keys.includes(key))) {
+      throw new Error(`TIP CSV header must include ${REQUIRED_FIELDS.join(' and ')}`);
+    }
+    return rows.map(row => {
+      const values = splitLine(row);
+      return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    });
+  }
+
+  /**
+   * Numeric field, or null if absent
+   */
+  static number(record, key) {
+    if (record[key] === undefined || record[key] === null || record[key] === '') return null;
+    const value = parseFloat(record[key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`field ${key} is not a number: ${record[key]}`);
+    }
+    return value;
+  }
+
+  /**
+   * Space-Track epoch (UTC, "YYYY-MM-DD HH:MM:SS") to Date
+   * @param {string} value - Epoch string
+   * @returns {Date|null} Date, null if absent
+   */
+  static parseEpoch(value) {
+    if (!value) return null;
+    const iso = String(value).trim().replace(' ', 'T');
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+    if (isNaN(date.getTime())) {
+      throw new Error(`invalid epoch: ${value}`);
+    }
+    return date;
+  }
+
+  /**
+   * Convert one Space-Track record to a message
+   * @param {Object} record - Record keyed by Space-Track field names
+   * @returns {Object} {noradId, messageEpoch, decayEpoch, windowMinutes, rev, direction,
+   *   latitude, longitude (deg), inclination (deg), nextReportHours, highInterest, id}
+   */
+  static toMessage(record) {
+    if (!record || typeof record !== 'object') {
+      throw new Error('not a TIP record');
+    }
+    const fields = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.toUpperCase(), value]));
+    const noradId = parseInt(fields.NORAD_CAT_ID ?? fields.OBJECT_NUMBER, 10);
+    if (!Number.isFinite(noradId)) {
+      throw new Error('missing NORAD_CAT_ID');
+    }
+    const decayEpoch = this.parseEpoch(fields.DECAY_EPOCH);
+    if (!decayEpoch) {
+      throw new Error('missing DECAY_EPOCH');
+    }
+
+    return {
+      noradId,
+      messageEpoch: this.parseEpoch(fields.MSG_EPOCH),
+      insertEpoch: this.parseEpoch(fields.INSERT_EPOCH),
+      decayEpoch,
+      windowMinutes: this.number(fields, 'WINDOW') ?? 0,
+      rev: this.number(fields, 'REV'),
+      direction: fields.DIRECTION ? String(fields.DIRECTION).toLowerCase() : null,
+      latitude: this.number(fields, 'LAT'),
+      longitude: this.number(fields, 'LON'),
+      inclination: this.number(fields, 'INCL'),
+      nextReportHours: this.number(fields, 'NEXT_REPORT'),
+      highInterest: String(fields.HIGH_INTEREST || '').toUpperCase() === 'Y',
+      id: fields.ID ?? null,
+    };
+  }
+}
+
+export default TIPParser;
@@ -0,0 +1,328 @@
+import OrbitPropagator from './orbitPropagator.js';
+import NumericalPropagator from './numericalPropagator.js';
+import { MU } from './constants.js';
+
+/**
+ * TLE Fitter
+ * Turns a Cartesian state into a two-line element set by SGP4 differential
+ * correction: the state is propagated numerically (two-body, J2, drag) over
+ * an arc, and the mean elements are adjusted by damped least squares
+ * (Levenberg-Marquardt) until SGP4 reproduces the arc. The fit works on
+ * formatted TLE text, so the result is exactly what the published TLE gives.
+ */
+
+const MINUTES_PER_DAY = 1440;
+// SGP4 reference density times Earth radius, for B* (kg/m^2/ER)
+const BSTAR_RHO0 = 0.15696615;
+
+// Fitted parameters and finite-difference steps: revs/day, -, then degrees
+const PARAMETERS = ['meanMotion', 'eccentricity', 'inclination', 'raan', 'argPerigee', 'meanAnomaly'];
+const STEPS = [1e-5, 1e-5, 1e-2, 1e-2, 1e-2, 1e-2];
+
+const wrap360 = (angle) => ((angle % 360) + 360) % 360;
+
+class TLEFitter {
+  /**
+   * TLE line checksum (digits summed, '-' counts as 1, modulo 10)
+   * @param {string} line - First 68 characters of a TLE line
+   * @returns {number} Checksum digit
+   */
+  static checksum(line) {
+    let sum = 0;
+    for (const char of line.slice(0, 68)) {
+      if (char >= '0' && char <= '9') sum += Number(char);
+      if (char === '-') sum += 1;
+    }
+    return sum % 10;
+  }
+
+  /**
+   * TLE assumed-decimal exponent field (e.g. B* 0.12345e-3 -> ' 12345-3')
+   * @param {number} value - Value
+   * @returns {string} 8-character field
+   */
+  static formatExponent(value) {
+    if (!value) return ' 00000-0';
+    const sign = value < 0 ? '-' : ' ';
+    let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+    let mantissa = Math.round(Math.abs(value) / Math.pow(10, exponent) * 1e5);
+    if (mantissa >= 1e5) {
+      mantissa /= 10;
+      exponent += 1;
+    }
+    if (exponent > 9 || exponent < -9) {
+      throw new Error(`Value ${value} cannot be written in a TLE exponent field`);
+    }
+    return `${sign}${String(mantissa).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+  }
+
+  /**
+   * TLE epoch field (YYDDD.DDDDDDDD)
+   * @param {Date} epoch - Epoch
+   * @returns {string} 14-character field
+   */
+  static formatEpoch(epoch) {
+    const year = epoch.getUTCFullYear();
+    const dayOfYear = (epoch.getTime() - Date.UTC(year, 0, 1)) / 86400000 + 1;
+    return `${String(year % 100).padStart(2, '0')}${dayOfYear.toFixed(8).padStart(12, '0')}`;
+  }
+
+  /**
+   * B* drag term for an area-to-mass ratio
+   * @param {number} areaToMass - A/m in m^2/kg
+   * @param {number} dragCoefficient - Cd
+   * @returns {number} B* in 1/Earth radii
+   */
+  static bstarFromAreaToMass(areaToMass, dragCoefficient = 2.2) {
+    return 0.5 * dragCoefficient * areaToMass * BSTAR_RHO0;
+  }
+
+  /**
+   * Area-to-mass ratio implied by a TLE's B*
+   * @param {number} bstar - B* (1/Earth radii)
+   * @param {number} dragCoefficient - Cd
+   * @returns {number|null} A/m (m^2/kg), null if B* carries no drag information
+   */
+  static areaToMassFromBstar(bstar, dragCoefficient = 2.2) {
+    if (!(bstar > 0)) return null;
+    return (2 * bstar) / (BSTAR_RHO0 * dragCoefficient);
+  }
+
+  /**
+   * Write a TLE
+   * @param {Object} elements - {meanMotion (rev/day), eccentricity, inclination, raan,
+   *   argPerigee, meanAnomaly (deg)}
+   * @param {Object} options - {noradId, epoch, bstar, internationalDesignator, elementSet}
+   * @returns {Object} {line1, line2}
+   */
+  static formatTLE(elements, options) {
+    const { noradId, epoch, bstar = 0, internationalDesignator = '', elementSet = 999 } = options;
+    const satnum = String(noradId).padStart(5, '0');
+    if (satnum.length !== 5) {
+      throw new Error(`NORAD ID ${noradId} does not fit the TLE catalog number field`);
+    }
+    const angle = (value) => wrap360(value).toFixed(4).padStart(8, ' ');
+
+    const body1 = `1 ${satnum}U ${internationalDesignator.padEnd(8).slice(0, 8)} ${this.formatEpoch(epoch)} `
+      + ` .00000000  00000-0 ${this.formatExponent(bstar)} 0 ${String(elementSet).padStart(4, ' ')}`;
+    const ecc = Math.round(Math.min(Math.max(elements.eccentricity, 0), 0.9999999) * 1e7);
+    const body2 = `2 ${satnum} ${elements.inclination.toFixed(4).padStart(8, ' ')} ${angle(elements.raan)} `
+      + `${String(ecc).padStart(7, '0')} ${angle(elements.argPerigee)} ${angle(elements.meanAnomaly)} `
+      + `${elements.meanMotion.toFixed(8).padStart(11, ' ')}    0`;
+
+    return {
+      line1: `${body1}${this.checksum(body1)}`,
+      line2: `${body2}${this.checksum(body2)}`,
+    };
+  }
+
+  /**
+   * Initial guess: osculating elements of the state
+   * @param {Object} state - {position (km), velocity (km/s)}
+   * @returns {Object} TLE elements
+   */
+  static initialElements(state) {
+    const osc = OrbitPropagator.calculateOrbitalElements(state.position, state.velocity);
+    if (!(osc.eccentricity < 1) || !(osc.semiMajorAxis > 0)) {
+      throw new Error('State is not on a closed orbit');
+    }
+    return {
+      meanMotion: Math.sqrt(MU / osc.semiMajorAxis ** 3) * 86400 / (2 * Math.PI),
+      eccentricity: osc.eccentricity,
+      inclination: osc.inclination,
+      raan: osc.raan,
+      argPerigee: osc.argPerigee,
+      meanAnomaly: osc.meanAnomaly,
+    };
+  }
+
+  /**
+   * Fit a TLE to a state vector
+   * @param {Object} state - {position (km), velocity (km/s)} in TEME at the epoch
+   * @param {Date} epoch - Epoch of the state and of the TLE
+   * @param {Object} options - {noradId, internationalDesignator, areaToMass (m^2/kg),
+   *   dragCoefficient, arcRevolutions, samples, maxIterations, minAltitude (km)}
+   * @returns {Object} {line1, line2, satrec, elements, bstar, rms (km), iterations, converged}
+   */
+  static fit(state, epoch, options = {}) {
+    const {
+      noradId = 99999,
+      internationalDesignator = '',
+      areaToMass = null,
+      dragCoefficient = 2.2,
+      arcRevolutions = 1,
+      samples = 24,
+      maxIterations = 20,
+      minAltitude = 100,
+    } = options;
+
+    let elements = this.initialElements(state);
+    const bstar = areaToMass ? this.bstarFromAreaToMass(areaToMass, dragCoefficient) : 0;
+    const tleOptions = { noradId, epoch, bstar, internationalDesignator };
+
+    // Reference arc from the numerical propagator
+    const periodSeconds = 86400 / elements.meanMotion;
+    const sampleSeconds = periodSeconds * arcRevolutions / samples;
+    const arc = NumericalPropagator.propagateRange(
+      state,
+      epoch,
+      new Date(epoch.getTime() + sampleSeconds * samples * 1000),
+      sampleSeconds,
+      { stepSeconds: Math.min(10, sampleSeconds), areaToMass, dragCoefficient, minAltitude }
+    );
+    if (arc[arc.length - 1].reentry) {
+      throw new Error(`Orbit decays below ${minAltitude} km within the fit arc`);
+    }
+
+    // Position residuals (km) of SGP4 against the arc
+    const residuals = (candidate) => {
+      const { line1, line2 } = this.formatTLE(candidate, tleOptions);
+      const satrec = OrbitPropagator.createSatrec(line1, line2);
+      const result = [];
+      for (const point of arc) {
+        const predicted = OrbitPropagator.propagate(satrec, point.date).position;
+        if (!Number.isFinite(predicted.x)) return null;
+        result.push(point.position.x - predicted.x, point.position.y - predicted.y, point.position.z - predicted.z);
+      }
+      return result;
+    };
+    const rmsOf = (r) => Math.sqrt(r.reduce((sum, v) => sum + v * v, 0) / (r.length / 3));
+    const perturb = (base, k, amount) => {
+      const next = { ...base, [PARAMETERS[k]]: base[PARAMETERS[k]] + amount };
+      next.eccentricity = Math.min(Math.max(next.eccentricity, 0), 0.999);
+      next.inclination = Math.min(Math.max(next.inclination, 0), 180);
+      return next;
+    };
+
+    let current = residuals(elements);
+    if (!current) {
+      throw new Error('SGP4 cannot propagate the initial elements');
+    }
+    let rms = rmsOf(current);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && !converged) {
+      iterations++;
+
+      // Jacobian of the SGP4 positions by forward differences
+      const columns = [];
+      for (let k = 0; k < PARAMETERS.length; k++) {
+        const shifted = residuals(perturb(elements, k, STEPS[k]));
+        if (!shifted) {
+          throw new Error('SGP4 failed while differencing the elements');
+        }
+        // residual = truth - sgp4, so d(sgp4)/dp = -(d residual)/dp
+        columns.push(shifted.map((v, i) => (current[i] - v) / STEPS[k]));
+      }
+
+      // Normal equations J^T J dx = J^T r
+      const n = PARAMETERS.length;
+      const normal = Array.from({ length: n }, (_, a) =>
+        Array.from({ length: n }, (__, b) => columns[a].reduce((sum, v, i) => sum + v * columns[b][i], 0)));
+      const rhs = columns.map(column => column.reduce((sum, v, i) => sum + v * current[i], 0));
+
+      let improved = false;
+      while (lambda < 1e8) {
+        const damped = normal.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) : v)));
+        const dx = solveLinear(damped, rhs);
+        let candidate = elements;
+        if (dx) {
+          dx.forEach((step, k) => {
+            candidate = perturb(candidate, k, step);
+          });
+        }
+        const trial = dx ? residuals(candidate) : null;
+        const trialRms = trial ? rmsOf(trial) : Infinity;
+        if (trialRms < rms) {
+          converged = (rms - trialRms) < 1e-4 * rms + 1e-4;
+          elements = candidate;
+          current = trial;
+          rms = trialRms;
+          lambda = Math.max(lambda / 10, 1e-7);
+          improved = true;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!improved) {
+        // No step lowers the residual: at the TLE's resolution
+        converged = true;
+      }
+    }
+
+    const tle = this.formatTLE(elements, tleOptions);
+    return {
+      ...tle,
+      satrec: OrbitPropagator.createSatrec(tle.line1, tle.line2),
+      elements: { ...elements, raan: wrap360(elements.raan), argPerigee: wrap360(elements.argPerigee), meanAnomaly: wrap360(elements.meanAnomaly) },
+      bstar,
+      rms,
+      iterations,
+      converged,
+    };
+  }
+
+  /**
+   * Fit TLEs to debris fragments
+   * @param {Array} fragments - Fragments from generateDebris
+   * @param {Date} epoch - Breakup time
+   * @param {Array} noradIds - Catalog number for each fragment
+   * @param {Object} options - fit() options (dragCoefficient, ...)
+   * @returns {Array} Per fragment {fragmentId, noradId, line1, line2, satrec, elements,
+   *   bstar, rms, converged}, or {fragmentId, noradId, error} if it cannot be fitted
+   */
+  static fitFragments(fragments, epoch, noradIds, options = {}) {
+    return fragments.map((fragment, i) => {
+      // Models without an A/m distribution: sphere of the fragment's size
+      const areaToMass = fragment.areaToMass
+        ?? Math.PI * (fragment.size / 2) ** 2 / fragment.mass;
+      try {
+        return {
+          fragmentId: fragment.id,
+          noradId: noradIds[i],
+          ...this.fit({ position: fragment.position, velocity: fragment.velocity }, epoch, {
+            ...options,
+            noradId: noradIds[i],
+            areaToMass,
+          }),
+        };
+      } catch (error) {
+        return { fragmentId: fragment.id, noradId: noradIds[i], error: error.message };
+      }
+    });
+  }
+}
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial pivoting
+ * @param {Array} matrix - n x n
+ * @param {Array} vector - n
+ * @returns {Array|null} Solution, or null if singular
+ */
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-300) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+export default TLEFitter;
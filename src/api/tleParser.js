@@ -1,3 +1,5 @@
+import { MU, EARTH_RADIUS } from './constants.js';
+
 /**
  * TLE (Two-Line Element) Parser
  * Parses NORAD TLE format and extracts orbital elements
@@ -51,10 +53,8 @@ class TLEParser {
     // Handle 2-digit year (assume 2000-2099)
     const fullYear = year < 57 ? 2000 + year : 1900 + year;
     
-    const date = new Date(fullYear, 0, 1);
-    date.setDate(date.getDate() + dayOfYear - 1);
-    
-    return date;
+    // Day 1.0 is 00:00 UTC on 1 January; keep the fraction of the day
+    return new Date(Date.UTC(fullYear, 0, 1) + (dayOfYear - 1) * 86400000);
   }
 
   /**
@@ -76,7 +76,7 @@ class TLEParser {
    */
   static getOrbitType(tleData) {
     const period = (24 * 60 * 60) / tleData.meanMotion; // seconds
-    const altitude = Math.pow((398600.4418 * Math.pow(period / (2 * Math.PI), 2)), 1/3) - 6378.137; // km
+    const altitude = Math.pow((MU * Math.pow(period / (2 * Math.PI), 2)), 1/3) - EARTH_RADIUS; // km
 
     if (altitude < 2000) return 'LEO';
     if (altitude < 35786) return 'MEO';
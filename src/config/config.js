@@ -12,6 +12,8 @@ const config = {
   // Data Source Selection
   // Options: 'mock' (no API needed), 'spacetrack' (requires free account), 'discos', 'keeptrack'
   dataSource: process.env.DATA_SOURCE || 'mock',
+  // Objects requested from the data source when the whole catalog is needed
+  catalogLimit: parseInt(process.env.CATALOG_LIMIT || '10000', 10),
   
   // DISCOS API (ESA) - Recommended, no auth required
   discos: {
@@ -48,6 +50,132 @@ const config = {
     defaultTimeStep: 60, // seconds
     collisionThreshold: 1000, // meters - minimum distance for collision detection
     debrisGenerationMultiplier: 100, // number of fragments per collision
+    models: {
+      directory: process.env.COLLISION_MODELS_DIR || join(__dirname, '../models/models'), // collision models loaded at startup
+    },
+    screening: {
+      maxObjects: parseInt(process.env.SCREENING_MAX_OBJECTS || '5000', 10), // catalog screening cap
+      maxWindowHours: 168, // longest detect window
+      apogeePerigeePad: 25, // km - margin on the apogee/perigee prefilter
+      orbitPathPad: 25, // km - margin on the orbit-path prefilter
+      pathFilterStepHours: 6, // how often orbit planes are re-sampled for the path filter
+    },
+    probability: {
+      method: 'foster', // 'foster', 'chan' or 'max'; max-Pc is used whenever no covariance is supplied
+    },
+    cdm: {
+      recomputeWindowMinutes: 30, // search either side of an imported CDM's TCA when recomputing
+    },
+    breakup: {
+      // NASA SBM explosion scale factor S by object type (N(>Lc) = 6 S Lc^-1.6)
+      explosionScaleFactors: {
+        'ROCKET BODY': 1.0, // residual propellant
+        PAYLOAD: 0.1, // battery ruptures
+        default: 1.0,
+      },
+    },
+    fragments: {
+      integrationStepSeconds: 10, // RK4 step for fragment propagation
+      dragCoefficient: 2.2,
+      reentryAltitude: 100, // km - fragments below this are treated as re-entered
+      maxPropagationHours: 72,
+    },
+    propagator: {
+      default: 'sgp4', // 'sgp4' or 'numerical'; requests may choose with `propagator`
+      forces: 'j6,drag,srp,sun,moon', // numerical force model unless a request gives `forces`
+      dragCoefficient: 2.2,
+      reflectivity: 1.3, // Cr for solar radiation pressure
+      relativeTolerance: 1e-10, // RK7(8) step control
+      absoluteTolerance: 1e-9,
+      maxStepSeconds: 1800,
+      maxDays: 30, // numerical propagation either side of the TLE epoch
+      reentryAltitude: 100, // km - numerical trajectories end below this
+      maxObjects: 200, // catalog screening cap with the numerical propagator
+    },
+    lifetime: {
+      solarFlux: 150, // F10.7 (sfu) assumed over the lifetime
+      solarFluxUncertainty: 50, // the re-entry band spans solar flux +/- this...
+      ballisticUncertainty: 0.3, // ...and the ballistic coefficient +/- 30%
+      dragCoefficient: 2.2,
+      reentryAltitude: 100, // km - perigee at which an object is taken to re-enter
+      maxYears: 100, // longer lifetimes are reported as beyond the horizon
+    },
+    reentry: {
+      defaultDays: 30, // re-entry watch list window
+      maxDays: 365,
+      maxObjects: 100, // objects listed
+      groundTrackStepSeconds: 60,
+      maxGroundTrackStepSeconds: 180, // coarser than this, only the latitude limit is given
+      maxGroundTrackPoints: 2000,
+    },
+    cloud: {
+      defaultDays: 14, // debris cloud evolution for animation
+      maxDays: 60,
+      sampleHours: 12, // interval between sampled mean elements
+      maxFragments: 1000, // larger clouds are thinned evenly
+    },
+    ensemble: {
+      defaultRuns: 50, // Monte Carlo realisations per ensemble
+      maxRuns: 500,
+      histogramBins: 20,
+    },
+    validation: {
+      defaultRuns: 20, // seeded runs per model and historical breakup
+      maxRuns: 200,
+      searchWindowMinutes: 30, // closest-approach search either side of a recorded collision time
+    },
+    environment: {
+      defaultYears: 50,
+      maxYears: 200,
+      defaultStepDays: 30,
+      altitudeBinKm: 50, // collision cells: altitude shells...
+      inclinationBinDeg: 10, // ...by inclination bands
+      maxAltitude: 2000, // km - top of the simulated region
+      minFragmentSize: 0.1, // m - smaller fragments are not followed
+      activeCollisionAvoidance: true, // active payloads avoid collisions and keep station
+      maxObjects: 200000, // a run stops if the population outgrows this
+      // Catalog objects without a DISCOS mass, by object type
+      defaultMasses: {
+        PAYLOAD: 1000,
+        'ROCKET BODY': 1500,
+        DEBRIS: 10,
+        default: 100,
+      },
+      sizeClasses: [
+        { name: '<10 cm', max: 0.1 },
+        { name: '10 cm-1 m', min: 0.1, max: 1 },
+        { name: '>1 m', min: 1 },
+      ],
+      // Launch traffic; altitude (km) and inclination (deg) are drawn uniformly from each range
+      launchScenarios: {
+        'no-launches': {
+          description: 'No further launches',
+          launches: [],
+        },
+        'business-as-usual': {
+          description: 'Traffic of the 2010s: about 80 LEO payloads and 40 upper stages a year, 60% post-mission disposal',
+          launches: [
+            { objectType: 'PAYLOAD', perYear: 80, mass: 1000, diameter: 2, altitude: [500, 900], inclination: [50, 100], missionYears: 8, disposalSuccess: 0.6 },
+            { objectType: 'ROCKET BODY', perYear: 40, mass: 1500, diameter: 3, altitude: [300, 800], inclination: [50, 100], missionYears: 0, disposalSuccess: 0 },
+          ],
+        },
+        megaconstellation: {
+          description: 'Business as usual plus 1000 constellation satellites a year at 550 km, 95% disposal',
+          launches: [
+            { objectType: 'PAYLOAD', perYear: 80, mass: 1000, diameter: 2, altitude: [500, 900], inclination: [50, 100], missionYears: 8, disposalSuccess: 0.6 },
+            { objectType: 'ROCKET BODY', perYear: 40, mass: 1500, diameter: 3, altitude: [300, 800], inclination: [50, 100], missionYears: 0, disposalSuccess: 0 },
+            { objectType: 'PAYLOAD', perYear: 1000, mass: 300, diameter: 3, altitude: [540, 560], inclination: [53, 53], missionYears: 5, disposalSuccess: 0.95 },
+          ],
+        },
+      },
+    },
+    avoidance: {
+      deltaVs: [0.05, 0.1, 0.2, 0.5, 1.0], // m/s - candidate burn sizes, each tried in both senses
+      directions: ['inTrack', 'radial'], // RTN burn directions traded
+      windowMinutes: 30, // search either side of the TCA for the manoeuvred encounter
+      screenHours: 6, // catalog screening after the burn for new conjunctions
+      maxScreenHours: 72,
+    },
   },
 
   // Visualization Settings
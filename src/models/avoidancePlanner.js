@@ -0,0 +1,284 @@
+import OrbitPropagator from '../api/orbitPropagator.js';
+import { CollisionDetector } from './collisionDetector.js';
+import { CollisionProbability } from './collisionProbability.js';
+import { ManeuveredTrajectory } from './maneuveredTrajectory.js';
+import { SpatialGrid } from './spatialGrid.js';
+import { ScreeningFilters } from './screeningFilters.js';
+
+/**
+ * Avoidance Planner
+ * Trades impulsive collision-avoidance manoeuvres for the primary of a
+ * conjunction: each candidate delta-v is flown from the burn epoch, the
+ * conjunction is re-evaluated (miss distance and Pc at the new TCA), and the
+ * manoeuvred orbit is screened against the catalog for conjunctions that
+ * the nominal orbit did not have.
+ */
+
+const DIRECTIONS = ['inTrack', 'radial', 'crossTrack'];
+
+// A screened approach matches a nominal one if it is the same object within this time
+const SAME_EVENT_MS = 10 * 60 * 1000;
+
+export class AvoidancePlanner {
+  /**
+   * @param {CollisionDetector} detector - Detector whose threshold defines a conjunction
+   * @param {Object} options - {deltaVs (m/s), directions, windowMinutes,
+   *   screenStepSeconds, apogeePerigeePad (km, as for CollisionDetector.screenCatalog)}
+   */
+  constructor(detector, options = {}) {
+    const {
+      deltaVs = [0.05, 0.1, 0.2, 0.5, 1.0],
+      directions = ['inTrack', 'radial'],
+      windowMinutes = 30,
+      screenStepSeconds = 60,
+      apogeePerigeePad = 25,
+    } = options;
+
+    const unknown = directions.filter(d => !DIRECTIONS.includes(d));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown direction(s) ${unknown.join(', ')}. Use ${DIRECTIONS.join(', ')}`);
+    }
+    if (!deltaVs.every(dv => Number.isFinite(dv) && dv > 0)) {
+      throw new Error('deltaVs must be positive numbers (m/s)');
+    }
+
+    this.detector = detector;
+    this.deltaVs = deltaVs;
+    this.directions = directions;
+    this.windowMinutes = windowMinutes;
+    this.screenStepSeconds = screenStepSeconds;
+    this.apogeePerigeePad = apogeePerigeePad;
+  }
+
+  /**
+   * Default burn epoch: half a revolution before TCA, where an along-track
+   * burn has built up the most radial separation
+   * @param {Object} satrec - Primary satellite record
+   * @param {Date} tca - Time of closest approach
+   * @returns {Date} Burn epoch
+   */
+  static defaultBurnTime(satrec, tca) {
+    const periodMs = (2 * Math.PI / satrec.no) * 60 * 1000; // no is rad/min
+    return new Date(tca.getTime() - periodMs / 2);
+  }
+
+  /**
+   * Candidate manoeuvres, the no-burn case first
+   * @returns {Array} Array of {radial, inTrack, crossTrack} in m/s
+   */
+  candidates() {
+    const options = [{ radial: 0, inTrack: 0, crossTrack: 0 }];
+    for (const direction of this.directions) {
+      for (const dv of this.deltaVs) {
+        for (const sign of [1, -1]) {
+          options.push({ radial: 0, inTrack: 0, crossTrack: 0, [direction]: sign * dv });
+        }
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Closest approach to the secondary nearest the original TCA
+   * @param {Object} trajectory - Primary trajectory (satrec or ManeuveredTrajectory)
+   * @param {Object} secondary - Secondary satellite record
+   * @param {Date} tca - Original TCA
+   * @param {Date} endDate - Trajectory end
+   * @returns {Object|null} Approach from CollisionDetector.describeApproach
+   */
+  findEncounter(trajectory, secondary, tca, endDate) {
+    const windowMs = this.windowMinutes * 60 * 1000;
+    const tcaMs = tca.getTime();
+    const approaches = new CollisionDetector(Infinity).findCloseApproaches(
+      trajectory,
+      secondary,
+      new Date(tcaMs - windowMs),
+      new Date(Math.min(tcaMs + windowMs, endDate.getTime())),
+      60
+    );
+    if (approaches.length === 0) return null;
+    return approaches.reduce((best, a) =>
+      Math.abs(a.time - tcaMs) < Math.abs(best.time - tcaMs) ? a : best);
+  }
+
+  /**
+   * Screen several primary trajectories against the catalog in one pass.
+   * The catalog is propagated and gridded once per step; each trajectory
+   * then only queries the grid around its own position.
+   * @param {Array} trajectories - Primary trajectories
+   * @param {Array} others - Catalog objects {noradId, name, satrec, size}
+   * @param {Date} startDate - Start time
+   * @param {Date} endDate - End time
+   * @returns {Array} Per trajectory, the approaches below the detector threshold
+   */
+  screenTrajectories(trajectories, others, startDate, endDate) {
+    const thresholdKm = this.detector.threshold / 1000;
+    const stepSeconds = this.screenStepSeconds;
+    const stepMs = stepSeconds * 1000;
+
+    const otherBounds = others.map(o => ScreeningFilters.radialBounds(o.satrec));
+    const keep = trajectories.map(t => {
+      const bounds = ScreeningFilters.radialBounds(t);
+      return otherBounds.map(b => ScreeningFilters.apogeePerigee(bounds, b, thresholdKm + this.apogeePerigeePad));
+    });
+    const windows = trajectories.map(() => new Map());
+
+    for (let time = startDate.getTime(); time <= endDate.getTime(); time += stepMs) {
+      const date = new Date(time);
+      let maxSpeed = 0;
+      const positions = others.map(o => {
+        try {
+          const state = OrbitPropagator.propagate(o.satrec, date);
+          const { x, y, z } = state.velocity;
+          const speed = Math.sqrt(x * x + y * y + z * z);
+          if (!Number.isFinite(speed)) return null;
+          maxSpeed = Math.max(maxSpeed, speed);
+          return state.position;
+        } catch (error) {
+          return null;
+        }
+      });
+
+      const primaryStates = trajectories.map(t => {
+        try {
+          return OrbitPropagator.propagate(t, date);
+        } catch (error) {
+          return null;
+        }
+      });
+      primaryStates.forEach(state => {
+        if (!state) return;
+        const { x, y, z } = state.velocity;
+        maxSpeed = Math.max(maxSpeed, Math.sqrt(x * x + y * y + z * z));
+      });
+
+      // As in CollisionDetector.screenCatalog: within half a step of relative motion
+      const screeningDistance = thresholdKm + maxSpeed * stepSeconds;
+      const grid = new SpatialGrid(screeningDistance);
+      positions.forEach((pos, j) => {
+        if (pos) grid.insert(j, pos);
+      });
+
+      primaryStates.forEach((state, k) => {
+        if (!state) return;
+        for (const hit of grid.queryRadius(state.position, screeningDistance)) {
+          if (!keep[k][hit.index]) continue;
+          const list = windows[k].get(hit.index) || [];
+          const last = list[list.length - 1];
+          if (last && last.end >= time - stepMs) {
+            last.end = time + stepMs;
+          } else {
+            list.push({ start: time - stepMs, end: time + stepMs });
+          }
+          windows[k].set(hit.index, list);
+        }
+      });
+    }
+
+    return trajectories.map((trajectory, k) => {
+      const found = [];
+      for (const [j, list] of windows[k]) {
+        for (const window of list) {
+          const approaches = this.detector.findCloseApproaches(
+            trajectory,
+            others[j].satrec,
+            new Date(Math.max(window.start, startDate.getTime())),
+            new Date(Math.min(window.end, endDate.getTime())),
+            stepSeconds
+          );
+          approaches.forEach(approach => found.push({
+            object: CollisionDetector.describeObject(others[j]),
+            time: approach.time,
+            distance: approach.distance,
+            relativeVelocity: approach.relativeVelocity,
+          }));
+        }
+      }
+      return found.sort((a, b) => a.time - b.time);
+    });
+  }
+
+  /**
+   * Build the manoeuvre trade table for a conjunction
+   * @param {Object} primary - Manoeuvring object {noradId, name, satrec, size}
+   * @param {Object} secondary - Other object {noradId, name, satrec, size}
+   * @param {Date} tca - Reported time of closest approach
+   * @param {Array} catalog - Catalog objects to screen against
+   * @param {Object} options - {burnTime, screenEndTime, pcMethod, covariancePrimary,
+   *   covarianceSecondary}
+   * @returns {Object} {burnTime, screenPeriod, nominal, options}
+   */
+  plan(primary, secondary, tca, catalog, options = {}) {
+    const {
+      burnTime = AvoidancePlanner.defaultBurnTime(primary.satrec, tca),
+      screenEndTime = new Date(tca.getTime() + this.windowMinutes * 60 * 1000),
+      pcMethod = 'foster',
+      covariancePrimary = null,
+      covarianceSecondary = null,
+    } = options;
+
+    if (!(burnTime < tca)) {
+      throw new Error('Burn time must be before the TCA');
+    }
+    const endDate = new Date(Math.max(
+      screenEndTime.getTime(),
+      tca.getTime() + this.windowMinutes * 60 * 1000
+    ));
+
+    const primaryInfo = CollisionDetector.describeObject(primary);
+    const secondaryInfo = CollisionDetector.describeObject(secondary);
+    const hardBodyRadius = primaryInfo.radius + secondaryInfo.radius;
+
+    const trajectories = this.candidates().map(deltaV =>
+      new ManeuveredTrajectory(primary.satrec, burnTime, deltaV, endDate));
+
+    const encounters = trajectories.map(trajectory => {
+      const approach = this.findEncounter(trajectory, secondary.satrec, tca, endDate);
+      if (!approach) return null;
+      const pc = CollisionProbability.compute(approach, {
+        method: pcMethod,
+        hardBodyRadius,
+        covariance1: covariancePrimary,
+        covariance2: covarianceSecondary,
+      });
+      return { ...approach, probability: pc.pc, pc };
+    });
+    if (!encounters[0]) {
+      throw new Error(
+        `Conjunction not reproduced from current TLEs within ${this.windowMinutes} minutes of the TCA`
+      );
+    }
+
+    // Screen everything but the pair itself, from the burn to the end of the window
+    const others = catalog.filter(o => o.noradId !== primary.noradId && o.noradId !== secondary.noradId);
+    const screened = this.screenTrajectories(trajectories, others, burnTime, endDate);
+    const nominalScreened = screened[0];
+    const isNew = (approach) => !nominalScreened.some(n =>
+      n.object.noradId === approach.object.noradId && Math.abs(n.time - approach.time) < SAME_EVENT_MS);
+
+    const rows = trajectories.map((trajectory, k) => {
+      const encounter = encounters[k];
+      const { radial, inTrack, crossTrack } = trajectory.deltaV;
+      return {
+        deltaV: trajectory.deltaV,
+        deltaVMagnitude: Math.sqrt(radial ** 2 + inTrack ** 2 + crossTrack ** 2),
+        tca: encounter ? encounter.time : null,
+        missDistance: encounter ? encounter.distance : null,
+        missComponents: encounter ? encounter.missComponents : null,
+        probability: encounter ? encounter.probability : null,
+        pc: encounter ? encounter.pc : null,
+        newConjunctions: k === 0 ? [] : screened[k].filter(isNew),
+      };
+    });
+
+    return {
+      primary: primaryInfo,
+      secondary: secondaryInfo,
+      burnTime,
+      screenPeriod: { start: burnTime, end: endDate },
+      screenedObjects: others.length,
+      nominal: { ...rows[0], conjunctions: nominalScreened },
+      options: rows.slice(1),
+    };
+  }
+}
@@ -0,0 +1,98 @@
+import { BaseBreakupModel } from './breakups/baseBreakupModel.js';
+import { SBMExplosionModel } from './breakups/sbmExplosionModel.js';
+import OrbitPropagator from '../api/orbitPropagator.js';
+import { ObjectSize } from './objectSize.js';
+import { SeededRandom } from './seededRandom.js';
+
+/**
+ * Breakup Simulator
+ * Orchestrates single-object fragmentation events using different models
+ */
+export class BreakupSimulator {
+  /**
+   * @param {Object} options - {scaleFactors} explosion scale factor per object type
+   */
+  constructor(options = {}) {
+    this.models = new Map();
+    this.defaultModel = 'sbm-explosion';
+
+    // Register default models
+    this.registerModel('sbm-explosion', new SBMExplosionModel({ scaleFactors: options.scaleFactors }));
+  }
+
+  /**
+   * Register a breakup model
+   * @param {string} name - Model name
+   * @param {BaseBreakupModel} model - Model instance
+   */
+  registerModel(name, model) {
+    if (!(model instanceof BaseBreakupModel)) {
+      throw new Error('Model must extend BaseBreakupModel');
+    }
+    this.models.set(name, model);
+  }
+
+  /**
+   * Get a breakup model
+   * @param {string} name - Model name
+   * @returns {BaseBreakupModel} Model instance
+   */
+  getModel(name) {
+    const model = this.models.get(name || this.defaultModel);
+    if (!model) {
+      throw new Error(`Model '${name}' not found`);
+    }
+    return model;
+  }
+
+  /**
+   * Break up an object
+   * @param {Object} object - Object {noradId, satrec, name, mass, size, objectType}
+   * @param {Date} breakupTime - Time of the breakup
+   * @param {string} modelName - Model to use
+   * @param {Object} breakupParams - Model parameters (scaleFactor, ...) and the
+   *   sampling seed; a random seed is used if none is given
+   * @returns {Object} Simulation result {breakup, fragments, model, seed}
+   */
+  simulateBreakup(object, breakupTime, modelName = null, breakupParams = {}) {
+    const model = this.getModel(modelName);
+    const { seed = SeededRandom.randomSeed(), ...params } = breakupParams;
+    const rng = new SeededRandom(seed);
+    const size = object.size || ObjectSize.estimate(object);
+    const state = OrbitPropagator.propagate(object.satrec, breakupTime);
+
+    const breakupResult = model.simulate({
+      mass: object.mass || 100,
+      radius: size.radius,
+      objectType: object.objectType || null,
+      position: state.position,
+      velocity: state.velocity,
+    }, { ...params, time: breakupTime });
+
+    const fragments = model.generateDebris(breakupResult, rng.generator());
+
+    return {
+      breakup: {
+        time: breakupTime,
+        ...breakupResult,
+        object: {
+          ...breakupResult.object,
+          noradId: object.noradId,
+          name: object.name,
+          radiusSource: size.source,
+        },
+      },
+      fragments,
+      model: model.name,
+      seed: rng.seed,
+    };
+  }
+
+  /**
+   * List available models
+   * @returns {Array} Array of model names
+   */
+  listModels() {
+    return Array.from(this.models.keys());
+  }
+}
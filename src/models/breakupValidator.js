@@ -0,0 +1,307 @@
+import OrbitPropagator from '../api/orbitPropagator.js';
+import { CollisionDetector } from './collisionDetector.js';
+import { EnsembleStatistics } from './ensembleStatistics.js';
+import { FragmentAnalytics } from './fragmentAnalytics.js';
+import { SeededRandom } from './seededRandom.js';
+import { historicalBreakups } from './historicalBreakups.js';
+
+/**
+ * Breakup Validator
+ * Runs the collision models against historical breakups and compares the
+ * simulated debris with what was catalogued: the number of fragments above
+ * the catalogue size limit, per parent where each parent was catalogued,
+ * and the Gabbard distribution (orbital period, apogee and perigee) of the
+ * fragments still in orbit. Every model sees the same run seeds, so
+ * differences between models are not sampling noise.
+ */
+export class BreakupValidator {
+  /**
+   * @param {CollisionSimulator} collisionSimulator - Simulator whose models are validated
+   * @param {Object} options - {scenarios, searchWindowMinutes, reentryAltitude (km)}
+   */
+  constructor(collisionSimulator, options = {}) {
+    this.simulator = collisionSimulator;
+    this.scenarios = options.scenarios || historicalBreakups;
+    this.searchWindowMinutes = options.searchWindowMinutes ?? 30;
+    this.reentryAltitude = options.reentryAltitude ?? 100;
+  }
+
+  /**
+   * Get a scenario
+   * @param {string} id - Scenario ID
+   * @returns {Object} Scenario
+   */
+  getScenario(id) {
+    const scenario = this.scenarios.find(s => s.id === id);
+    if (!scenario) {
+      throw new Error(`Scenario '${id}' not found`);
+    }
+    return scenario;
+  }
+
+  /**
+   * List scenario IDs
+   * @returns {Array} Scenario IDs
+   */
+  listScenarios() {
+    return this.scenarios.map(s => s.id);
+  }
+
+  /**
+   * Impact geometry of a scenario. Two catalogued objects collide at their
+   * closest approach within the search window around the event time; an
+   * interceptor meets its target at the event time with the scenario's
+   * relative velocity.
+   * @param {Object} scenario - Scenario
+   * @param {Function} satrecFor - (scenario object, SGP4 satrec) => what to propagate it with;
+   *   the satrec itself by default
+   * @returns {Object} {time, missDistance (m), relativeVelocity (m/s), states: [{position, velocity}]}
+   */
+  impact(scenario, satrecFor = (object, satrec) => satrec) {
+    const eventTime = new Date(scenario.time);
+    const [target, other] = scenario.objects;
+    const satrecOf = (object) => satrecFor(object, OrbitPropagator.createSatrec(object.tle.line1, object.tle.line2));
+    const targetSatrec = satrecOf(target);
+
+    if (other.tle) {
+      const otherSatrec = satrecOf(other);
+      const window = this.searchWindowMinutes * 60000;
+      const approaches = new CollisionDetector(Infinity).findCloseApproaches(
+        targetSatrec,
+        otherSatrec,
+        new Date(eventTime.getTime() - window),
+        new Date(eventTime.getTime() + window),
+        10
+      );
+      if (approaches.length === 0) {
+        throw new Error(`${scenario.name}: no approach within ${this.searchWindowMinutes} minutes of the event`);
+      }
+      const closest = approaches.reduce((best, a) => (a.distance < best.distance ? a : best));
+      return {
+        time: closest.time,
+        missDistance: closest.distance,
+        relativeVelocity: closest.relativeVelocity,
+        states: [
+          { position: closest.position1, velocity: closest.velocity1 },
+          { position: closest.position2, velocity: closest.velocity2 },
+        ],
+      };
+    }
+
+    const state = OrbitPropagator.propagate(targetSatrec, eventTime);
+    const frame = CollisionDetector.rtnFrame(state.position, state.velocity);
+    const dv = other.relativeVelocity;
+    const velocity = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      velocity[axis] = state.velocity[axis] + (frame.radial[axis] * (dv.radial || 0)
+        + frame.inTrack[axis] * (dv.inTrack || 0)
+        + frame.crossTrack[axis] * (dv.crossTrack || 0)) / 1000; // m/s to km/s
+    });
+    return {
+      time: eventTime,
+      missDistance: 0,
+      relativeVelocity: CollisionDetector.relativeVelocity(state.velocity, velocity),
+      states: [
+        { position: state.position, velocity: state.velocity },
+        { position: { ...state.position }, velocity },
+      ],
+    };
+  }
+
+  /**
+   * Run one model on a scenario
+   * @param {Object} scenario - Scenario
+   * @param {Object} impact - Result of impact()
+   * @param {string} modelName - Model to use
+   * @param {Array} seeds - One seed per run
+   * @returns {Object} {modelName, model, regime, simulated, metrics}
+   */
+  validateModel(scenario, impact, modelName, seeds) {
+    const model = this.simulator.getModel(modelName);
+    const { observed } = scenario;
+    const [object1, object2] = scenario.objects.map((object, i) => ({
+      mass: object.mass,
+      radius: object.radius,
+      objectType: object.objectType,
+      ...impact.states[i],
+    }));
+    const collision = model.simulate(object1, object2, { time: impact.time });
+
+    const counts = [];
+    const countsByParent = scenario.objects.map(() => []);
+    const gabbard = { period: [], apogee: [], perigee: [] };
+
+    seeds.forEach(seed => {
+      const fragments = model.generateDebris(collision, new SeededRandom(seed).generator())
+        .filter(f => f.size >= observed.minSize);
+      counts.push(fragments.length);
+      countsByParent.forEach((list, i) => list.push(fragments.filter(f => f.parent === i + 1).length));
+
+      fragments.forEach(f => {
+        const point = FragmentAnalytics.orbit(f);
+        if (point && point.perigee > this.reentryAltitude) {
+          gabbard.period.push(point.period);
+          gabbard.apogee.push(point.apogee);
+          gabbard.perigee.push(point.perigee);
+        }
+      });
+    });
+
+    // Fragments carry their parent only in models that attribute them
+    const attributed = countsByParent.some(list => list.some(n => n > 0));
+    const byObject = observed.byObject && attributed
+      ? Object.fromEntries(scenario.objects.map((object, i) => [object.noradId, EnsembleStatistics.summarize(countsByParent[i])]))
+      : null;
+
+    const simulated = {
+      fragments: EnsembleStatistics.summarize(counts),
+      byObject,
+      gabbard: {
+        fragments: gabbard.period.length,
+        periodBins: BreakupValidator.periodFractions(gabbard.period, observed.gabbard.periodBins),
+        apogee: BreakupValidator.spread(gabbard.apogee),
+        perigee: BreakupValidator.spread(gabbard.perigee),
+      },
+    };
+
+    return {
+      modelName,
+      model: model.name,
+      regime: collision.regime,
+      simulated,
+      metrics: BreakupValidator.metrics(simulated, observed),
+    };
+  }
+
+  /**
+   * Validate models against scenarios
+   * @param {Object} options - {scenarioIds, modelNames (default all), runs, seed,
+   *   satrecFor (see impact)}
+   * @returns {Object} {seed, runs, scenarios, summary}
+   */
+  run(options = {}) {
+    const {
+      scenarioIds = this.listScenarios(),
+      modelNames = this.simulator.listModels(),
+      runs = 20,
+    } = options;
+    const rng = new SeededRandom(options.seed ?? SeededRandom.randomSeed());
+    const seeds = Array.from({ length: runs }, () => Math.floor(rng.next() * 2 ** 32));
+
+    const scenarios = scenarioIds.map(id => {
+      const scenario = this.getScenario(id);
+      const impact = this.impact(scenario, options.satrecFor);
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        type: scenario.type,
+        elements: scenario.elements,
+        impact: {
+          time: impact.time,
+          missDistance: impact.missDistance,
+          relativeVelocity: impact.relativeVelocity,
+        },
+        observed: scenario.observed,
+        models: modelNames.map(name => this.validateModel(scenario, impact, name, seeds)),
+      };
+    });
+
+    const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+    const summary = modelNames.map(name => {
+      const metrics = scenarios.map(s => s.models.find(m => m.modelName === name).metrics);
+      return {
+        modelName: name,
+        scenarios: metrics.length,
+        meanAbsLogCountRatio: mean(metrics.map(m => Math.abs(m.logCountRatio)).filter(Number.isFinite)),
+        meanPeriodTotalVariation: mean(metrics.map(m => m.periodTotalVariation).filter(v => v !== null)),
+        meanPeriodKS: mean(metrics.map(m => m.periodKS).filter(v => v !== null)),
+      };
+    });
+
+    return { seed: rng.seed, runs, seeds, scenarios, summary };
+  }
+
+  /**
+   * Fraction of periods in each bin, plus those below the first and above the last
+   * @param {Array} periods - Periods (min)
+   * @param {Array} bins - [{lower, upper}] in ascending order
+   * @returns {Object} {bins: [{lower, upper, fraction}], below, above}
+   */
+  static periodFractions(periods, bins) {
+    const total = periods.length || 1;
+    const first = bins[0].lower;
+    const last = bins[bins.length - 1].upper;
+    return {
+      bins: bins.map(({ lower, upper }) => ({
+        lower,
+        upper,
+        fraction: periods.filter(p => p >= lower && p < upper).length / total,
+      })),
+      below: periods.filter(p => p < first).length / total,
+      above: periods.filter(p => p >= last).length / total,
+    };
+  }
+
+  /**
+   * p5, p50 and p95 of a set of values
+   * @param {Array} values - Values
+   * @returns {Object} {p5, p50, p95}, null when there are no values
+   */
+  static spread(values) {
+    const { p5, p50, p95 } = EnsembleStatistics.summarize(values).percentiles;
+    return { p5, p50, p95 };
+  }
+
+  /**
+   * Error metrics of a simulation against observations.
+   * Counts compare the ensemble median with the catalogue; the period
+   * distributions are compared by total variation distance (half the L1
+   * distance, 0 to 1) and the Kolmogorov-Smirnov statistic over the bins,
+   * with fragments outside the observed bins counted as mismatched.
+   * @param {Object} simulated - Simulated summary from validateModel
+   * @param {Object} observed - Scenario observations
+   * @returns {Object} Metrics
+   */
+  static metrics(simulated, observed) {
+    const median = simulated.fragments.percentiles.p50;
+    const { p5, p95 } = simulated.fragments.percentiles;
+
+    const simBins = simulated.gabbard.periodBins;
+    const hasGabbard = simulated.gabbard.fragments > 0;
+    const obsFractions = observed.gabbard.periodBins.map(b => b.fraction);
+    const simFractions = simBins.bins.map(b => b.fraction);
+    let totalVariation = simBins.below + simBins.above;
+    let ks = simBins.below;
+    let simCumulative = simBins.below;
+    let obsCumulative = 0;
+    obsFractions.forEach((fraction, i) => {
+      totalVariation += Math.abs(simFractions[i] - fraction);
+      simCumulative += simFractions[i];
+      obsCumulative += fraction;
+      ks = Math.max(ks, Math.abs(simCumulative - obsCumulative));
+    });
+
+    const difference = (sim, obs) => Object.fromEntries(
+      ['p5', 'p50', 'p95'].map(p => [p, sim[p] === null ? null : sim[p] - obs[p]])
+    );
+
+    let byObject = null;
+    if (simulated.byObject) {
+      byObject = Object.fromEntries(Object.entries(observed.byObject).map(([noradId, count]) => {
+        const simMedian = simulated.byObject[noradId].percentiles.p50;
+        return [noradId, { observed: count, simulated: simMedian, relativeError: (simMedian - count) / count }];
+      }));
+    }
+
+    return {
+      countRelativeError: (median - observed.fragments) / observed.fragments,
+      logCountRatio: Math.log(median / observed.fragments),
+      observedWithinEnsemble: observed.fragments >= p5 && observed.fragments <= p95,
+      byObject,
+      periodTotalVariation: hasGabbard ? totalVariation / 2 : null,
+      periodKS: hasGabbard ? ks : null,
+      apogeeError: difference(simulated.gabbard.apogee, observed.gabbard.apogee), // km
+      perigeeError: difference(simulated.gabbard.perigee, observed.gabbard.perigee),
+    };
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Base Breakup Model
+ * Abstract base class for non-collision fragmentation events (explosions,
+ * battery or propellant ruptures) of a single object
+ */
+export class BaseBreakupModel {
+  constructor(name = 'BaseBreakupModel') {
+    this.name = name;
+  }
+
+  /**
+   * Break up an object
+   * @param {Object} object - Object {mass, radius, objectType, velocity, position}
+   * @param {Object} breakupParams - Additional parameters (time, scaleFactor, ...)
+   * @returns {Object} Breakup result
+   */
+  simulate(object, breakupParams = {}) {
+    throw new Error('simulate() must be implemented by subclass');
+  }
+
+  /**
+   * Generate debris fragments from a breakup, in the same schema as
+   * BaseCollisionModel.generateDebris
+   * @param {Object} breakupResult - Result from simulate()
+   * @param {Function} random - Uniform [0, 1) generator; all randomness must come from it
+   * @returns {Array} Array of debris fragments
+   */
+  generateDebris(breakupResult, random = Math.random) {
+    throw new Error('generateDebris() must be implemented by subclass');
+  }
+}
@@ -0,0 +1,121 @@
+import { BaseBreakupModel } from './baseBreakupModel.js';
+import { StandardBreakup } from '../standardBreakup.js';
+
+/**
+ * NASA Standard Breakup Model - explosions
+ * Fragment count from N(>Lc) = 6 S Lc^-1.6, where the scale factor S
+ * depends on the kind of object and event; A/m from the spacecraft or
+ * rocket-body distributions; ejection delta-v log-normal with mean
+ * 0.2 chi + 1.85. The whole object's mass is conserved.
+ */
+export class SBMExplosionModel extends BaseBreakupModel {
+  /**
+   * @param {Object} options - {minCharacteristicLength (m), maxFragments, scaleFactors}
+   *   scaleFactors maps catalog object types to S, with a 'default' entry
+   */
+  constructor(options = {}) {
+    super('NASA SBM Explosion');
+    this.minCharacteristicLength = options.minCharacteristicLength ?? 0.1; // m - trackable size
+    this.maxFragments = options.maxFragments ?? 5000; // Lc cutoff is raised to stay under this
+    this.scaleFactors = options.scaleFactors ?? { 'ROCKET BODY': 1.0, PAYLOAD: 0.1, default: 1.0 };
+  }
+
+  /**
+   * Scale factor for an object type
+   * @param {string} objectType - Catalog object type
+   * @returns {number} S
+   */
+  scaleFactorFor(objectType) {
+    const key = String(objectType || '').toUpperCase();
+    return this.scaleFactors[key] ?? this.scaleFactors.default ?? 1.0;
+  }
+
+  /**
+   * Simulate an explosion
+   * @param {Object} object - Object {mass, radius, objectType, velocity, position}
+   * @param {Object} breakupParams - {time, scaleFactor (overrides the object-type value)}
+   * @returns {Object} Breakup result
+   */
+  simulate(object, breakupParams = {}) {
+    const mass = object.mass || 100; // kg (default)
+    const scaleFactor = breakupParams.scaleFactor ?? this.scaleFactorFor(object.objectType);
+    if (!(Number.isFinite(scaleFactor) && scaleFactor > 0)) {
+      throw new Error('scaleFactor must be a positive number');
+    }
+
+    // No fragment is larger than the object itself
+    const maxCharacteristicLength = 2 * (object.radius || 1);
+    const uncapped = StandardBreakup.explosionCount(scaleFactor, this.minCharacteristicLength);
+    const minCharacteristicLength = Math.min(
+      uncapped > this.maxFragments
+        ? StandardBreakup.explosionLengthForCount(scaleFactor, this.maxFragments)
+        : this.minCharacteristicLength,
+      maxCharacteristicLength
+    );
+    const fragmentCount = Math.round(StandardBreakup.explosionCount(scaleFactor, minCharacteristicLength));
+
+    return {
+      breakupTime: breakupParams.time || new Date(),
+      breakupPosition: { ...object.position },
+      event: 'explosion',
+      totalMass: mass,
+      fragmentingMass: mass,
+      intactMass: 0,
+      scaleFactor,
+      fragmentCount,
+      characteristicLength: { min: minCharacteristicLength, max: maxCharacteristicLength },
+      object: {
+        mass,
+        radius: object.radius || null,
+        objectType: object.objectType || null,
+        parentClass: StandardBreakup.parentClass(object.objectType),
+        velocity: object.velocity,
+        position: object.position,
+      },
+    };
+  }
+
+  /**
+   * Generate explosion fragments, each leaving the object with an isotropic delta-v
+   * @param {Object} breakupResult - Result from simulate()
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array} Array of debris fragments
+   */
+  generateDebris(breakupResult, random = Math.random) {
+    const { breakupPosition, fragmentingMass, fragmentCount, characteristicLength, object } = breakupResult;
+
+    const population = StandardBreakup.samplePopulation({
+      mass: fragmentingMass,
+      lcMin: characteristicLength.min,
+      lcMax: characteristicLength.max,
+      count: fragmentCount,
+      event: 'explosion',
+      parents: [{ mass: fragmentingMass, parentClass: object.parentClass }],
+      random,
+    });
+
+    return population.fragments.map((f, i) => {
+      const deltaV = StandardBreakup.sampleDeltaV(f.areaToMass, 'explosion', random);
+      const direction = StandardBreakup.randomDirection(random);
+
+      return {
+        id: `fragment_${i}`,
+        mass: f.mass,
+        position: { ...breakupPosition },
+        velocity: {
+          x: object.velocity.x + direction.x * deltaV / 1000, // m/s to km/s
+          y: object.velocity.y + direction.y * deltaV / 1000,
+          z: object.velocity.z + direction.z * deltaV / 1000,
+        },
+        direction,
+        size: f.characteristicLength,
+        characteristicLength: f.characteristicLength,
+        areaToMass: f.areaToMass,
+        area: f.area,
+        deltaV,
+        parent: 1,
+        remnant: f.remnant,
+      };
+    });
+  }
+}
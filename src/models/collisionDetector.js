@@ -1,4 +1,8 @@
 import OrbitPropagator from '../api/orbitPropagator.js';
+import { SpatialGrid } from './spatialGrid.js';
+import { ScreeningFilters } from './screeningFilters.js';
+import { CollisionProbability } from './collisionProbability.js';
+import { ObjectSize } from './objectSize.js';
 
 /**
  * Collision Detector
@@ -23,61 +27,250 @@ export class CollisionDetector {
   }
 
   /**
-   * Find close approaches between two objects over a time range
+   * Relative state of object 2 with respect to object 1 at a time
+   * @param {Object} satrec1 - Satellite record 1
+   * @param {Object} satrec2 - Satellite record 2
+   * @param {number} timeMs - Epoch in milliseconds
+   * @returns {Object} {state1, state2, rangeRate} with rangeRate in km^2/s (r . v)
+   */
+  static relativeState(satrec1, satrec2, timeMs) {
+    const state1 = OrbitPropagator.propagate(satrec1, new Date(timeMs));
+    const state2 = OrbitPropagator.propagate(satrec2, new Date(timeMs));
+    const dr = {
+      x: state2.position.x - state1.position.x,
+      y: state2.position.y - state1.position.y,
+      z: state2.position.z - state1.position.z,
+    };
+    const dv = {
+      x: state2.velocity.x - state1.velocity.x,
+      y: state2.velocity.y - state1.velocity.y,
+      z: state2.velocity.z - state1.velocity.z,
+    };
+    const rangeRate = dr.x * dv.x + dr.y * dv.y + dr.z * dv.z;
+    if (!Number.isFinite(rangeRate)) {
+      throw new Error('Propagation returned no state');
+    }
+    return { state1, state2, rangeRate };
+  }
+
+  /**
+   * Refine the time of closest approach inside a bracket where the relative
+   * range-rate changes sign from negative to positive (Brent's method)
+   * @param {Object} satrec1 - Satellite record 1
+   * @param {Object} satrec2 - Satellite record 2
+   * @param {number} a - Bracket start (ms), range-rate < 0
+   * @param {number} b - Bracket end (ms), range-rate > 0
+   * @param {number} fa - Range-rate at a
+   * @param {number} fb - Range-rate at b
+   * @param {number} toleranceMs - Convergence tolerance on time
+   * @returns {number} TCA in milliseconds
+   */
+  static refineTCA(satrec1, satrec2, a, b, fa, fb, toleranceMs = 1) {
+    const f = (t) => CollisionDetector.relativeState(satrec1, satrec2, t).rangeRate;
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let e = d;
+
+    for (let iter = 0; iter < 100; iter++) {
+      if (Math.sign(fb) === Math.sign(fc)) {
+        c = a;
+        fc = fa;
+        d = b - a;
+        e = d;
+      }
+      if (Math.abs(fc) < Math.abs(fb)) {
+        a = b; b = c; c = a;
+        fa = fb; fb = fc; fc = fa;
+      }
+
+      const tol = toleranceMs / 2;
+      const m = (c - b) / 2;
+      if (Math.abs(m) <= tol || fb === 0) {
+        return b;
+      }
+
+      if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+        // Inverse quadratic interpolation, or secant when only two points differ
+        const s = fb / fa;
+        let p;
+        let q;
+        if (a === c) {
+          p = 2 * m * s;
+          q = 1 - s;
+        } else {
+          const qa = fa / fc;
+          const r = fb / fc;
+          p = s * (2 * m * qa * (qa - r) - (b - a) * (r - 1));
+          q = (qa - 1) * (r - 1) * (s - 1);
+        }
+        if (p > 0) q = -q;
+        else p = -p;
+
+        if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+          e = d;
+          d = p / q;
+        } else {
+          d = m;
+          e = m;
+        }
+      } else {
+        d = m;
+        e = m;
+      }
+
+      a = b;
+      fa = fb;
+      b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+      fb = f(b);
+    }
+
+    return b;
+  }
+
+  /**
+   * Radial / in-track / cross-track unit vectors of an orbit state
+   * @param {Object} position - Position {x, y, z}
+   * @param {Object} velocity - Velocity {x, y, z}
+   * @returns {Object} {radial, inTrack, crossTrack} unit vectors
+   */
+  static rtnFrame(position, velocity) {
+    const unit = (v) => {
+      const mag = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+      return { x: v.x / mag, y: v.y / mag, z: v.z / mag };
+    };
+    const cross = (u, v) => ({
+      x: u.y * v.z - u.z * v.y,
+      y: u.z * v.x - u.x * v.z,
+      z: u.x * v.y - u.y * v.x,
+    });
+
+    const radial = unit(position);
+    const crossTrack = unit(cross(position, velocity));
+    const inTrack = cross(crossTrack, radial);
+    return { radial, inTrack, crossTrack };
+  }
+
+  /**
+   * Project a vector onto an RTN frame
+   * @param {Object} vector - Vector {x, y, z}
+   * @param {Object} frame - Result of rtnFrame
+   * @returns {Object} {radial, inTrack, crossTrack}
+   */
+  static toRtn(vector, frame) {
+    const dot = (u) => vector.x * u.x + vector.y * u.y + vector.z * u.z;
+    return {
+      radial: dot(frame.radial),
+      inTrack: dot(frame.inTrack),
+      crossTrack: dot(frame.crossTrack),
+    };
+  }
+
+  /**
+   * Object summary attached to each approach, with its hard-body radius
+   * @param {Object} obj - Detector object {noradId, name, size}
+   * @returns {Object} {noradId, name, radius (m), radiusSource}
+   */
+  static describeObject(obj) {
+    const size = obj.size || ObjectSize.estimate(obj);
+    return {
+      noradId: obj.noradId,
+      name: obj.name,
+      radius: size.radius,
+      radiusSource: size.source,
+    };
+  }
+
+  /**
+   * Find close approaches between two objects over a time range.
+   * The relative range-rate is sampled every step; each negative-to-positive
+   * sign change brackets a closest approach, which is refined to millisecond
+   * precision before the miss distance is compared with the threshold.
    * @param {Object} satrec1 - Satellite record 1
    * @param {Object} satrec2 - Satellite record 2
    * @param {Date} startDate - Start time
    * @param {Date} endDate - End time
-   * @param {number} stepSeconds - Time step in seconds
+   * @param {number} stepSeconds - Sampling step in seconds (brackets, not resolution)
    * @returns {Array} Array of close approach events
+   * @throws {Error} If stepSeconds is not positive
    */
   findCloseApproaches(satrec1, satrec2, startDate, endDate, stepSeconds = 60) {
+    if (!(stepSeconds > 0)) {
+      throw new Error('stepSeconds must be a positive number');
+    }
     const approaches = [];
-    const current = new Date(startDate);
-    let lastDistance = Infinity;
+    const stepMs = stepSeconds * 1000;
+    const endMs = endDate.getTime();
+    let previous = null;
 
-    while (current <= endDate) {
+    for (let t = startDate.getTime(); t <= endMs; t += stepMs) {
+      let sample;
       try {
-        const pos1 = OrbitPropagator.propagate(satrec1, new Date(current));
-        const pos2 = OrbitPropagator.propagate(satrec2, new Date(current));
-        
-        const distance = CollisionDetector.distance(pos1.position, pos2.position);
-        
-        // Detect minimum distance (local minimum)
-        if (distance < this.threshold) {
-          const isMinimum = lastDistance > distance && 
-            (current.getTime() + stepSeconds * 1000 > endDate.getTime() || 
-             CollisionDetector.distance(
-               OrbitPropagator.propagate(satrec1, new Date(current.getTime() + stepSeconds * 1000)).position,
-               OrbitPropagator.propagate(satrec2, new Date(current.getTime() + stepSeconds * 1000)).position
-             ) > distance);
-
-          if (isMinimum) {
-            approaches.push({
-              time: new Date(current),
-              distance: distance,
-              position1: pos1.position,
-              position2: pos2.position,
-              velocity1: pos1.velocity,
-              velocity2: pos2.velocity,
-            });
-          }
-        }
-
-        lastDistance = distance;
-        current.setSeconds(current.getSeconds() + stepSeconds);
+        sample = { t, rangeRate: CollisionDetector.relativeState(satrec1, satrec2, t).rangeRate };
       } catch (error) {
         // Skip if propagation fails
-        current.setSeconds(current.getSeconds() + stepSeconds);
+        previous = null;
+        continue;
+      }
+
+      if (previous && previous.rangeRate < 0 && sample.rangeRate >= 0) {
+        try {
+          const tca = CollisionDetector.refineTCA(
+            satrec1, satrec2, previous.t, sample.t, previous.rangeRate, sample.rangeRate
+          );
+          const approach = this.describeApproach(satrec1, satrec2, tca);
+          if (approach.distance < this.threshold) {
+            approaches.push(approach);
+          }
+        } catch (error) {
+          // Propagation failed inside the bracket
+        }
       }
+
+      previous = sample;
     }
 
     return approaches;
   }
 
+  /**
+   * Build the close-approach record at the time of closest approach
+   * @param {Object} satrec1 - Satellite record 1
+   * @param {Object} satrec2 - Satellite record 2
+   * @param {number} tcaMs - TCA in milliseconds
+   * @returns {Object} Approach with miss distance (m), relative velocity (m/s) and RTN components (m)
+   */
+  describeApproach(satrec1, satrec2, tcaMs) {
+    const { state1, state2 } = CollisionDetector.relativeState(satrec1, satrec2, tcaMs);
+    const frame = CollisionDetector.rtnFrame(state1.position, state1.velocity);
+    const toMeters = (v) => ({ x: v.x * 1000, y: v.y * 1000, z: v.z * 1000 });
+    const relPosition = toMeters({
+      x: state2.position.x - state1.position.x,
+      y: state2.position.y - state1.position.y,
+      z: state2.position.z - state1.position.z,
+    });
+    const relVelocity = toMeters({
+      x: state2.velocity.x - state1.velocity.x,
+      y: state2.velocity.y - state1.velocity.y,
+      z: state2.velocity.z - state1.velocity.z,
+    });
+
+    return {
+      time: new Date(Math.round(tcaMs)),
+      distance: CollisionDetector.distance(state1.position, state2.position),
+      relativeVelocity: CollisionDetector.relativeVelocity(state1.velocity, state2.velocity),
+      missComponents: CollisionDetector.toRtn(relPosition, frame),
+      relativeVelocityRtn: CollisionDetector.toRtn(relVelocity, frame),
+      position1: state1.position,
+      position2: state2.position,
+      velocity1: state1.velocity,
+      velocity2: state2.velocity,
+    };
+  }
+
   /**
    * Detect collisions between multiple objects
-   * @param {Array} objects - Array of {noradId, satrec, name}
+   * @param {Array} objects - Array of {noradId, satrec, name, size}
    * @param {Date} startDate - Start time
    * @param {Date} endDate - End time
    * @param {number} stepSeconds - Time step
@@ -98,14 +291,8 @@ export class CollisionDetector {
 
         for (const approach of approaches) {
           collisions.push({
-            object1: {
-              noradId: objects[i].noradId,
-              name: objects[i].name,
-            },
-            object2: {
-              noradId: objects[j].noradId,
-              name: objects[j].name,
-            },
+            object1: CollisionDetector.describeObject(objects[i]),
+            object2: CollisionDetector.describeObject(objects[j]),
             ...approach,
           });
         }
@@ -115,6 +302,188 @@ export class CollisionDetector {
     return collisions.sort((a, b) => a.time - b.time);
   }
 
+  /**
+   * Screen a whole catalog (or one primary against it) for close approaches.
+   * Each object is propagated once per step and binned into a spatial grid;
+   * pairs are only propagated together when they pass the apogee/perigee and
+   * orbit-path prefilters and fall within the per-step screening distance.
+   * @param {Array} objects - Array of {noradId, satrec, name, size}
+   * @param {Date} startDate - Start time
+   * @param {Date} endDate - End time
+   * @param {number} stepSeconds - Coarse time step
+   * @param {Object} options - {primaryId, apogeePerigeePad, orbitPathPad (km),
+   *   pathFilterStepHours}
+   * @returns {Object} {collisions, stats}
+   * @throws {Error} If stepSeconds or pathFilterStepHours is not positive
+   */
+  screenCatalog(objects, startDate, endDate, stepSeconds = 60, options = {}) {
+    const {
+      primaryId = null,
+      apogeePerigeePad = 25,
+      orbitPathPad = 25,
+      pathFilterStepHours = 6,
+    } = options;
+    if (!(stepSeconds > 0) || !(pathFilterStepHours > 0)) {
+      throw new Error('stepSeconds and pathFilterStepHours must be positive numbers');
+    }
+
+    const n = objects.length;
+    const thresholdKm = this.threshold / 1000;
+    const stats = {
+      objects: n,
+      steps: 0,
+      screeningDistanceKm: null,
+      apogeePerigeeRejected: 0,
+      orbitPathRejected: 0,
+      gridCandidates: 0,
+      refinedPairs: 0,
+    };
+
+    let primaryIndex = -1;
+    if (primaryId !== null && primaryId !== undefined) {
+      primaryIndex = objects.findIndex(o => o.noradId === parseInt(primaryId, 10));
+      if (primaryIndex < 0) {
+        throw new Error(`Primary object ${primaryId} is not in the screened set`);
+      }
+    }
+
+    // Prefilter inputs: radial bounds from mean elements, plane geometry sampled over the window
+    const bounds = objects.map(o => ScreeningFilters.radialBounds(o.satrec));
+    const pathTimes = [];
+    for (let t = startDate.getTime(); t < endDate.getTime(); t += pathFilterStepHours * 3600 * 1000) {
+      pathTimes.push(new Date(t));
+    }
+    pathTimes.push(new Date(endDate));
+    const geometry = objects.map(o => pathTimes.map(t => {
+      try {
+        return ScreeningFilters.pathGeometry(OrbitPropagator.propagate(o.satrec, t));
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    // Pair verdicts are computed lazily and cached: only grid neighbours are ever tested
+    const verdicts = new Map();
+    const acceptPair = (i, j) => {
+      const key = i < j ? i * n + j : j * n + i;
+      if (verdicts.has(key)) return verdicts.get(key);
+
+      let keep = ScreeningFilters.apogeePerigee(bounds[i], bounds[j], thresholdKm + apogeePerigeePad);
+      if (!keep) {
+        stats.apogeePerigeeRejected++;
+      } else {
+        keep = pathTimes.some((_, k) => {
+          const g1 = geometry[i][k];
+          const g2 = geometry[j][k];
+          return !g1 || !g2 || ScreeningFilters.orbitPath(g1, g2, thresholdKm + orbitPathPad);
+        });
+        if (!keep) stats.orbitPathRejected++;
+      }
+
+      verdicts.set(key, keep);
+      return keep;
+    };
+
+    // Coarse pass: candidate windows per pair
+    const windows = new Map();
+    const stepMs = stepSeconds * 1000;
+    const current = new Date(startDate);
+
+    while (current <= endDate) {
+      const time = current.getTime();
+      const positions = new Array(n);
+      let maxSpeed = 0;
+
+      for (let i = 0; i < n; i++) {
+        try {
+          const state = OrbitPropagator.propagate(objects[i].satrec, new Date(time));
+          const { x, y, z } = state.velocity;
+          const speed = Math.sqrt(x * x + y * y + z * z);
+          // Decayed objects come back from SGP4 without a usable state
+          positions[i] = Number.isFinite(speed) ? state.position : null;
+          if (positions[i]) maxSpeed = Math.max(maxSpeed, speed);
+        } catch (error) {
+          positions[i] = null;
+        }
+      }
+
+      // A miss below threshold must show up within half a step of relative motion
+      const screeningDistance = thresholdKm + maxSpeed * stepSeconds;
+      stats.screeningDistanceKm = Math.max(stats.screeningDistanceKm || 0, screeningDistance);
+
+      const grid = new SpatialGrid(screeningDistance);
+      positions.forEach((pos, i) => {
+        if (pos) grid.insert(i, pos);
+      });
+
+      let pairs;
+      if (primaryIndex >= 0) {
+        const primaryPos = positions[primaryIndex];
+        pairs = primaryPos
+          ? grid.queryRadius(primaryPos, screeningDistance)
+            .filter(hit => hit.index !== primaryIndex && acceptPair(primaryIndex, hit.index))
+            .map(hit => ({
+              i: Math.min(primaryIndex, hit.index),
+              j: Math.max(primaryIndex, hit.index),
+            }))
+          : [];
+      } else {
+        pairs = grid.findPairs(screeningDistance, acceptPair);
+      }
+
+      for (const { i, j } of pairs) {
+        stats.gridCandidates++;
+        const key = i * n + j;
+        const start = time - stepMs;
+        const end = time + stepMs;
+        const list = windows.get(key);
+        const last = list && list[list.length - 1];
+        if (last && start <= last.end) {
+          last.end = end;
+        } else if (list) {
+          list.push({ start, end });
+        } else {
+          windows.set(key, [{ start, end }]);
+        }
+      }
+
+      stats.steps++;
+      current.setTime(time + stepMs);
+    }
+
+    // Fine pass: each window spans a step either side of a candidate sample, so
+    // it always brackets the range-rate sign change of an approach inside it
+    const collisions = [];
+    for (const [key, list] of windows) {
+      const i = Math.floor(key / n);
+      const j = key % n;
+      stats.refinedPairs++;
+
+      for (const window of list) {
+        const approaches = this.findCloseApproaches(
+          objects[i].satrec,
+          objects[j].satrec,
+          new Date(Math.max(window.start, startDate.getTime())),
+          new Date(Math.min(window.end, endDate.getTime())),
+          stepSeconds
+        );
+
+        for (const approach of approaches) {
+          collisions.push({
+            object1: CollisionDetector.describeObject(objects[i]),
+            object2: CollisionDetector.describeObject(objects[j]),
+            ...approach,
+          });
+        }
+      }
+    }
+
+    return {
+      collisions: collisions.sort((a, b) => a.time - b.time),
+      stats,
+    };
+  }
+
   /**
    * Calculate relative velocity between two objects
    * @param {Object} vel1 - Velocity 1 {x, y, z}
@@ -129,28 +498,18 @@ export class CollisionDetector {
   }
 
   /**
-   * Calculate collision probability (simplified)
+   * Calculate collision probability
    * @param {Object} approach - Close approach event
    * @param {number} radius1 - Object 1 radius (meters)
    * @param {number} radius2 - Object 2 radius (meters)
+   * @param {Object} options - {covariance1, covariance2, method}, see CollisionProbability.compute
    * @returns {number} Collision probability (0-1)
    */
-  static collisionProbability(approach, radius1 = 1, radius2 = 1) {
-    const combinedRadius = radius1 + radius2;
-    const relativeVel = CollisionDetector.relativeVelocity(
-      approach.velocity1,
-      approach.velocity2
-    );
-
-    if (approach.distance <= combinedRadius) {
-      return 1.0; // Direct collision
-    }
-
-    // Simplified probability based on distance and relative velocity
-    const missDistance = approach.distance - combinedRadius;
-    const probability = Math.exp(-missDistance / (relativeVel * 0.1));
-    
-    return Math.min(probability, 1.0);
+  static collisionProbability(approach, radius1 = 1, radius2 = 1, options = {}) {
+    return CollisionProbability.compute(approach, {
+      ...options,
+      hardBodyRadius: radius1 + radius2,
+    }).pc;
   }
 }
 
@@ -0,0 +1,378 @@
+import { CollisionDetector } from './collisionDetector.js';
+
+/**
+ * Collision Probability
+ * Short-term encounter 2D probability of collision (Pc). The combined
+ * position covariance is projected onto the encounter (B-)plane, normal to
+ * the relative velocity at TCA, and the Gaussian is integrated over the
+ * hard-body circle centred on the miss vector.
+ *
+ * Methods:
+ * - foster: direct numerical integration (Foster & Estes 1992)
+ * - chan:   Chan's (1997) series for the equivalent isotropic case
+ * - max:    Alfano-style maximum Pc over an unknown isotropic covariance,
+ *           used when no covariance is available for either object
+ */
+
+const METHODS = ['foster', 'chan', 'max'];
+
+// Below this relative speed the encounter is not short-term and 2D Pc is unreliable
+const SHORT_TERM_MIN_VELOCITY = 10; // m/s
+
+/**
+ * Rotate an RTN covariance into the inertial frame: M C M^T
+ */
+function rtnToInertial(covRtn, frame) {
+  const m = [
+    [frame.radial.x, frame.inTrack.x, frame.crossTrack.x],
+    [frame.radial.y, frame.inTrack.y, frame.crossTrack.y],
+    [frame.radial.z, frame.inTrack.z, frame.crossTrack.z],
+  ];
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let sum = 0;
+      for (let k = 0; k < 3; k++) {
+        for (let l = 0; l < 3; l++) {
+          sum += m[i][k] * covRtn[k][l] * m[j][l];
+        }
+      }
+      out[i][j] = sum;
+    }
+  }
+  return out;
+}
+
+export class CollisionProbability {
+  /**
+   * Supported Pc methods
+   * @returns {Array} Method names
+   */
+  static listMethods() {
+    return [...METHODS];
+  }
+
+  /**
+   * Covariance input to a 3x3 RTN matrix in m^2
+   * @param {Array|Object} cov - 3x3 matrix or {radial, inTrack, crossTrack} 1-sigma (m)
+   * @returns {Array} 3x3 matrix
+   * @throws {Error} If the covariance is malformed or not positive definite
+   */
+  static toCovarianceMatrix(cov) {
+    if (Array.isArray(cov)) {
+      if (cov.length !== 3 || cov.some(row => !Array.isArray(row) || row.length !== 3
+        || row.some(v => !Number.isFinite(v)))) {
+        throw new Error('Covariance matrix must be 3x3 numbers (RTN, m^2)');
+      }
+      const scale = Math.max(...cov.map((row, i) => Math.abs(row[i])));
+      const symmetric = [[0, 1], [0, 2], [1, 2]]
+        .every(([i, j]) => Math.abs(cov[i][j] - cov[j][i]) <= 1e-9 * scale);
+      // Sylvester's criterion: every leading minor positive
+      const minor2 = cov[0][0] * cov[1][1] - cov[0][1] * cov[1][0];
+      const minor3 = cov[0][0] * (cov[1][1] * cov[2][2] - cov[1][2] * cov[2][1])
+        - cov[0][1] * (cov[1][0] * cov[2][2] - cov[1][2] * cov[2][0])
+        + cov[0][2] * (cov[1][0] * cov[2][1] - cov[1][1] * cov[2][0]);
+      if (!symmetric || !(cov[0][0] > 0 && minor2 > 0 && minor3 > 0)) {
+        throw new Error('Covariance matrix must be symmetric positive definite (RTN, m^2)');
+      }
+      return cov.map(row => [...row]);
+    }
+    const { radial, inTrack, crossTrack } = cov || {};
+    if (![radial, inTrack, crossTrack].every(v => Number.isFinite(v) && v > 0)) {
+      throw new Error('Covariance sigmas must be positive numbers {radial, inTrack, crossTrack} in metres');
+    }
+    return [
+      [radial ** 2, 0, 0],
+      [0, inTrack ** 2, 0],
+      [0, 0, crossTrack ** 2],
+    ];
+  }
+
+  /**
+   * Encounter-plane basis at TCA
+   * @param {Object} relPosition - Relative position (m)
+   * @param {Object} relVelocity - Relative velocity (m/s)
+   * @returns {Object} {x, z} unit vectors spanning the B-plane
+   */
+  static encounterFrame(relPosition, relVelocity) {
+    const unit = (v) => {
+      const mag = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+      return { x: v.x / mag, y: v.y / mag, z: v.z / mag };
+    };
+    const cross = (u, v) => ({
+      x: u.y * v.z - u.z * v.y,
+      y: u.z * v.x - u.x * v.z,
+      z: u.x * v.y - u.y * v.x,
+    });
+
+    const y = unit(relVelocity);
+    let z = cross(relPosition, relVelocity);
+    // Zero miss distance: any direction normal to the velocity will do
+    if (Math.sqrt(z.x * z.x + z.y * z.y + z.z * z.z) < 1e-9) {
+      z = cross(Math.abs(y.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 }, y);
+    }
+    z = unit(z);
+    return { x: cross(y, z), z };
+  }
+
+  /**
+   * Project a 3x3 covariance onto the B-plane
+   * @param {Array} cov - 3x3 inertial covariance (m^2)
+   * @param {Object} frame - Result of encounterFrame
+   * @returns {Array} 2x2 covariance (m^2)
+   */
+  static projectCovariance(cov, frame) {
+    const axes = [frame.x, frame.z];
+    const vec = (a) => [a.x, a.y, a.z];
+    return axes.map(a => axes.map(b => {
+      const va = vec(a);
+      const vb = vec(b);
+      let sum = 0;
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          sum += va[i] * cov[i][j] * vb[j];
+        }
+      }
+      return sum;
+    }));
+  }
+
+  /**
+   * Foster numerical integration of the 2D Gaussian over the hard-body circle
+   * @param {Object} miss - Miss vector in the B-plane {x, z} (m)
+   * @param {Array} cov2 - 2x2 B-plane covariance (m^2)
+   * @param {number} hbr - Combined hard-body radius (m)
+   * @returns {number} Pc
+   */
+  static foster(miss, cov2, hbr) {
+    const det = cov2[0][0] * cov2[1][1] - cov2[0][1] * cov2[1][0];
+    if (!(det > 0)) {
+      throw new Error('B-plane covariance is not positive definite');
+    }
+    const inv = [
+      [cov2[1][1] / det, -cov2[0][1] / det],
+      [-cov2[1][0] / det, cov2[0][0] / det],
+    ];
+    const norm = 1 / (2 * Math.PI * Math.sqrt(det));
+
+    // Polar grid centred on the miss point: Simpson in r, trapezoid (periodic) in theta
+    const nr = 64;
+    const nt = 128;
+    const dr = hbr / nr;
+    const dt = (2 * Math.PI) / nt;
+    let total = 0;
+
+    for (let i = 0; i <= nr; i++) {
+      const r = i * dr;
+      const weight = i === 0 || i === nr ? 1 : (i % 2 === 1 ? 4 : 2);
+      let ring = 0;
+      for (let j = 0; j < nt; j++) {
+        const x = miss.x + r * Math.cos(j * dt);
+        const z = miss.z + r * Math.sin(j * dt);
+        const q = inv[0][0] * x * x + 2 * inv[0][1] * x * z + inv[1][1] * z * z;
+        ring += Math.exp(-0.5 * q);
+      }
+      total += weight * ring * dt * r;
+    }
+
+    return Math.min(1, norm * total * dr / 3);
+  }
+
+  /**
+   * Chan series for the equivalent isotropic encounter
+   * @param {Object} miss - Miss vector in the B-plane {x, z} (m)
+   * @param {Array} cov2 - 2x2 B-plane covariance (m^2)
+   * @param {number} hbr - Combined hard-body radius (m)
+   * @param {number} terms - Series terms
+   * @returns {number} Pc
+   */
+  static chan(miss, cov2, hbr, terms = 40) {
+    const { sigma1, sigma2, axis1, axis2 } = this.principalAxes(cov2);
+    const m1 = miss.x * axis1.x + miss.z * axis1.z;
+    const m2 = miss.x * axis2.x + miss.z * axis2.z;
+
+    const u = hbr * hbr / (sigma1 * sigma2);
+    const v = (m1 * m1) / (sigma1 * sigma1) + (m2 * m2) / (sigma2 * sigma2);
+
+    let pc = 0;
+    let vTerm = 1; // (v/2)^m / m!
+    let uTerm = 1; // (u/2)^k / k!
+    let uSum = 1;
+    for (let m = 0; m < terms; m++) {
+      if (m > 0) {
+        vTerm *= (v / 2) / m;
+        uTerm *= (u / 2) / m;
+        uSum += uTerm;
+      }
+      pc += vTerm * (1 - Math.exp(-u / 2) * uSum);
+    }
+
+    return Math.min(1, Math.max(0, Math.exp(-v / 2) * pc));
+  }
+
+  /**
+   * Maximum Pc over an unknown isotropic covariance (Alfano)
+   * @param {number} missDistance - Miss distance (m)
+   * @param {number} hbr - Combined hard-body radius (m)
+   * @returns {Object} {pc, sigma} with the worst-case sigma in metres
+   */
+  static maxPc(missDistance, hbr) {
+    if (missDistance <= hbr) {
+      return { pc: 1, sigma: 0 };
+    }
+
+    // Golden-section search on log(sigma)
+    const miss = { x: missDistance, z: 0 };
+    const pcAt = (logSigma) => {
+      const s2 = Math.exp(2 * logSigma);
+      return this.foster(miss, [[s2, 0], [0, s2]], hbr);
+    };
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = Math.log(missDistance / 100);
+    let b = Math.log(missDistance * 100);
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = pcAt(c);
+    let fd = pcAt(d);
+    for (let i = 0; i < 60; i++) {
+      if (fc > fd) {
+        b = d; d = c; fd = fc;
+        c = b - ratio * (b - a);
+        fc = pcAt(c);
+      } else {
+        a = c; c = d; fc = fd;
+        d = a + ratio * (b - a);
+        fd = pcAt(d);
+      }
+    }
+
+    const logSigma = (a + b) / 2;
+    return { pc: pcAt(logSigma), sigma: Math.exp(logSigma) };
+  }
+
+  /**
+   * Principal axes of a 2x2 covariance
+   * @param {Array} cov2 - 2x2 covariance
+   * @returns {Object} {sigma1, sigma2, axis1, axis2, angle} (sigma1 >= sigma2, angle in degrees)
+   */
+  static principalAxes(cov2) {
+    const a = cov2[0][0];
+    const b = cov2[0][1];
+    const c = cov2[1][1];
+    const mean = (a + c) / 2;
+    const diff = Math.sqrt(((a - c) / 2) ** 2 + b * b);
+    const angle = 0.5 * Math.atan2(2 * b, a - c);
+    return {
+      sigma1: Math.sqrt(Math.max(mean + diff, 0)),
+      sigma2: Math.sqrt(Math.max(mean - diff, 0)),
+      axis1: { x: Math.cos(angle), z: Math.sin(angle) },
+      axis2: { x: -Math.sin(angle), z: Math.cos(angle) },
+      angle: angle * 180 / Math.PI,
+    };
+  }
+
+  /**
+   * Compute Pc for a close approach from CollisionDetector
+   * @param {Object} approach - Approach with position1/2 (km) and velocity1/2 (km/s) at TCA
+   * @param {Object} options - {hardBodyRadius (m), covariance1, covariance2 (RTN, see toCovarianceMatrix),
+   *   method ('foster' | 'chan')}
+   * @returns {Object} Pc result with the method used and covariance assumptions
+   */
+  static compute(approach, options = {}) {
+    const { hardBodyRadius = 2, covariance1 = null, covariance2 = null } = options;
+    const requested = (options.method || 'foster').toLowerCase();
+    if (!METHODS.includes(requested)) {
+      throw new Error(`Unknown Pc method '${options.method}'. Use one of: ${METHODS.join(', ')}`);
+    }
+
+    const toMeters = (v) => ({ x: v.x * 1000, y: v.y * 1000, z: v.z * 1000 });
+    const relPosition = toMeters({
+      x: approach.position2.x - approach.position1.x,
+      y: approach.position2.y - approach.position1.y,
+      z: approach.position2.z - approach.position1.z,
+    });
+    const relVelocity = toMeters({
+      x: approach.velocity2.x - approach.velocity1.x,
+      y: approach.velocity2.y - approach.velocity1.y,
+      z: approach.velocity2.z - approach.velocity1.z,
+    });
+    const missDistance = Math.sqrt(relPosition.x ** 2 + relPosition.y ** 2 + relPosition.z ** 2);
+    const relativeSpeed = Math.sqrt(relVelocity.x ** 2 + relVelocity.y ** 2 + relVelocity.z ** 2);
+
+    const frame = this.encounterFrame(relPosition, relVelocity);
+    const miss = {
+      x: relPosition.x * frame.x.x + relPosition.y * frame.x.y + relPosition.z * frame.x.z,
+      z: relPosition.x * frame.z.x + relPosition.y * frame.z.y + relPosition.z * frame.z.z,
+    };
+
+    const covarianceInfo = {
+      frame: 'RTN',
+      object1: covariance1 ? 'provided' : 'missing',
+      object2: covariance2 ? 'provided' : 'missing',
+      assumptions: [],
+    };
+    const result = {
+      pc: null,
+      method: requested,
+      hardBodyRadius,
+      missDistance,
+      relativeSpeed,
+      bPlaneMiss: miss,
+      bPlaneSigma: null,
+      covariance: covarianceInfo,
+      shortTermEncounter: relativeSpeed >= SHORT_TERM_MIN_VELOCITY,
+    };
+
+    if (!result.shortTermEncounter) {
+      covarianceInfo.assumptions.push(
+        `Relative speed below ${SHORT_TERM_MIN_VELOCITY} m/s: the short-term (linear) encounter assumption is questionable`
+      );
+    }
+
+    const useMaxPc = (reason) => {
+      const { pc, sigma } = this.maxPc(Math.hypot(miss.x, miss.z), hardBodyRadius);
+      result.method = 'max';
+      result.pc = pc;
+      result.bPlaneSigma = { sigma1: sigma, sigma2: sigma, angle: 0 };
+      covarianceInfo.assumptions.push(`${reason}: worst-case isotropic B-plane covariance (maximum Pc)`);
+      return result;
+    };
+
+    if ((!covariance1 && !covariance2) || requested === 'max') {
+      return useMaxPc('No covariance used');
+    }
+
+    // Combined covariance, each object's RTN matrix rotated with its own frame
+    const combined = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    [
+      [covariance1, approach.position1, approach.velocity1],
+      [covariance2, approach.position2, approach.velocity2],
+    ].forEach(([cov, position, velocity]) => {
+      if (!cov) return;
+      const inertial = rtnToInertial(this.toCovarianceMatrix(cov), CollisionDetector.rtnFrame(position, velocity));
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          combined[i][j] += inertial[i][j];
+        }
+      }
+    });
+    if (!covariance1 || !covariance2) {
+      covarianceInfo.assumptions.push(
+        `Covariance for object ${covariance1 ? 2 : 1} missing: treated as zero (combined covariance underestimated)`
+      );
+    }
+    covarianceInfo.assumptions.push('Position errors Gaussian, uncorrelated between objects');
+
+    const cov2 = this.projectCovariance(combined, frame);
+    if (!(cov2[0][0] * cov2[1][1] - cov2[0][1] * cov2[1][0] > 0)) {
+      return useMaxPc('Combined covariance singular in the B-plane');
+    }
+    const axes = this.principalAxes(cov2);
+    result.bPlaneSigma = { sigma1: axes.sigma1, sigma2: axes.sigma2, angle: axes.angle };
+    result.pc = requested === 'chan'
+      ? this.chan(miss, cov2, hardBodyRadius)
+      : this.foster(miss, cov2, hardBodyRadius);
+
+    return result;
+  }
+}
@@ -1,18 +1,22 @@
 import { BaseCollisionModel } from './models/baseCollisionModel.js';
-import { NASACollisionModel } from './models/nasaModel.js';
 import OrbitPropagator from '../api/orbitPropagator.js';
+import HighPrecisionPropagator from '../api/highPrecisionPropagator.js';
+import NumericalPropagator from '../api/numericalPropagator.js';
+import SecularPropagator from '../api/secularPropagator.js';
+import { ObjectSize } from './objectSize.js';
+import { SeededRandom } from './seededRandom.js';
+import { EnsembleStatistics } from './ensembleStatistics.js';
+import { MU, EARTH_RADIUS, J2 } from '../api/constants.js';
 
 /**
  * Collision Simulator
- * Orchestrates collision simulation using different models
+ * Orchestrates collision simulation using different models. Models are
+ * registered by the ModelRegistry, which discovers them at startup.
  */
 export class CollisionSimulator {
   constructor() {
     this.models = new Map();
     this.defaultModel = 'nasa';
-    
-    // Register default models
-    this.registerModel('nasa', new NASACollisionModel());
   }
 
   /**
@@ -42,14 +46,20 @@ export class CollisionSimulator {
 
   /**
    * Simulate a collision between two objects
-   * @param {Object} object1 - First object {noradId, satrec, name, mass}
-   * @param {Object} object2 - Second object {noradId, satrec, name, mass}
+   * @param {Object} object1 - First object {noradId, satrec, name, mass, size, objectType}
+   * @param {Object} object2 - Second object {noradId, satrec, name, mass, size, objectType}
    * @param {Date} collisionTime - Time of collision
    * @param {string} modelName - Model to use
-   * @returns {Object} Simulation result
+   * @param {Object} options - {seed} for the fragment sampling, a random one if omitted;
+   *   {parameters} overriding the model's defaults for this simulation
+   * @returns {Object} Simulation result, including the seed used
    */
-  simulateCollision(object1, object2, collisionTime, modelName = null) {
-    const model = this.getModel(modelName);
+  simulateCollision(object1, object2, collisionTime, modelName = null, options = {}) {
+    const model = this.getModel(modelName).withParameters(options.parameters);
+    const rng = new SeededRandom(options.seed ?? SeededRandom.randomSeed());
+
+    const size1 = object1.size || ObjectSize.estimate(object1);
+    const size2 = object2.size || ObjectSize.estimate(object2);
 
     // Get positions and velocities at collision time
     const pos1 = OrbitPropagator.propagate(object1.satrec, collisionTime);
@@ -58,12 +68,16 @@ export class CollisionSimulator {
     // Prepare objects for collision model
     const obj1 = {
       mass: object1.mass || 100,
+      radius: size1.radius,
+      objectType: object1.objectType || null,
       position: pos1.position,
       velocity: pos1.velocity,
     };
 
     const obj2 = {
       mass: object2.mass || 100,
+      radius: size2.radius,
+      objectType: object2.objectType || null,
       position: pos2.position,
       velocity: pos2.velocity,
     };
@@ -72,68 +86,235 @@ export class CollisionSimulator {
     const collisionResult = model.simulate(obj1, obj2, { time: collisionTime });
 
     // Generate debris fragments
-    const fragments = model.generateDebris(collisionResult);
+    const fragments = model.generateDebris(collisionResult, rng.generator());
 
     return {
       collision: {
         time: collisionTime,
+        ...collisionResult,
         object1: {
+          ...collisionResult.object1,
           noradId: object1.noradId,
           name: object1.name,
+          radiusSource: size1.source,
         },
         object2: {
+          ...collisionResult.object2,
           noradId: object2.noradId,
           name: object2.name,
+          radiusSource: size2.source,
         },
-        ...collisionResult,
       },
       fragments,
       model: model.name,
+      parameters: model.getParameters(),
+      seed: rng.seed,
     };
   }
 
   /**
-   * Propagate debris fragments forward in time
+   * Propagate debris fragments forward in time. Each fragment's post-breakup
+   * state is integrated numerically under two-body gravity, J2 and drag with
+   * its own area-to-mass ratio, or with the high-precision propagator under
+   * a chosen force model.
    * @param {Array} fragments - Debris fragments
    * @param {Date} startTime - Start time
    * @param {Date} endTime - End time
-   * @param {number} stepSeconds - Time step
-   * @returns {Array} Fragment trajectories
+   * @param {number} stepSeconds - Output interval
+   * @param {Object} options - {integrationStepSeconds, dragCoefficient, reentryAltitude (km),
+   *   forceModel (HighPrecisionPropagator options; omit for RK4 with J2 and drag)}
+   * @returns {Array} Array of {fragment, elements, trajectory, reentered, reentryTime}
    */
-  propagateFragments(fragments, startTime, endTime, stepSeconds = 60) {
-    // Note: This is a simplified propagation
-    // In reality, fragments would need TLE generation or numerical integration
-    const trajectories = [];
-
-    for (const fragment of fragments) {
-      const trajectory = [];
-      const current = new Date(startTime);
-
-      while (current <= endTime) {
-        // Simple linear propagation (not accurate for orbits)
-        // In production, you'd need to convert to orbital elements or use numerical integration
-        const elapsed = (current - startTime) / 1000; // seconds
-        
-        trajectory.push({
-          time: new Date(current),
-          position: {
-            x: fragment.position.x + fragment.velocity.x * elapsed,
-            y: fragment.position.y + fragment.velocity.y * elapsed,
-            z: fragment.position.z + fragment.velocity.z * elapsed,
-          },
-          velocity: fragment.velocity,
+  propagateFragments(fragments, startTime, endTime, stepSeconds = 60, options = {}) {
+    const { integrationStepSeconds = 10, dragCoefficient = 2.2, reentryAltitude = 100, forceModel = null } = options;
+
+    return fragments.map(fragment => {
+      const areaToMass = CollisionSimulator.fragmentAreaToMass(fragment);
+      const state = { position: fragment.position, velocity: fragment.velocity };
+
+      const samples = forceModel
+        ? HighPrecisionPropagator.propagateStateRange(state, startTime, endTime, stepSeconds, {
+          ...forceModel,
+          areaToMass,
+          dragCoefficient,
+          minAltitude: reentryAltitude,
+        })
+        : NumericalPropagator.propagateRange(state, startTime, endTime, stepSeconds, {
+          stepSeconds: Math.min(integrationStepSeconds, stepSeconds),
+          areaToMass,
+          dragCoefficient,
+          minAltitude: reentryAltitude,
         });
+      const last = samples[samples.length - 1];
+
+      return {
+        fragment,
+        elements: OrbitPropagator.calculateOrbitalElements(fragment.position, fragment.velocity),
+        trajectory: samples.map(sample => ({
+          time: sample.date,
+          position: sample.position,
+          velocity: sample.velocity,
+        })),
+        reentered: Boolean(last.reentry),
+        reentryTime: last.reentry ? last.date : null,
+      };
+    });
+  }
+
+  /**
+   * Follow a fragment cloud over days to weeks with the secular propagator,
+   * long enough for it to spread along-track into a ring and then across
+   * RAAN. Each fragment's mean elements are sampled at a fixed interval as
+   * compact rows [seconds since start, a (km), e, i, RAAN, argument of
+   * perigee, mean anomaly (deg)]; the position between samples follows from
+   * the earlier sample's J2 rates. Clouds larger than maxFragments are
+   * thinned evenly, and fragments on open orbits are left out.
+   * @param {Array} fragments - Debris fragments
+   * @param {Date} startTime - Breakup time
+   * @param {Date} endTime - End time
+   * @param {number} sampleSeconds - Interval between samples
+   * @param {Object} options - {maxFragments, dragCoefficient, reentryAltitude (km)}
+   * @returns {Object} {start, end, sampleSeconds, total, escaped, fragments:
+   *   [{id, size, mass, areaToMass, samples, reentryTime}], constants: {mu, earthRadius, j2}
+   *   for the J2 rates between samples}
+   */
+  evolveCloud(fragments, startTime, endTime, sampleSeconds = 21600, options = {}) {
+    const { maxFragments = 1000, dragCoefficient = 2.2, reentryAltitude = 100 } = options;
+    const stride = Math.max(1, fragments.length / maxFragments);
+    const thinned = [];
+    for (let i = 0; i < fragments.length && thinned.length < maxFragments; i += stride) {
+      thinned.push(fragments[Math.floor(i)]);
+    }
 
-        current.setSeconds(current.getSeconds() + stepSeconds);
+    let escaped = 0;
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const evolved = [];
+    thinned.forEach(fragment => {
+      const elements = OrbitPropagator.calculateOrbitalElements(fragment.position, fragment.velocity);
+      if (!(elements.eccentricity < 1 && elements.semiMajorAxis > 0)) {
+        escaped++;
+        return;
       }
+      const areaToMass = CollisionSimulator.fragmentAreaToMass(fragment);
+      const samples = SecularPropagator.propagateRange(elements, startTime, endTime, sampleSeconds, {
+        areaToMass,
+        dragCoefficient,
+        minAltitude: reentryAltitude,
+      });
+      const last = samples[samples.length - 1];
+      const initiallyDown = elements.perigee - EARTH_RADIUS < reentryAltitude;
 
-      trajectories.push({
-        fragment,
-        trajectory,
+      evolved.push({
+        id: fragment.id,
+        size: fragment.size,
+        mass: fragment.mass,
+        areaToMass,
+        samples: (initiallyDown ? samples.slice(0, 1) : samples).map(({ date, elements: e }) => [
+          (date - startTime) / 1000,
+          round(e.semiMajorAxis, 3),
+          round(e.eccentricity, 6),
+          round(e.inclination, 4),
+          round(e.raan, 4),
+          round(e.argPerigee, 4),
+          round(e.meanAnomaly, 5),
+        ]),
+        // Perigee inside the atmosphere at breakup: down within an orbit
+        reentryTime: initiallyDown ? startTime : (last.reentry ? last.date : null),
       });
-    }
+    });
+
+    return {
+      start: startTime,
+      end: endTime,
+      sampleSeconds,
+      total: fragments.length,
+      escaped,
+      fragments: evolved,
+      constants: { mu: MU, earthRadius: EARTH_RADIUS, j2: J2 },
+    };
+  }
+
+  /**
+   * Run a collision many times with different seeds and summarise the
+   * fragment populations. Run seeds are drawn from the ensemble seed, so the
+   * ensemble is reproducible and any single run can be repeated with
+   * simulateCollision and its seed.
+   * @param {Object} object1 - First object {noradId, satrec, name, mass, size, objectType}
+   * @param {Object} object2 - Second object {noradId, satrec, name, mass, size, objectType}
+   * @param {Date} collisionTime - Time of collision
+   * @param {string} modelName - Model to use
+   * @param {Object} options - {runs, seed, bins, parameters}
+   * @returns {Object} {collision, model, parameters, runs, seed, seeds, distributions}
+   */
+  simulateEnsemble(object1, object2, collisionTime, modelName = null, options = {}) {
+    const { runs = 50, bins = 20, parameters } = options;
+    const rng = new SeededRandom(options.seed ?? SeededRandom.randomSeed());
+    const seeds = Array.from({ length: runs }, () => Math.floor(rng.next() * 2 ** 32));
+
+    const fragmentCount = [];
+    const totalMass = [];
+    const fragmentValues = { mass: [], size: [], deltaV: [], areaToMass: [] };
+    let collision = null;
+    let model = null;
+    let modelParameters = null;
+
+    seeds.forEach(seed => {
+      const result = this.simulateCollision(object1, object2, collisionTime, modelName, { seed, parameters });
+      collision = collision || result.collision;
+      model = result.model;
+      modelParameters = result.parameters;
+
+      const { fragments } = result;
+      fragmentCount.push(fragments.length);
+      totalMass.push(fragments.reduce((sum, f) => sum + f.mass, 0));
+      fragmentValues.mass.push(fragments.map(f => f.mass));
+      fragmentValues.size.push(fragments.map(f => f.size));
+      fragmentValues.deltaV.push(fragments.map(f => CollisionSimulator.fragmentDeltaV(f, result.collision)));
+      fragmentValues.areaToMass.push(fragments.map(f => CollisionSimulator.fragmentAreaToMass(f)));
+    });
+
+    return {
+      collision,
+      model,
+      parameters: modelParameters,
+      runs,
+      seed: rng.seed,
+      seeds,
+      distributions: {
+        fragmentCount: { unit: null, ...EnsembleStatistics.runDistribution(fragmentCount, bins) },
+        totalMass: { unit: 'kg', ...EnsembleStatistics.runDistribution(totalMass, bins) },
+        mass: { unit: 'kg', ...EnsembleStatistics.fragmentDistribution(fragmentValues.mass, bins) },
+        size: { unit: 'm', ...EnsembleStatistics.fragmentDistribution(fragmentValues.size, bins) },
+        deltaV: { unit: 'm/s', ...EnsembleStatistics.fragmentDistribution(fragmentValues.deltaV, bins) },
+        areaToMass: { unit: 'm^2/kg', ...EnsembleStatistics.fragmentDistribution(fragmentValues.areaToMass, bins) },
+      },
+    };
+  }
+
+  /**
+   * Area-to-mass ratio of a fragment; models without an A/m distribution
+   * are taken as a sphere of the fragment's size
+   * @param {Object} fragment - Debris fragment
+   * @returns {number} A/m (m^2/kg)
+   */
+  static fragmentAreaToMass(fragment) {
+    return fragment.areaToMass ?? Math.PI * (fragment.size / 2) ** 2 / fragment.mass;
+  }
 
-    return trajectories;
+  /**
+   * Ejection speed of a fragment; models that do not report one are taken
+   * relative to the colliding pair's centre-of-mass velocity
+   * @param {Object} fragment - Debris fragment
+   * @param {Object} collision - Collision result with object1 and object2
+   * @returns {number} Delta-v (m/s)
+   */
+  static fragmentDeltaV(fragment, collision) {
+    if (fragment.deltaV !== undefined) return fragment.deltaV;
+    const { object1, object2 } = collision;
+    const total = object1.mass + object2.mass;
+    const component = axis =>
+      fragment.velocity[axis] - (object1.mass * object1.velocity[axis] + object2.mass * object2.velocity[axis]) / total;
+    return Math.hypot(component('x'), component('y'), component('z')) * 1000; // km/s to m/s
   }
 
   /**
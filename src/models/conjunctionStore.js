@@ -0,0 +1,66 @@
+/**
+ * Conjunction Store
+ * In-memory record of conjunction events found by the detector, keyed by
+ * event ID so later requests (CDM export, etc.) can refer back to them.
+ * Oldest events are evicted once the store is full.
+ */
+export class ConjunctionStore {
+  /**
+   * @param {number} maxEvents - Maximum number of events kept
+   */
+  constructor(maxEvents = 5000) {
+    this.maxEvents = maxEvents;
+    this.events = new Map();
+  }
+
+  /**
+   * Stable event ID from the object pair and TCA
+   * @param {Object} event - Event with object1, object2 and time
+   * @returns {string} Event ID, e.g. 20001_20044_20240502T101530123
+   */
+  static eventId(event) {
+    const stamp = new Date(event.time).toISOString().replace(/[-:.Z]/g, '');
+    return `${event.object1.noradId}_${event.object2.noradId}_${stamp}`;
+  }
+
+  /**
+   * Store an event, replacing any earlier event with the same ID
+   * @param {Object} event - Conjunction event
+   * @returns {Object} Stored event including its eventId
+   */
+  add(event) {
+    const eventId = event.eventId || ConjunctionStore.eventId(event);
+    const stored = { ...event, eventId, storedAt: new Date().toISOString() };
+
+    // Re-insert so the Map's insertion order stays oldest-first
+    this.events.delete(eventId);
+    this.events.set(eventId, stored);
+
+    while (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Get an event by ID
+   * @param {string} eventId - Event ID
+   * @returns {Object|null} Event or null if unknown
+   */
+  get(eventId) {
+    return this.events.get(eventId) || null;
+  }
+
+  /**
+   * List stored events, most recent TCA first
+   * @returns {Array} Events
+   */
+  list() {
+    return Array.from(this.events.values())
+      .sort((a, b) => new Date(b.time) - new Date(a.time));
+  }
+}
+
+// Export singleton instance
+export const conjunctionStore = new ConjunctionStore();
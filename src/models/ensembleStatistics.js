@@ -0,0 +1,158 @@
+/**
+ * Ensemble Statistics
+ * Summaries and histograms of Monte Carlo simulation output: per-run
+ * quantities (one value per realisation) and per-fragment quantities
+ * (one list of values per realisation).
+ */
+
+const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+export class EnsembleStatistics {
+  /**
+   * Percentile of sorted values by linear interpolation
+   * @param {Array} sorted - Values in ascending order
+   * @param {number} p - Percentile (0-100)
+   * @returns {number|null} Value, or null if there are none
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * Summary statistics
+   * @param {Array} values - Values
+   * @param {Array} percentiles - Percentiles to report
+   * @returns {Object} {count, mean, std, min, max, percentiles: {p5, p25, ...}}
+   */
+  static summarize(values, percentiles = DEFAULT_PERCENTILES) {
+    const sorted = Float64Array.from(values).sort();
+    const count = sorted.length;
+    const mean = count > 0 ? sorted.reduce((sum, v) => sum + v, 0) / count : null;
+    const variance = count > 1
+      ? sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1)
+      : 0;
+
+    return {
+      count,
+      mean,
+      std: count > 0 ? Math.sqrt(variance) : null,
+      min: count > 0 ? sorted[0] : null,
+      max: count > 0 ? sorted[count - 1] : null,
+      percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, this.percentile(sorted, p)])),
+    };
+  }
+
+  /**
+   * Bin edges spanning [min, max]; a range that is empty to rounding error
+   * (e.g. a conserved mass) gets a single bin
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @param {number} bins - Number of bins
+   * @param {string} scale - 'linear' or 'log' (min must be positive)
+   * @returns {Array} bins + 1 edges
+   */
+  static binEdges(min, max, bins, scale = 'linear') {
+    if (!(max - min > 1e-9 * Math.max(Math.abs(min), Math.abs(max)))) return [min, max];
+    if (scale === 'log') {
+      const lo = Math.log10(min);
+      const width = (Math.log10(max) - lo) / bins;
+      return Array.from({ length: bins + 1 }, (_, i) => Math.pow(10, lo + i * width));
+    }
+    const width = (max - min) / bins;
+    return Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+  }
+
+  /**
+   * Count values per bin; the last bin includes its upper edge
+   * @param {Array} values - Values
+   * @param {Array} edges - Bin edges from binEdges()
+   * @param {string} scale - 'linear' or 'log', as used for the edges
+   * @returns {Array} Counts per bin
+   */
+  static binCounts(values, edges, scale = 'linear') {
+    const bins = edges.length - 1;
+    const counts = new Array(bins).fill(0);
+    const transform = scale === 'log' ? Math.log10 : (v) => v;
+    const lo = transform(edges[0]);
+    const hi = transform(edges[bins]);
+
+    for (const value of values) {
+      if (!(value >= edges[0] && value <= edges[bins])) continue;
+      const index = bins > 1 ? Math.floor(((transform(value) - lo) / (hi - lo)) * bins) : 0;
+      counts[Math.min(index, bins - 1)]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Distribution of a quantity with one value per run
+   * @param {Array} values - Value of each run
+   * @param {number} bins - Histogram bins
+   * @returns {Object} {per: 'run', summary, histogram: {scale, bins: [{lower, upper, count}]}}
+   */
+  static runDistribution(values, bins = 20) {
+    const summary = this.summarize(values);
+    const edges = values.length > 0 ? this.binEdges(summary.min, summary.max, bins) : [];
+    const counts = edges.length > 0 ? this.binCounts(values, edges) : [];
+
+    return {
+      per: 'run',
+      summary,
+      histogram: {
+        scale: 'linear',
+        bins: counts.map((count, i) => ({ lower: edges[i], upper: edges[i + 1], count })),
+      },
+    };
+  }
+
+  /**
+   * Distribution of a fragment quantity across runs. The summary pools every
+   * fragment of every run; each histogram bin gives the number of fragments
+   * per run in it (mean and percentiles over runs). Bins are logarithmic, so
+   * non-positive values are left out of the histogram.
+   * @param {Array} valuesPerRun - Array per run of fragment values
+   * @param {number} bins - Histogram bins
+   * @returns {Object} {per: 'fragment', summary, histogram: {scale, bins: [{lower, upper,
+   *   mean, p5, p50, p95}]}}
+   */
+  static fragmentDistribution(valuesPerRun, bins = 20) {
+    const pooled = valuesPerRun.flat();
+    const summary = this.summarize(pooled);
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of pooled) {
+      if (value > 0 && value < min) min = value;
+      if (value > 0 && value > max) max = value;
+    }
+    if (!Number.isFinite(min)) {
+      return { per: 'fragment', summary, histogram: { scale: 'log', bins: [] } };
+    }
+
+    const edges = this.binEdges(min, max, bins, 'log');
+    const countsPerRun = valuesPerRun.map(values => this.binCounts(values, edges, 'log'));
+
+    return {
+      per: 'fragment',
+      summary,
+      histogram: {
+        scale: 'log',
+        bins: edges.slice(0, -1).map((lower, i) => {
+          const counts = countsPerRun.map(run => run[i]).sort((a, b) => a - b);
+          return {
+            lower,
+            upper: edges[i + 1],
+            mean: counts.reduce((sum, c) => sum + c, 0) / counts.length,
+            p5: this.percentile(counts, 5),
+            p50: this.percentile(counts, 50),
+            p95: this.percentile(counts, 95),
+          };
+        }),
+      },
+    };
+  }
+}
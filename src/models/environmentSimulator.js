@@ -0,0 +1,498 @@
+import { ScreeningFilters } from './screeningFilters.js';
+import { SeededRandom } from './seededRandom.js';
+import OrbitPropagator from '../api/orbitPropagator.js';
+import NumericalPropagator from '../api/numericalPropagator.js';
+import { MU, EARTH_RADIUS } from '../api/constants.js';
+
+/**
+ * Environment Simulator
+ * Long-term projection of the debris population. Every object is reduced
+ * to a circular orbit at its mean altitude and its inclination; each step
+ * decays the orbits by drag, adds launch traffic and retires missions, and
+ * samples collisions in altitude-shell / inclination-band cells from the
+ * cells' spatial density (kinetic theory of gases). Sampled collisions
+ * fragment through a registered collision model and the fragments join
+ * the population.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const SECONDS_PER_YEAR = 365.25 * 86400;
+
+/**
+ * Poisson-distributed count
+ * @param {number} lambda - Mean
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {number} Count
+ */
+function poisson(lambda, random) {
+  if (lambda > 30) {
+    // Normal approximation
+    const u = 1 - random();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * z));
+  }
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * Orbit-plane normal
+ * @param {number} inclination - rad
+ * @param {number} raan - rad
+ * @returns {Object} Unit vector
+ */
+function planeNormal(inclination, raan) {
+  return {
+    x: Math.sin(inclination) * Math.sin(raan),
+    y: -Math.sin(inclination) * Math.cos(raan),
+    z: Math.cos(inclination),
+  };
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+export class EnvironmentSimulator {
+  /**
+   * @param {CollisionSimulator} collisionSimulator - Simulator whose models fragment the colliding objects
+   * @param {Object} options - {altitudeBinKm, inclinationBinDeg, maxAltitude (km), reentryAltitude (km),
+   *   minFragmentSize (m), dragCoefficient, sizeClasses, activeCollisionAvoidance, maxObjects}
+   */
+  constructor(collisionSimulator, options = {}) {
+    this.collisionSimulator = collisionSimulator;
+    this.altitudeBinKm = options.altitudeBinKm ?? 50;
+    this.inclinationBinDeg = options.inclinationBinDeg ?? 10;
+    this.maxAltitude = options.maxAltitude ?? 2000; // km - top of the simulated region
+    this.reentryAltitude = options.reentryAltitude ?? 100; // km
+    this.minFragmentSize = options.minFragmentSize ?? 0.1; // m - smaller fragments are not followed
+    this.dragCoefficient = options.dragCoefficient ?? 2.2;
+    this.sizeClasses = options.sizeClasses ?? [
+      { name: '<10 cm', max: 0.1 },
+      { name: '10 cm-1 m', min: 0.1, max: 1 },
+      { name: '>1 m', min: 1 },
+    ];
+    this.activeCollisionAvoidance = options.activeCollisionAvoidance ?? true;
+    this.maxObjects = options.maxObjects ?? 200000; // the run stops if the population outgrows this
+    this.crossingFactors = new Map();
+  }
+
+  /**
+   * Initial population from catalog objects
+   * @param {Array} objects - {noradId, objectType, mass, size: {radius}, satrec}
+   * @returns {Object} {population, excluded} excluded counts objects outside the region or decayed
+   */
+  fromCatalog(objects) {
+    const population = [];
+    let excluded = 0;
+
+    objects.forEach(object => {
+      const { perigee, apogee } = ScreeningFilters.radialBounds(object.satrec);
+      const altitude = (perigee + apogee) / 2 - EARTH_RADIUS;
+      if (object.satrec.error || !(perigee - EARTH_RADIUS > this.reentryAltitude) || altitude > this.maxAltitude) {
+        excluded++;
+        return;
+      }
+      population.push({
+        id: String(object.noradId),
+        origin: 'catalog',
+        objectType: object.objectType || null,
+        mass: object.mass,
+        radius: object.size.radius,
+        areaToMass: Math.PI * object.size.radius ** 2 / object.mass,
+        altitude,
+        inclination: object.satrec.inclo / DEG_TO_RAD,
+        activeUntil: null,
+      });
+    });
+
+    return { population, excluded };
+  }
+
+  /**
+   * Circular-orbit altitude after drag decay, da/dt = -Cd (A/m) rho sqrt(mu a)
+   * @param {number} altitude - Altitude (km)
+   * @param {number} areaToMass - A/m (m^2/kg)
+   * @param {number} seconds - Time span (s)
+   * @returns {number|null} New altitude, or null if the object re-entered
+   */
+  decay(altitude, areaToMass, seconds) {
+    let h = altitude;
+    let remaining = seconds;
+    while (remaining > 0) {
+      if (h < this.reentryAltitude) return null;
+      const a = (EARTH_RADIUS + h) * 1000; // m
+      const rate = this.dragCoefficient * areaToMass * NumericalPropagator.atmosphericDensity(h)
+        * Math.sqrt(MU * 1e9 * a) / 1000; // km/s
+      // Sub-steps small enough for the density to change little
+      const dt = Math.min(remaining, Math.max(60, 2 / rate));
+      h -= rate * dt;
+      remaining -= dt;
+    }
+    return h < this.reentryAltitude ? null : h;
+  }
+
+  /**
+   * Mean relative speed of two circular orbits that cross, over a uniform
+   * difference in right ascension of the ascending node
+   * @param {number} altitude - km
+   * @param {number} inclination1 - deg
+   * @param {number} inclination2 - deg
+   * @returns {number} km/s
+   */
+  meanRelativeSpeed(altitude, inclination1, inclination2) {
+    const key = `${inclination1}:${inclination2}`;
+    if (!this.crossingFactors.has(key)) {
+      // Mean of 2 sin(angle / 2) between the velocity vectors
+      const i1 = inclination1 * DEG_TO_RAD;
+      const i2 = inclination2 * DEG_TO_RAD;
+      const samples = 72;
+      let total = 0;
+      for (let k = 0; k < samples; k++) {
+        const dRaan = ((k + 0.5) / samples) * 2 * Math.PI;
+        const cosAngle = Math.cos(i1) * Math.cos(i2) + Math.sin(i1) * Math.sin(i2) * Math.cos(dRaan);
+        total += 2 * Math.sqrt(Math.max(0, (1 - cosAngle) / 2));
+      }
+      this.crossingFactors.set(key, total / samples);
+    }
+    return this.crossingFactors.get(key) * Math.sqrt(MU / (EARTH_RADIUS + altitude));
+  }
+
+  /**
+   * Group the population into altitude-shell / inclination-band cells
+   * @param {Array} objects - Population
+   * @returns {Map} shell index -> Map band index -> {members, sumRadius, sumRadius2, maxRadius}
+   */
+  buildCells(objects) {
+    const shells = new Map();
+    objects.forEach(object => {
+      if (object.altitude > this.maxAltitude) return;
+      if (this.activeCollisionAvoidance && object.activeUntil !== null) return;
+      const shell = Math.floor(object.altitude / this.altitudeBinKm);
+      const band = Math.min(Math.floor(object.inclination / this.inclinationBinDeg), Math.ceil(180 / this.inclinationBinDeg) - 1);
+      if (!shells.has(shell)) shells.set(shell, new Map());
+      const bands = shells.get(shell);
+      if (!bands.has(band)) bands.set(band, { members: [], sumRadius: 0, sumRadius2: 0, maxRadius: 0 });
+      const cell = bands.get(band);
+      const r = object.radius / 1000; // km
+      cell.members.push(object);
+      cell.sumRadius += r;
+      cell.sumRadius2 += r * r;
+      cell.maxRadius = Math.max(cell.maxRadius, r);
+    });
+    return shells;
+  }
+
+  /**
+   * Expected collisions between two cells of one shell in a time span
+   * @param {Object} cellA - Cell
+   * @param {Object} cellB - Cell (the same object for collisions within a cell)
+   * @param {number} volume - Shell volume (km^3)
+   * @param {number} relativeSpeed - km/s
+   * @param {number} seconds - Time span
+   * @returns {number} Expected number of collisions
+   */
+  expectedCollisions(cellA, cellB, volume, relativeSpeed, seconds) {
+    // Sum over pairs of pi (r_i + r_j)^2
+    let crossSection;
+    if (cellA === cellB) {
+      const n = cellA.members.length;
+      crossSection = Math.PI * ((n - 2) * cellA.sumRadius2 + cellA.sumRadius ** 2);
+    } else {
+      crossSection = Math.PI * (
+        cellB.members.length * cellA.sumRadius2 +
+        cellA.members.length * cellB.sumRadius2 +
+        2 * cellA.sumRadius * cellB.sumRadius
+      );
+    }
+    return crossSection * relativeSpeed * seconds / volume;
+  }
+
+  /**
+   * Draw a colliding pair, weighted by combined cross-section
+   * @param {Object} cellA - Cell
+   * @param {Object} cellB - Cell
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array} [object1, object2]
+   */
+  samplePair(cellA, cellB, random) {
+    const maxCrossSection = (cellA.maxRadius + cellB.maxRadius) ** 2;
+    let pair = null;
+    for (let tries = 0; tries < 1000; tries++) {
+      const a = cellA.members[Math.floor(random() * cellA.members.length)];
+      const b = cellB.members[Math.floor(random() * cellB.members.length)];
+      if (a === b) continue;
+      pair = [a, b];
+      if (random() * maxCrossSection <= ((a.radius + b.radius) / 1000) ** 2) break;
+    }
+    return pair;
+  }
+
+  /**
+   * Fragment a colliding pair through a collision model. The two orbits are
+   * given random nodes and meet where their planes intersect.
+   * @param {Object} objectA - Population object
+   * @param {Object} objectB - Population object
+   * @param {Date} time - Collision time
+   * @param {string} modelName - Collision model
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Object} {collisionResult, fragments}
+   */
+  collide(objectA, objectB, time, modelName, random) {
+    const altitude = (objectA.altitude + objectB.altitude) / 2;
+    const r = EARTH_RADIUS + altitude;
+    const speed = Math.sqrt(MU / r);
+
+    let normalA;
+    let normalB;
+    let line;
+    do {
+      const raan = random() * 2 * Math.PI;
+      normalA = planeNormal(objectA.inclination * DEG_TO_RAD, raan);
+      normalB = planeNormal(objectB.inclination * DEG_TO_RAD, raan + random() * 2 * Math.PI);
+      line = cross(normalA, normalB);
+    } while (Math.hypot(line.x, line.y, line.z) < 1e-6);
+
+    const length = Math.hypot(line.x, line.y, line.z);
+    const direction = { x: line.x / length, y: line.y / length, z: line.z / length };
+    const position = { x: direction.x * r, y: direction.y * r, z: direction.z * r };
+    const velocity = (normal) => {
+      const v = cross(normal, direction);
+      return { x: v.x * speed, y: v.y * speed, z: v.z * speed };
+    };
+
+    const model = this.collisionSimulator.getModel(modelName);
+    const collisionResult = model.simulate(
+      { mass: objectA.mass, radius: objectA.radius, objectType: objectA.objectType, position, velocity: velocity(normalA) },
+      { mass: objectB.mass, radius: objectB.radius, objectType: objectB.objectType, position: { ...position }, velocity: velocity(normalB) },
+      { time }
+    );
+    return { collisionResult, fragments: model.generateDebris(collisionResult, random) };
+  }
+
+  /**
+   * Population object for a fragment, or null if it re-enters at once or is too small to follow
+   * @param {Object} fragment - Fragment from a collision model
+   * @param {string} id - Population ID
+   * @returns {Object|null} Population object
+   */
+  fromFragment(fragment, id) {
+    if (!(fragment.size >= this.minFragmentSize)) return null;
+    const elements = OrbitPropagator.calculateOrbitalElements(fragment.position, fragment.velocity);
+    if (!(elements.eccentricity < 1) || elements.perigee - EARTH_RADIUS < this.reentryAltitude) return null;
+
+    const radius = fragment.size / 2;
+    return {
+      id,
+      origin: 'fragment',
+      objectType: 'DEBRIS',
+      mass: fragment.mass,
+      radius,
+      areaToMass: fragment.areaToMass ?? Math.PI * radius * radius / fragment.mass,
+      altitude: elements.semiMajorAxis - EARTH_RADIUS,
+      inclination: elements.inclination,
+      activeUntil: null,
+    };
+  }
+
+  /**
+   * Size class of an object from its diameter
+   * @param {Object} object - Population object
+   * @returns {string} Class name
+   */
+  sizeClass(object) {
+    const size = 2 * object.radius;
+    const match = this.sizeClasses.find(c => size >= (c.min ?? 0) && size < (c.max ?? Infinity));
+    return match ? match.name : 'other';
+  }
+
+  /**
+   * Project the population forward
+   * @param {Array} population - Initial population from fromCatalog()
+   * @param {Object} options - {startTime, years, stepDays, modelName, scenario: {launches}, seed}
+   *   launches: [{objectType, perYear, mass, diameter, altitude: [min, max], inclination: [min, max],
+   *   missionYears, disposalSuccess}]
+   * @param {Object} hooks - {onStep(progress), shouldStop()} called after every step
+   * @returns {Promise<Object>} {seed, steps, series, collisions, totals, stopped, truncated}
+   */
+  async run(population, options = {}, hooks = {}) {
+    const {
+      startTime = new Date(),
+      years = 50,
+      stepDays = 30,
+      modelName = 'nasa-sbm',
+      scenario = { launches: [] },
+    } = options;
+    const rng = new SeededRandom(options.seed ?? SeededRandom.randomSeed());
+    const random = rng.generator();
+
+    let objects = population.map(o => ({ ...o }));
+    const stepSeconds = stepDays * 86400;
+    const steps = Math.ceil(years * SECONDS_PER_YEAR / stepSeconds);
+    const launchBacklog = scenario.launches.map(() => 0);
+    const totals = { launched: 0, decayed: 0, disposed: 0, collisions: 0, catastrophic: 0, fragments: 0 };
+    const series = [];
+    const collisions = [];
+    let nextId = 1;
+    let stopped = false;
+    let truncated = false;
+
+    const sample = (time) => {
+      const bySizeClass = Object.fromEntries(this.sizeClasses.map(c => [c.name, 0]));
+      const byOrigin = { catalog: 0, launch: 0, fragment: 0 };
+      objects.forEach(o => {
+        const name = this.sizeClass(o);
+        bySizeClass[name] = (bySizeClass[name] || 0) + 1;
+        byOrigin[o.origin]++;
+      });
+      series.push({
+        time: time.toISOString(),
+        years: (time - startTime) / (SECONDS_PER_YEAR * 1000),
+        total: objects.length,
+        bySizeClass,
+        byOrigin,
+        ...totals,
+      });
+    };
+
+    sample(startTime);
+
+    for (let step = 1; step <= steps; step++) {
+      const time = new Date(startTime.getTime() + step * stepSeconds * 1000);
+
+      // Launch traffic, spread evenly over each year
+      scenario.launches.forEach((launch, k) => {
+        launchBacklog[k] += launch.perYear * stepSeconds / SECONDS_PER_YEAR;
+        while (launchBacklog[k] >= 1) {
+          launchBacklog[k] -= 1;
+          const [minAlt, maxAlt] = launch.altitude;
+          const [minInc, maxInc] = launch.inclination;
+          const radius = launch.diameter / 2;
+          objects.push({
+            id: `launch-${nextId++}`,
+            origin: 'launch',
+            objectType: launch.objectType,
+            mass: launch.mass,
+            radius,
+            areaToMass: Math.PI * radius * radius / launch.mass,
+            altitude: minAlt + random() * (maxAlt - minAlt),
+            inclination: minInc + random() * (maxInc - minInc),
+            activeUntil: launch.missionYears > 0 ? time.getTime() + launch.missionYears * SECONDS_PER_YEAR * 1000 : null,
+            disposalSuccess: launch.disposalSuccess ?? 0,
+          });
+          totals.launched++;
+        }
+      });
+
+      // End of mission: deorbited, or left derelict
+      objects = objects.filter(o => {
+        if (o.activeUntil === null || o.activeUntil > time.getTime()) return true;
+        if (random() < o.disposalSuccess) {
+          totals.disposed++;
+          return false;
+        }
+        o.activeUntil = null;
+        return true;
+      });
+
+      // Drag decay; active objects keep station
+      objects = objects.filter(o => {
+        if (o.activeUntil !== null) return true;
+        const altitude = this.decay(o.altitude, o.areaToMass, stepSeconds);
+        if (altitude === null) {
+          totals.decayed++;
+          return false;
+        }
+        o.altitude = altitude;
+        return true;
+      });
+
+      // Collisions per shell, between every pair of inclination bands
+      const removed = new Set();
+      const added = [];
+      this.buildCells(objects).forEach((bands, shell) => {
+        const inner = EARTH_RADIUS + shell * this.altitudeBinKm;
+        const volume = (4 / 3) * Math.PI * ((inner + this.altitudeBinKm) ** 3 - inner ** 3);
+        const altitude = (shell + 0.5) * this.altitudeBinKm;
+        const entries = Array.from(bands.entries());
+
+        entries.forEach(([bandA, cellA], a) => {
+          entries.slice(a).forEach(([bandB, cellB]) => {
+            if (cellA === cellB && cellA.members.length < 2) return;
+            const relativeSpeed = this.meanRelativeSpeed(
+              altitude,
+              (bandA + 0.5) * this.inclinationBinDeg,
+              (bandB + 0.5) * this.inclinationBinDeg
+            );
+            const expected = this.expectedCollisions(cellA, cellB, volume, relativeSpeed, stepSeconds);
+            const count = poisson(expected, random);
+
+            for (let c = 0; c < count; c++) {
+              const pair = this.samplePair(cellA, cellB, random);
+              if (!pair || pair.some(o => removed.has(o))) continue;
+              const [objectA, objectB] = pair;
+              const { collisionResult, fragments } = this.collide(objectA, objectB, time, modelName, random);
+              const catastrophic = collisionResult.regime !== 'non-catastrophic';
+
+              // A non-catastrophic impact leaves the target whole, less the cratered mass
+              if (catastrophic) {
+                removed.add(objectA);
+                removed.add(objectB);
+              } else {
+                const projectile = collisionResult.projectile === 1 ? objectA : objectB;
+                const target = projectile === objectA ? objectB : objectA;
+                removed.add(projectile);
+                target.mass = collisionResult.intactMass;
+                target.areaToMass = Math.PI * target.radius ** 2 / target.mass;
+              }
+
+              const followed = fragments
+                .map(f => this.fromFragment(f, `fragment-${nextId++}`))
+                .filter(Boolean);
+              added.push(...followed);
+
+              totals.collisions++;
+              if (catastrophic) totals.catastrophic++;
+              totals.fragments += followed.length;
+              collisions.push({
+                time: time.toISOString(),
+                altitude: (objectA.altitude + objectB.altitude) / 2,
+                objects: [objectA.id, objectB.id],
+                regime: collisionResult.regime || 'catastrophic',
+                relativeVelocity: collisionResult.relativeVelocity,
+                fragments: followed.length,
+              });
+            }
+          });
+        });
+      });
+
+      if (removed.size > 0) {
+        objects = objects.filter(o => !removed.has(o));
+      }
+      objects.push(...added);
+
+      sample(time);
+      if (hooks.onStep) hooks.onStep({ step, steps, series, collisions, totals });
+
+      if (objects.length > this.maxObjects) {
+        truncated = true;
+        break;
+      }
+      if (hooks.shouldStop && hooks.shouldStop()) {
+        stopped = true;
+        break;
+      }
+      // Let other requests through between steps
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { seed: rng.seed, steps, series, collisions, totals, stopped, truncated };
+  }
+}
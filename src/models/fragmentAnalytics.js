@@ -0,0 +1,86 @@
+import OrbitPropagator from '../api/orbitPropagator.js';
+import { EnsembleStatistics } from './ensembleStatistics.js';
+import { MU, EARTH_RADIUS } from '../api/constants.js';
+
+/**
+ * Fragment Analytics
+ * Orbits and distributions of a simulated fragment cloud: each fragment's
+ * apogee, perigee and period for a Gabbard diagram, and histograms of
+ * ejection delta-v, size and area-to-mass.
+ */
+export class FragmentAnalytics {
+  /**
+   * Orbit of a fragment just after the breakup
+   * @param {Object} fragment - Fragment {position (km), velocity (km/s)}
+   * @returns {Object|null} {elements, apogee, perigee (km altitude), period (min)},
+   *   or null if the fragment is not on a closed orbit
+   */
+  static orbit(fragment) {
+    const elements = OrbitPropagator.calculateOrbitalElements(fragment.position, fragment.velocity);
+    if (!(elements.eccentricity < 1 && elements.semiMajorAxis > 0)) return null;
+    return {
+      elements,
+      apogee: elements.apogee - EARTH_RADIUS,
+      perigee: elements.perigee - EARTH_RADIUS,
+      period: 2 * Math.PI * Math.sqrt(elements.semiMajorAxis ** 3 / MU) / 60,
+    };
+  }
+
+  /**
+   * Analyse a fragment cloud
+   * @param {Array} fragments - Fragments from generateDebris
+   * @param {Object} options - {deltaV: fragment => m/s, areaToMass: fragment => m^2/kg,
+   *   bins, reentryAltitude (km)}
+   * @returns {Object} {fragments, gabbard: {bound, unbound, reentering}, distributions}
+   */
+  static analyze(fragments, options = {}) {
+    const {
+      deltaV = fragment => fragment.deltaV,
+      areaToMass = fragment => fragment.areaToMass,
+      bins = 20,
+      reentryAltitude = 100,
+    } = options;
+
+    const analysed = fragments.map(fragment => {
+      const orbit = this.orbit(fragment);
+      return {
+        id: fragment.id,
+        parent: fragment.parent ?? null,
+        mass: fragment.mass,
+        size: fragment.size,
+        areaToMass: areaToMass(fragment),
+        deltaV: deltaV(fragment),
+        bound: Boolean(orbit),
+        apogee: orbit ? orbit.apogee : null,
+        perigee: orbit ? orbit.perigee : null,
+        period: orbit ? orbit.period : null,
+        // Perigee inside the atmosphere: re-enters within an orbit
+        reentering: orbit ? orbit.perigee < reentryAltitude : false,
+        elements: orbit ? orbit.elements : null,
+      };
+    });
+
+    const bound = analysed.filter(f => f.bound);
+    const distribution = (key, unit) => ({
+      unit,
+      ...EnsembleStatistics.fragmentDistribution([analysed.map(f => f[key]).filter(Number.isFinite)], bins),
+    });
+
+    return {
+      fragments: analysed,
+      gabbard: {
+        bound: bound.length,
+        unbound: analysed.length - bound.length,
+        reentering: bound.filter(f => f.reentering).length,
+        period: EnsembleStatistics.summarize(bound.map(f => f.period)),
+        apogee: EnsembleStatistics.summarize(bound.map(f => f.apogee)),
+        perigee: EnsembleStatistics.summarize(bound.map(f => f.perigee)),
+      },
+      distributions: {
+        deltaV: distribution('deltaV', 'm/s'),
+        size: distribution('size', 'm'),
+        areaToMass: distribution('areaToMass', 'm^2/kg'),
+      },
+    };
+  }
+}
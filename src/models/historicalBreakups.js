@@ -0,0 +1,177 @@
+/**
+ * Historical Breakups
+ * Reference fragmentation events for validating the collision models.
+ *
+ * Each scenario gives the objects involved, in the order they are passed to
+ * a model's simulate(), and the debris that was catalogued afterwards.
+ * Objects with a TLE are propagated to the event; an uncatalogued
+ * interceptor is given by its velocity relative to the target, in m/s in
+ * the target's RTN frame.
+ *
+ * The element sets are synthetic, not archived Space-Track TLEs, and each
+ * scenario says so in `elements`: they reproduce each object's pre-event
+ * orbit (inclination, altitude and near-circular eccentricity) at the event
+ * epoch with zero B*. The Iridium 33 / Cosmos 2251 pair is phased to meet at
+ * the reported impact point (72.5 N, 97.9 E, 789 km) at the reported closing
+ * speed. Archived element sets can be dropped in, with `elements` updated to
+ * match; the validator searches for the closest approach around the event
+ * time either way.
+ *
+ * Observed figures are approximate: total catalogued fragments (including
+ * those since decayed) and a coarse summary of each event's Gabbard
+ * diagram - the fraction of fragments by orbital period, and percentiles of
+ * their apogee and perigee altitudes. Interceptor masses are not public and
+ * are assumptions.
+ */
+
+export const historicalBreakups = [
+  {
+    id: 'iridium33-cosmos2251',
+    name: 'Iridium 33 / Cosmos 2251',
+    type: 'accidental collision',
+    time: '2009-02-10T16:55:59Z',
+    elements: {
+      synthetic: true, // not archived TLEs
+      source: 'Reconstructed from the published pre-event orbits and phased to meet at the reported impact point and closing speed',
+    },
+    objects: [
+      {
+        noradId: 24946,
+        name: 'IRIDIUM 33',
+        objectType: 'PAYLOAD',
+        mass: 560,
+        radius: 2.0,
+        tle: {
+          line1: '1 24946U 97051C   09041.70554398  .00000000  00000-0  00000-0 0  9992',
+          line2: '2 24946  86.3919 324.2676 0005430  94.4416  12.7484 14.33453331    09',
+        },
+      },
+      {
+        noradId: 22675,
+        name: 'COSMOS 2251',
+        objectType: 'PAYLOAD',
+        mass: 900,
+        radius: 1.5,
+        tle: {
+          line1: '1 22675U 93036A   09041.70554398  .00000000  00000-0  00000-0 0  9998',
+          line2: '2 22675  74.0495  68.4164 0005242  55.7607  26.7130 14.33454273    00',
+        },
+      },
+    ],
+    observed: {
+      minSize: 0.1, // m - catalogue detection limit in LEO
+      fragments: 2296,
+      byObject: { 24946: 628, 22675: 1668 },
+      gabbard: {
+        periodBins: [ // minutes
+          { lower: 92, upper: 94, fraction: 0.02 },
+          { lower: 94, upper: 96, fraction: 0.05 },
+          { lower: 96, upper: 98, fraction: 0.12 },
+          { lower: 98, upper: 100, fraction: 0.28 },
+          { lower: 100, upper: 102, fraction: 0.30 },
+          { lower: 102, upper: 104, fraction: 0.13 },
+          { lower: 104, upper: 106, fraction: 0.06 },
+          { lower: 106, upper: 108, fraction: 0.03 },
+          { lower: 108, upper: 110, fraction: 0.01 },
+        ],
+        apogee: { p5: 780, p50: 830, p95: 1150 }, // km
+        perigee: { p5: 480, p50: 760, p95: 790 },
+      },
+    },
+  },
+  {
+    id: 'fengyun1c-asat',
+    name: 'Fengyun-1C ASAT test',
+    type: 'anti-satellite test',
+    time: '2007-01-11T22:26:00Z',
+    elements: {
+      synthetic: true, // not archived TLEs
+      source: 'Reconstructed from the published pre-event orbit; the interceptor is given by its relative velocity',
+    },
+    objects: [
+      {
+        noradId: 25730,
+        name: 'FENGYUN 1C',
+        objectType: 'PAYLOAD',
+        mass: 880,
+        radius: 1.5,
+        tle: {
+          line1: '1 25730U 99025A   07011.93472222  .00000000  00000-0  00000-0 0  9992',
+          line2: '2 25730  98.6529   4.8901 0004714 344.7267 166.7514 14.10336909    05',
+        },
+      },
+      {
+        name: 'SC-19 KILL VEHICLE',
+        objectType: 'PAYLOAD',
+        mass: 100, // assumed
+        radius: 0.5,
+        relativeVelocity: { radial: 3000, inTrack: -7500, crossTrack: 0 }, // head-on from below, ~8 km/s
+      },
+    ],
+    observed: {
+      minSize: 0.1,
+      fragments: 3530,
+      gabbard: {
+        periodBins: [
+          { lower: 94, upper: 96, fraction: 0.02 },
+          { lower: 96, upper: 98, fraction: 0.05 },
+          { lower: 98, upper: 100, fraction: 0.13 },
+          { lower: 100, upper: 102, fraction: 0.27 },
+          { lower: 102, upper: 104, fraction: 0.25 },
+          { lower: 104, upper: 106, fraction: 0.12 },
+          { lower: 106, upper: 108, fraction: 0.07 },
+          { lower: 108, upper: 112, fraction: 0.05 },
+          { lower: 112, upper: 122, fraction: 0.04 },
+        ],
+        apogee: { p5: 850, p50: 900, p95: 1500 },
+        perigee: { p5: 540, p50: 830, p95: 860 },
+      },
+    },
+  },
+  {
+    id: 'cosmos1408-asat',
+    name: 'Cosmos 1408 ASAT test',
+    type: 'anti-satellite test',
+    time: '2021-11-15T02:47:00Z',
+    elements: {
+      synthetic: true, // not archived TLEs
+      source: 'Reconstructed from the published pre-event orbit; the interceptor is given by its relative velocity',
+    },
+    objects: [
+      {
+        noradId: 13552,
+        name: 'COSMOS 1408',
+        objectType: 'PAYLOAD',
+        mass: 1750,
+        radius: 1.5,
+        tle: {
+          line1: '1 13552U 82092A   21319.11597222  .00000000  00000-0  00000-0 0  9992',
+          line2: '2 13552  82.5627 339.1630 0005095  69.6631  49.5440 15.31273581    05',
+        },
+      },
+      {
+        name: 'NUDOL KILL VEHICLE',
+        objectType: 'PAYLOAD',
+        mass: 100, // assumed
+        radius: 0.5,
+        relativeVelocity: { radial: 2500, inTrack: -6500, crossTrack: 0 }, // ~7 km/s
+      },
+    ],
+    observed: {
+      minSize: 0.1,
+      fragments: 1800,
+      gabbard: {
+        periodBins: [
+          { lower: 88, upper: 90, fraction: 0.03 },
+          { lower: 90, upper: 92, fraction: 0.12 },
+          { lower: 92, upper: 94, fraction: 0.35 },
+          { lower: 94, upper: 96, fraction: 0.33 },
+          { lower: 96, upper: 98, fraction: 0.12 },
+          { lower: 98, upper: 102, fraction: 0.05 },
+        ],
+        apogee: { p5: 470, p50: 510, p95: 780 },
+        perigee: { p5: 300, p50: 455, p95: 480 },
+      },
+    },
+  },
+];
@@ -0,0 +1,133 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Job Store
+ * Long-running simulations run as background jobs, one at a time in
+ * submission order, so a request can return at once and the client polls
+ * for progress and the result. Oldest finished jobs are evicted once the
+ * store is full.
+ */
+export class JobStore {
+  /**
+   * @param {number} maxJobs - Maximum number of jobs kept
+   */
+  constructor(maxJobs = 20) {
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type, e.g. 'environment'
+   * @param {Object} params - Parameters, reported back with the job
+   * @param {Function} task - async (job) => result; may update job.progress and job.result
+   *   while running and should stop early when job.cancelRequested is set
+   * @returns {Object} The queued job
+   */
+  submit(type, params, task) {
+    const job = {
+      jobId: randomUUID(),
+      type,
+      status: 'queued',
+      params,
+      progress: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.jobId, job);
+    this.evict();
+
+    this.queue = this.queue.then(() => this.execute(job, task));
+    return job;
+  }
+
+  /**
+   * Run a queued job, recording its outcome
+   * @param {Object} job - Job
+   * @param {Function} task - Job body
+   */
+  async execute(job, task) {
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = await task(job);
+      job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+      console.error(`Job ${job.jobId} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  evict() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => !['queued', 'running'].includes(job.status));
+    while (this.jobs.size > this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().jobId);
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job or null if unknown
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {string} type - Only jobs of this type, if given
+   * @returns {Array} Jobs
+   */
+  list(type = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => !type || job.type === type)
+      .reverse();
+  }
+
+  /**
+   * Cancel a queued or running job, or delete a finished one
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} The job, or null if unknown
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (job.status === 'queued' || job.status === 'running') {
+      job.cancelRequested = true;
+    } else {
+      this.jobs.delete(jobId);
+    }
+    return job;
+  }
+
+  /**
+   * Job without its result, for listings
+   * @param {Object} job - Job
+   * @returns {Object} Summary
+   */
+  static summary(job) {
+    const { result, ...summary } = job;
+    return summary;
+  }
+}
+
+// Export singleton instance
+export const jobStore = new JobStore();
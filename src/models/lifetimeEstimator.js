@@ -0,0 +1,203 @@
+import NumericalPropagator from '../api/numericalPropagator.js';
+import OrbitPropagator from '../api/orbitPropagator.js';
+import SecularPropagator from '../api/secularPropagator.js';
+import TLEFitter from '../api/tleFitter.js';
+import TLEParser from '../api/tleParser.js';
+import { EnsembleStatistics } from './ensembleStatistics.js';
+import { ObjectSize } from './objectSize.js';
+import { MU, EARTH_RADIUS } from '../api/constants.js';
+
+const DAY = 86400; // s
+
+/**
+ * Lifetime Estimator
+ * Predicts when an object re-enters by integrating the orbit-averaged drag
+ * decay of its semi-major axis and eccentricity until the perigee reaches
+ * the re-entry altitude. The ballistic coefficient comes from the TLE's B*
+ * or, for simulated fragments, their area-to-mass ratio. Density follows
+ * the exponential atmosphere with the thermosphere scaled for solar
+ * activity: above 120 km the scale heights grow with the square root of
+ * the exospheric temperature T = 379 + 3.24 F10.7 K (Jacchia), relative
+ * to F10.7 = 150 where the table applies. That reproduces the order of
+ * magnitude swing in density at 400 km between solar minimum and maximum.
+ *
+ * The uncertainty band combines a range of solar flux with an error in the
+ * ballistic coefficient: the earliest re-entry has both high, the latest
+ * both low.
+ */
+export class LifetimeEstimator {
+  /**
+   * @param {Object} options - {dragCoefficient, solarFlux (F10.7 sfu), solarFluxUncertainty (sfu),
+   *   ballisticUncertainty (fraction), reentryAltitude (km), maxYears}
+   */
+  constructor(options = {}) {
+    this.dragCoefficient = options.dragCoefficient ?? 2.2;
+    this.solarFlux = options.solarFlux ?? 150;
+    this.solarFluxUncertainty = options.solarFluxUncertainty ?? 50;
+    this.ballisticUncertainty = options.ballisticUncertainty ?? 0.3;
+    this.reentryAltitude = options.reentryAltitude ?? 100;
+    this.maxYears = options.maxYears ?? 100;
+  }
+
+  /**
+   * Check a solar flux value
+   * @param {*} value - Candidate F10.7
+   * @returns {boolean} True for a number from 50 to 400 sfu
+   */
+  static isValidSolarFlux(value) {
+    return typeof value === 'number' && value >= 50 && value <= 400;
+  }
+
+  /**
+   * Atmospheric density for a level of solar activity
+   * @param {number} altitude - Altitude (km)
+   * @param {number} solarFlux - F10.7 (sfu)
+   * @returns {number} kg/m^3
+   */
+  static density(altitude, solarFlux = 150) {
+    const base = NumericalPropagator.atmosphericDensity(altitude);
+    if (altitude <= 120) return base;
+    const temperature = (flux) => 379 + 3.24 * flux;
+    const scale = Math.sqrt(temperature(Math.max(solarFlux, 0)) / temperature(150));
+    const at120 = NumericalPropagator.atmosphericDensity(120);
+    return at120 * (base / at120) ** (1 / scale);
+  }
+
+  /**
+   * Mean elements from a parsed TLE
+   * @param {Object} tle - TLEParser.parse result
+   * @returns {Object} {semiMajorAxis (km), eccentricity, inclination, raan, argPerigee,
+   *   meanAnomaly (deg)} in TEME
+   */
+  static elementsFromTLE(tle) {
+    const n = (tle.meanMotion * 2 * Math.PI) / DAY; // rad/s
+    return {
+      semiMajorAxis: Math.cbrt(MU / (n * n)),
+      eccentricity: tle.eccentricity,
+      inclination: tle.inclination,
+      raan: tle.raan,
+      argPerigee: tle.argPerigee,
+      meanAnomaly: tle.meanAnomaly,
+    };
+  }
+
+  /**
+   * Drag inputs for a catalogued object: its TLE and mean elements, and the
+   * area-to-mass ratio from B* or, when B* is not positive, from the
+   * catalogued mass and size
+   * @param {Object} object - Catalog object
+   * @returns {Object} {tle, elements, areaToMass (m^2/kg), areaToMassSource ('bstar' | 'size')}
+   * @throws {Error} If the object has no TLE or no drag information
+   */
+  catalogInputs(object) {
+    // DISCOS, mock and synthetic objects keep their lines under tle, Space-Track at the top level
+    const lines = object.tle || object;
+    if (!lines.line1 || !lines.line2) {
+      throw new Error('Object missing orbital data');
+    }
+    const tle = TLEParser.parse(lines.line1, lines.line2, object.name || '');
+
+    let areaToMass = TLEFitter.areaToMassFromBstar(tle.bstar, this.dragCoefficient);
+    let areaToMassSource = 'bstar';
+    if (areaToMass === null && object.attributes?.mass) {
+      const { radius } = ObjectSize.estimate(object);
+      areaToMass = (Math.PI * radius * radius) / object.attributes.mass;
+      areaToMassSource = 'size';
+    }
+    if (areaToMass === null) {
+      throw new Error('No drag information: B* is not positive and the mass is unknown');
+    }
+
+    return { tle, elements: LifetimeEstimator.elementsFromTLE(tle), areaToMass, areaToMassSource };
+  }
+
+  /**
+   * Time for drag to bring the perigee down to the re-entry altitude
+   * @param {Object} elements - {semiMajorAxis (km), eccentricity}
+   * @param {number} areaToMass - A/m (m^2/kg)
+   * @param {Object} options - {solarFlux, maxSeconds} overriding the estimator's
+   * @returns {number|null} Seconds, or null beyond maxSeconds
+   */
+  decayTime(elements, areaToMass, options = {}) {
+    const solarFlux = options.solarFlux ?? this.solarFlux;
+    return SecularPropagator.decayTime(elements, {
+      areaToMass,
+      dragCoefficient: this.dragCoefficient,
+      density: altitude => LifetimeEstimator.density(altitude, solarFlux),
+      minAltitude: this.reentryAltitude,
+      maxSeconds: options.maxSeconds ?? this.maxYears * 365.25 * DAY,
+    });
+  }
+
+  /**
+   * Predict the re-entry of an orbit
+   * @param {Object} elements - {semiMajorAxis (km), eccentricity}
+   * @param {number} areaToMass - A/m (m^2/kg)
+   * @param {Date} epoch - Epoch of the elements
+   * @param {Object} options - {solarFlux} overriding the estimator's
+   * @returns {Object} {epoch, perigee, apogee (km), areaToMass, solarFlux, reentry, lifetimeDays,
+   *   band: {earliest, latest}}; dates are null when the orbit outlasts maxYears
+   */
+  estimate(elements, areaToMass, epoch, options = {}) {
+    const solarFlux = options.solarFlux ?? this.solarFlux;
+    const decay = (flux, ballisticFactor) => this.decayTime(elements, areaToMass * ballisticFactor, { solarFlux: flux });
+    const toDate = seconds => (seconds === null ? null : new Date(epoch.getTime() + seconds * 1000));
+
+    const nominal = decay(solarFlux, 1);
+    const earliest = decay(solarFlux + this.solarFluxUncertainty, 1 + this.ballisticUncertainty);
+    const latest = decay(Math.max(0, solarFlux - this.solarFluxUncertainty), 1 - this.ballisticUncertainty);
+
+    return {
+      epoch,
+      perigee: elements.semiMajorAxis * (1 - elements.eccentricity) - EARTH_RADIUS,
+      apogee: elements.semiMajorAxis * (1 + elements.eccentricity) - EARTH_RADIUS,
+      areaToMass,
+      solarFlux,
+      reentry: toDate(nominal),
+      lifetimeDays: nominal === null ? null : nominal / DAY,
+      band: {
+        earliest: toDate(earliest),
+        latest: toDate(latest),
+      },
+    };
+  }
+
+  /**
+   * Predict the re-entry of simulated fragments from their state at breakup
+   * @param {Array} fragments - Fragments {id, position, velocity}
+   * @param {Date} epoch - Breakup time
+   * @param {Function} areaToMass - fragment => A/m (m^2/kg)
+   * @param {Object} options - {solarFlux}
+   * @returns {Object} {solarFlux, fragments: [{id, reentry, lifetimeDays, band}], summary};
+   *   escaping fragments have null dates
+   */
+  estimateFragments(fragments, epoch, areaToMass, options = {}) {
+    const estimates = fragments.map(fragment => {
+      const elements = OrbitPropagator.calculateOrbitalElements(fragment.position, fragment.velocity);
+      if (!(elements.eccentricity < 1 && elements.semiMajorAxis > 0)) {
+        return { id: fragment.id, reentry: null, lifetimeDays: null, band: { earliest: null, latest: null }, escaping: true };
+      }
+
+      const { reentry, lifetimeDays, band } = this.estimate(
+        elements,
+        areaToMass(fragment),
+        epoch,
+        options
+      );
+      return { id: fragment.id, reentry, lifetimeDays, band };
+    });
+
+    const days = estimates.map(e => e.lifetimeDays).filter(d => d !== null);
+    const within = years => days.filter(d => d <= years * 365.25).length;
+    return {
+      solarFlux: options.solarFlux ?? this.solarFlux,
+      fragments: estimates,
+      summary: {
+        lifetimeDays: EnsembleStatistics.summarize(days),
+        reenteringWithin: { '1y': within(1), '5y': within(5), '25y': within(25) },
+        outlasting: estimates.filter(e => e.lifetimeDays === null && !e.escaping).length, // beyond maxYears
+        escaping: estimates.filter(e => e.escaping).length,
+      },
+    };
+  }
+}
@@ -0,0 +1,139 @@
+import OrbitPropagator from '../api/orbitPropagator.js';
+import NumericalPropagator from '../api/numericalPropagator.js';
+import { CollisionDetector } from './collisionDetector.js';
+import { EARTH_RADIUS_SGP4 } from '../api/constants.js';
+
+/**
+ * Manoeuvred Trajectory
+ * An SGP4 orbit with an impulsive delta-v applied at a burn epoch.
+ * The burn's effect is the difference between two numerically integrated
+ * arcs (with and without the delta-v) from the burn state; adding that
+ * deviation to the SGP4 state keeps SGP4's accuracy for the nominal orbit.
+ * Provides stateAt(date), so it can be used anywhere a satrec is
+ * propagated through OrbitPropagator.
+ */
+
+export class ManeuveredTrajectory {
+  /**
+   * @param {Object} satrec - Satellite record of the manoeuvring object
+   * @param {Date} burnDate - Burn epoch
+   * @param {Object} deltaV - {radial, inTrack, crossTrack} in m/s, in the RTN frame at the burn
+   * @param {Date} endDate - Last time the trajectory is needed
+   * @param {Object} options - {sampleSeconds} deviation sampling interval
+   */
+  constructor(satrec, burnDate, deltaV, endDate, options = {}) {
+    const { sampleSeconds = 30 } = options;
+    if (!(endDate > burnDate)) {
+      throw new Error('Trajectory end must be after the burn');
+    }
+
+    this.satrec = satrec;
+    this.burnDate = new Date(burnDate);
+    this.endDate = new Date(endDate);
+    this.deltaV = {
+      radial: deltaV.radial || 0,
+      inTrack: deltaV.inTrack || 0,
+      crossTrack: deltaV.crossTrack || 0,
+    };
+    this.sampleSeconds = sampleSeconds;
+
+    const burnState = OrbitPropagator.propagate(satrec, this.burnDate);
+    const frame = CollisionDetector.rtnFrame(burnState.position, burnState.velocity);
+    const dv = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      dv[axis] = (frame.radial[axis] * this.deltaV.radial
+        + frame.inTrack[axis] * this.deltaV.inTrack
+        + frame.crossTrack[axis] * this.deltaV.crossTrack) / 1000; // km/s
+    });
+    const burnedState = {
+      position: burnState.position,
+      velocity: {
+        x: burnState.velocity.x + dv.x,
+        y: burnState.velocity.y + dv.y,
+        z: burnState.velocity.z + dv.z,
+      },
+    };
+
+    // Integrate to a whole number of samples past the end so interpolation never extrapolates
+    const samples = Math.max(1, Math.ceil((this.endDate - this.burnDate) / 1000 / sampleSeconds));
+    const arcEnd = new Date(this.burnDate.getTime() + samples * sampleSeconds * 1000);
+    const nominal = NumericalPropagator.propagateRange(burnState, this.burnDate, arcEnd, sampleSeconds);
+    const burned = NumericalPropagator.propagateRange(burnedState, this.burnDate, arcEnd, sampleSeconds);
+    const diff = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    this.deviations = nominal.map((state, i) => ({
+      position: diff(burned[i].position, state.position),
+      velocity: diff(burned[i].velocity, state.velocity),
+    }));
+
+    // Mean elements for the apogee/perigee prefilter, shifted by the osculating change
+    const before = OrbitPropagator.calculateOrbitalElements(burnState.position, burnState.velocity);
+    const after = OrbitPropagator.calculateOrbitalElements(burnedState.position, burnedState.velocity);
+    this.a = satrec.a + (after.semiMajorAxis - before.semiMajorAxis) / EARTH_RADIUS_SGP4;
+    this.ecco = Math.max(0, satrec.ecco + after.eccentricity - before.eccentricity);
+  }
+
+  /**
+   * Deviation from the nominal orbit at a time (cubic Hermite between samples)
+   * @param {number} seconds - Seconds since the burn
+   * @returns {Object} {position (km), velocity (km/s)}
+   */
+  deviationAt(seconds) {
+    const h = this.sampleSeconds;
+    const i = Math.min(Math.floor(seconds / h), this.deviations.length - 2);
+    const s = seconds / h - i;
+    const d0 = this.deviations[i];
+    const d1 = this.deviations[i + 1];
+
+    const h00 = 2 * s ** 3 - 3 * s ** 2 + 1;
+    const h10 = s ** 3 - 2 * s ** 2 + s;
+    const h01 = -2 * s ** 3 + 3 * s ** 2;
+    const h11 = s ** 3 - s ** 2;
+    const dh00 = (6 * s ** 2 - 6 * s) / h;
+    const dh10 = (3 * s ** 2 - 4 * s + 1) / h;
+    const dh01 = (-6 * s ** 2 + 6 * s) / h;
+    const dh11 = (3 * s ** 2 - 2 * s) / h;
+
+    const position = {};
+    const velocity = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const p0 = d0.position[axis];
+      const p1 = d1.position[axis];
+      const m0 = d0.velocity[axis] * h;
+      const m1 = d1.velocity[axis] * h;
+      position[axis] = h00 * p0 + h10 * m0 + h01 * p1 + h11 * m1;
+      velocity[axis] = dh00 * p0 + dh10 * m0 + dh01 * p1 + dh11 * m1;
+    });
+    return { position, velocity };
+  }
+
+  /**
+   * State at a time: SGP4 before the burn, SGP4 plus the burn deviation after it
+   * @param {Date} date - Time
+   * @returns {Object} {position, velocity, date} in TEME
+   */
+  stateAt(date) {
+    const state = OrbitPropagator.propagate(this.satrec, date);
+    const seconds = (date - this.burnDate) / 1000;
+    if (seconds <= 0) {
+      return state;
+    }
+    if (date > this.endDate) {
+      throw new Error('Time is beyond the planned trajectory');
+    }
+
+    const deviation = this.deviationAt(seconds);
+    return {
+      position: {
+        x: state.position.x + deviation.position.x,
+        y: state.position.y + deviation.position.y,
+        z: state.position.z + deviation.position.z,
+      },
+      velocity: {
+        x: state.velocity.x + deviation.velocity.x,
+        y: state.velocity.y + deviation.velocity.y,
+        z: state.velocity.z + deviation.velocity.z,
+      },
+      date,
+    };
+  }
+}
@@ -1,16 +1,102 @@
 /**
  * Base Collision Model
- * Abstract base class for collision simulation models
+ * Abstract base class for collision simulation models.
+ *
+ * A model class is registered under its static `id`, described by its static
+ * `description`, and declares its tunable parameters as a JSON schema in its
+ * static `parameters`. Each parameter is set on the instance from the
+ * constructor options, or from the schema default; subclasses take those
+ * options as their only constructor argument.
  */
+
+// Energy-to-target-mass ratio above which a collision is catastrophic (NASA SBM)
+const CATASTROPHIC_THRESHOLD = 40; // J/g
+
 export class BaseCollisionModel {
-  constructor(name = 'BaseModel') {
+  static id = null;
+  static description = '';
+  static parameters = { type: 'object', properties: {}, additionalProperties: false };
+
+  /**
+   * @param {string} name - Display name
+   * @param {Object} options - Parameter values; schema defaults fill the rest
+   */
+  constructor(name = 'BaseModel', options = {}) {
     this.name = name;
+    Object.entries(this.constructor.parameters.properties).forEach(([key, property]) => {
+      this[key] = options[key] ?? property.default;
+    });
+  }
+
+  /**
+   * Check parameter values against the model's schema
+   * @param {Object} values - Parameter values
+   * @returns {Array} Problems found, empty if the values are valid
+   */
+  static validateParameters(values) {
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      return ['parameters must be an object'];
+    }
+    const { properties } = this.parameters;
+    const errors = [];
+
+    Object.entries(values).forEach(([key, value]) => {
+      const property = properties[key];
+      if (!property) {
+        errors.push(`Unknown parameter '${key}' for model '${this.id}'. Use ${Object.keys(properties).join(', ') || 'none'}`);
+        return;
+      }
+
+      const typeChecks = {
+        number: Number.isFinite(value),
+        integer: Number.isInteger(value),
+        boolean: typeof value === 'boolean',
+        string: typeof value === 'string',
+      };
+      if (typeChecks[property.type] === false) {
+        errors.push(`${key} must be ${property.type === 'integer' ? 'an' : 'a'} ${property.type}`);
+      } else if (property.enum && !property.enum.includes(value)) {
+        errors.push(`${key} must be one of ${property.enum.join(', ')}`);
+      } else if (property.minimum !== undefined && value < property.minimum) {
+        errors.push(`${key} must be at least ${property.minimum}`);
+      } else if (property.exclusiveMinimum !== undefined && value <= property.exclusiveMinimum) {
+        errors.push(`${key} must be greater than ${property.exclusiveMinimum}`);
+      } else if (property.maximum !== undefined && value > property.maximum) {
+        errors.push(`${key} must be at most ${property.maximum}`);
+      } else if (property.exclusiveMaximum !== undefined && value >= property.exclusiveMaximum) {
+        errors.push(`${key} must be less than ${property.exclusiveMaximum}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Current parameter values
+   * @returns {Object} Values by parameter name
+   */
+  getParameters() {
+    return Object.fromEntries(Object.keys(this.constructor.parameters.properties).map(key => [key, this[key]]));
+  }
+
+  /**
+   * A copy of the model with some parameters overridden, leaving this one unchanged
+   * @param {Object} overrides - Parameter values
+   * @returns {BaseCollisionModel} This model if there is nothing to override, otherwise a new instance
+   */
+  withParameters(overrides) {
+    if (!overrides || Object.keys(overrides).length === 0) return this;
+    const errors = this.constructor.validateParameters(overrides);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return new this.constructor({ ...this.getParameters(), ...overrides });
   }
 
   /**
    * Simulate a collision between two objects
-   * @param {Object} object1 - First object {mass, velocity, position}
-   * @param {Object} object2 - Second object {mass, velocity, position}
+   * @param {Object} object1 - First object {mass, radius, velocity, position}
+   * @param {Object} object2 - Second object {mass, radius, velocity, position}
    * @param {Object} collisionParams - Additional collision parameters
    * @returns {Object} Collision result with debris fragments
    */
@@ -21,26 +107,64 @@ export class BaseCollisionModel {
   /**
    * Generate debris fragments from collision
    * @param {Object} collisionResult - Result from simulate()
+   * @param {Function} random - Uniform [0, 1) generator; all randomness must come from it
    * @returns {Array} Array of debris fragments
    */
-  generateDebris(collisionResult) {
+  generateDebris(collisionResult, random = Math.random) {
     throw new Error('generateDebris() must be implemented by subclass');
   }
 
+  /**
+   * Classify an impact as catastrophic or not from the projectile's kinetic
+   * energy per unit target mass. A catastrophic impact fragments both objects;
+   * otherwise the projectile and the cratered part of the target break up,
+   * the cratered mass being the SBM's M = m_p v^2 (v in km/s) less the
+   * projectile, and the rest of the target stays intact.
+   * @param {number} mass1 - First object mass (kg)
+   * @param {number} mass2 - Second object mass (kg)
+   * @param {number} relativeVelocity - Impact speed (m/s)
+   * @returns {Object} {regime, specificEnergy (J/g), threshold, projectile (1|2),
+   *   projectileMass, targetMass, fragmentingMass, intactMass}
+   */
+  classifyImpact(mass1, mass2, relativeVelocity) {
+    const projectile = mass1 <= mass2 ? 1 : 2;
+    const projectileMass = Math.min(mass1, mass2);
+    const targetMass = Math.max(mass1, mass2);
+    const specificEnergy = 0.5 * projectileMass * relativeVelocity * relativeVelocity / (targetMass * 1000);
+    const catastrophic = specificEnergy >= CATASTROPHIC_THRESHOLD;
+
+    const speedKmS = relativeVelocity / 1000;
+    const fragmentingMass = catastrophic
+      ? projectileMass + targetMass
+      : Math.min(projectileMass + targetMass, Math.max(projectileMass, projectileMass * speedKmS * speedKmS));
+
+    return {
+      regime: catastrophic ? 'catastrophic' : 'non-catastrophic',
+      specificEnergy,
+      threshold: CATASTROPHIC_THRESHOLD,
+      projectile,
+      projectileMass,
+      targetMass,
+      fragmentingMass,
+      intactMass: projectileMass + targetMass - fragmentingMass,
+    };
+  }
+
   /**
    * Calculate fragment velocity distribution
    * @param {number} totalEnergy - Total collision energy
    * @param {number} fragmentCount - Number of fragments
+   * @param {Function} random - Uniform [0, 1) generator
    * @returns {Array} Array of velocity magnitudes
    */
-  calculateFragmentVelocities(totalEnergy, fragmentCount) {
+  calculateFragmentVelocities(totalEnergy, fragmentCount, random = Math.random) {
     // Default: uniform distribution
     const avgEnergy = totalEnergy / fragmentCount;
     const velocities = [];
     
     for (let i = 0; i < fragmentCount; i++) {
       // Random velocity based on energy distribution
-      const energy = avgEnergy * (0.5 + Math.random());
+      const energy = avgEnergy * (0.5 + random());
       const velocity = Math.sqrt(2 * energy / 0.001); // Assume 1kg fragments
       velocities.push(velocity);
     }
@@ -52,15 +176,16 @@ export class BaseCollisionModel {
    * Calculate fragment directions
    * @param {number} count - Number of fragments
    * @param {Object} collisionAxis - Collision axis vector
+   * @param {Function} random - Uniform [0, 1) generator
    * @returns {Array} Array of direction vectors
    */
-  calculateFragmentDirections(count, collisionAxis) {
+  calculateFragmentDirections(count, collisionAxis, random = Math.random) {
     const directions = [];
     
     for (let i = 0; i < count; i++) {
       // Random direction with some bias along collision axis
-      const theta = Math.random() * 2 * Math.PI;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const theta = random() * 2 * Math.PI;
+      const phi = Math.acos(2 * random() - 1);
       
       const x = Math.sin(phi) * Math.cos(theta);
       const y = Math.sin(phi) * Math.sin(theta);
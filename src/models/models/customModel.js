@@ -2,44 +2,91 @@ import { BaseCollisionModel } from './baseCollisionModel.js';
 
 /**
  * Custom Collision Model Template
- * Extend this class to create custom collision models
+ * Copy this file into the models directory under a new id to create a
+ * custom collision model; it is picked up at startup. As shipped it breaks
+ * the fragmenting mass into equal fragments that share the pair's
+ * centre-of-mass velocity.
  */
 export class CustomCollisionModel extends BaseCollisionModel {
-  constructor() {
-    super('Custom Model');
-    // Add your custom parameters here
+  static id = 'custom';
+  static description = 'Custom model template for user-defined physics';
+  // Add your tunable parameters here; they become this.<name>
+  static parameters = {
+    type: 'object',
+    properties: {
+      fragmentsPerKg: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 10,
+        default: 0.1,
+        description: 'Fragments per kg of fragmenting mass',
+      },
+      fragmentSize: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        default: 0.1,
+        description: 'Fragment size (m)',
+      },
+    },
+    additionalProperties: false,
+  };
+
+  /**
+   * @param {Object} options - Parameter values
+   */
+  constructor(options = {}) {
+    super('Custom Model', options);
   }
 
   /**
    * Implement your custom collision simulation
    */
   simulate(object1, object2, collisionParams = {}) {
-    // TODO: Implement custom collision physics
-    // Example structure:
-    const totalMass = (object1.mass || 100) + (object2.mass || 100);
-    
+    const mass1 = object1.mass || 100;
+    const mass2 = object2.mass || 100;
+    const totalMass = mass1 + mass2;
+
+    const dvx = object1.velocity.x - object2.velocity.x;
+    const dvy = object1.velocity.y - object2.velocity.y;
+    const dvz = object1.velocity.z - object2.velocity.z;
+    const relativeVelocity = Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz) * 1000; // m/s
+    const reducedMass = (mass1 * mass2) / totalMass;
+    const impact = this.classifyImpact(mass1, mass2, relativeVelocity);
+
     return {
       collisionTime: collisionParams.time || new Date(),
       collisionPosition: object1.position, // or calculate center of mass
       totalMass,
-      fragmentCount: Math.floor(totalMass * 0.1), // Custom calculation
+      relativeVelocity,
+      collisionEnergy: 0.5 * reducedMass * relativeVelocity * relativeVelocity, // Joules
+      ...impact,
+      fragmentCount: Math.max(1, Math.floor(impact.fragmentingMass * this.fragmentsPerKg)), // Custom calculation
+      object1: { mass: mass1, radius: object1.radius || null, velocity: object1.velocity, position: object1.position },
+      object2: { mass: mass2, radius: object2.radius || null, velocity: object2.velocity, position: object2.position },
       // Add your custom fields
     };
   }
 
   /**
-   * Implement your custom debris generation
+   * Implement your custom debris generation. Draw random numbers from
+   * `random`, not Math.random, so seeded runs are reproducible.
    */
-  generateDebris(collisionResult) {
+  generateDebris(collisionResult, random = Math.random) {
     const fragments = [];
-    const { fragmentCount, collisionPosition } = collisionResult;
+    const { fragmentCount, fragmentingMass, collisionPosition, object1, object2, totalMass } = collisionResult;
+    const comVelocity = {
+      x: (object1.mass * object1.velocity.x + object2.mass * object2.velocity.x) / totalMass,
+      y: (object1.mass * object1.velocity.y + object2.mass * object2.velocity.y) / totalMass,
+      z: (object1.mass * object1.velocity.z + object2.mass * object2.velocity.z) / totalMass,
+    };
 
     for (let i = 0; i < fragmentCount; i++) {
       fragments.push({
         id: `fragment_${i}`,
-        mass: 1.0, // Custom mass calculation
-        position: collisionPosition, // Custom position calculation
-        velocity: { x: 0, y: 0, z: 0 }, // Custom velocity calculation
+        mass: fragmentingMass / fragmentCount, // Custom mass calculation
+        position: { ...collisionPosition }, // Custom position calculation
+        velocity: { ...comVelocity }, // Custom velocity calculation
+        size: this.fragmentSize,
         // Add your custom fields
       });
     }
@@ -47,4 +94,3 @@ export class CustomCollisionModel extends BaseCollisionModel {
     return fragments;
   }
 }
-
@@ -5,11 +5,42 @@ import { BaseCollisionModel } from './baseCollisionModel.js';
  * Simplified model based on NASA's Orbital Debris Engineering Model principles
  */
 export class NASACollisionModel extends BaseCollisionModel {
-  constructor() {
-    super('NASA Model');
-    this.fragmentsPerKg = 0.1; // Fragments per kg of total mass
-    this.minFragmentMass = 0.001; // kg
-    this.maxFragmentMass = 10; // kg
+  static id = 'nasa';
+  static description = 'NASA ORDEM-inspired model with power-law fragment distribution';
+  static parameters = {
+    type: 'object',
+    properties: {
+      fragmentsPerKg: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 10,
+        default: 0.1,
+        description: 'Fragments per kg of fragmenting mass (at least 10 fragments)',
+      },
+      minFragmentMass: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        default: 0.001,
+        description: 'Smallest fragment mass (kg)',
+      },
+      maxFragmentMass: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        default: 10,
+        description: 'Largest sampled fragment mass (kg)',
+      },
+    },
+    additionalProperties: false,
+  };
+
+  /**
+   * @param {Object} options - {fragmentsPerKg, minFragmentMass (kg), maxFragmentMass (kg)}
+   */
+  constructor(options = {}) {
+    super('NASA Model', options);
+    if (!(this.minFragmentMass < this.maxFragmentMass)) {
+      throw new Error('minFragmentMass must be less than maxFragmentMass');
+    }
   }
 
   /**
@@ -47,8 +78,11 @@ export class NASACollisionModel extends BaseCollisionModel {
       z: dvz / axisLength,
     };
 
+    // Only the fragmenting mass breaks up in a non-catastrophic impact
+    const impact = this.classifyImpact(mass1, mass2, relativeVelocity);
+
     // Estimate fragment count (NASA model: ~0.1 fragments per kg)
-    const fragmentCount = Math.max(10, Math.floor(totalMass * this.fragmentsPerKg));
+    const fragmentCount = Math.max(10, Math.floor(impact.fragmentingMass * this.fragmentsPerKg));
 
     return {
       collisionTime: collisionParams.time || new Date(),
@@ -57,29 +91,35 @@ export class NASACollisionModel extends BaseCollisionModel {
       totalMass,
       relativeVelocity,
       collisionEnergy,
+      ...impact,
       fragmentCount,
-      object1: { mass: mass1, velocity: object1.velocity, position: object1.position },
-      object2: { mass: mass2, velocity: object2.velocity, position: object2.position },
+      object1: { mass: mass1, radius: object1.radius || null, velocity: object1.velocity, position: object1.position },
+      object2: { mass: mass2, radius: object2.radius || null, velocity: object2.velocity, position: object2.position },
     };
   }
 
   /**
    * Generate debris fragments using NASA model
    * @param {Object} collisionResult - Result from simulate()
+   * @param {Function} random - Uniform [0, 1) generator
    * @returns {Array} Array of debris fragments
    */
-  generateDebris(collisionResult) {
+  generateDebris(collisionResult, random = Math.random) {
     const fragments = [];
-    const { fragmentCount, collisionPosition, collisionAxis, collisionEnergy, totalMass } = collisionResult;
+    const { fragmentCount, collisionPosition, collisionAxis, collisionEnergy, totalMass, fragmentingMass } = collisionResult;
 
     // Calculate fragment mass distribution (power law: N(m) ~ m^-1.6)
-    const fragmentMasses = this.calculateFragmentMassDistribution(fragmentCount, totalMass);
+    const fragmentMasses = this.calculateFragmentMassDistribution(fragmentCount, fragmentingMass, random);
 
     // Calculate fragment velocities
-    const fragmentVelocities = this.calculateFragmentVelocities(collisionEnergy, fragmentCount);
+    const fragmentVelocities = this.calculateFragmentVelocities(collisionEnergy, fragmentCount, random);
 
     // Calculate fragment directions
-    const fragmentDirections = this.calculateFragmentDirections(fragmentCount, collisionAxis);
+    const fragmentDirections = this.calculateFragmentDirections(fragmentCount, collisionAxis, random);
+
+    // No fragment can be larger than the larger parent
+    const parentRadius = Math.max(collisionResult.object1.radius || 0, collisionResult.object2.radius || 0);
+    const maxSize = parentRadius > 0 ? parentRadius * 2 : Infinity;
 
     // Generate fragments
     for (let i = 0; i < fragmentCount; i++) {
@@ -104,7 +144,7 @@ export class NASACollisionModel extends BaseCollisionModel {
       };
 
       // Fragment position (slightly offset from collision point)
-      const offset = (Math.random() - 0.5) * 0.01; // Small random offset
+      const offset = (random() - 0.5) * 0.01; // Small random offset
       const fragmentPosition = {
         x: collisionPosition.x + direction.x * offset,
         y: collisionPosition.y + direction.y * offset,
@@ -117,7 +157,7 @@ export class NASACollisionModel extends BaseCollisionModel {
         position: fragmentPosition,
         velocity: fragmentVelocity,
         direction,
-        size: this.estimateSize(mass),
+        size: Math.min(this.estimateSize(mass), maxSize),
       });
     }
 
@@ -128,9 +168,10 @@ export class NASACollisionModel extends BaseCollisionModel {
    * Calculate fragment mass distribution using power law
    * @param {number} count - Number of fragments
    * @param {number} totalMass - Total mass
+   * @param {Function} random - Uniform [0, 1) generator
    * @returns {Array} Array of fragment masses
    */
-  calculateFragmentMassDistribution(count, totalMass) {
+  calculateFragmentMassDistribution(count, totalMass, random = Math.random) {
     const masses = [];
     const alpha = 1.6; // Power law exponent (NASA model)
     
@@ -138,7 +179,7 @@ export class NASACollisionModel extends BaseCollisionModel {
     let remainingMass = totalMass;
     
     for (let i = 0; i < count - 1; i++) {
-      const u = Math.random();
+      const u = random();
       const mass = Math.pow(
         Math.pow(this.minFragmentMass, 1 - alpha) +
         u * (Math.pow(this.maxFragmentMass, 1 - alpha) - Math.pow(this.minFragmentMass, 1 - alpha)),
@@ -0,0 +1,163 @@
+import { BaseCollisionModel } from './baseCollisionModel.js';
+import { StandardBreakup } from '../standardBreakup.js';
+
+/**
+ * NASA Standard Breakup Model (EVOLVE 4.0)
+ * Fragment count from N(>Lc) = 0.1 M^0.75 Lc^-1.71, A/m from the
+ * spacecraft or rocket-body distributions of each fragment's parent,
+ * log-normal ejection delta-v as a function of A/m, and a mass budget
+ * equal to the fragmenting mass: both objects in a catastrophic impact,
+ * the projectile and cratered target mass otherwise.
+ */
+export class NASAStandardBreakupModel extends BaseCollisionModel {
+  static id = 'nasa-sbm';
+  static description = 'NASA Standard Breakup Model (EVOLVE 4.0): Lc power law, spacecraft/rocket-body A/m, log-normal delta-v, mass conserving';
+  static parameters = {
+    type: 'object',
+    properties: {
+      minCharacteristicLength: {
+        type: 'number',
+        minimum: 0.001,
+        maximum: 1,
+        default: 0.1,
+        description: 'Smallest fragment characteristic length (m); 0.1 is the trackable size',
+      },
+      maxFragments: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100000,
+        default: 5000,
+        description: 'Fragment cap; the Lc cutoff is raised to stay under it',
+      },
+    },
+    additionalProperties: false,
+  };
+
+  /**
+   * @param {Object} options - {minCharacteristicLength (m), maxFragments}
+   */
+  constructor(options = {}) {
+    super('NASA Standard Breakup Model', options);
+  }
+
+  /**
+   * Simulate a collision with the SBM
+   * @param {Object} object1 - First object {mass, radius, objectType, velocity, position}
+   * @param {Object} object2 - Second object {mass, radius, objectType, velocity, position}
+   * @param {Object} collisionParams - Additional parameters
+   * @returns {Object} Collision result
+   */
+  simulate(object1, object2, collisionParams = {}) {
+    const mass1 = object1.mass || 100; // kg (default)
+    const mass2 = object2.mass || 100; // kg (default)
+    const totalMass = mass1 + mass2;
+
+    const dvx = object1.velocity.x - object2.velocity.x;
+    const dvy = object1.velocity.y - object2.velocity.y;
+    const dvz = object1.velocity.z - object2.velocity.z;
+    const axisLength = Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz);
+    const relativeVelocity = axisLength * 1000; // m/s
+
+    const reducedMass = (mass1 * mass2) / totalMass;
+    const collisionEnergy = 0.5 * reducedMass * relativeVelocity * relativeVelocity; // Joules
+
+    const collisionPosition = {
+      x: (mass1 * object1.position.x + mass2 * object2.position.x) / totalMass,
+      y: (mass1 * object1.position.y + mass2 * object2.position.y) / totalMass,
+      z: (mass1 * object1.position.z + mass2 * object2.position.z) / totalMass,
+    };
+
+    const collisionAxis = {
+      x: dvx / axisLength,
+      y: dvy / axisLength,
+      z: dvz / axisLength,
+    };
+
+    const impact = this.classifyImpact(mass1, mass2, relativeVelocity);
+    const { fragmentingMass } = impact;
+
+    // No fragment is larger than the larger parent
+    const maxCharacteristicLength = 2 * Math.max(object1.radius || 1, object2.radius || 1);
+    const uncapped = StandardBreakup.cumulativeCount(fragmentingMass, this.minCharacteristicLength);
+    const minCharacteristicLength = uncapped > this.maxFragments
+      ? StandardBreakup.lengthForCount(fragmentingMass, this.maxFragments)
+      : this.minCharacteristicLength;
+    const fragmentCount = Math.round(StandardBreakup.cumulativeCount(fragmentingMass, minCharacteristicLength));
+
+    // Mass each object contributes to the fragments
+    const fragmenting = (n, mass) => {
+      if (impact.regime === 'catastrophic' || impact.projectile === n) return mass;
+      return fragmentingMass - impact.projectileMass;
+    };
+    const describe = (object, mass, n) => ({
+      mass,
+      fragmentingMass: fragmenting(n, mass),
+      radius: object.radius || null,
+      objectType: object.objectType || null,
+      parentClass: StandardBreakup.parentClass(object.objectType),
+      velocity: object.velocity,
+      position: object.position,
+    });
+
+    return {
+      collisionTime: collisionParams.time || new Date(),
+      collisionPosition,
+      collisionAxis,
+      totalMass,
+      relativeVelocity,
+      collisionEnergy,
+      ...impact,
+      fragmentCount,
+      characteristicLength: { min: minCharacteristicLength, max: maxCharacteristicLength },
+      object1: describe(object1, mass1, 1),
+      object2: describe(object2, mass2, 2),
+    };
+  }
+
+  /**
+   * Generate SBM fragments. Each fragment leaves its parent with an isotropic
+   * delta-v (capped at the impact speed); the population's mass equals the
+   * fragmenting mass.
+   * @param {Object} collisionResult - Result from simulate()
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array} Array of debris fragments
+   */
+  generateDebris(collisionResult, random = Math.random) {
+    const { collisionPosition, fragmentingMass, fragmentCount, characteristicLength, relativeVelocity } = collisionResult;
+    const parents = [collisionResult.object1, collisionResult.object2];
+
+    const population = StandardBreakup.samplePopulation({
+      mass: fragmentingMass,
+      lcMin: characteristicLength.min,
+      lcMax: characteristicLength.max,
+      count: fragmentCount,
+      parents: parents.map(p => ({ mass: p.fragmentingMass, parentClass: p.parentClass })),
+      random,
+    });
+
+    return population.fragments.map((f, i) => {
+      const parent = parents[f.parent];
+      const deltaV = Math.min(StandardBreakup.sampleDeltaV(f.areaToMass, 'collision', random), relativeVelocity);
+      const direction = StandardBreakup.randomDirection(random);
+
+      return {
+        id: `fragment_${i}`,
+        mass: f.mass,
+        position: { ...collisionPosition },
+        velocity: {
+          x: parent.velocity.x + direction.x * deltaV / 1000, // m/s to km/s
+          y: parent.velocity.y + direction.y * deltaV / 1000,
+          z: parent.velocity.z + direction.z * deltaV / 1000,
+        },
+        direction,
+        size: f.characteristicLength,
+        characteristicLength: f.characteristicLength,
+        areaToMass: f.areaToMass,
+        area: f.area,
+        deltaV,
+        parent: f.parent + 1,
+        remnant: f.remnant,
+      };
+    });
+  }
+}
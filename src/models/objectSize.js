@@ -0,0 +1,82 @@
+/**
+ * Object Size
+ * Estimates the hard-body radius of a catalog object from the best
+ * available size data: DISCOS dimensions first, then the Space-Track
+ * RCS size class, then a fixed default. Span, diameter and box dimensions
+ * give the radius of a sphere enclosing the object, which is conservative
+ * for Pc; a cross-section gives the radius of a circle of equal area, and
+ * an RCS class a representative radius for its area band.
+ */
+
+// Representative radii (m) for Space-Track RCS classes:
+// SMALL < 0.1 m^2, MEDIUM 0.1-1 m^2, LARGE > 1 m^2
+const RCS_RADIUS = {
+  SMALL: 0.1,
+  MEDIUM: 0.5,
+  LARGE: 2.0,
+};
+
+const DEFAULT_RADIUS = 1.0; // m
+
+const positive = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+export class ObjectSize {
+  /**
+   * Radius from DISCOS attributes
+   * @param {Object} attributes - DISCOS object attributes
+   * @returns {Object|null} {radius (m), source} or null if no size data
+   */
+  static fromDiscos(attributes) {
+    if (!attributes) return null;
+
+    const span = positive(attributes.span);
+    if (span) {
+      return { radius: span / 2, source: 'discos-span' };
+    }
+
+    const diameter = positive(attributes.diameter);
+    if (diameter) {
+      return { radius: diameter / 2, source: 'discos-diameter' };
+    }
+
+    const dims = [attributes.width, attributes.height, attributes.depth].map(positive);
+    if (dims.some(d => d !== null)) {
+      const diagonal = Math.sqrt(dims.reduce((sum, d) => sum + (d || 0) ** 2, 0));
+      return { radius: diagonal / 2, source: 'discos-dimensions' };
+    }
+
+    // Circle with the same area as the largest (or average) cross-section
+    const crossSection = positive(attributes.xSectMax) || positive(attributes.xSectAvg);
+    if (crossSection) {
+      return { radius: Math.sqrt(crossSection / Math.PI), source: 'discos-cross-section' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Radius from a Space-Track RCS size class
+   * @param {string} rcsSize - SMALL, MEDIUM or LARGE
+   * @returns {Object|null} {radius (m), source} or null if unknown
+   */
+  static fromRcsSize(rcsSize) {
+    const radius = RCS_RADIUS[String(rcsSize || '').toUpperCase()];
+    return radius ? { radius, source: `rcs-${rcsSize.toLowerCase()}` } : null;
+  }
+
+  /**
+   * Estimate the hard-body radius of a catalog object
+   * @param {Object} obj - Catalog object (DISCOS attributes and/or rcsSize)
+   * @returns {Object} {radius (m), source}: enclosing-sphere radius from DISCOS span,
+   *   diameter or dimensions; equal-area radius from a DISCOS cross-section; a
+   *   representative radius from the RCS class; otherwise the default
+   */
+  static estimate(obj = {}) {
+    return this.fromDiscos(obj.attributes)
+      || this.fromRcsSize(obj.rcsSize)
+      || { radius: DEFAULT_RADIUS, source: 'default' };
+  }
+}
@@ -0,0 +1,155 @@
+import HighPrecisionPropagator from '../api/highPrecisionPropagator.js';
+import TLEFitter from '../api/tleFitter.js';
+import { ObjectSize } from './objectSize.js';
+
+const PROPAGATORS = ['sgp4', 'numerical'];
+
+/**
+ * Propagator Choice
+ * Resolves the propagator a request asks for: SGP4 straight from the TLE,
+ * or the high-precision numerical propagator started from the TLE's SGP4
+ * state with a selectable force model. Either way the result is used like
+ * a satrec. Drag and solar radiation pressure need an area-to-mass ratio,
+ * taken from B* or from the catalogued mass and size as for lifetimes;
+ * objects with neither are propagated without them, and the forces
+ * reported are the ones actually applied.
+ */
+export class PropagatorChoice {
+  /**
+   * @param {Object} options - {default ('sgp4' | 'numerical'), forces (default force model),
+   *   dragCoefficient, reflectivity, relativeTolerance, absoluteTolerance, maxStepSeconds,
+   *   maxDays (from the TLE epoch), reentryAltitude (km), maxObjects (catalog screening cap)}
+   */
+  constructor(options = {}) {
+    this.defaultPropagator = options.default ?? 'sgp4';
+    this.forces = options.forces ?? 'all';
+    this.dragCoefficient = options.dragCoefficient ?? 2.2;
+    this.reflectivity = options.reflectivity ?? 1.3;
+    this.relativeTolerance = options.relativeTolerance ?? 1e-10;
+    this.absoluteTolerance = options.absoluteTolerance ?? 1e-9;
+    this.maxStepSeconds = options.maxStepSeconds ?? 1800;
+    this.maxDays = options.maxDays ?? 30;
+    this.reentryAltitude = options.reentryAltitude ?? 100;
+    this.maxObjects = options.maxObjects ?? 200;
+  }
+
+  /**
+   * Check a request's propagator and force model
+   * @param {string} propagator - 'sgp4' or 'numerical', default from config
+   * @param {string|Array} forces - Force names (see HighPrecisionPropagator.parseForces),
+   *   numerical only; default from config
+   * @returns {Object} {name, forces (null for SGP4)}
+   * @throws {Error} On an unknown propagator or force, or forces given for SGP4
+   */
+  parse(propagator, forces) {
+    const name = String(propagator ?? this.defaultPropagator).toLowerCase();
+    if (!PROPAGATORS.includes(name)) {
+      throw new Error(`Unknown propagator '${propagator}'. Use ${PROPAGATORS.join(' or ')}`);
+    }
+    if (name === 'sgp4') {
+      if (forces !== undefined && forces !== null && forces !== '') {
+        throw new Error('forces only apply to the numerical propagator');
+      }
+      return { name, forces: null };
+    }
+    return { name, forces: HighPrecisionPropagator.parseForces(forces ?? this.forces) };
+  }
+
+  /**
+   * Area-to-mass ratio of a catalogued object
+   * @param {Object} object - Catalog object
+   * @param {Object} satrec - Its satellite record
+   * @returns {Object|null} {areaToMass (m^2/kg), source ('bstar' | 'size')}, null if unknown
+   */
+  areaToMass(object, satrec) {
+    const fromBstar = TLEFitter.areaToMassFromBstar(satrec.bstar, this.dragCoefficient);
+    if (fromBstar !== null) {
+      return { areaToMass: fromBstar, source: 'bstar' };
+    }
+    if (object.attributes?.mass) {
+      const { radius } = ObjectSize.estimate(object);
+      return { areaToMass: (Math.PI * radius * radius) / object.attributes.mass, source: 'size' };
+    }
+    return null;
+  }
+
+  /**
+   * Numerical propagator options that do not depend on the object
+   * @returns {Object} {reflectivity, relativeTolerance, absoluteTolerance, maxStepSeconds}
+   */
+  integratorOptions() {
+    return {
+      reflectivity: this.reflectivity,
+      relativeTolerance: this.relativeTolerance,
+      absoluteTolerance: this.absoluteTolerance,
+      maxStepSeconds: this.maxStepSeconds,
+    };
+  }
+
+  /**
+   * Numerical propagator options for a catalogued object
+   * @param {Object} forces - Parsed force model
+   * @param {number|null} areaToMass - A/m (m^2/kg); drag and SRP are dropped without it
+   * @returns {Object} Options for HighPrecisionPropagator
+   */
+  forceModel(forces, areaToMass) {
+    return {
+      ...this.integratorOptions(),
+      forces: areaToMass ? forces : { ...forces, drag: false, srp: false },
+      areaToMass,
+      dragCoefficient: this.dragCoefficient,
+      minAltitude: this.reentryAltitude,
+    };
+  }
+
+  /**
+   * The satrec or numerical trajectory to propagate an object with
+   * @param {Object} object - Catalog object
+   * @param {Object} satrec - Its satellite record
+   * @param {Object} choice - Result of parse()
+   * @param {Array} span - Dates the object will be propagated between, if known
+   * @returns {Object} {satrec (satrec or trajectory), propagator: {name, forces, areaToMass,
+   *   areaToMassSource}}
+   * @throws {Error} If the TLE cannot start a numerical trajectory or the span is
+   *   further from its epoch than maxDays
+   */
+  resolve(object, satrec, choice, span = []) {
+    if (choice.name === 'sgp4') {
+      return { satrec, propagator: { name: 'sgp4' } };
+    }
+
+    const ratio = this.areaToMass(object, satrec);
+    const options = { ...this.forceModel(choice.forces, ratio?.areaToMass ?? null), maxDays: this.maxDays };
+    let trajectory;
+    try {
+      trajectory = HighPrecisionPropagator.trajectory(satrec, options);
+    } catch (error) {
+      throw new Error(`Object ${object.noradId}: ${error.message}`);
+    }
+    if (!span.every(date => trajectory.covers(date))) {
+      throw new Error(`Object ${object.noradId}: numerical propagation is limited to ${this.maxDays} days`
+        + ` from its TLE epoch (${trajectory.epoch.toISOString()})`);
+    }
+
+    return {
+      satrec: trajectory,
+      propagator: {
+        name: 'numerical',
+        forces: HighPrecisionPropagator.describeForces(options.forces),
+        areaToMass: ratio?.areaToMass ?? null,
+        areaToMassSource: ratio?.source ?? null,
+      },
+    };
+  }
+
+  /**
+   * Summary of the propagator used for a request
+   * @param {Object} choice - Result of parse()
+   * @returns {Object} {name, forces (numerical only)}
+   */
+  describe(choice) {
+    return choice.name === 'sgp4'
+      ? { name: 'sgp4' }
+      : { name: 'numerical', forces: HighPrecisionPropagator.describeForces(choice.forces) };
+  }
+}
@@ -0,0 +1,299 @@
+import FrameTransforms from '../api/frameTransforms.js';
+import SecularPropagator from '../api/secularPropagator.js';
+import { LifetimeEstimator } from './lifetimeEstimator.js';
+import { MU } from '../api/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Re-entry Watch
+ * Lists catalogued objects predicted to re-enter within a window, and
+ * traces where they could come down: the ground track of the final orbit
+ * before the nominal re-entry, whose perigee is the nominal re-entry point,
+ * and of every orbit within the uncertainty band. Ground tracks follow the
+ * TLE's mean elements with the same drag decay as the lifetime prediction
+ * up to the nominal re-entry, and J2 drift alone after it. When the band is too long for a track to mean
+ * anything the object can come down anywhere within its inclination, so
+ * only the latitude limit is given.
+ *
+ * Imported Space-Track TIP messages are kept per object, latest first, and
+ * compared with our predictions.
+ */
+export class ReentryWatch {
+  /**
+   * @param {LifetimeEstimator} lifetimeEstimator - Estimator for the predictions
+   * @param {Object} options - {groundTrackStepSeconds, maxGroundTrackStepSeconds, maxGroundTrackPoints}
+   */
+  constructor(lifetimeEstimator, options = {}) {
+    this.estimator = lifetimeEstimator;
+    this.groundTrackStepSeconds = options.groundTrackStepSeconds ?? 60;
+    this.maxGroundTrackStepSeconds = options.maxGroundTrackStepSeconds ?? 180;
+    this.maxGroundTrackPoints = options.maxGroundTrackPoints ?? 2000;
+    this.tips = new Map(); // NORAD ID -> latest TIP message
+  }
+
+  /**
+   * Store TIP messages, keeping the latest message per object
+   * @param {Array} messages - Messages from TIPParser
+   * @returns {Array} The messages now stored for the objects given
+   */
+  addTips(messages) {
+    const epoch = message => (message.messageEpoch || message.decayEpoch).getTime();
+    messages.forEach(message => {
+      const current = this.tips.get(message.noradId);
+      if (!current || epoch(message) >= epoch(current)) {
+        this.tips.set(message.noradId, message);
+      }
+    });
+    return [...new Set(messages.map(m => m.noradId))].map(id => this.tips.get(id));
+  }
+
+  /**
+   * Latest TIP message for an object
+   * @param {number} noradId - NORAD ID
+   * @returns {Object|null} Message or null if none was imported
+   */
+  getTip(noradId) {
+    return this.tips.get(noradId) || null;
+  }
+
+  /**
+   * List stored TIP messages, soonest decay first
+   * @returns {Array} Messages
+   */
+  listTips() {
+    return Array.from(this.tips.values()).sort((a, b) => a.decayEpoch - b.decayEpoch);
+  }
+
+  /**
+   * Compare a prediction with a TIP message
+   * @param {Object} prediction - LifetimeEstimator.estimate result
+   * @param {Object} tip - TIP message
+   * @returns {Object|null} {tip, differenceMinutes (ours minus TIP), withinTipWindow, tipWithinBand},
+   *   null without a message
+   */
+  static compareTip(prediction, tip) {
+    if (!tip) return null;
+    const { reentry, band } = prediction;
+    const differenceMinutes = reentry ? (reentry - tip.decayEpoch) / 60000 : null;
+    return {
+      tip,
+      differenceMinutes,
+      withinTipWindow: differenceMinutes !== null && Math.abs(differenceMinutes) <= tip.windowMinutes,
+      // A band without a latest date extends beyond the prediction horizon
+      tipWithinBand: band.earliest !== null && tip.decayEpoch >= band.earliest
+        && (band.latest === null || tip.decayEpoch <= band.latest),
+    };
+  }
+
+  /**
+   * Predict the re-entry of a catalogued object
+   * @param {Object} object - Catalog object
+   * @param {Object} options - {solarFlux}
+   * @returns {Object} {inputs, prediction} (see LifetimeEstimator.catalogInputs and estimate)
+   * @throws {Error} If the object has no TLE or no drag information
+   */
+  predict(object, options = {}) {
+    const inputs = this.estimator.catalogInputs(object);
+    const prediction = this.estimator.estimate(inputs.elements, inputs.areaToMass, inputs.tle.epoch, options);
+    return { inputs, prediction };
+  }
+
+  /**
+   * Objects predicted to re-enter within a window. Each object's nominal
+   * decay is first run only as far as the end of the window, so long-lived
+   * objects cost little. Objects whose whole band is already before the
+   * start are counted, not listed; those whose nominal re-entry is past but
+   * whose band is not are listed as overdue.
+   * @param {Array} objects - Catalog objects
+   * @param {Date} start - Start of the window
+   * @param {number} days - Length of the window
+   * @param {Object} options - {solarFlux, sort ('date' | 'mass'), limit}
+   * @returns {Object} {start, end, days, solarFlux, sort, total, count, alreadyDecayed, skipped, objects}
+   */
+  watchList(objects, start, days, options = {}) {
+    const { sort = 'date', limit = 100 } = options;
+    const solarFlux = options.solarFlux ?? this.estimator.solarFlux;
+    const end = new Date(start.getTime() + days * DAY_MS);
+
+    const entries = [];
+    let alreadyDecayed = 0;
+    let skipped = 0;
+    objects.forEach(object => {
+      let inputs;
+      try {
+        inputs = this.estimator.catalogInputs(object);
+      } catch (error) {
+        skipped++;
+        return;
+      }
+      const { tle, elements, areaToMass, areaToMassSource } = inputs;
+
+      const seconds = this.estimator.decayTime(elements, areaToMass, {
+        solarFlux,
+        maxSeconds: Math.max(0, (end - tle.epoch) / 1000),
+      });
+      if (seconds === null) return;
+
+      const prediction = this.estimator.estimate(elements, areaToMass, tle.epoch, { solarFlux });
+      if (prediction.band.latest !== null && prediction.band.latest < start) {
+        alreadyDecayed++;
+        return;
+      }
+
+      entries.push({
+        noradId: object.noradId,
+        name: object.name,
+        objectType: object.objectType || null,
+        mass: object.attributes?.mass ?? null,
+        epoch: tle.epoch,
+        perigee: prediction.perigee,
+        apogee: prediction.apogee,
+        inclination: elements.inclination,
+        areaToMass,
+        areaToMassSource,
+        reentry: prediction.reentry,
+        band: prediction.band,
+        overdue: prediction.reentry < start,
+        tip: ReentryWatch.compareTip(prediction, this.getTip(object.noradId)),
+      });
+    });
+
+    // Heaviest first where dates tie, and unknown masses last
+    const byMass = (a, b) => (b.mass ?? -1) - (a.mass ?? -1);
+    const byDate = (a, b) => a.reentry - b.reentry;
+    entries.sort(sort === 'mass' ? (a, b) => byMass(a, b) || byDate(a, b) : (a, b) => byDate(a, b) || byMass(a, b));
+
+    const listed = entries.slice(0, limit);
+    return {
+      start,
+      end,
+      days,
+      solarFlux,
+      sort,
+      total: entries.length,
+      count: listed.length,
+      alreadyDecayed,
+      skipped,
+      objects: listed,
+    };
+  }
+
+  /**
+   * Sub-satellite points between two times
+   * @param {Object} inputs - LifetimeEstimator.catalogInputs result
+   * @param {Object} prediction - LifetimeEstimator.estimate result
+   * @param {Date} from - First point
+   * @param {Date} to - Last point
+   * @returns {Object|null} {stepSeconds, points: [{time, latitude, longitude (deg), altitude (km)}]},
+   *   null if the span needs a coarser step than maxGroundTrackStepSeconds
+   */
+  groundTrack(inputs, prediction, from, to) {
+    const span = (to - from) / 1000;
+    const steps = Math.max(1, Math.min(Math.ceil(span / this.groundTrackStepSeconds), this.maxGroundTrackPoints - 1));
+    const stepSeconds = span / steps;
+    if (stepSeconds > this.maxGroundTrackStepSeconds) return null;
+
+    const advance = this.sampler(inputs, prediction);
+    const round = (value, digits) => Number(value.toFixed(digits));
+    const points = [];
+    for (let k = 0; k <= steps; k++) {
+      const time = new Date(from.getTime() + k * stepSeconds * 1000);
+      const elements = advance(time);
+      const { position } = FrameTransforms.temeToItrf(SecularPropagator.position(elements), null, time);
+      const { latitude, longitude, altitude } = FrameTransforms.itrfToGeodetic(position);
+      points.push({
+        time,
+        latitude: round(latitude, 3),
+        longitude: round(longitude, 3),
+        altitude: round(altitude, 1),
+      });
+    }
+    return { stepSeconds, points };
+  }
+
+  /**
+   * Mean elements at increasing times from the TLE epoch, decayed by drag
+   * up to the nominal re-entry and drifting under J2 after it
+   * @param {Object} inputs - LifetimeEstimator.catalogInputs result
+   * @param {Object} prediction - LifetimeEstimator.estimate result
+   * @returns {Function} date => elements; dates must not decrease between calls
+   */
+  sampler(inputs, prediction) {
+    const { tle, areaToMass } = inputs;
+    const reentry = prediction.reentry ? prediction.reentry.getTime() : Infinity;
+    const drag = {
+      areaToMass,
+      dragCoefficient: this.estimator.dragCoefficient,
+      density: altitude => LifetimeEstimator.density(altitude, prediction.solarFlux),
+    };
+    let current = inputs.elements;
+    let time = tle.epoch.getTime();
+
+    return (date) => {
+      const target = Math.max(date.getTime(), time);
+      const dragEnd = Math.min(target, reentry);
+      if (dragEnd > time) {
+        current = SecularPropagator.step(current, (dragEnd - time) / 1000, drag);
+        time = dragEnd;
+      }
+      if (target > time) {
+        current = SecularPropagator.step(current, (target - time) / 1000);
+        time = target;
+      }
+      return current;
+    };
+  }
+
+  /**
+   * Re-entry prediction of an object with its ground tracks: the final orbit
+   * before the nominal re-entry, the uncertainty band, and the window of an
+   * imported TIP message
+   * @param {Object} object - Catalog object
+   * @param {Object} options - {solarFlux}
+   * @returns {Object} {...prediction, areaToMassSource, latitudeLimit, nominalPoint,
+   *   groundTrack: {finalOrbit, band, tipWindow}, tip}; tracks are null where the
+   *   object does not re-enter within the horizon or the span is too long to trace
+   * @throws {Error} If the object has no TLE or no drag information
+   */
+  track(object, options = {}) {
+    const { inputs, prediction } = this.predict(object, options);
+    const { inclination } = inputs.elements;
+    const tip = this.getTip(object.noradId);
+    const epoch = inputs.tle.epoch.getTime();
+    const clamp = time => new Date(Math.max(epoch, time));
+
+    let finalOrbit = null;
+    let nominalPoint = null;
+    if (prediction.reentry) {
+      const { semiMajorAxis } = this.sampler(inputs, prediction)(prediction.reentry);
+      const period = 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / MU) * 1000; // ms
+      finalOrbit = this.groundTrack(inputs, prediction, clamp(prediction.reentry - period), prediction.reentry);
+      // Drag brings it down around the final orbit's perigee
+      nominalPoint = finalOrbit.points.reduce((low, point) => (point.altitude < low.altitude ? point : low));
+    }
+
+    const { earliest, latest } = prediction.band;
+    const band = earliest && latest ? this.groundTrack(inputs, prediction, earliest, latest) : null;
+
+    const tipWindow = tip
+      ? this.groundTrack(
+        inputs,
+        prediction,
+        clamp(tip.decayEpoch - tip.windowMinutes * 60000),
+        clamp(tip.decayEpoch.getTime() + tip.windowMinutes * 60000)
+      )
+      : null;
+
+    return {
+      noradId: object.noradId,
+      name: object.name,
+      ...prediction,
+      areaToMassSource: inputs.areaToMassSource,
+      latitudeLimit: inclination > 90 ? 180 - inclination : inclination,
+      nominalPoint,
+      groundTrack: { finalOrbit, band, tipWindow },
+      tip: ReentryWatch.compareTip(prediction, tip),
+    };
+  }
+}
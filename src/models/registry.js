@@ -1,4 +1,8 @@
+import { readdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
 import { CollisionSimulator } from './collisionSimulator.js';
+import { BaseCollisionModel } from './models/baseCollisionModel.js';
 
 /**
  * Model Registry
@@ -9,6 +13,42 @@ export class ModelRegistry {
     this.simulator = new CollisionSimulator();
   }
 
+  /**
+   * Register every collision model class exported from the modules in a
+   * directory. A class is registered under its static `id`; abstract
+   * classes without one are skipped. A module that fails to load is
+   * reported and skipped.
+   * @param {string} directory - Directory of model modules
+   * @returns {Promise<Array>} IDs of the models registered
+   */
+  async loadModels(directory) {
+    const files = (await readdir(directory)).filter(file => file.endsWith('.js')).sort();
+    const loaded = [];
+
+    for (const file of files) {
+      let exports;
+      try {
+        exports = await import(pathToFileURL(resolve(join(directory, file))).href);
+      } catch (error) {
+        console.error(`Failed to load collision model module ${file}:`, error.message);
+        continue;
+      }
+
+      Object.values(exports)
+        .filter(value => typeof value === 'function' && value.prototype instanceof BaseCollisionModel && value.id)
+        .forEach(ModelClass => {
+          try {
+            this.registerModel(ModelClass.id, new ModelClass());
+            loaded.push(ModelClass.id);
+          } catch (error) {
+            console.error(`Failed to register collision model '${ModelClass.id}' from ${file}:`, error.message);
+          }
+        });
+    }
+
+    return loaded;
+  }
+
   /**
    * Register a custom collision model
    * @param {string} name - Model name
@@ -27,30 +67,21 @@ export class ModelRegistry {
   }
 
   /**
-   * Get available models
-   * @returns {Array} Array of model info
+   * Get available models with the JSON schemas of their parameters
+   * @returns {Array} Array of {name, label, description, parameters}
    */
   getModels() {
-    return this.simulator.listModels().map(name => ({
-      name,
-      description: this.getModelDescription(name),
-    }));
-  }
-
-  /**
-   * Get model description
-   * @param {string} name - Model name
-   * @returns {string} Description
-   */
-  getModelDescription(name) {
-    const descriptions = {
-      nasa: 'NASA ORDEM-inspired model with power-law fragment distribution',
-      custom: 'Custom model template for user-defined physics',
-    };
-    return descriptions[name] || 'Unknown model';
+    return this.simulator.listModels().map(name => {
+      const model = this.simulator.getModel(name);
+      return {
+        name,
+        label: model.name,
+        description: model.constructor.description,
+        parameters: model.constructor.parameters,
+      };
+    });
   }
 }
 
 // Export singleton instance
 export const modelRegistry = new ModelRegistry();
-
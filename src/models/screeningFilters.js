@@ -0,0 +1,118 @@
+import OrbitPropagator from '../api/orbitPropagator.js';
+import { EARTH_RADIUS_SGP4 } from '../api/constants.js';
+
+/**
+ * Screening Filters
+ * Cheap geometric prefilters that discard object pairs which cannot come
+ * within the screening distance, before any pair is propagated together.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const COPLANAR_SIN = Math.sin(1 * DEG_TO_RAD);
+
+export class ScreeningFilters {
+  /**
+   * Radial extent of an orbit from its mean elements
+   * @param {Object} satrec - Satellite record
+   * @returns {Object} {perigee, apogee} radii in km
+   */
+  static radialBounds(satrec) {
+    const a = satrec.a * EARTH_RADIUS_SGP4;
+    return {
+      perigee: a * (1 - satrec.ecco),
+      apogee: a * (1 + satrec.ecco),
+    };
+  }
+
+  /**
+   * Apogee/perigee filter: can the two radial shells overlap?
+   * @param {Object} bounds1 - {perigee, apogee} of object 1 (km)
+   * @param {Object} bounds2 - {perigee, apogee} of object 2 (km)
+   * @param {number} pad - Screening distance plus margin (km)
+   * @returns {boolean} True if the pair must be kept
+   */
+  static apogeePerigee(bounds1, bounds2, pad) {
+    const gap = Math.max(bounds1.perigee, bounds2.perigee) - Math.min(bounds1.apogee, bounds2.apogee);
+    return gap <= pad;
+  }
+
+  /**
+   * Orbit geometry used by the orbit-path filter
+   * @param {Object} state - {position, velocity} in an inertial frame (km, km/s)
+   * @returns {Object} {normal, perigeeDir, p, e}
+   */
+  static pathGeometry(state) {
+    const el = OrbitPropagator.calculateOrbitalElements(state.position, state.velocity);
+    const raan = el.raan * DEG_TO_RAD;
+    const argp = el.argPerigee * DEG_TO_RAD;
+    const inc = el.inclination * DEG_TO_RAD;
+
+    return {
+      normal: {
+        x: Math.sin(raan) * Math.sin(inc),
+        y: -Math.cos(raan) * Math.sin(inc),
+        z: Math.cos(inc),
+      },
+      perigeeDir: {
+        x: Math.cos(raan) * Math.cos(argp) - Math.sin(raan) * Math.sin(argp) * Math.cos(inc),
+        y: Math.sin(raan) * Math.cos(argp) + Math.cos(raan) * Math.sin(argp) * Math.cos(inc),
+        z: Math.sin(argp) * Math.sin(inc),
+      },
+      p: el.semiMajorAxis * (1 - el.eccentricity ** 2),
+      e: el.eccentricity,
+    };
+  }
+
+  /**
+   * Orbit radius in the direction of a unit vector lying in the orbit plane
+   * @param {Object} geometry - Result of pathGeometry
+   * @param {Object} dir - Unit direction {x, y, z}
+   * @returns {number} Radius in km
+   */
+  static radiusAlong(geometry, dir) {
+    const { normal: nrm, perigeeDir: per } = geometry;
+    const cosNu = per.x * dir.x + per.y * dir.y + per.z * dir.z;
+    // sin(nu) = normal . (perigeeDir x dir)
+    const cross = {
+      x: per.y * dir.z - per.z * dir.y,
+      y: per.z * dir.x - per.x * dir.z,
+      z: per.x * dir.y - per.y * dir.x,
+    };
+    const sinNu = nrm.x * cross.x + nrm.y * cross.y + nrm.z * cross.z;
+    const nu = Math.atan2(sinNu, cosNu);
+    return geometry.p / (1 + geometry.e * Math.cos(nu));
+  }
+
+  /**
+   * Orbit-path filter: compare the two orbits' radii along the line where
+   * their planes intersect. If both crossings are radially further apart
+   * than the pad, the paths never come close.
+   * @param {Object} geom1 - pathGeometry of object 1
+   * @param {Object} geom2 - pathGeometry of object 2
+   * @param {number} pad - Screening distance plus margin (km)
+   * @returns {boolean} True if the pair must be kept
+   */
+  static orbitPath(geom1, geom2, pad) {
+    const n1 = geom1.normal;
+    const n2 = geom2.normal;
+    const k = {
+      x: n1.y * n2.z - n1.z * n2.y,
+      y: n1.z * n2.x - n1.x * n2.z,
+      z: n1.x * n2.y - n1.y * n2.x,
+    };
+    const kMag = Math.sqrt(k.x ** 2 + k.y ** 2 + k.z ** 2);
+
+    // Near-coplanar orbits intersect everywhere; leave them to the grid
+    if (kMag < COPLANAR_SIN) {
+      return true;
+    }
+
+    const dir = { x: k.x / kMag, y: k.y / kMag, z: k.z / kMag };
+    const opposite = { x: -dir.x, y: -dir.y, z: -dir.z };
+
+    const ascending = Math.abs(this.radiusAlong(geom1, dir) - this.radiusAlong(geom2, dir));
+    const descending = Math.abs(this.radiusAlong(geom1, opposite) - this.radiusAlong(geom2, opposite));
+
+    return Math.min(ascending, descending) <= pad;
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Seeded Random
+ * Deterministic uniform [0, 1) generator (mulberry32) so that a simulation
+ * run with the same seed and inputs gives the same fragments. Models take
+ * its generator() wherever they would otherwise call Math.random.
+ */
+
+const MAX_SEED = 0xffffffff;
+
+export class SeededRandom {
+  /**
+   * @param {number} seed - Integer in [0, 2^32 - 1]; a random one if omitted
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    if (!SeededRandom.isValidSeed(seed)) {
+      throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+    this.seed = seed;
+    this.state = seed;
+  }
+
+  /**
+   * New seed for runs that did not ask for one, so they can still be repeated
+   * @returns {number} Seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+  }
+
+  /**
+   * @param {*} seed - Candidate seed
+   * @returns {boolean} True if usable as a seed
+   */
+  static isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+  }
+
+  /**
+   * Next number in the sequence
+   * @returns {number} Uniform in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Drop-in replacement for Math.random bound to this sequence
+   * @returns {Function} () => number in [0, 1)
+   */
+  generator() {
+    return () => this.next();
+  }
+}
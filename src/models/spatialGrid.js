@@ -0,0 +1,129 @@
+/**
+ * Spatial Grid
+ * Uniform voxel hash for finding objects within a search radius.
+ * Cells are at least as large as the radius, so neighbours of an object
+ * can only sit in its own cell or the 26 surrounding ones.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Cell edge length (km), >= search radius
+   */
+  constructor(cellSize) {
+    if (!(cellSize > 0)) {
+      throw new Error('SpatialGrid cell size must be positive');
+    }
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  /**
+   * Hash key for integer cell coordinates
+   * @returns {string} Cell key
+   */
+  static key(ix, iy, iz) {
+    return `${ix},${iy},${iz}`;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.cells.clear();
+  }
+
+  /**
+   * Insert an item at a position
+   * @param {number} index - Item index
+   * @param {Object} position - Position {x, y, z} in km
+   */
+  insert(index, position) {
+    const ix = Math.floor(position.x / this.cellSize);
+    const iy = Math.floor(position.y / this.cellSize);
+    const iz = Math.floor(position.z / this.cellSize);
+    const key = SpatialGrid.key(ix, iy, iz);
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push({ index, position });
+  }
+
+  /**
+   * Find items within a radius of a position
+   * @param {Object} position - Query position {x, y, z} in km
+   * @param {number} radius - Search radius (km), must not exceed the cell size
+   * @returns {Array} Array of {index, distance}, distance in km
+   */
+  queryRadius(position, radius) {
+    const found = [];
+    const radiusSq = radius * radius;
+    const ix = Math.floor(position.x / this.cellSize);
+    const iy = Math.floor(position.y / this.cellSize);
+    const iz = Math.floor(position.z / this.cellSize);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cell = this.cells.get(SpatialGrid.key(ix + dx, iy + dy, iz + dz));
+          if (!cell) continue;
+
+          for (const item of cell) {
+            const ddx = item.position.x - position.x;
+            const ddy = item.position.y - position.y;
+            const ddz = item.position.z - position.z;
+            const distSq = ddx * ddx + ddy * ddy + ddz * ddz;
+            if (distSq <= radiusSq) {
+              found.push({ index: item.index, distance: Math.sqrt(distSq) });
+            }
+          }
+        }
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Find all pairs of items closer than a radius
+   * @param {number} radius - Search radius (km), must not exceed the cell size
+   * @param {Function} accept - Optional (i, j) => boolean pair filter
+   * @returns {Array} Array of {i, j, distance} with i < j, distance in km
+   */
+  findPairs(radius, accept = null) {
+    const pairs = [];
+    const radiusSq = radius * radius;
+
+    for (const [key, cell] of this.cells) {
+      const [ix, iy, iz] = key.split(',').map(Number);
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const neighbour = this.cells.get(SpatialGrid.key(ix + dx, iy + dy, iz + dz));
+            if (!neighbour) continue;
+
+            for (const a of cell) {
+              for (const b of neighbour) {
+                // Each unordered pair is visited twice across cells; keep one
+                if (a.index >= b.index) continue;
+
+                const ddx = a.position.x - b.position.x;
+                const ddy = a.position.y - b.position.y;
+                const ddz = a.position.z - b.position.z;
+                const distSq = ddx * ddx + ddy * ddy + ddz * ddz;
+                if (distSq > radiusSq) continue;
+                if (accept && !accept(a.index, b.index)) continue;
+
+                pairs.push({ i: a.index, j: b.index, distance: Math.sqrt(distSq) });
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return pairs;
+  }
+}
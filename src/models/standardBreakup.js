@@ -0,0 +1,320 @@
+/**
+ * NASA Standard Breakup Model
+ * Distributions of the NASA SBM as used in EVOLVE 4.0 (Johnson et al.,
+ * "NASA's new breakup model of EVOLVE 4.0", Adv. Space Res. 28(9), 2001):
+ * the characteristic-length power law, the area-to-mass (A/m) distributions
+ * for spacecraft and rocket-body fragments, the area-Lc relation and the
+ * log-normal delta-v distribution. Lengths are in m, A/m in m^2/kg,
+ * delta-v in m/s.
+ */
+
+// Characteristic lengths separating the small-fragment and bimodal A/m regimes
+const SMALL_FRAGMENT_LC = 0.08;
+const LARGE_FRAGMENT_LC = 0.11;
+
+// Exponents of the cumulative characteristic-length distributions
+const COLLISION_EXPONENT = 1.71;
+const EXPLOSION_EXPONENT = 1.6;
+
+/**
+ * Piecewise-linear function of lambda = log10(Lc), constant outside [lo, hi]
+ */
+const ramp = (lambda, lo, hi, valueLo, valueHi) => {
+  if (lambda <= lo) return valueLo;
+  if (lambda >= hi) return valueHi;
+  return valueLo + (valueHi - valueLo) * (lambda - lo) / (hi - lo);
+};
+
+export class StandardBreakup {
+  /**
+   * Parent class for the A/m distribution
+   * @param {string} objectType - Catalog object type (e.g. 'ROCKET BODY', 'PAYLOAD')
+   * @returns {string} 'rocketBody' or 'spacecraft'
+   */
+  static parentClass(objectType) {
+    return /rocket|r\/b/i.test(String(objectType || '')) ? 'rocketBody' : 'spacecraft';
+  }
+
+  /**
+   * Cumulative number of collision fragments larger than a characteristic length
+   * @param {number} mass - Mass taking part in the breakup (kg)
+   * @param {number} lc - Characteristic length (m)
+   * @returns {number} N(>Lc) = 0.1 M^0.75 Lc^-1.71
+   */
+  static cumulativeCount(mass, lc) {
+    return 0.1 * Math.pow(mass, 0.75) * Math.pow(lc, -COLLISION_EXPONENT);
+  }
+
+  /**
+   * Smallest characteristic length for which N(>Lc) equals a count
+   * @param {number} mass - Mass taking part in the breakup (kg)
+   * @param {number} count - Number of fragments
+   * @returns {number} Lc in m
+   */
+  static lengthForCount(mass, count) {
+    return Math.pow(0.1 * Math.pow(mass, 0.75) / count, 1 / COLLISION_EXPONENT);
+  }
+
+  /**
+   * Cumulative number of explosion fragments larger than a characteristic length
+   * @param {number} scaleFactor - Explosion scale factor S
+   * @param {number} lc - Characteristic length (m)
+   * @returns {number} N(>Lc) = 6 S Lc^-1.6
+   */
+  static explosionCount(scaleFactor, lc) {
+    return 6 * scaleFactor * Math.pow(lc, -EXPLOSION_EXPONENT);
+  }
+
+  /**
+   * Smallest characteristic length for which the explosion N(>Lc) equals a count
+   * @param {number} scaleFactor - Explosion scale factor S
+   * @param {number} count - Number of fragments
+   * @returns {number} Lc in m
+   */
+  static explosionLengthForCount(scaleFactor, count) {
+    return Math.pow(6 * scaleFactor / count, 1 / EXPLOSION_EXPONENT);
+  }
+
+  /**
+   * Sample a characteristic length from the power law truncated to [lcMin, lcMax]
+   * @param {number} lcMin - Lower bound (m)
+   * @param {number} lcMax - Upper bound (m)
+   * @param {Function} random - Uniform [0, 1) generator
+   * @param {number} exponent - Exponent of the cumulative distribution (1.71 collisions, 1.6 explosions)
+   * @returns {number} Lc in m
+   */
+  static sampleLength(lcMin, lcMax, random = Math.random, exponent = COLLISION_EXPONENT) {
+    const a = Math.pow(lcMin, -exponent);
+    const b = Math.pow(lcMax, -exponent);
+    return Math.pow(a - random() * (a - b), -1 / exponent);
+  }
+
+  /**
+   * Single-normal A/m parameters for fragments below 8 cm (either parent class)
+   * @param {number} lc - Characteristic length (m)
+   * @returns {Object} {alpha, mu1, sigma1, mu2, sigma2} with alpha = 1
+   */
+  static smallFragmentParameters(lc) {
+    const lambda = Math.log10(lc);
+    return {
+      alpha: 1,
+      mu1: ramp(lambda, -1.75, -1.25, -0.3, -1.0),
+      sigma1: lambda <= -3.5 ? 0.2 : 0.2 + 0.1333 * (lambda + 3.5),
+      mu2: 0,
+      sigma2: 1,
+    };
+  }
+
+  /**
+   * Bimodal A/m parameters for fragments above 11 cm
+   * @param {number} lc - Characteristic length (m)
+   * @param {string} parentClass - 'spacecraft' or 'rocketBody'
+   * @returns {Object} {alpha, mu1, sigma1, mu2, sigma2}
+   */
+  static largeFragmentParameters(lc, parentClass = 'spacecraft') {
+    const lambda = Math.log10(lc);
+
+    if (parentClass === 'rocketBody') {
+      return {
+        alpha: ramp(lambda, -1.4, 0, 1, 0.5),
+        mu1: ramp(lambda, -0.5, 0, -0.45, -0.9),
+        sigma1: 0.55,
+        mu2: -0.9,
+        sigma2: ramp(lambda, -1, 0.1, 0.28, 0.1),
+      };
+    }
+
+    return {
+      alpha: ramp(lambda, -1.95, 0.55, 0, 1),
+      mu1: ramp(lambda, -1.1, 0, -0.6, -0.95),
+      sigma1: ramp(lambda, -1.3, -0.3, 0.1, 0.3),
+      mu2: ramp(lambda, -0.7, -0.1, -1.2, -2.0),
+      sigma2: ramp(lambda, -0.5, -0.3, 0.5, 0.3),
+    };
+  }
+
+  /**
+   * Weight of the small-fragment distribution: 1 below 8 cm, 0 above
+   * 11 cm, linear in between
+   * @param {number} lc - Characteristic length (m)
+   * @returns {number} Weight in [0, 1]
+   */
+  static smallFragmentWeight(lc) {
+    if (lc <= SMALL_FRAGMENT_LC) return 1;
+    if (lc >= LARGE_FRAGMENT_LC) return 0;
+    return (LARGE_FRAGMENT_LC - lc) / (LARGE_FRAGMENT_LC - SMALL_FRAGMENT_LC);
+  }
+
+  /**
+   * Sample A/m for a fragment
+   * @param {number} lc - Characteristic length (m)
+   * @param {string} parentClass - 'spacecraft' or 'rocketBody'
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {number} A/m in m^2/kg
+   */
+  static sampleAreaToMass(lc, parentClass = 'spacecraft', random = Math.random) {
+    const p = random() < this.smallFragmentWeight(lc)
+      ? this.smallFragmentParameters(lc)
+      : this.largeFragmentParameters(lc, parentClass);
+    const chi = random() < p.alpha
+      ? this.normal(p.mu1, p.sigma1, random)
+      : this.normal(p.mu2, p.sigma2, random);
+    return Math.pow(10, chi);
+  }
+
+  /**
+   * Mean of log10(A/m) at a characteristic length
+   * @param {number} lc - Characteristic length (m)
+   * @param {string} parentClass - 'spacecraft' or 'rocketBody'
+   * @returns {number} Mean chi
+   */
+  static meanLogAreaToMass(lc, parentClass = 'spacecraft') {
+    const mean = (p) => p.alpha * p.mu1 + (1 - p.alpha) * p.mu2;
+    const w = this.smallFragmentWeight(lc);
+    return w * mean(this.smallFragmentParameters(lc)) + (1 - w) * mean(this.largeFragmentParameters(lc, parentClass));
+  }
+
+  /**
+   * Average cross-sectional area from characteristic length
+   * @param {number} lc - Characteristic length (m)
+   * @returns {number} Area in m^2
+   */
+  static area(lc) {
+    return lc < 0.00167 ? 0.540424 * lc * lc : 0.556945 * Math.pow(lc, 2.0047077);
+  }
+
+  /**
+   * Characteristic length of a fragment with a given mass and the mean A/m,
+   * used for the remnant pieces that close the mass budget
+   * @param {number} mass - Fragment mass (kg)
+   * @param {string} parentClass - 'spacecraft' or 'rocketBody'
+   * @returns {number} Lc in m
+   */
+  static lengthForMass(mass, parentClass = 'spacecraft') {
+    const massAt = (lc) => this.area(lc) / Math.pow(10, this.meanLogAreaToMass(lc, parentClass));
+    let lo = -4;
+    let hi = 3;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (massAt(Math.pow(10, mid)) < mass) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return Math.pow(10, (lo + hi) / 2);
+  }
+
+  /**
+   * Sample a fragment's ejection speed: log10(dv) ~ N(0.9 chi + 2.9, 0.4)
+   * for collisions and N(0.2 chi + 1.85, 0.4) for explosions
+   * @param {number} areaToMass - A/m in m^2/kg
+   * @param {string} event - 'collision' or 'explosion'
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {number} Delta-v magnitude in m/s
+   */
+  static sampleDeltaV(areaToMass, event = 'collision', random = Math.random) {
+    const chi = Math.log10(areaToMass);
+    const mu = event === 'explosion' ? 0.2 * chi + 1.85 : 0.9 * chi + 2.9;
+    return Math.pow(10, this.normal(mu, 0.4, random));
+  }
+
+  /**
+   * Isotropic unit vector
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Object} {x, y, z}
+   */
+  static randomDirection(random = Math.random) {
+    const theta = random() * 2 * Math.PI;
+    const cosPhi = 2 * random() - 1;
+    const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+    return { x: sinPhi * Math.cos(theta), y: sinPhi * Math.sin(theta), z: cosPhi };
+  }
+
+  /**
+   * Normal deviate (Box-Muller)
+   * @param {number} mean - Mean
+   * @param {number} sigma - Standard deviation
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {number} Sample
+   */
+  static normal(mean, sigma, random = Math.random) {
+    const u = 1 - random(); // (0, 1] so the log is finite
+    const v = random();
+    return mean + sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Sample a mass-conserving fragment population.
+   * N(>lcMin) fragments are drawn from the power law; if their mass exceeds
+   * the budget the heaviest are dropped until it fits, and any mass left
+   * over goes to remnant pieces no larger than a mean lcMax fragment.
+   * @param {Object} params - {mass (kg), lcMin, lcMax (m), parents: [{mass, parentClass}],
+   *   count (optional override of the collision N(>lcMin)), event ('collision' or
+   *   'explosion', sets the Lc exponent), random}
+   * @returns {Object} {fragments: [{characteristicLength, areaToMass, area, mass,
+   *   parent, remnant}], expectedCount, droppedCount, remnantMass}
+   */
+  static samplePopulation(params) {
+    const { mass, lcMin, lcMax, parents, event = 'collision', random = Math.random } = params;
+    const exponent = event === 'explosion' ? EXPLOSION_EXPONENT : COLLISION_EXPONENT;
+    const expectedCount = params.count ?? Math.round(this.cumulativeCount(mass, lcMin));
+    const parentMass = parents.reduce((sum, p) => sum + p.mass, 0);
+
+    const pickParent = () => {
+      let u = random() * parentMass;
+      for (let i = 0; i < parents.length - 1; i++) {
+        u -= parents[i].mass;
+        if (u < 0) return i;
+      }
+      return parents.length - 1;
+    };
+
+    const fragments = [];
+    for (let i = 0; i < expectedCount; i++) {
+      const parent = pickParent();
+      const characteristicLength = this.sampleLength(lcMin, lcMax, random, exponent);
+      const areaToMass = this.sampleAreaToMass(characteristicLength, parents[parent].parentClass, random);
+      const area = this.area(characteristicLength);
+      fragments.push({ characteristicLength, areaToMass, area, mass: area / areaToMass, parent, remnant: false });
+    }
+
+    // The power law does not conserve mass: drop the heaviest draws until the rest fit
+    fragments.sort((a, b) => b.mass - a.mass);
+    let budget = mass - fragments.reduce((sum, f) => sum + f.mass, 0);
+    let droppedCount = 0;
+    while (budget < 0 && fragments.length > 0) {
+      budget += fragments.shift().mass;
+      droppedCount++;
+    }
+
+    // Close the budget with remnant pieces, each at most the mean mass of an lcMax
+    // fragment; a leftover too small to be a fragment is added to the heaviest one
+    const remnantMass = budget;
+    const heaviest = parents.reduce((a, b) => (b.mass > a.mass ? b : a));
+    const meanMass = (lc) => this.area(lc) / Math.pow(10, this.meanLogAreaToMass(lc, heaviest.parentClass));
+    if (budget < meanMass(lcMin) && fragments.length > 0) {
+      const largest = fragments.reduce((a, b) => (b.mass > a.mass ? b : a));
+      largest.mass += budget;
+      largest.areaToMass = largest.area / largest.mass;
+      budget = 0;
+    }
+    const pieces = Math.ceil(budget / meanMass(lcMax) - 1e-9);
+    for (let i = 0; i < pieces; i++) {
+      const pieceMass = budget / (pieces - i);
+      const characteristicLength = this.lengthForMass(pieceMass, heaviest.parentClass);
+      const area = this.area(characteristicLength);
+      fragments.push({
+        characteristicLength,
+        areaToMass: area / pieceMass,
+        area,
+        mass: pieceMass,
+        parent: parents.indexOf(heaviest),
+        remnant: true,
+      });
+      budget -= pieceMass;
+    }
+
+    return { fragments, expectedCount, droppedCount, remnantMass };
+  }
+}
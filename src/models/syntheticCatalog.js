@@ -0,0 +1,132 @@
+import TLEParser from '../api/tleParser.js';
+
+/**
+ * Synthetic Catalog
+ * Simulated fragments with fitted TLEs, injected into the active catalog
+ * for what-if screening. They get NORAD IDs from a reserved range and are
+ * appended to whatever the data source returns.
+ */
+export class SyntheticCatalog {
+  /**
+   * @param {Object} options - {firstId, lastId} synthetic NORAD ID range
+   */
+  constructor(options = {}) {
+    this.firstId = options.firstId ?? 90000;
+    this.lastId = options.lastId ?? 99999;
+    this.objects = new Map();
+  }
+
+  /**
+   * Lowest free IDs in the synthetic range
+   * @param {number} count - Number of IDs
+   * @returns {Array} NORAD IDs
+   */
+  nextIds(count) {
+    const ids = [];
+    for (let id = this.firstId; id <= this.lastId && ids.length < count; id++) {
+      if (!this.objects.has(id)) ids.push(id);
+    }
+    if (ids.length < count) {
+      throw new Error(
+        `Synthetic NORAD ID range ${this.firstId}-${this.lastId} has only ${ids.length} free IDs; ${count} needed`
+      );
+    }
+    return ids;
+  }
+
+  /**
+   * Add fitted fragments to the catalog
+   * @param {Array} fits - Results of TLEFitter.fitFragments; failed fits are skipped
+   * @param {Array} fragments - The fragments that were fitted
+   * @param {Object} source - {name, type ('collision' or 'breakup'), time, parents}
+   * @returns {Array} Catalog objects added
+   */
+  addFragments(fits, fragments, source) {
+    const byId = new Map(fragments.map(f => [f.id, f]));
+    const added = [];
+
+    fits.filter(fit => !fit.error).forEach(fit => {
+      if (this.objects.has(fit.noradId)) {
+        throw new Error(`Synthetic NORAD ID ${fit.noradId} is already in use`);
+      }
+      const fragment = byId.get(fit.fragmentId);
+      const tle = TLEParser.parse(fit.line1, fit.line2);
+      const object = {
+        noradId: fit.noradId,
+        name: `${source.name} ${fit.fragmentId.replace('fragment_', 'FRAG ')}`,
+        objectType: 'DEBRIS',
+        orbitType: TLEParser.getOrbitType(tle),
+        inclination: tle.inclination,
+        eccentricity: tle.eccentricity,
+        raan: tle.raan,
+        argPerigee: tle.argPerigee,
+        meanAnomaly: tle.meanAnomaly,
+        meanMotion: tle.meanMotion,
+        satrec: fit.satrec,
+        tle: { line1: fit.line1, line2: fit.line2 },
+        // Read by ObjectSize and the collision routes like DISCOS attributes
+        attributes: { mass: fragment.mass, diameter: fragment.size },
+        synthetic: true,
+        source: {
+          ...source,
+          fragmentId: fit.fragmentId,
+          areaToMass: fragment.areaToMass ?? null,
+          fitRms: fit.rms,
+        },
+      };
+      this.objects.set(object.noradId, object);
+      added.push(object);
+    });
+
+    return added;
+  }
+
+  /**
+   * Get a synthetic object
+   * @param {number} noradId - NORAD ID
+   * @returns {Object|null} Catalog object
+   */
+  get(noradId) {
+    return this.objects.get(noradId) || null;
+  }
+
+  /**
+   * All synthetic objects
+   * @returns {Array} Catalog objects
+   */
+  list() {
+    return Array.from(this.objects.values());
+  }
+
+  /**
+   * Append synthetic objects to a data-source catalog
+   * @param {Array} debris - Catalog from the data source
+   * @param {Object} options - {objectTypes} filter applied to the synthetic objects too
+   * @returns {Array} Combined catalog
+   */
+  merge(debris, options = {}) {
+    if (this.objects.size === 0) return debris;
+    const { objectTypes } = options;
+    const ids = new Set(debris.map(d => d.noradId));
+    const extra = this.list().filter(o =>
+      !ids.has(o.noradId) && (!objectTypes || objectTypes.length === 0 || objectTypes.includes(o.objectType)));
+    return [...debris, ...extra];
+  }
+
+  /**
+   * Remove synthetic objects
+   * @param {Array} noradIds - IDs to remove; all if omitted
+   * @returns {number} Number removed
+   */
+  remove(noradIds = null) {
+    if (!noradIds) {
+      const count = this.objects.size;
+      this.objects.clear();
+      return count;
+    }
+    return noradIds.filter(id => this.objects.delete(id)).length;
+  }
+}
+
+// Export singleton instance
+export const syntheticCatalog = new SyntheticCatalog();
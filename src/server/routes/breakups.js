@@ -0,0 +1,192 @@
+import express from 'express';
+import DataFetcher from '../../api/dataFetcher.js';
+import DISCOSFetcher from '../../api/discosFetcher.js';
+import MockFetcher from '../../api/mockFetcher.js';
+import OrbitPropagator from '../../api/orbitPropagator.js';
+import { BreakupSimulator } from '../../models/breakupSimulator.js';
+import { CollisionSimulator } from '../../models/collisionSimulator.js';
+import { LifetimeEstimator } from '../../models/lifetimeEstimator.js';
+import { ObjectSize } from '../../models/objectSize.js';
+import { PropagatorChoice } from '../../models/propagatorChoice.js';
+import { SeededRandom } from '../../models/seededRandom.js';
+import { syntheticCatalog } from '../../models/syntheticCatalog.js';
+import TLEFitter from '../../api/tleFitter.js';
+import config from '../../config/config.js';
+
+const router = express.Router();
+
+// Select data source based on configuration
+let dataFetcher;
+if (config.dataSource === 'discos') {
+  dataFetcher = new DISCOSFetcher();
+} else if (config.dataSource === 'mock') {
+  dataFetcher = new MockFetcher();
+} else {
+  dataFetcher = new DataFetcher();
+}
+const simulator = new BreakupSimulator({ scaleFactors: config.simulation.breakup.explosionScaleFactors });
+const lifetimeEstimator = new LifetimeEstimator(config.simulation.lifetime);
+const propagatorChoice = new PropagatorChoice(config.simulation.propagator);
+
+const MODEL_DESCRIPTIONS = {
+  'sbm-explosion': 'NASA Standard Breakup Model explosion: N(>Lc) = 6 S Lc^-1.6 with S per object type',
+};
+
+/**
+ * POST /api/breakups/simulate
+ * Fragment a single object (explosion) at an epoch
+ * Body: { objectId, time, modelName, scaleFactor, seed, fitTLEs, injectFragments, estimateLifetime, solarFlux,
+ *   propagator, forces (how the parent is brought to the breakup epoch) }
+ */
+router.post('/simulate', async (req, res) => {
+  try {
+    const {
+      objectId,
+      time,
+      modelName = 'sbm-explosion',
+      scaleFactor,
+      seed,
+      fitTLEs = false,
+      injectFragments = false,
+      estimateLifetime = false,
+      solarFlux,
+      propagator,
+      forces,
+    } = req.body;
+
+    if (!objectId) {
+      return res.status(400).json({ error: 'objectId required' });
+    }
+    const breakupDate = time ? new Date(time) : new Date();
+    if (isNaN(breakupDate.getTime())) {
+      return res.status(400).json({ error: `Invalid time '${time}'` });
+    }
+    if (scaleFactor !== undefined && !(typeof scaleFactor === 'number' && scaleFactor > 0)) {
+      return res.status(400).json({ error: 'scaleFactor must be a positive number' });
+    }
+    if (seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    }
+    if (solarFlux !== undefined && !LifetimeEstimator.isValidSolarFlux(solarFlux)) {
+      return res.status(400).json({ error: 'solarFlux must be an F10.7 value from 50 to 400' });
+    }
+    if (!simulator.listModels().includes(modelName)) {
+      return res.status(400).json({
+        error: `Unknown breakup model '${modelName}'. Use ${simulator.listModels().join(', ')}`,
+      });
+    }
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const debris = syntheticCatalog.merge(await dataFetcher.fetchDebrisWithCache({ limit: config.catalogLimit }));
+    const obj = debris.find(d => d.noradId === parseInt(objectId, 10));
+    if (!obj) {
+      return res.status(404).json({ error: `Object ${objectId} not found` });
+    }
+
+    // Handle both DISCOS (has satrec) and Space-Track (needs TLE parsing)
+    let satrec;
+    if (obj.satrec) {
+      satrec = obj.satrec;
+    } else if (obj.line1 && obj.line2) {
+      satrec = OrbitPropagator.fromTLEData(obj);
+    } else {
+      return res.status(400).json({ error: 'Object missing orbital data' });
+    }
+
+    try {
+      ({ satrec } = propagatorChoice.resolve(obj, satrec, choice, [breakupDate]));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      OrbitPropagator.propagate(satrec, breakupDate);
+    } catch (error) {
+      return res.status(400).json({ error: `Object ${objectId} cannot be propagated to ${breakupDate.toISOString()}` });
+    }
+
+    const result = simulator.simulateBreakup(
+      {
+        noradId: obj.noradId,
+        name: obj.name,
+        satrec,
+        mass: obj.attributes?.mass || 100, // Use DISCOS mass if available
+        size: ObjectSize.estimate(obj),
+        objectType: obj.objectType || obj.attributes?.objectClass || null,
+      },
+      breakupDate,
+      modelName,
+      { scaleFactor, seed }
+    );
+
+    // Optionally fit TLEs to the fragments and add them to the catalog
+    let fragmentTLEs = null;
+    let injected = null;
+    if (fitTLEs || injectFragments) {
+      let noradIds;
+      try {
+        noradIds = syntheticCatalog.nextIds(result.fragments.length);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+      const fits = TLEFitter.fitFragments(result.fragments, breakupDate, noradIds, {
+        dragCoefficient: config.simulation.fragments.dragCoefficient,
+      });
+      if (injectFragments) {
+        injected = syntheticCatalog.addFragments(fits, result.fragments, {
+          name: `SIM ${obj.noradId}`,
+          type: 'breakup',
+          time: breakupDate,
+          parents: [obj.noradId],
+          model: result.model,
+        }).map(o => o.noradId);
+      }
+      fragmentTLEs = fits.map(({ satrec, ...fit }) => fit);
+    }
+
+    const lifetimes = estimateLifetime
+      ? lifetimeEstimator.estimateFragments(
+        result.fragments,
+        breakupDate,
+        fragment => CollisionSimulator.fragmentAreaToMass(fragment),
+        { solarFlux }
+      )
+      : null;
+
+    res.json({
+      ...result,
+      frame: 'TEME',
+      propagator: propagatorChoice.describe(choice),
+      lifetimes,
+      fragmentTLEs,
+      injected,
+    });
+  } catch (error) {
+    console.error('Error simulating breakup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/breakups/models
+ * List available breakup models
+ */
+router.get('/models', (req, res) => {
+  try {
+    const models = simulator.listModels().map(name => ({
+      name,
+      description: MODEL_DESCRIPTIONS[name] || 'Unknown model',
+    }));
+    res.json({ models, scaleFactors: config.simulation.breakup.explosionScaleFactors });
+  } catch (error) {
+    console.error('Error listing breakup models:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -4,7 +4,21 @@ import DISCOSFetcher from '../../api/discosFetcher.js';
 import MockFetcher from '../../api/mockFetcher.js';
 import OrbitPropagator from '../../api/orbitPropagator.js';
 import { CollisionDetector } from '../../models/collisionDetector.js';
+import { CollisionProbability } from '../../models/collisionProbability.js';
+import { ObjectSize } from '../../models/objectSize.js';
+import { ConjunctionStore, conjunctionStore } from '../../models/conjunctionStore.js';
+import CDMGenerator from '../../api/cdmGenerator.js';
+import CDMParser from '../../api/cdmParser.js';
+import { AvoidancePlanner } from '../../models/avoidancePlanner.js';
+import { BreakupValidator } from '../../models/breakupValidator.js';
+import { CollisionSimulator } from '../../models/collisionSimulator.js';
+import { FragmentAnalytics } from '../../models/fragmentAnalytics.js';
+import { LifetimeEstimator } from '../../models/lifetimeEstimator.js';
+import { PropagatorChoice } from '../../models/propagatorChoice.js';
 import { modelRegistry } from '../../models/registry.js';
+import { SeededRandom } from '../../models/seededRandom.js';
+import { syntheticCatalog } from '../../models/syntheticCatalog.js';
+import TLEFitter from '../../api/tleFitter.js';
 import config from '../../config/config.js';
 
 const router = express.Router();
@@ -19,80 +33,381 @@ if (config.dataSource === 'discos') {
   dataFetcher = new DataFetcher();
 }
 const detector = new CollisionDetector(config.simulation.collisionThreshold);
+const validator = new BreakupValidator(modelRegistry.getSimulator(), {
+  searchWindowMinutes: config.simulation.validation.searchWindowMinutes,
+  reentryAltitude: config.simulation.fragments.reentryAltitude,
+});
+const lifetimeEstimator = new LifetimeEstimator(config.simulation.lifetime);
+const propagatorChoice = new PropagatorChoice(config.simulation.propagator);
+
+/**
+ * Active catalog: the data source plus any injected synthetic fragments
+ * @param {Object} options - fetchDebrisWithCache options, the whole catalog unless a limit is given
+ * @returns {Promise<Array>} Catalog objects
+ */
+async function fetchCatalog(options = {}) {
+  const debris = await dataFetcher.fetchDebrisWithCache({ limit: config.catalogLimit, ...options });
+  return syntheticCatalog.merge(debris, options);
+}
+
+/**
+ * Build the {noradId, name, satrec, size} record the detector works with
+ * @param {Object} obj - Catalog object
+ * @returns {Object|null} Detector object, or null if it has no orbital data
+ */
+function toDetectorObject(obj) {
+  // Handle both DISCOS (has satrec) and Space-Track (needs TLE parsing)
+  let satrec;
+  if (obj.satrec) {
+    satrec = obj.satrec;
+  } else if (obj.line1 && obj.line2) {
+    satrec = OrbitPropagator.fromTLEData(obj);
+  } else {
+    return null;
+  }
+
+  return {
+    noradId: obj.noradId,
+    name: obj.name,
+    satrec,
+    size: ObjectSize.estimate(obj),
+  };
+}
+
+/**
+ * Switch a detector or simulation object to the requested propagator
+ * @param {Object} object - Record from toDetectorObject or toSimulationObject
+ * @param {Object} obj - Its catalog object
+ * @param {Object} choice - PropagatorChoice.parse result
+ * @param {Array} span - Dates it will be propagated between
+ * @returns {Object} The record with its satrec replaced where numerical
+ * @throws {Error} If the span is beyond the numerical propagator's reach
+ */
+function withPropagator(object, obj, choice, span) {
+  const { satrec } = propagatorChoice.resolve(obj, object.satrec, choice, span);
+  return { ...object, satrec };
+}
+
+/**
+ * Build the record the collision simulator works with
+ * @param {Object} obj - Catalog object
+ * @returns {Object|null} {noradId, name, satrec, size, mass, objectType}, or null if it has no orbital data
+ */
+function toSimulationObject(obj) {
+  const object = toDetectorObject(obj);
+  if (!object) return null;
+  return {
+    ...object,
+    mass: obj.attributes?.mass || 100, // Use DISCOS mass if available
+    objectType: obj.objectType || obj.attributes?.objectClass || null,
+  };
+}
+
+/**
+ * Check a collision model name and per-request parameter overrides
+ * @param {string} modelName - Model name
+ * @param {Object} parameters - Overrides of the model's parameters, if any
+ * @returns {string|null} Problem to report, or null if the model can be used
+ */
+function checkModel(modelName, parameters) {
+  const simulator = modelRegistry.getSimulator();
+  if (!simulator.listModels().includes(modelName)) {
+    return `Unknown collision model '${modelName}'. Use ${simulator.listModels().join(', ')}`;
+  }
+  try {
+    simulator.getModel(modelName).withParameters(parameters);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Recompute an externally reported conjunction from our catalog
+ * @param {Object} event - Event parsed from a CDM
+ * @param {Array} debris - Current catalog
+ * @returns {Object} {available, reason} or {available, ours, differences}
+ */
+function compareWithCatalog(event, debris) {
+  const detectorObjects = [event.object1, event.object2].map(object => {
+    const obj = debris.find(d => d.noradId === object.noradId);
+    return obj ? toDetectorObject(obj) : null;
+  });
+  const missing = [event.object1, event.object2].filter((object, i) => !detectorObjects[i]);
+  if (missing.length > 0) {
+    return {
+      available: false,
+      reason: `Object(s) ${missing.map(o => o.noradId).join(', ')} not in the current catalog or missing orbital data`,
+    };
+  }
+  // A CDM covariance may be only semi-definite, which our Pc cannot use
+  try {
+    [event.covariance.object1, event.covariance.object2]
+      .filter(Boolean)
+      .forEach(covariance => CollisionProbability.toCovarianceMatrix(covariance));
+  } catch (error) {
+    return { available: false, reason: `CDM covariance not usable for Pc: ${error.message}` };
+  }
+
+  // Closest approach nearest the provider's TCA
+  const windowMs = config.simulation.cdm.recomputeWindowMinutes * 60 * 1000;
+  const tcaMs = event.time.getTime();
+  const approaches = new CollisionDetector(Infinity).findCloseApproaches(
+    detectorObjects[0].satrec,
+    detectorObjects[1].satrec,
+    new Date(tcaMs - windowMs),
+    new Date(tcaMs + windowMs),
+    60
+  );
+  if (approaches.length === 0) {
+    return {
+      available: false,
+      reason: `No closest approach within ${config.simulation.cdm.recomputeWindowMinutes} minutes of the reported TCA`,
+    };
+  }
+  const approach = approaches.reduce((best, a) =>
+    Math.abs(a.time - tcaMs) < Math.abs(best.time - tcaMs) ? a : best);
+
+  // Same Pc method and covariance as the provider where we support it
+  const method = CollisionProbability.listMethods().includes(event.pc.method)
+    ? event.pc.method
+    : config.simulation.probability.method;
+  const object1 = CollisionDetector.describeObject(detectorObjects[0]);
+  const object2 = CollisionDetector.describeObject(detectorObjects[1]);
+  const pc = CollisionProbability.compute(approach, {
+    method,
+    hardBodyRadius: object1.radius + object2.radius,
+    covariance1: event.covariance.object1,
+    covariance2: event.covariance.object2,
+  });
+
+  return {
+    available: true,
+    ours: {
+      object1,
+      object2,
+      ...approach,
+      probability: pc.pc,
+      pc,
+    },
+    differences: {
+      tcaSeconds: (approach.time - tcaMs) / 1000,
+      missDistance: approach.distance - event.distance,
+      relativeVelocity: approach.relativeVelocity - event.relativeVelocity,
+      probabilityRatio: event.probability > 0 ? pc.pc / event.probability : null,
+    },
+  };
+}
 
 /**
  * POST /api/collisions/detect
  * Find close approaches between objects
+ * Modes: 'pairs' (objectIds, every pair), 'catalog' (filtered catalog, all vs all),
+ *        'primary' (primaryId vs the filtered catalog)
+ * Pc uses per-object RTN covariances from `covariances` (keyed by NORAD ID) and
+ * falls back to max-Pc when neither object has one
+ * `propagator` (sgp4 | numerical) and `forces` choose how orbits are propagated;
+ * numerical catalog screening is capped at simulation.propagator.maxObjects
  */
 router.post('/detect', async (req, res) => {
   try {
     const {
       objectIds,
+      primaryId,
+      filters = {},
       startTime,
       endTime,
       stepSeconds = 60,
       threshold,
+      covariances = {},
+      pcMethod = config.simulation.probability.method,
+      propagator,
+      forces,
     } = req.body;
+    const mode = req.body.mode || (primaryId ? 'primary' : objectIds ? 'pairs' : 'catalog');
 
-    if (!objectIds || objectIds.length < 2) {
+    if (!['pairs', 'catalog', 'primary'].includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'. Use pairs, catalog or primary` });
+    }
+    if (mode === 'pairs' && (!objectIds || objectIds.length < 2)) {
       return res.status(400).json({ error: 'At least 2 object IDs required' });
     }
+    if (mode === 'primary' && !primaryId) {
+      return res.status(400).json({ error: 'primaryId required for primary mode' });
+    }
+    if (!CollisionProbability.listMethods().includes(String(pcMethod).toLowerCase())) {
+      return res.status(400).json({
+        error: `Unknown pcMethod '${pcMethod}'. Use one of: ${CollisionProbability.listMethods().join(', ')}`,
+      });
+    }
+    if (covariances === null || typeof covariances !== 'object' || Array.isArray(covariances)) {
+      return res.status(400).json({ error: 'covariances must be an object keyed by NORAD ID' });
+    }
+    for (const [id, covariance] of Object.entries(covariances)) {
+      if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ error: `covariances must be keyed by NORAD ID, got '${id}'` });
+      }
+      try {
+        CollisionProbability.toCovarianceMatrix(covariance);
+      } catch (error) {
+        return res.status(400).json({ error: `Object ${id}: ${error.message}` });
+      }
+    }
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     const startDate = startTime ? new Date(startTime) : new Date();
     const endDate = endTime ? new Date(endTime) : new Date(Date.now() + 24 * 60 * 60 * 1000);
-
-    // Fetch debris data
-    const debris = await dataFetcher.fetchDebrisWithCache();
-    
-    // Find objects and create satrecs
-    const objects = [];
-    for (const id of objectIds) {
-      const obj = debris.find(d => d.noradId === parseInt(id, 10));
-      if (!obj) {
-        return res.status(404).json({ error: `Object ${id} not found` });
-      }
-      
-      // Handle both DISCOS (has satrec) and Space-Track (needs TLE parsing)
-      let satrec;
-      if (obj.satrec) {
-        satrec = obj.satrec;
-      } else if (obj.line1 && obj.line2) {
-        satrec = OrbitPropagator.fromTLEData(obj);
-      } else {
-        return res.status(400).json({ error: `Object ${id} missing orbital data` });
-      }
-      
-      objects.push({
-        noradId: obj.noradId,
-        name: obj.name,
-        satrec,
-      });
+    const { maxWindowHours } = config.simulation.screening;
+    if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate) {
+      return res.status(400).json({ error: 'startTime and endTime must be valid dates with endTime after startTime' });
+    }
+    if (endDate - startDate > maxWindowHours * 3600000) {
+      return res.status(400).json({ error: `Screening window is limited to ${maxWindowHours} hours` });
+    }
+    if (!(Number.isFinite(stepSeconds) && stepSeconds > 0)) {
+      return res.status(400).json({ error: 'stepSeconds must be a positive number' });
     }
 
     // Detect collisions
     const detectorInstance = threshold 
       ? new CollisionDetector(threshold) 
       : detector;
-    
-    const collisions = detectorInstance.detectCollisions(
-      objects,
-      startDate,
-      endDate,
-      stepSeconds
-    );
 
-    // Add collision probabilities
-    const collisionsWithProb = collisions.map(collision => ({
-      ...collision,
-      probability: CollisionDetector.collisionProbability(collision, 1, 1),
-    }));
+    let collisions;
+    let screening = null;
+
+    if (mode === 'pairs') {
+      // Fetch debris data
+      const debris = await fetchCatalog();
+
+      // Find objects and create satrecs
+      const objects = [];
+      for (const id of objectIds) {
+        const obj = debris.find(d => d.noradId === parseInt(id, 10));
+        if (!obj) {
+          return res.status(404).json({ error: `Object ${id} not found` });
+        }
+
+        const detectorObject = toDetectorObject(obj);
+        if (!detectorObject) {
+          return res.status(400).json({ error: `Object ${id} missing orbital data` });
+        }
+        try {
+          objects.push(withPropagator(detectorObject, obj, choice, [startDate, endDate]));
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      collisions = detectorInstance.detectCollisions(
+        objects,
+        startDate,
+        endDate,
+        stepSeconds
+      );
+    } else {
+      const { orbitType, objectTypes, limit } = filters;
+      const screeningConfig = config.simulation.screening;
+      const cap = choice.name === 'numerical' ? propagatorChoice.maxObjects : screeningConfig.maxObjects;
+      const maxObjects = Math.min(parseInt(limit, 10) || cap, cap);
+      const objectTypesArray = objectTypes
+        ? (Array.isArray(objectTypes) ? objectTypes : objectTypes.split(',')).map(t => t.trim().toUpperCase())
+        : [];
+
+      const debris = await fetchCatalog({
+        limit: maxObjects,
+        objectTypes: objectTypesArray.length > 0 ? objectTypesArray : undefined,
+      });
+
+      let catalog = debris;
+      if (orbitType) {
+        catalog = catalog.filter(d => d.orbitType === orbitType.toUpperCase());
+      }
+      if (objectTypesArray.length > 0) {
+        catalog = catalog.filter(d => !d.objectType || objectTypesArray.includes(d.objectType.toUpperCase()));
+      }
+      catalog = catalog.slice(0, maxObjects);
+
+      // The primary is screened even if the filters or the cap would exclude it
+      if (mode === 'primary' && !catalog.some(d => d.noradId === parseInt(primaryId, 10))) {
+        const primary = (await fetchCatalog()).find(d => d.noradId === parseInt(primaryId, 10));
+        if (!primary) {
+          return res.status(404).json({ error: `Object ${primaryId} not found` });
+        }
+        catalog = [primary, ...catalog];
+      }
+
+      // Objects the numerical propagator cannot reach over the window are left out
+      let excluded = 0;
+      const objects = [];
+      for (const obj of catalog) {
+        const detectorObject = toDetectorObject(obj);
+        if (!detectorObject) continue;
+        try {
+          objects.push(withPropagator(detectorObject, obj, choice, [startDate, endDate]));
+        } catch (error) {
+          if (mode === 'primary' && obj.noradId === parseInt(primaryId, 10)) {
+            return res.status(400).json({ error: error.message });
+          }
+          excluded++;
+        }
+      }
+
+      const result = detectorInstance.screenCatalog(objects, startDate, endDate, stepSeconds, {
+        primaryId: mode === 'primary' ? parseInt(primaryId, 10) : null,
+        apogeePerigeePad: screeningConfig.apogeePerigeePad,
+        orbitPathPad: screeningConfig.orbitPathPad,
+        pathFilterStepHours: screeningConfig.pathFilterStepHours,
+      });
+      collisions = result.collisions;
+      screening = { ...result.stats, excluded };
+    }
+
+    // Add collision probabilities and keep each event for later export
+    const covarianceFor = (noradId) => (covariances[noradId]
+      ? CollisionProbability.toCovarianceMatrix(covariances[noradId])
+      : null);
+    const collisionsWithProb = collisions.map(collision => {
+      const covariance = {
+        object1: covarianceFor(collision.object1.noradId),
+        object2: covarianceFor(collision.object2.noradId),
+      };
+      const pc = CollisionProbability.compute(collision, {
+        method: pcMethod,
+        hardBodyRadius: collision.object1.radius + collision.object2.radius,
+        covariance1: covariance.object1,
+        covariance2: covariance.object2,
+      });
+      const event = conjunctionStore.add({
+        ...collision,
+        probability: pc.pc,
+        pc,
+        covariance,
+        screenPeriod: { start: startDate.toISOString(), end: endDate.toISOString() },
+      });
+      return {
+        eventId: event.eventId,
+        ...collision,
+        probability: pc.pc,
+        pc,
+      };
+    });
 
     res.json({
+      mode,
+      propagator: propagatorChoice.describe(choice),
       count: collisionsWithProb.length,
+      screening,
       timeRange: {
         start: startDate.toISOString(),
         end: endDate.toISOString(),
       },
+      frame: 'TEME',
       collisions: collisionsWithProb,
     });
   } catch (error) {
@@ -101,9 +416,164 @@ router.post('/detect', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/collisions/cdm
+ * Import a CCSDS CDM (KVN or XML) and compare it with our own recomputation
+ * Body: raw CDM text (text/plain, application/xml) or JSON { cdm }
+ */
+router.post('/cdm', express.text({ type: ['text/*', 'application/xml'], limit: '2mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body?.cdm;
+    if (!text) {
+      return res.status(400).json({ error: 'CDM text required' });
+    }
+
+    let event;
+    try {
+      event = CDMParser.toEvent(CDMParser.parse(text));
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid CDM: ${error.message}` });
+    }
+
+    const debris = await fetchCatalog();
+    const comparison = compareWithCatalog(event, debris);
+
+    const stored = conjunctionStore.add({
+      ...event,
+      eventId: `cdm_${ConjunctionStore.eventId(event)}`,
+      comparison,
+    });
+
+    res.json({ frame: 'TEME', ...stored });
+  } catch (error) {
+    console.error('Error importing CDM:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/collisions/:eventId/avoidance
+ * Trade avoidance manoeuvres for a stored conjunction event
+ * Body: { primaryId, burnTime, deltaVs, directions, screenHours, threshold, propagator, forces }
+ * `propagator` and `forces` apply to the pair; the catalog is screened with SGP4
+ */
+router.post('/:eventId/avoidance', async (req, res) => {
+  try {
+    const event = conjunctionStore.get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: `Event ${req.params.eventId} not found` });
+    }
+
+    const avoidanceConfig = config.simulation.avoidance;
+    const {
+      primaryId = event.object1.noradId,
+      burnTime,
+      deltaVs = avoidanceConfig.deltaVs,
+      directions = avoidanceConfig.directions,
+      screenHours = avoidanceConfig.screenHours,
+      threshold,
+      propagator,
+      forces,
+    } = req.body;
+
+    const primaryKey = [event.object1, event.object2].findIndex(o => o.noradId === parseInt(primaryId, 10));
+    if (primaryKey < 0) {
+      return res.status(400).json({ error: `Primary ${primaryId} is not part of event ${event.eventId}` });
+    }
+    const hours = parseFloat(screenHours);
+    if (!(hours > 0) || hours > avoidanceConfig.maxScreenHours) {
+      return res.status(400).json({ error: `screenHours must be between 0 and ${avoidanceConfig.maxScreenHours}` });
+    }
+    const tca = new Date(event.time);
+    const burnDate = burnTime ? new Date(burnTime) : null;
+    if (burnDate && (isNaN(burnDate.getTime()) || burnDate >= tca)) {
+      return res.status(400).json({ error: 'burnTime must be a valid time before the TCA' });
+    }
+
+    if (!Array.isArray(deltaVs) || !Array.isArray(directions)) {
+      return res.status(400).json({ error: 'deltaVs and directions must be arrays' });
+    }
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let planner;
+    try {
+      planner = new AvoidancePlanner(threshold ? new CollisionDetector(threshold) : detector, {
+        deltaVs: deltaVs.map(Number),
+        directions,
+        windowMinutes: avoidanceConfig.windowMinutes,
+        apogeePerigeePad: config.simulation.screening.apogeePerigeePad,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Current orbits of the pair and the catalog to screen against
+    const debris = await fetchCatalog({ limit: config.simulation.screening.maxObjects });
+    const pairObjects = [event.object1, event.object2].map(o => debris.find(d => d.noradId === o.noradId));
+    let pair = pairObjects.map(obj => (obj ? toDetectorObject(obj) : null));
+    if (!pair[0] || !pair[1]) {
+      return res.status(404).json({ error: 'Event objects not found in the current catalog' });
+    }
+    const covariance = event.covariance || {};
+    try {
+      [covariance.object1, covariance.object2]
+        .filter(Boolean)
+        .forEach(matrix => CollisionProbability.toCovarianceMatrix(matrix));
+    } catch (error) {
+      return res.status(400).json({ error: `Event ${event.eventId} covariance not usable for Pc: ${error.message}` });
+    }
+    const catalog = debris.map(toDetectorObject).filter(obj => obj !== null);
+
+    const start = burnDate || AvoidancePlanner.defaultBurnTime(pair[primaryKey].satrec, tca);
+    const span = [start, tca, new Date(start.getTime() + hours * 3600 * 1000)];
+    try {
+      pair = pair.map((object, i) => withPropagator(object, pairObjects[i], choice, span));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const primary = pair[primaryKey];
+    const secondary = pair[1 - primaryKey];
+    let plan;
+    try {
+      plan = planner.plan(primary, secondary, tca, catalog, {
+        burnTime: start,
+        screenEndTime: new Date(start.getTime() + hours * 3600 * 1000),
+        pcMethod: CollisionProbability.listMethods().includes(event.pc?.method)
+          ? event.pc.method
+          : config.simulation.probability.method,
+        covariancePrimary: covariance[`object${primaryKey + 1}`] || null,
+        covarianceSecondary: covariance[`object${2 - primaryKey}`] || null,
+      });
+    } catch (error) {
+      if (error.message.startsWith('Conjunction not reproduced')) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({
+      eventId: event.eventId,
+      frame: 'TEME',
+      propagator: propagatorChoice.describe(choice),
+      threshold: planner.detector.threshold,
+      ...plan,
+    });
+  } catch (error) {
+    console.error('Error planning avoidance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/collisions/simulate
  * Run collision simulation
+ * `propagator` (sgp4 | numerical) and `forces` choose how the parents are
+ * brought to the collision and, if propagated, how the fragments are followed
  */
 router.post('/simulate', async (req, res) => {
   try {
@@ -115,16 +585,71 @@ router.post('/simulate', async (req, res) => {
       propagateFragments = false,
       fragmentEndTime,
       fragmentStepSeconds = 60,
+      seed,
+      parameters,
+      fitTLEs = false,
+      injectFragments = false,
+      evolveCloud = false,
+      cloudDays = config.simulation.cloud.defaultDays,
+      cloudSampleHours = config.simulation.cloud.sampleHours,
+      estimateLifetime = false,
+      solarFlux,
+      propagator,
+      forces,
     } = req.body;
 
     if (!objectId1 || !objectId2) {
       return res.status(400).json({ error: 'Both object IDs required' });
     }
+    const modelProblem = checkModel(modelName, parameters);
+    if (modelProblem) {
+      return res.status(400).json({ error: modelProblem });
+    }
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     const collisionDate = collisionTime ? new Date(collisionTime) : new Date();
+    if (isNaN(collisionDate.getTime())) {
+      return res.status(400).json({ error: `Invalid collisionTime '${collisionTime}'` });
+    }
+
+    if (seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    }
+
+    if (propagateFragments && fragmentEndTime) {
+      const hours = (new Date(fragmentEndTime) - collisionDate) / 3600000;
+      const { maxPropagationHours } = config.simulation.fragments;
+      if (!(hours > 0 && hours <= maxPropagationHours)) {
+        return res.status(400).json({
+          error: `fragmentEndTime must be after the collision and within ${maxPropagationHours} hours of it`,
+        });
+      }
+      if (!(Number.isFinite(fragmentStepSeconds) && fragmentStepSeconds > 0)) {
+        return res.status(400).json({ error: 'fragmentStepSeconds must be a positive number' });
+      }
+    }
+
+    if (solarFlux !== undefined && !LifetimeEstimator.isValidSolarFlux(solarFlux)) {
+      return res.status(400).json({ error: 'solarFlux must be an F10.7 value from 50 to 400' });
+    }
+
+    if (evolveCloud) {
+      const { maxDays } = config.simulation.cloud;
+      if (!(Number.isFinite(cloudDays) && cloudDays > 0 && cloudDays <= maxDays)) {
+        return res.status(400).json({ error: `cloudDays must be positive and at most ${maxDays}` });
+      }
+      if (!(Number.isFinite(cloudSampleHours) && cloudSampleHours > 0 && cloudSampleHours <= cloudDays * 24)) {
+        return res.status(400).json({ error: 'cloudSampleHours must be positive and within cloudDays' });
+      }
+    }
 
     // Fetch debris data
-    const debris = await dataFetcher.fetchDebrisWithCache();
+    const debris = await fetchCatalog();
     
     // Find objects
     const obj1 = debris.find(d => d.noradId === parseInt(objectId1, 10));
@@ -134,37 +659,21 @@ router.post('/simulate', async (req, res) => {
       return res.status(404).json({ error: 'One or both objects not found' });
     }
 
-    // Create satrecs - handle both DISCOS and Space-Track formats
-    let satrec1, satrec2;
-    if (obj1.satrec) {
-      satrec1 = obj1.satrec;
-    } else if (obj1.line1 && obj1.line2) {
-      satrec1 = OrbitPropagator.fromTLEData(obj1);
-    } else {
+    // Handle both DISCOS and Space-Track formats
+    let object1 = toSimulationObject(obj1);
+    if (!object1) {
       return res.status(400).json({ error: 'Object 1 missing orbital data' });
     }
-
-    if (obj2.satrec) {
-      satrec2 = obj2.satrec;
-    } else if (obj2.line1 && obj2.line2) {
-      satrec2 = OrbitPropagator.fromTLEData(obj2);
-    } else {
+    let object2 = toSimulationObject(obj2);
+    if (!object2) {
       return res.status(400).json({ error: 'Object 2 missing orbital data' });
     }
-
-    const object1 = {
-      noradId: obj1.noradId,
-      name: obj1.name,
-      satrec: satrec1,
-      mass: obj1.attributes?.mass || 100, // Use DISCOS mass if available
-    };
-
-    const object2 = {
-      noradId: obj2.noradId,
-      name: obj2.name,
-      satrec: satrec2,
-      mass: obj2.attributes?.mass || 100,
-    };
+    try {
+      object1 = withPropagator(object1, obj1, choice, [collisionDate]);
+      object2 = withPropagator(object2, obj2, choice, [collisionDate]);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Run simulation
     const simulator = modelRegistry.getSimulator();
@@ -172,7 +681,8 @@ router.post('/simulate', async (req, res) => {
       object1,
       object2,
       collisionDate,
-      modelName
+      modelName,
+      { seed, parameters }
     );
 
     // Optionally propagate fragments
@@ -182,13 +692,84 @@ router.post('/simulate', async (req, res) => {
         result.fragments,
         collisionDate,
         new Date(fragmentEndTime),
-        fragmentStepSeconds
+        fragmentStepSeconds,
+        {
+          ...config.simulation.fragments,
+          forceModel: choice.name === 'numerical'
+            ? { ...propagatorChoice.integratorOptions(), forces: choice.forces }
+            : null,
+        }
       );
     }
 
+    // Optionally fit TLEs to the fragments and add them to the catalog
+    let fragmentTLEs = null;
+    let injected = null;
+    if (fitTLEs || injectFragments) {
+      let noradIds;
+      try {
+        noradIds = syntheticCatalog.nextIds(result.fragments.length);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+      const fits = TLEFitter.fitFragments(result.fragments, collisionDate, noradIds, {
+        dragCoefficient: config.simulation.fragments.dragCoefficient,
+      });
+      if (injectFragments) {
+        injected = syntheticCatalog.addFragments(fits, result.fragments, {
+          name: `SIM ${obj1.noradId}-${obj2.noradId}`,
+          type: 'collision',
+          time: collisionDate,
+          parents: [obj1.noradId, obj2.noradId],
+          model: result.model,
+        }).map(o => o.noradId);
+      }
+      fragmentTLEs = fits.map(({ satrec, ...fit }) => fit);
+    }
+
+    const analytics = FragmentAnalytics.analyze(result.fragments, {
+      deltaV: fragment => CollisionSimulator.fragmentDeltaV(fragment, result.collision),
+      areaToMass: fragment => CollisionSimulator.fragmentAreaToMass(fragment),
+      bins: config.simulation.ensemble.histogramBins,
+      reentryAltitude: config.simulation.fragments.reentryAltitude,
+    });
+
+    // Optionally follow the cloud over days to weeks for animation
+    let cloud = null;
+    if (evolveCloud) {
+      cloud = simulator.evolveCloud(
+        result.fragments,
+        collisionDate,
+        new Date(collisionDate.getTime() + cloudDays * 86400000),
+        cloudSampleHours * 3600,
+        {
+          maxFragments: config.simulation.cloud.maxFragments,
+          dragCoefficient: config.simulation.fragments.dragCoefficient,
+          reentryAltitude: config.simulation.fragments.reentryAltitude,
+        }
+      );
+    }
+
+    // Optionally predict when each fragment re-enters
+    const lifetimes = estimateLifetime
+      ? lifetimeEstimator.estimateFragments(
+        result.fragments,
+        collisionDate,
+        fragment => CollisionSimulator.fragmentAreaToMass(fragment),
+        { solarFlux }
+      )
+      : null;
+
     res.json({
       ...result,
+      frame: 'TEME',
+      propagator: propagatorChoice.describe(choice),
+      analytics,
+      lifetimes,
+      cloud,
       fragmentTrajectories,
+      fragmentTLEs,
+      injected,
     });
   } catch (error) {
     console.error('Error simulating collision:', error);
@@ -196,9 +777,174 @@ router.post('/simulate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/collisions/simulate/ensemble
+ * Monte Carlo ensemble of a collision: N seeded runs of one model
+ * Body: { objectId1, objectId2, collisionTime, modelName, parameters, runs, seed, bins,
+ *         propagator, forces }
+ */
+router.post('/simulate/ensemble', async (req, res) => {
+  try {
+    const { defaultRuns, maxRuns, histogramBins } = config.simulation.ensemble;
+    const {
+      objectId1,
+      objectId2,
+      collisionTime,
+      modelName = 'nasa',
+      runs = defaultRuns,
+      seed,
+      bins = histogramBins,
+      parameters,
+      propagator,
+      forces,
+    } = req.body;
+
+    if (!objectId1 || !objectId2) {
+      return res.status(400).json({ error: 'Both object IDs required' });
+    }
+    const collisionDate = collisionTime ? new Date(collisionTime) : new Date();
+    if (isNaN(collisionDate.getTime())) {
+      return res.status(400).json({ error: `Invalid collisionTime '${collisionTime}'` });
+    }
+    if (!(Number.isInteger(runs) && runs >= 1 && runs <= maxRuns)) {
+      return res.status(400).json({ error: `runs must be an integer between 1 and ${maxRuns}` });
+    }
+    if (!(Number.isInteger(bins) && bins >= 1 && bins <= 100)) {
+      return res.status(400).json({ error: 'bins must be an integer between 1 and 100' });
+    }
+    if (seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    }
+
+    const modelProblem = checkModel(modelName, parameters);
+    if (modelProblem) {
+      return res.status(400).json({ error: modelProblem });
+    }
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const debris = await fetchCatalog();
+    const obj1 = debris.find(d => d.noradId === parseInt(objectId1, 10));
+    const obj2 = debris.find(d => d.noradId === parseInt(objectId2, 10));
+    if (!obj1 || !obj2) {
+      return res.status(404).json({ error: 'One or both objects not found' });
+    }
+
+    let object1 = toSimulationObject(obj1);
+    if (!object1) {
+      return res.status(400).json({ error: 'Object 1 missing orbital data' });
+    }
+    let object2 = toSimulationObject(obj2);
+    if (!object2) {
+      return res.status(400).json({ error: 'Object 2 missing orbital data' });
+    }
+    try {
+      object1 = withPropagator(object1, obj1, choice, [collisionDate]);
+      object2 = withPropagator(object2, obj2, choice, [collisionDate]);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const simulator = modelRegistry.getSimulator();
+    const ensemble = simulator.simulateEnsemble(object1, object2, collisionDate, modelName, { runs, seed, bins, parameters });
+
+    res.json({
+      ...ensemble,
+      frame: 'TEME',
+      propagator: propagatorChoice.describe(choice),
+    });
+  } catch (error) {
+    console.error('Error simulating collision ensemble:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/collisions/validation
+ * Historical breakups the collision models are validated against
+ */
+router.get('/validation', (req, res) => {
+  res.json({
+    scenarios: validator.scenarios,
+    models: modelRegistry.getSimulator().listModels(),
+    defaults: { runs: config.simulation.validation.defaultRuns, maxRuns: config.simulation.validation.maxRuns },
+  });
+});
+
+/**
+ * POST /api/collisions/validation
+ * Run collision models against historical breakups and report error metrics
+ * Body: { scenarios: [ids], models: [names], runs, seed, propagator, forces }
+ * (all scenarios and models by default); the propagator brings the
+ * catalogued objects to the impact
+ */
+router.post('/validation', (req, res) => {
+  try {
+    const { defaultRuns, maxRuns } = config.simulation.validation;
+    const simulator = modelRegistry.getSimulator();
+    const {
+      scenarios = validator.listScenarios(),
+      models = simulator.listModels(),
+      runs = defaultRuns,
+      seed,
+      propagator,
+      forces,
+    } = req.body;
+
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      return res.status(400).json({ error: 'scenarios must be a non-empty array of scenario IDs' });
+    }
+    const unknownScenario = scenarios.find(id => !validator.listScenarios().includes(id));
+    if (unknownScenario !== undefined) {
+      return res.status(400).json({
+        error: `Unknown scenario '${unknownScenario}'. Use ${validator.listScenarios().join(', ')}`,
+      });
+    }
+    if (!Array.isArray(models) || models.length === 0) {
+      return res.status(400).json({ error: 'models must be a non-empty array of model names' });
+    }
+    const unknownModel = models.find(name => !simulator.listModels().includes(name));
+    if (unknownModel !== undefined) {
+      return res.status(400).json({
+        error: `Unknown collision model '${unknownModel}'. Use ${simulator.listModels().join(', ')}`,
+      });
+    }
+    if (!(Number.isInteger(runs) && runs >= 1 && runs <= maxRuns)) {
+      return res.status(400).json({ error: `runs must be an integer between 1 and ${maxRuns}` });
+    }
+    if (seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    }
+
+    let choice;
+    try {
+      choice = propagatorChoice.parse(propagator, forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Scenario objects carry mass and radius rather than catalog attributes
+    const satrecFor = (object, satrec) => propagatorChoice.resolve(
+      { noradId: object.noradId, attributes: { mass: object.mass, diameter: 2 * object.radius } },
+      satrec,
+      choice
+    ).satrec;
+    const validation = validator.run({ scenarioIds: scenarios, modelNames: models, runs, seed, satrecFor });
+
+    res.json({ ...validation, propagator: propagatorChoice.describe(choice) });
+  } catch (error) {
+    console.error('Error running breakup validation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/collisions/models
- * List available collision models
+ * List available collision models with the JSON schemas of their parameters
  */
 router.get('/models', (req, res) => {
   try {
@@ -210,5 +956,51 @@ router.get('/models', (req, res) => {
   }
 });
 
+/**
+ * GET /api/collisions/:eventId
+ * Get a conjunction event found by /detect
+ */
+router.get('/:eventId', (req, res) => {
+  try {
+    const event = conjunctionStore.get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: `Event ${req.params.eventId} not found` });
+    }
+    res.json({ frame: 'TEME', ...event });
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/collisions/:eventId/cdm
+ * Export a conjunction event as a CCSDS CDM
+ * Query: format=kvn|xml (default kvn), download=true for an attachment
+ */
+router.get('/:eventId/cdm', (req, res) => {
+  try {
+    const { format = 'kvn', download } = req.query;
+    const normalized = String(format).toLowerCase();
+    if (!['kvn', 'xml'].includes(normalized)) {
+      return res.status(400).json({ error: `Unknown CDM format '${format}'. Use kvn or xml` });
+    }
+
+    const event = conjunctionStore.get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: `Event ${req.params.eventId} not found` });
+    }
+
+    const cdm = CDMGenerator.generate(event, normalized);
+    if (download === 'true') {
+      res.attachment(`${event.eventId}.${normalized === 'xml' ? 'xml' : 'cdm'}`);
+    }
+    res.type(normalized === 'xml' ? 'application/xml' : 'text/plain').send(cdm);
+  } catch (error) {
+    console.error('Error generating CDM:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
 
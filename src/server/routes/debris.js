@@ -3,6 +3,14 @@ import DataFetcher from '../../api/dataFetcher.js';
 import DISCOSFetcher from '../../api/discosFetcher.js';
 import MockFetcher from '../../api/mockFetcher.js';
 import OrbitPropagator from '../../api/orbitPropagator.js';
+import FrameTransforms from '../../api/frameTransforms.js';
+import PassPredictor from '../../api/passPredictor.js';
+import TIPParser from '../../api/tipParser.js';
+import { MU, EARTH_RADIUS } from '../../api/constants.js';
+import { LifetimeEstimator } from '../../models/lifetimeEstimator.js';
+import { PropagatorChoice } from '../../models/propagatorChoice.js';
+import { ReentryWatch } from '../../models/reentryWatch.js';
+import { syntheticCatalog } from '../../models/syntheticCatalog.js';
 import config from '../../config/config.js';
 
 const router = express.Router();
@@ -20,6 +28,10 @@ if (config.dataSource === 'discos') {
   console.log('Using Space-Track.org as data source');
 }
 
+const lifetimeEstimator = new LifetimeEstimator(config.simulation.lifetime);
+const reentryWatch = new ReentryWatch(lifetimeEstimator, config.simulation.reentry);
+const propagatorChoice = new PropagatorChoice(config.simulation.propagator);
+
 // Cache for debris data
 let debrisCache = null;
 let cacheTimestamp = null;
@@ -31,12 +43,54 @@ const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 async function getDebrisData(forceRefresh = false) {
   const now = Date.now();
   if (!forceRefresh && debrisCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_TTL) {
-    return debrisCache;
+    return syntheticCatalog.merge(debrisCache);
   }
 
-  debrisCache = await dataFetcher.fetchDebrisWithCache({ forceRefresh });
+  debrisCache = await dataFetcher.fetchDebrisWithCache({ forceRefresh, limit: config.catalogLimit });
   cacheTimestamp = now;
-  return debrisCache;
+  return syntheticCatalog.merge(debrisCache);
+}
+
+/**
+ * Parse an optional ground observer from query parameters
+ * @param {Object} query - Request query ({observerLat, observerLon, observerAlt in km})
+ * @returns {Object|null} Observer {latitude, longitude, altitude} or null if not supplied
+ */
+function parseObserver(query) {
+  const { observerLat, observerLon, observerAlt = 0 } = query;
+  if (observerLat === undefined && observerLon === undefined) {
+    return null;
+  }
+
+  const observer = {
+    latitude: parseFloat(observerLat),
+    longitude: parseFloat(observerLon),
+    altitude: parseFloat(observerAlt),
+  };
+  if (!Number.isFinite(observer.latitude) || Math.abs(observer.latitude) > 90) {
+    throw new Error('observerLat must be a latitude in degrees (-90 to 90)');
+  }
+  if (!Number.isFinite(observer.longitude) || Math.abs(observer.longitude) > 180) {
+    throw new Error('observerLon must be a longitude in degrees (-180 to 180)');
+  }
+  if (!Number.isFinite(observer.altitude)) {
+    throw new Error('observerAlt must be a height in km');
+  }
+  return observer;
+}
+
+/**
+ * Parse an optional solarFlux query parameter
+ * @param {Object} query - Request query
+ * @returns {number|undefined} F10.7, undefined for the configured default
+ */
+function parseSolarFlux(query) {
+  if (query.solarFlux === undefined) return undefined;
+  const solarFlux = parseFloat(query.solarFlux);
+  if (!LifetimeEstimator.isValidSolarFlux(solarFlux)) {
+    throw new Error('solarFlux must be an F10.7 value from 50 to 400');
+  }
+  return solarFlux;
 }
 
 /**
@@ -69,6 +123,17 @@ router.get('/', async (req, res) => {
     // If searching by specific NORAD ID, fetch directly from Space-Track
     if (noradId) {
       const id = parseInt(noradId, 10);
+      const synthetic = syntheticCatalog.get(id);
+      if (synthetic) {
+        return res.json({
+          total: 1,
+          count: 1,
+          offset: 0,
+          limit: 1,
+          filters: { noradId: id },
+          data: [synthetic],
+        });
+      }
       try {
         console.log(`Fetching specific NORAD ID: ${id}`);
         // Fetch directly for this specific ID (bypass cache)
@@ -119,14 +184,14 @@ router.get('/', async (req, res) => {
     let fetchLimit = parseInt(limit) + parseInt(offset);
     
     // Fetch debris with filters
-    const debris = await dataFetcher.fetchDebrisWithCache({
+    const debris = syntheticCatalog.merge(await dataFetcher.fetchDebrisWithCache({
       forceRefresh: forceRefresh === 'true',
       limit: fetchLimit,
       objectTypes: objectTypesArray.length > 0 ? objectTypesArray : undefined,
       minRcsSize: minRcsSize || undefined,
       maxRcsSize: maxRcsSize || undefined,
       includeMetadata: true,
-    });
+    }), { objectTypes: objectTypesArray });
 
     let filtered = debris;
     
@@ -203,6 +268,155 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/debris/synthetic
+ * List simulated fragments injected into the catalog
+ */
+router.get('/synthetic', (req, res) => {
+  try {
+    const objects = syntheticCatalog.list();
+    res.json({
+      count: objects.length,
+      idRange: { first: syntheticCatalog.firstId, last: syntheticCatalog.lastId },
+      data: objects,
+    });
+  } catch (error) {
+    console.error('Error listing synthetic objects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/debris/synthetic
+ * Remove injected fragments
+ * Query: ids (comma-separated NORAD IDs); all if omitted
+ */
+router.delete('/synthetic', (req, res) => {
+  try {
+    const ids = req.query.ids
+      ? String(req.query.ids).split(',').map(id => parseInt(id, 10))
+      : null;
+    if (ids && ids.some(id => !Number.isFinite(id))) {
+      return res.status(400).json({ error: 'ids must be comma-separated NORAD IDs' });
+    }
+    res.json({ removed: syntheticCatalog.remove(ids) });
+  } catch (error) {
+    console.error('Error removing synthetic objects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/debris/reentries
+ * Watch list of objects predicted to re-enter within a window
+ * Query: days (default 30), start (ISO date, default now), sort (date | mass),
+ *        limit, solarFlux (F10.7, 50-400 sfu)
+ */
+router.get('/reentries', async (req, res) => {
+  try {
+    const { defaultDays, maxDays, maxObjects } = config.simulation.reentry;
+    const { start, sort = 'date' } = req.query;
+
+    let solarFlux;
+    try {
+      solarFlux = parseSolarFlux(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const days = req.query.days === undefined ? defaultDays : parseFloat(req.query.days);
+    if (!Number.isFinite(days) || days <= 0 || days > maxDays) {
+      return res.status(400).json({ error: `days must be a number of days up to ${maxDays}` });
+    }
+    const startDate = start ? new Date(start) : new Date();
+    if (isNaN(startDate)) {
+      return res.status(400).json({ error: 'start must be a valid date' });
+    }
+    if (!['date', 'mass'].includes(sort)) {
+      return res.status(400).json({ error: `Unknown sort '${sort}'. Use date or mass` });
+    }
+    const limit = req.query.limit === undefined ? maxObjects : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const debris = await getDebrisData();
+    res.json(reentryWatch.watchList(debris, startDate, days, { solarFlux, sort, limit }));
+  } catch (error) {
+    console.error('Error building re-entry watch list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/debris/tip
+ * List imported TIP messages, latest per object
+ */
+router.get('/tip', (req, res) => {
+  try {
+    const messages = reentryWatch.listTips();
+    res.json({ count: messages.length, messages });
+  } catch (error) {
+    console.error('Error listing TIP messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/debris/tip
+ * Import Space-Track TIP (Tracking and Impact Prediction) messages and
+ * compare them with our re-entry predictions
+ * Body: raw JSON or CSV as downloaded from Space-Track (text/plain, text/csv),
+ *       or JSON: the records themselves or { tip: text }
+ */
+router.post('/tip', express.text({ type: 'text/*', limit: '2mb' }), async (req, res) => {
+  try {
+    let messages;
+    try {
+      if (typeof req.body === 'string') {
+        messages = TIPParser.parse(req.body);
+      } else if (typeof req.body?.tip === 'string') {
+        messages = TIPParser.parse(req.body.tip);
+      } else {
+        messages = TIPParser.fromRecords(req.body);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid TIP: ${error.message}` });
+    }
+
+    const stored = reentryWatch.addTips(messages);
+    const debris = await getDebrisData();
+    const compared = stored.map(tip => {
+      const object = debris.find(d => d.noradId === tip.noradId);
+      if (!object) {
+        return { ...tip, name: null, comparison: { available: false, reason: 'Object not in the current catalog' } };
+      }
+      try {
+        const { prediction } = reentryWatch.predict(object);
+        const { differenceMinutes, withinTipWindow, tipWithinBand } = ReentryWatch.compareTip(prediction, tip);
+        return {
+          ...tip,
+          name: object.name,
+          comparison: {
+            available: true,
+            reentry: prediction.reentry,
+            band: prediction.band,
+            differenceMinutes,
+            withinTipWindow,
+            tipWithinBand,
+          },
+        };
+      } catch (error) {
+        return { ...tip, name: object.name, comparison: { available: false, reason: error.message } };
+      }
+    });
+
+    res.json({ imported: messages.length, count: compared.length, messages: compared });
+  } catch (error) {
+    console.error('Error importing TIP messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/debris/:id
  * Get specific object details
@@ -228,11 +442,29 @@ router.get('/:id', async (req, res) => {
 /**
  * GET /api/debris/:id/position
  * Get current or future position
+ * Query: time (ISO date), frame (TEME | GCRF/J2000 | ITRF/ECEF | GEODETIC, default TEME),
+ *        observerLat, observerLon (degrees), observerAlt (km) for look angles,
+ *        propagator (sgp4 | numerical), forces (numerical force model, e.g. j2,drag)
  */
 router.get('/:id/position', async (req, res) => {
   try {
     const { id } = req.params;
-    const { time } = req.query;
+    const { time, frame = 'TEME' } = req.query;
+
+    let targetFrame;
+    let observer;
+    let choice;
+    try {
+      targetFrame = FrameTransforms.normalizeFrame(frame);
+      observer = parseObserver(req.query);
+      choice = propagatorChoice.parse(req.query.propagator, req.query.forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const targetDate = time ? new Date(time) : new Date();
+    if (isNaN(targetDate)) {
+      return res.status(400).json({ error: 'time must be a valid date' });
+    }
     
     const debris = await getDebrisData();
     const object = debris.find(d => d.noradId === parseInt(id, 10));
@@ -240,8 +472,6 @@ router.get('/:id/position', async (req, res) => {
     if (!object) {
       return res.status(404).json({ error: 'Object not found' });
     }
-
-    const targetDate = time ? new Date(time) : new Date();
     
     // Handle both DISCOS (has satrec) and Space-Track (needs TLE parsing)
     let satrec;
@@ -252,20 +482,38 @@ router.get('/:id/position', async (req, res) => {
     } else {
       return res.status(400).json({ error: 'Object missing orbital data' });
     }
+
+    let propagator;
+    try {
+      ({ satrec, propagator } = propagatorChoice.resolve(object, satrec, choice, [targetDate]));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
     const position = OrbitPropagator.propagate(satrec, targetDate);
     
+    // Orbital elements are always derived from the inertial (TEME) state
     const orbitalParams = OrbitPropagator.calculateOrbitalParams(
       position.position,
       position.velocity
     );
 
+    const transformed = FrameTransforms.fromTeme(position, targetFrame, targetDate);
+
+    // Sub-satellite point and, for a ground observer, topocentric look angles
+    const itrf = FrameTransforms.temeToItrf(position.position, position.velocity, targetDate);
+    const geodetic = FrameTransforms.itrfToGeodetic(itrf.position);
+    const lookAngles = observer ? FrameTransforms.lookAngles(itrf, observer) : null;
+
     res.json({
       noradId: object.noradId,
       name: object.name,
       time: targetDate.toISOString(),
-      position: position.position,
-      velocity: position.velocity,
+      propagator,
+      ...transformed,
+      geodetic,
+      observer,
+      lookAngles,
       orbitalParams,
     });
   } catch (error) {
@@ -274,6 +522,184 @@ router.get('/:id/position', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/debris/:id/passes
+ * Predict ground-station passes (AOS / culmination / LOS)
+ * Query: observerLat, observerLon (degrees), observerAlt (km), start, end (ISO dates),
+ *        minElevation (degrees, default 10), stepSeconds (default 30),
+ *        propagator (sgp4 | numerical), forces (numerical force model)
+ */
+router.get('/:id/passes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start, end } = req.query;
+
+    const minElevation = parseFloat(req.query.minElevation ?? 10);
+    if (!Number.isFinite(minElevation) || Math.abs(minElevation) > 90) {
+      return res.status(400).json({ error: 'minElevation must be an elevation in degrees (-90 to 90)' });
+    }
+    const stepSeconds = parseFloat(req.query.stepSeconds ?? 30);
+    if (!Number.isFinite(stepSeconds) || stepSeconds <= 0) {
+      return res.status(400).json({ error: 'stepSeconds must be a positive number of seconds' });
+    }
+
+    let observer;
+    let choice;
+    try {
+      observer = parseObserver(req.query);
+      choice = propagatorChoice.parse(req.query.propagator, req.query.forces);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!observer) {
+      return res.status(400).json({ error: 'observerLat and observerLon are required' });
+    }
+
+    const startDate = start ? new Date(start) : new Date();
+    const endDate = end ? new Date(end) : new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
+    if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate) {
+      return res.status(400).json({ error: 'start and end must be valid dates with end after start' });
+    }
+    if (endDate - startDate > 14 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Pass window is limited to 14 days' });
+    }
+
+    const debris = await getDebrisData();
+    const object = debris.find(d => d.noradId === parseInt(id, 10));
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    let satrec;
+    if (object.satrec) {
+      satrec = object.satrec;
+    } else if (object.line1 && object.line2) {
+      satrec = OrbitPropagator.fromTLEData(object);
+    } else {
+      return res.status(400).json({ error: 'Object missing orbital data' });
+    }
+
+    let propagator;
+    try {
+      ({ satrec, propagator } = propagatorChoice.resolve(object, satrec, choice, [startDate, endDate]));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const passes = PassPredictor.predictPasses(satrec, observer, startDate, endDate, {
+      minElevation,
+      stepSeconds: Math.max(1, stepSeconds),
+    });
+
+    res.json({
+      noradId: object.noradId,
+      name: object.name,
+      observer,
+      propagator,
+      minElevation,
+      timeRange: {
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+      },
+      count: passes.length,
+      passes,
+    });
+  } catch (error) {
+    console.error('Error predicting passes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/debris/:id/lifetime
+ * Predict orbital lifetime and re-entry from the object's TLE
+ * Query: solarFlux (F10.7, 50-400 sfu; default from config)
+ */
+router.get('/:id/lifetime', async (req, res) => {
+  try {
+    const { id } = req.params;
+    let solarFlux;
+    try {
+      solarFlux = parseSolarFlux(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const debris = await getDebrisData();
+    const object = debris.find(d => d.noradId === parseInt(id, 10));
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    // Ballistic coefficient from B*, or from the catalogued mass and size
+    let inputs;
+    try {
+      inputs = lifetimeEstimator.catalogInputs(object);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { tle, elements, areaToMass, areaToMassSource } = inputs;
+
+    const prediction = lifetimeEstimator.estimate(elements, areaToMass, tle.epoch, { solarFlux });
+
+    res.json({
+      noradId: object.noradId,
+      name: object.name,
+      ...prediction,
+      bstar: tle.bstar,
+      areaToMassSource,
+      assumptions: {
+        dragCoefficient: lifetimeEstimator.dragCoefficient,
+        solarFluxUncertainty: lifetimeEstimator.solarFluxUncertainty,
+        ballisticUncertainty: lifetimeEstimator.ballisticUncertainty,
+        reentryAltitude: lifetimeEstimator.reentryAltitude,
+        maxYears: lifetimeEstimator.maxYears,
+      },
+    });
+  } catch (error) {
+    console.error('Error estimating lifetime:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/debris/:id/reentry
+ * Re-entry prediction with ground tracks of the final orbit, the
+ * uncertainty band and any imported TIP window
+ * Query: solarFlux (F10.7, 50-400 sfu; default from config)
+ */
+router.get('/:id/reentry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    let solarFlux;
+    try {
+      solarFlux = parseSolarFlux(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const debris = await getDebrisData();
+    const object = debris.find(d => d.noradId === parseInt(id, 10));
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    try {
+      lifetimeEstimator.catalogInputs(object);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ frame: 'GEODETIC', ...reentryWatch.track(object, { solarFlux }) });
+  } catch (error) {
+    console.error('Error predicting re-entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/debris/query
  * Query debris by orbital parameters
@@ -301,7 +727,7 @@ router.post('/query', async (req, res) => {
       filtered = filtered.filter(d => {
         // Approximate altitude from mean motion
         const period = (24 * 60 * 60) / d.meanMotion;
-        const altitude = Math.pow((398600.4418 * Math.pow(period / (2 * Math.PI), 2)), 1/3) - 6378.137;
+        const altitude = Math.pow((MU * Math.pow(period / (2 * Math.PI), 2)), 1/3) - EARTH_RADIUS;
         
         if (minAltitude !== undefined && altitude < minAltitude) return false;
         if (maxAltitude !== undefined && altitude > maxAltitude) return false;
@@ -0,0 +1,188 @@
+import express from 'express';
+import DataFetcher from '../../api/dataFetcher.js';
+import DISCOSFetcher from '../../api/discosFetcher.js';
+import MockFetcher from '../../api/mockFetcher.js';
+import OrbitPropagator from '../../api/orbitPropagator.js';
+import { EnvironmentSimulator } from '../../models/environmentSimulator.js';
+import { JobStore, jobStore } from '../../models/jobStore.js';
+import { ObjectSize } from '../../models/objectSize.js';
+import { SeededRandom } from '../../models/seededRandom.js';
+import { modelRegistry } from '../../models/registry.js';
+import { syntheticCatalog } from '../../models/syntheticCatalog.js';
+import config from '../../config/config.js';
+
+const router = express.Router();
+
+// Select data source based on configuration
+let dataFetcher;
+if (config.dataSource === 'discos') {
+  dataFetcher = new DISCOSFetcher();
+} else if (config.dataSource === 'mock') {
+  dataFetcher = new MockFetcher();
+} else {
+  dataFetcher = new DataFetcher();
+}
+
+const environmentConfig = config.simulation.environment;
+
+/**
+ * Catalog object as {noradId, objectType, mass, size, satrec}, or null without orbital data
+ * @param {Object} obj - Catalog object
+ * @returns {Object|null} Object for EnvironmentSimulator.fromCatalog
+ */
+function toEnvironmentObject(obj) {
+  let satrec;
+  if (obj.satrec) {
+    satrec = obj.satrec;
+  } else if (obj.line1 && obj.line2) {
+    satrec = OrbitPropagator.fromTLEData(obj);
+  } else {
+    return null;
+  }
+
+  const objectType = obj.objectType || obj.attributes?.objectClass || null;
+  const { defaultMasses } = environmentConfig;
+  return {
+    noradId: obj.noradId,
+    objectType,
+    mass: obj.attributes?.mass || defaultMasses[String(objectType).toUpperCase()] || defaultMasses.default,
+    size: ObjectSize.estimate(obj),
+    satrec,
+  };
+}
+
+/**
+ * GET /api/environment/scenarios
+ * Launch traffic scenarios, size classes and run limits
+ */
+router.get('/scenarios', (req, res) => {
+  res.json({
+    scenarios: Object.entries(environmentConfig.launchScenarios).map(([name, scenario]) => ({
+      name,
+      ...scenario,
+    })),
+    sizeClasses: environmentConfig.sizeClasses,
+    defaults: {
+      years: environmentConfig.defaultYears,
+      maxYears: environmentConfig.maxYears,
+      stepDays: environmentConfig.defaultStepDays,
+      modelName: 'nasa-sbm',
+    },
+  });
+});
+
+/**
+ * POST /api/environment/jobs
+ * Start a population projection from the current catalog
+ * Body: { years, stepDays, scenario, modelName, seed, startTime, filters: { objectTypes } }
+ */
+router.post('/jobs', (req, res) => {
+  try {
+    const {
+      years = environmentConfig.defaultYears,
+      stepDays = environmentConfig.defaultStepDays,
+      scenario = 'business-as-usual',
+      modelName = 'nasa-sbm',
+      seed,
+      startTime,
+      filters = {},
+    } = req.body;
+
+    if (!(typeof years === 'number' && years > 0 && years <= environmentConfig.maxYears)) {
+      return res.status(400).json({ error: `years must be a number between 0 and ${environmentConfig.maxYears}` });
+    }
+    if (!(typeof stepDays === 'number' && stepDays >= 1 && stepDays <= 365)) {
+      return res.status(400).json({ error: 'stepDays must be a number between 1 and 365' });
+    }
+    const launchScenario = environmentConfig.launchScenarios[scenario];
+    if (!launchScenario) {
+      return res.status(400).json({
+        error: `Unknown scenario '${scenario}'. Use ${Object.keys(environmentConfig.launchScenarios).join(', ')}`,
+      });
+    }
+    const simulator = modelRegistry.getSimulator();
+    if (!simulator.listModels().includes(modelName)) {
+      return res.status(400).json({
+        error: `Unknown collision model '${modelName}'. Use ${simulator.listModels().join(', ')}`,
+      });
+    }
+    if (seed !== undefined && !SeededRandom.isValidSeed(seed)) {
+      return res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    }
+    const start = startTime ? new Date(startTime) : new Date();
+    if (isNaN(start.getTime())) {
+      return res.status(400).json({ error: `Invalid startTime '${startTime}'` });
+    }
+
+    const runSeed = seed ?? SeededRandom.randomSeed();
+    const params = { years, stepDays, scenario, modelName, seed: runSeed, startTime: start.toISOString(), filters };
+
+    const job = jobStore.submit('environment', params, async (running) => {
+      const debris = syntheticCatalog.merge(
+        await dataFetcher.fetchDebrisWithCache({ limit: config.catalogLimit, objectTypes: filters.objectTypes }),
+        { objectTypes: filters.objectTypes }
+      );
+      const environment = new EnvironmentSimulator(simulator, {
+        ...environmentConfig,
+        reentryAltitude: config.simulation.fragments.reentryAltitude,
+        dragCoefficient: config.simulation.fragments.dragCoefficient,
+      });
+      const { population, excluded } = environment.fromCatalog(debris.map(toEnvironmentObject).filter(Boolean));
+      const initial = { population: population.length, excluded };
+
+      const run = await environment.run(
+        population,
+        { startTime: start, years, stepDays, modelName, scenario: launchScenario, seed: runSeed },
+        {
+          onStep: ({ step, steps, series, collisions, totals }) => {
+            running.progress = { step, steps, fraction: step / steps };
+            running.result = { initial, series, collisions, totals };
+          },
+          shouldStop: () => running.cancelRequested,
+        }
+      );
+
+      return { initial, ...run };
+    });
+
+    res.status(202).json(JobStore.summary(job));
+  } catch (error) {
+    console.error('Error starting environment job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/environment/jobs
+ * List environment jobs, newest first, without results
+ */
+router.get('/jobs', (req, res) => {
+  const list = jobStore.list('environment').map(job => JobStore.summary(job));
+  res.json({ count: list.length, jobs: list });
+});
+
+/**
+ * GET /api/environment/jobs/:jobId
+ * Job status and progress, with the population series so far
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  res.json({ ...JobStore.summary(job), result: job.result });
+});
+
+/**
+ * DELETE /api/environment/jobs/:jobId
+ * Cancel a queued or running job; delete a finished one
+ */
+router.delete('/jobs/:jobId', (req, res) => {
+  const job = jobStore.cancel(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  res.json(JobStore.summary(job));
+});
+
+export default router;
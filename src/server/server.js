@@ -3,8 +3,11 @@ import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import config from '../config/config.js';
+import { modelRegistry } from '../models/registry.js';
 import debrisRoutes from './routes/debris.js';
 import collisionRoutes from './routes/collisions.js';
+import breakupRoutes from './routes/breakups.js';
+import environmentRoutes from './routes/environment.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,18 +22,24 @@ app.use(express.static(join(__dirname, '../../public')));
 // API Routes
 app.use('/api/debris', debrisRoutes);
 app.use('/api/collisions', collisionRoutes);
+app.use('/api/breakups', breakupRoutes);
+app.use('/api/environment', environmentRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Discover collision models before serving requests
+const loadedModels = await modelRegistry.loadModels(config.simulation.models.directory);
+
 // Start server
 const PORT = process.env.PORT || config.server.port;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Orbital Debris Visualization Server running on port ${PORT}`);
   console.log(`Environment: ${config.server.env}`);
   console.log(`Data source: ${config.dataSource}`);
+  console.log(`Collision models: ${loadedModels.join(', ')}`);
 }).on('error', (err) => {
   console.error('Server error:', err);
   process.exit(1);